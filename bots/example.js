@@ -0,0 +1,76 @@
+/**
+ * Example Bot
+ * Heads for the closest food it can reach without passing near another
+ * snake, and turns away from walls, bodies and the zone's edge. See
+ * "External Bots" in the README for the observation format.
+ */
+
+const DANGER_RADIUS = 120;
+const WALL_MARGIN = 150;
+
+function distance(ax, ay, bx, by) {
+    return Math.hypot(bx - ax, by - ay);
+}
+
+// Closest snake point (head or body) to a position
+function nearestSnakePoint(snakes, x, y) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const snake of snakes) {
+        const points = [[snake.x, snake.y]].concat(snake.body);
+        for (const [px, py] of points) {
+            const d = distance(x, y, px, py);
+            if (d < nearestDistance) {
+                nearest = { x: px, y: py };
+                nearestDistance = d;
+            }
+        }
+    }
+    return nearest ? { ...nearest, distance: nearestDistance } : null;
+}
+
+module.exports = {
+    name: 'Example',
+
+    think(observation) {
+        const self = observation.self;
+        const world = observation.world;
+
+        // Push away from nearby snakes and walls
+        let pushX = 0;
+        let pushY = 0;
+
+        const danger = nearestSnakePoint(observation.snakes, self.x, self.y);
+        if (danger && danger.distance < DANGER_RADIUS) {
+            pushX += (self.x - danger.x) / danger.distance;
+            pushY += (self.y - danger.y) / danger.distance;
+        }
+
+        if (self.x < WALL_MARGIN) pushX += 1;
+        if (self.x > world.width - WALL_MARGIN) pushX -= 1;
+        if (self.y < WALL_MARGIN) pushY += 1;
+        if (self.y > world.height - WALL_MARGIN) pushY -= 1;
+
+        const zone = observation.zone;
+        if (zone && distance(self.x, self.y, zone.x, zone.y) > zone.radius - WALL_MARGIN) {
+            pushX += zone.x - self.x;
+            pushY += zone.y - self.y;
+        }
+
+        if (pushX !== 0 || pushY !== 0) {
+            return { angle: Math.atan2(pushY, pushX), boost: false };
+        }
+
+        // Closest food with no snake near it
+        const target = observation.food.find(food => {
+            const near = nearestSnakePoint(observation.snakes, food.x, food.y);
+            return !near || near.distance > DANGER_RADIUS;
+        });
+        if (target) {
+            return { angle: Math.atan2(target.y - self.y, target.x - self.x), boost: false };
+        }
+
+        // Nothing to do: keep going
+        return null;
+    }
+};
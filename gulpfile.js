@@ -34,6 +34,14 @@ function buildServer() {
     return task.pipe(gulp.dest('bin/server/'));
 }
 
+function buildShared() {
+    let task = gulp.src(['src/shared/**/*.js']);
+    if (!process.env.IS_DEV) {
+        task = task.pipe(babel())
+    }
+    return task.pipe(gulp.dest('bin/shared/'));
+}
+
 function copyClientResources() {
     return gulp.src(['src/client/**/*.*', '!src/client/**/*.js'])
         .pipe(gulp.dest('./bin/client/'));
@@ -86,9 +94,9 @@ gulp.task('todo', gulp.series('lint', () => {
         .pipe(gulp.dest('./'));
 }));
 
-gulp.task('build', gulp.series('lint', gulp.parallel(copyClientResources, buildClientJS, buildServer, mocha)));
+gulp.task('build', gulp.series('lint', gulp.parallel(copyClientResources, buildClientJS, buildServer, buildShared, mocha)));
 
-gulp.task('dev', gulp.parallel(copyClientResources, buildClientJS, buildServer));
+gulp.task('dev', gulp.parallel(copyClientResources, buildClientJS, buildServer, buildShared));
 
 gulp.task('run', gulp.series('build', runServer));
 
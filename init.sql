@@ -6,9 +6,23 @@ CREATE TABLE IF NOT EXISTS room_tiers (
     name TEXT NOT NULL,
     buy_in DECIMAL(10,2) NOT NULL,
     platform_fee DECIMAL(5,4) DEFAULT 0.20,
+    tick_rate INTEGER DEFAULT 60,
+    snapshot_rate INTEGER DEFAULT 20,
+    leaderboard_rate INTEGER DEFAULT 1,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Per-tier simulation and network rates (Hz), for databases created before they existed
+ALTER TABLE room_tiers ADD COLUMN IF NOT EXISTS tick_rate INTEGER DEFAULT 60;
+ALTER TABLE room_tiers ADD COLUMN IF NOT EXISTS snapshot_rate INTEGER DEFAULT 20;
+ALTER TABLE room_tiers ADD COLUMN IF NOT EXISTS leaderboard_rate INTEGER DEFAULT 1;
+
+-- Bot population: rooms fill up to bot_target snakes with bots, keep at least
+-- bot_min, and pick profiles by bot_mix weights (see src/server/game/profiles.js)
+ALTER TABLE room_tiers ADD COLUMN IF NOT EXISTS bot_target INTEGER DEFAULT 0;
+ALTER TABLE room_tiers ADD COLUMN IF NOT EXISTS bot_min INTEGER DEFAULT 0;
+ALTER TABLE room_tiers ADD COLUMN IF NOT EXISTS bot_mix JSONB;
+
 INSERT INTO room_tiers (name, buy_in) VALUES
     ('Free', 0.00),
     ('Micro', 0.10),
@@ -16,22 +30,45 @@ INSERT INTO room_tiers (name, buy_in) VALUES
     ('Medium', 1.00)
 ON CONFLICT DO NOTHING;
 
--- Active rooms
-CREATE TABLE IF NOT EXISTS rooms (
+-- Free rooms get a few bots, mostly easy ones
+UPDATE room_tiers SET bot_target = 10, bot_mix = '{"easy": 2, "normal": 1}'
+WHERE buy_in = 0 AND bot_mix IS NULL;
+
+-- Players (one per Clerk user); other tables' player_id columns hold players.id
+CREATE TABLE IF NOT EXISTS players (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clerk_user_id TEXT UNIQUE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Active rooms (id is the server's room ID, e.g. room_1_1700000000000_a1b2c3)
+CREATE TABLE IF NOT EXISTS rooms (
+    id TEXT PRIMARY KEY,
     tier_id INTEGER REFERENCES room_tiers(id),
     name TEXT,
     player_count INTEGER DEFAULT 0,
     is_demo BOOLEAN DEFAULT FALSE,
+    is_private BOOLEAN DEFAULT FALSE,
+    invite_code TEXT,
+    owner_id TEXT,
+    rules JSONB,
     hathora_room_id TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Private room columns, for databases created before private rooms existed
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS is_private BOOLEAN DEFAULT FALSE;
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS invite_code TEXT;
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS owner_id TEXT;
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS rules JSONB;
+
 -- Player sessions within rooms
 CREATE TABLE IF NOT EXISTS room_sessions (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-    room_id UUID REFERENCES rooms(id) ON DELETE CASCADE,
+    room_id TEXT,
     socket_id TEXT NOT NULL,
+    player_id TEXT,
     name TEXT NOT NULL,
     kills INTEGER DEFAULT 0,
     deaths INTEGER DEFAULT 0,
@@ -45,29 +82,228 @@ CREATE TABLE IF NOT EXISTS room_sessions (
 -- Kill log for analytics and bounty tracking
 CREATE TABLE IF NOT EXISTS kills (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-    room_id UUID REFERENCES rooms(id) ON DELETE CASCADE,
+    room_id TEXT,
     killer_socket TEXT NOT NULL,
     killer_name TEXT NOT NULL,
     victim_socket TEXT NOT NULL,
     victim_name TEXT NOT NULL,
+    killer_player_id TEXT,
+    victim_player_id TEXT,
     bounty DECIMAL(10,2) NOT NULL,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
--- Payment transactions
+-- Text room IDs, for databases created when rooms had UUIDs. Rooms are saved
+-- without waiting, so sessions and kills can be logged before (or without)
+-- their room's row; their room_id no longer references rooms.
+ALTER TABLE room_sessions DROP CONSTRAINT IF EXISTS room_sessions_room_id_fkey;
+ALTER TABLE kills DROP CONSTRAINT IF EXISTS kills_room_id_fkey;
+ALTER TABLE rooms ALTER COLUMN id DROP DEFAULT;
+ALTER TABLE rooms ALTER COLUMN id TYPE TEXT USING id::text;
+ALTER TABLE room_sessions ALTER COLUMN room_id TYPE TEXT USING room_id::text;
+ALTER TABLE kills ALTER COLUMN room_id TYPE TEXT USING room_id::text;
+
+-- Ledger transactions (see src/server/economy/ledger.js). Each one has
+-- ledger_entries summing to zero; amount is the total moved, in dollars.
 CREATE TABLE IF NOT EXISTS transactions (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-    session_id UUID REFERENCES room_sessions(id),
-    type TEXT NOT NULL CHECK (type IN ('buy_in', 'cashout', 'kill_bounty')),
+    session_id UUID,
+    room_id TEXT,
+    player_id TEXT,
+    type TEXT NOT NULL,
     amount DECIMAL(10,2) NOT NULL,
+    idempotency_key TEXT UNIQUE,
+    metadata JSONB,
     flowglad_session_id TEXT,
     status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Ledger columns, for databases created before the ledger existed
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_session_id_fkey;
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS room_id TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS player_id TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS idempotency_key TEXT UNIQUE;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS metadata JSONB;
+
+-- Player references, for databases created before players existed
+ALTER TABLE room_sessions ADD COLUMN IF NOT EXISTS player_id TEXT;
+ALTER TABLE kills ADD COLUMN IF NOT EXISTS killer_player_id TEXT;
+ALTER TABLE kills ADD COLUMN IF NOT EXISTS victim_player_id TEXT;
+
+ALTER TABLE transactions ADD CONSTRAINT transactions_type_check CHECK (type IN (
+    'deposit', 'buy_in', 'kill_bounty', 'house_bounty', 'forfeit', 'cashout', 'settlement', 'refund',
+    'withdrawal', 'payout', 'payout_reversal', 'tournament_entry', 'tournament_prize', 'tournament_refund',
+    'royale_pot'
+));
+
+-- Double-entry lines; an account's balance is the sum of its entries (cents)
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    transaction_id UUID NOT NULL REFERENCES transactions(id),
+    account_kind TEXT NOT NULL,
+    owner_id TEXT NOT NULL,
+    amount_cents BIGINT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_account_kind_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_account_kind_check CHECK (account_kind IN (
+    'wallet', 'session', 'ticket', 'payout', 'prize', 'platform', 'house', 'external'
+));
+
+-- Single-use paid seats, issued when a Flowglad checkout is confirmed server-side
+CREATE TABLE IF NOT EXISTS join_tickets (
+    id TEXT PRIMARY KEY,
+    flowglad_session_id TEXT UNIQUE NOT NULL,
+    player_id TEXT NOT NULL,
+    tier_id INTEGER REFERENCES room_tiers(id),
+    amount_cents BIGINT NOT NULL,
+    status TEXT DEFAULT 'issued' CHECK (status IN ('issued', 'redeemed', 'refunded')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Cashouts sent to players (see src/server/economy/payouts.js)
+CREATE TABLE IF NOT EXISTS payouts (
+    id UUID PRIMARY KEY,
+    player_id TEXT NOT NULL,
+    amount_cents BIGINT NOT NULL,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'settled', 'failed')),
+    provider TEXT NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+    reference TEXT,
+    last_error TEXT,
+    transfers JSONB DEFAULT '[]',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE payouts ADD COLUMN IF NOT EXISTS transfers JSONB DEFAULT '[]';
+
+-- Scheduled tournaments (see src/server/rooms/tournaments.js)
+CREATE TABLE IF NOT EXISTS tournaments (
+    id UUID PRIMARY KEY,
+    name TEXT NOT NULL,
+    entry_fee_cents BIGINT NOT NULL DEFAULT 0,
+    status TEXT NOT NULL CHECK (status IN (
+        'scheduled', 'registration', 'countdown', 'running', 'intermission', 'finished', 'cancelled'
+    )),
+    registration_opens_at TIMESTAMPTZ NOT NULL,
+    starts_at TIMESTAMPTZ NOT NULL,
+    current_round INTEGER DEFAULT 0,
+    prize_pool_cents BIGINT DEFAULT 0,
+    finished_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Registered players and their final placement
+CREATE TABLE IF NOT EXISTS tournament_entries (
+    tournament_id UUID NOT NULL REFERENCES tournaments(id),
+    player_id TEXT NOT NULL,
+    entry_id UUID, -- Names the entry's fee and refund in the ledger (re-entries get a new one)
+    name TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('registered', 'playing', 'eliminated', 'no_show', 'finished', 'refunded')),
+    placement INTEGER,
+    prize_cents BIGINT DEFAULT 0,
+    eliminated_round INTEGER,
+    registered_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (tournament_id, player_id)
+);
+
+ALTER TABLE tournament_entries ADD COLUMN IF NOT EXISTS entry_id UUID;
+
+-- One row per round; results make up the bracket
+CREATE TABLE IF NOT EXISTS tournament_rounds (
+    tournament_id UUID NOT NULL REFERENCES tournaments(id),
+    round INTEGER NOT NULL,
+    room_id TEXT,
+    player_count INTEGER NOT NULL,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    ended_at TIMESTAMPTZ,
+    PRIMARY KEY (tournament_id, round)
+);
+
+CREATE TABLE IF NOT EXISTS tournament_results (
+    tournament_id UUID NOT NULL,
+    round INTEGER NOT NULL,
+    player_id TEXT NOT NULL,
+    rank INTEGER NOT NULL,
+    length INTEGER,
+    kills INTEGER DEFAULT 0,
+    survived BOOLEAN DEFAULT FALSE,
+    advanced BOOLEAN DEFAULT FALSE,
+    PRIMARY KEY (tournament_id, round, player_id),
+    FOREIGN KEY (tournament_id, round) REFERENCES tournament_rounds(tournament_id, round)
+);
+
+-- Matchmaking skill ratings (see src/server/rooms/matchmaking.js); games
+-- counts rated lives
+CREATE TABLE IF NOT EXISTS player_ratings (
+    player_id TEXT PRIMARY KEY,
+    rating REAL NOT NULL,
+    games INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Recorded room sessions (see src/server/replays/); a long session is split
+-- into parts. The stream is in the replay directory, or in data when
+-- REPLAY_STORAGE=database
+CREATE TABLE IF NOT EXISTS replays (
+    id UUID PRIMARY KEY,
+    room_id TEXT NOT NULL,
+    part INTEGER NOT NULL DEFAULT 1,
+    tier_id INTEGER,
+    tick_rate INTEGER NOT NULL,
+    start_tick INTEGER NOT NULL DEFAULT 0,
+    end_tick INTEGER,
+    player_ids TEXT[] NOT NULL DEFAULT '{}',
+    kills INTEGER DEFAULT 0,
+    data BYTEA,
+    started_at TIMESTAMPTZ NOT NULL,
+    ended_at TIMESTAMPTZ
+);
+
+-- Kill clips: the seconds around a paid kill, stored under the kill's ID
+-- (kills.id), gzipped JSON (see src/server/replays/clips.js)
+CREATE TABLE IF NOT EXISTS kill_clips (
+    kill_id UUID PRIMARY KEY,
+    room_id TEXT,
+    data BYTEA NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Anti-cheat flags for manual review
+CREATE TABLE IF NOT EXISTS player_flags (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    room_id TEXT,
+    socket_id TEXT NOT NULL,
+    player_name TEXT,
+    reason TEXT NOT NULL,
+    details JSONB,
+    reviewed BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_room_sessions_room ON room_sessions(room_id);
 CREATE INDEX IF NOT EXISTS idx_room_sessions_socket ON room_sessions(socket_id);
+CREATE INDEX IF NOT EXISTS idx_room_sessions_player ON room_sessions(player_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_player ON transactions(player_id);
 CREATE INDEX IF NOT EXISTS idx_kills_room ON kills(room_id);
 CREATE INDEX IF NOT EXISTS idx_kills_created ON kills(created_at);
 CREATE INDEX IF NOT EXISTS idx_transactions_session ON transactions(session_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_flowglad ON transactions(flowglad_session_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account_kind, owner_id);
+CREATE INDEX IF NOT EXISTS idx_player_flags_created ON player_flags(created_at);
+CREATE INDEX IF NOT EXISTS idx_replays_room ON replays(room_id, part);
+CREATE INDEX IF NOT EXISTS idx_replays_players ON replays USING GIN (player_ids);
+CREATE INDEX IF NOT EXISTS idx_replays_started ON replays(started_at);
+CREATE INDEX IF NOT EXISTS idx_kill_clips_created ON kill_clips(created_at);
+CREATE INDEX IF NOT EXISTS idx_payouts_player ON payouts(player_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_payouts_pending ON payouts(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_tournaments_open ON tournaments(starts_at) WHERE status NOT IN ('finished', 'cancelled');
+CREATE INDEX IF NOT EXISTS idx_tournament_entries_player ON tournament_entries(player_id);
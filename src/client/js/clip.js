@@ -0,0 +1,187 @@
+/**
+ * SlitherStakes - Kill Clip Player
+ * Plays a paid kill's clip (see src/server/replays/clips.js) on a loop: the
+ * seconds before the collision, a pause on the hit with the killer's segment
+ * that was run into marked, and a moment after.
+ */
+
+import Renderer from './render.js';
+import SnapshotBuffer from './interpolation.js';
+
+const HOLD_MS = 1000; // Pause on the collision
+const LOOP_PAUSE_MS = 1000; // Pause on the last frame before looping
+const VIEW_RADIUS = 600; // World units around the collision kept in view
+
+// Clip snakes carry flat [x0, y0, x1, y1, ...] segments
+function inflate(snake) {
+    const segments = [];
+    for (let i = 0; i < snake.segments.length; i += 2) {
+        segments.push({ x: snake.segments[i], y: snake.segments[i + 1] });
+    }
+    return { ...snake, segments, length: segments.length, alive: true };
+}
+
+class ClipPlayer {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} clip - From /api/kills/:id/clip
+     */
+    constructor(canvas, clip) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.clip = clip;
+        this.kill = clip.kill;
+
+        // Frame times are ms from the kill (negative before it)
+        this.frames = clip.frames.map(frame => ({
+            time: (frame.tick - clip.kill.tick) * 1000 / clip.tickRate,
+            snakes: new Map(frame.snakes.map(snake => [snake.id, inflate(snake)])),
+            zone: frame.zone
+        }));
+        this.startTime = this.frames[0].time;
+        this.endTime = this.frames[this.frames.length - 1].time;
+
+        // Where the killer's body was hit, as it was at the kill
+        const moment = this.frames.find(frame => frame.time === 0);
+        const killer = moment?.snakes.get(this.kill.killerId);
+        this.hit = killer && this.kill.segment !== null ? killer.segments[this.kill.segment] : null;
+
+        this.camera = { x: this.kill.x, y: this.kill.y, zoom: 1 };
+        this.renderer = new Renderer(this.ctx, clip.world);
+        this.sampler = new SnapshotBuffer(); // For its interpolation only
+
+        this.speed = 1;
+        this.time = this.startTime;
+        this.pause = 0; // ms left paused (on the hit, or before looping)
+        this.lastTime = 0;
+        this.animationFrame = null;
+
+        this.loop = this.loop.bind(this);
+    }
+
+    start() {
+        this.lastTime = performance.now();
+        this.loop();
+    }
+
+    stop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    restart() {
+        this.time = this.startTime;
+        this.pause = 0;
+    }
+
+    loop(currentTime = performance.now()) {
+        const elapsed = currentTime - this.lastTime;
+        this.lastTime = currentTime;
+
+        this.advance(elapsed);
+        this.render();
+
+        this.animationFrame = requestAnimationFrame(this.loop);
+    }
+
+    advance(elapsed) {
+        if (this.pause > 0) {
+            this.pause -= elapsed;
+            if (this.pause <= 0 && this.time >= this.endTime) this.restart();
+            return;
+        }
+
+        const next = Math.min(this.endTime, this.time + elapsed * this.speed);
+        if (this.time < 0 && next >= 0) {
+            this.time = 0;
+            this.pause = HOLD_MS;
+        } else {
+            this.time = next;
+            if (next >= this.endTime) this.pause = LOOP_PAUSE_MS;
+        }
+    }
+
+    // The frames around the current time, as SnapshotBuffer.bracket gives them
+    bracket() {
+        for (let i = this.frames.length - 2; i >= 0; i--) {
+            const from = this.frames[i];
+            const to = this.frames[i + 1];
+            if (this.time >= from.time) {
+                return { from, to, t: Math.min(1, (this.time - from.time) / (to.time - from.time)) };
+            }
+        }
+        return { from: this.frames[0], to: this.frames[0], t: 1 };
+    }
+
+    render() {
+        const dpr = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== width * dpr || this.canvas.height !== height * dpr) {
+            this.canvas.width = width * dpr;
+            this.canvas.height = height * dpr;
+        }
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.camera.zoom = Math.min(width, height) / (VIEW_RADIUS * 2);
+
+        const frame = this.bracket();
+        const snakes = [];
+        for (const snake of frame.to.snakes.values()) {
+            const pose = this.sampler.sample(frame, snake.id);
+            snakes.push({ ...snake, ...pose });
+        }
+
+        const ctx = this.ctx;
+        ctx.fillStyle = '#0a0a15';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.save();
+        ctx.translate(width / 2 - this.camera.x * this.camera.zoom, height / 2 - this.camera.y * this.camera.zoom);
+        ctx.scale(this.camera.zoom, this.camera.zoom);
+
+        this.renderer.renderGrid(this.camera);
+        this.renderer.renderBorder();
+        this.renderer.renderZone(frame.to.zone);
+        this.renderer.renderSnakes(snakes, this.kill.victimId);
+        if (this.time >= 0) this.renderHit();
+
+        ctx.restore();
+
+        // Time relative to the kill
+        ctx.fillStyle = this.time >= 0 ? '#ff6b6b' : '#ffffff';
+        ctx.font = 'bold 14px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${this.time < 0 ? '-' : '+'}${(Math.abs(this.time) / 1000).toFixed(1)}s`, 10, 20);
+    }
+
+    // Mark the collision, and the killer's segment that was hit
+    renderHit() {
+        const ctx = this.ctx;
+        const size = 14;
+
+        ctx.strokeStyle = '#ff4444';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(this.kill.x - size, this.kill.y - size);
+        ctx.lineTo(this.kill.x + size, this.kill.y + size);
+        ctx.moveTo(this.kill.x + size, this.kill.y - size);
+        ctx.lineTo(this.kill.x - size, this.kill.y + size);
+        ctx.stroke();
+
+        if (this.hit) {
+            ctx.strokeStyle = '#ffeaa7';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(this.hit.x, this.hit.y, 22, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+}
+
+export default ClipPlayer;
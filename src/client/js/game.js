@@ -5,6 +5,9 @@
 
 import Renderer from './render.js';
 import Input from './input.js';
+import SnapshotReceiver from './snapshots.js';
+import Predictor from './prediction.js';
+import SnapshotBuffer from './interpolation.js';
 
 class Game {
     constructor(socket, joinData) {
@@ -16,8 +19,21 @@ class Game {
         // Game state
         this.snakes = new Map();
         this.food = [];
+        this.zone = null; // Battle royale safe zone
         this.mySnake = null;
+        this.snapshots = new SnapshotReceiver();
+
+        // Remote snakes are rendered from a timestamped snapshot buffer
+        this.rates = joinData.rates || { tickRate: 60, snapshotRate: 20 };
+        this.buffer = new SnapshotBuffer();
+
+        // Local prediction: one sequenced input command per simulation tick
+        this.predictor = new Predictor(this.world, this.rates, joinData.rules?.boostCost);
+        this.predictor.reset(joinData.snake);
+        this.inputSeq = 0;
+        this.boostHeld = false;
         this.alive = true;
+        this.watchId = null; // Dead: the killer the camera follows (null = the leader)
 
         // Stats
         this.kills = 0;
@@ -98,13 +114,10 @@ class Game {
     start() {
         console.log('[GAME] Starting game loop');
 
-        // Start input handling
+        // Start input handling (commands are sent from the prediction step)
         this.input.start();
-        this.input.onMove = (target) => {
-            this.socket.emit('input', target);
-        };
         this.input.onBoost = (active) => {
-            this.socket.emit('boost', { active });
+            this.boostHeld = active;
             // Haptic feedback when boost starts
             if (active) {
                 this.vibrate(30);
@@ -145,24 +158,66 @@ class Game {
         this.animationFrame = requestAnimationFrame(this.loop);
     }
 
-    update(_deltaTime) {
-        // Update camera to follow player
+    update(deltaTime) {
+        // Predict the local snake and send this frame's input commands
         if (this.mySnake && this.alive) {
+            const commands = this.predictor.advance(deltaTime * 1000, () => this.nextCommand());
+            for (const command of commands) {
+                this.socket.emit('input', command);
+            }
+            this.predictor.applyTo(this.mySnake);
+        }
+
+        // Update camera to follow player, or the killer cam while dead
+        const target = this.alive ? this.mySnake : this.deathCameraTarget();
+        if (target) {
             // Smooth camera follow
             const lerpFactor = 0.1;
-            this.camera.x += (this.mySnake.x - this.camera.x) * lerpFactor;
-            this.camera.y += (this.mySnake.y - this.camera.y) * lerpFactor;
+            this.camera.x += (target.x - this.camera.x) * lerpFactor;
+            this.camera.y += (target.y - this.camera.y) * lerpFactor;
         }
 
-        // Interpolate snake positions (client-side prediction)
-        for (const snake of this.snakes.values()) {
-            if (snake.targetX !== undefined) {
-                snake.x += (snake.targetX - snake.x) * 0.2;
-                snake.y += (snake.targetY - snake.y) * 0.2;
+        // Render remote snakes slightly in the past, between buffered snapshots
+        const frame = this.buffer.bracket(this.buffer.renderTime());
+        if (frame) {
+            for (const snake of this.snakes.values()) {
+                if (snake.id === this.playerId) continue;
+
+                const pose = this.buffer.sample(frame, snake.id);
+                if (pose) {
+                    snake.x = pose.x;
+                    snake.y = pose.y;
+                    snake.angle = pose.angle;
+                    snake.segments = pose.segments;
+                }
             }
         }
     }
 
+    // The snake a dead player watches: the killer, else the leader. The
+    // server culls around the same snake, so the longest one in view is the
+    // leader.
+    deathCameraTarget() {
+        const killer = this.watchId ? this.snakes.get(this.watchId) : null;
+        if (killer) return killer;
+
+        let leader = null;
+        for (const snake of this.snakes.values()) {
+            if (snake.id !== this.playerId && (!leader || snake.length > leader.length)) leader = snake;
+        }
+        return leader;
+    }
+
+    nextCommand() {
+        const command = { seq: ++this.inputSeq, boost: this.boostHeld };
+        const target = this.input.getWorldTarget();
+        if (target) {
+            command.x = target.x;
+            command.y = target.y;
+        }
+        return command;
+    }
+
     render() {
         // Use logical dimensions for rendering calculations
         const width = this.logicalWidth || window.innerWidth;
@@ -184,6 +239,7 @@ class Game {
         this.renderer.renderGrid(this.camera);
         this.renderer.renderBorder();
         this.renderer.renderFood(this.food);
+        this.renderer.renderZone(this.zone);
         this.renderer.renderSnakes(Array.from(this.snakes.values()), this.playerId);
 
         // Render touch indicator for mobile users
@@ -196,47 +252,14 @@ class Game {
     }
 
     renderMinimap() {
-        const minimapCanvas = document.getElementById('minimap-canvas');
-        if (!minimapCanvas) return;
-
-        const ctx = minimapCanvas.getContext('2d');
-        const scale = minimapCanvas.width / this.world.width;
-
-        // Clear
-        ctx.fillStyle = '#0a0a15';
-        ctx.fillRect(0, 0, minimapCanvas.width, minimapCanvas.height);
-
-        // Border
-        ctx.strokeStyle = '#333';
-        ctx.lineWidth = 1;
-        ctx.strokeRect(0, 0, minimapCanvas.width, minimapCanvas.height);
-
-        // Draw snakes as dots
-        for (const snake of this.snakes.values()) {
-            if (!snake.alive) continue;
-
-            const x = snake.x * scale;
-            const y = snake.y * scale;
-
-            ctx.fillStyle = snake.id === this.playerId ? '#00ff88' : snake.color;
-            ctx.beginPath();
-            ctx.arc(x, y, snake.id === this.playerId ? 4 : 2, 0, Math.PI * 2);
-            ctx.fill();
-        }
-
-        // Camera view rectangle
-        if (this.mySnake) {
-            const logicalWidth = this.logicalWidth || window.innerWidth;
-            const logicalHeight = this.logicalHeight || window.innerHeight;
-            const viewWidth = (logicalWidth / this.camera.zoom) * scale;
-            const viewHeight = (logicalHeight / this.camera.zoom) * scale;
-            const viewX = (this.camera.x - logicalWidth / 2 / this.camera.zoom) * scale;
-            const viewY = (this.camera.y - logicalHeight / 2 / this.camera.zoom) * scale;
-
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-            ctx.lineWidth = 1;
-            ctx.strokeRect(viewX, viewY, viewWidth, viewHeight);
-        }
+        this.renderer.renderMinimap(document.getElementById('minimap-canvas'), {
+            snakes: this.snakes.values(),
+            zone: this.zone,
+            highlightId: this.playerId,
+            camera: this.mySnake ? this.camera : null,
+            width: this.logicalWidth || window.innerWidth,
+            height: this.logicalHeight || window.innerHeight
+        });
     }
 
     updateHUD() {
@@ -251,17 +274,44 @@ class Game {
         }
     }
 
+    /**
+     * Apply a binary delta snapshot and acknowledge it as the next baseline
+     * @param {ArrayBuffer} data - Snapshot from the server
+     */
+    receiveSnapshot(data) {
+        const result = this.snapshots.receive(data);
+        if (!result) return;
+
+        if (result.resync) {
+            // Missing baseline - ask for a full snapshot
+            this.socket.emit('ack', 0);
+            return;
+        }
+
+        this.socket.emit('ack', result.seq);
+        this.updateState(result.state);
+    }
+
     updateState(state) {
+        // Buffer for remote snake interpolation
+        this.buffer.push(state);
+
         // Update snakes
         const newSnakes = new Map();
         for (const snakeData of state.snakes) {
             const existing = this.snakes.get(snakeData.id);
-            if (existing) {
-                // Store target for interpolation
-                snakeData.targetX = snakeData.x;
-                snakeData.targetY = snakeData.y;
+            if (snakeData.id === this.playerId) {
+                // Own snake: rewind to the server state and replay unacknowledged input
+                if (this.alive) {
+                    this.predictor.reconcile(snakeData, state.inputSeq);
+                    this.predictor.applyTo(snakeData);
+                }
+            } else if (existing) {
+                // Keep the rendered pose until the next frame samples the buffer
                 snakeData.x = existing.x;
                 snakeData.y = existing.y;
+                snakeData.angle = existing.angle;
+                snakeData.segments = existing.segments;
             }
             newSnakes.set(snakeData.id, snakeData);
 
@@ -271,12 +321,19 @@ class Game {
         }
         this.snakes = newSnakes;
 
+        // The killer died (or left) too: the server moved on to the leader
+        if (!this.alive && this.watchId && !newSnakes.has(this.watchId)) {
+            this.watchId = null;
+        }
+
         // Update food
         this.food = state.food;
+        this.zone = state.zone;
     }
 
     handleDeath(data) {
         this.alive = false;
+        this.watchId = data.killerId || null;
 
         // Haptic feedback for death (double buzz pattern)
         this.vibrate([100, 50, 100]);
@@ -286,13 +343,17 @@ class Game {
                 killerName: data.killerName,
                 length: this.mySnake?.length || 0,
                 kills: this.mySnake?.kills || 0,
-                earnings: this.mySnake?.value || 0
+                earnings: this.mySnake?.value || 0,
+                killId: data.killId,
+                clip: data.clip
             });
         }
     }
 
     handleRespawn(data) {
         this.alive = true;
+        this.watchId = null;
+        this.predictor.reset(data.snake);
         this.mySnake = data.snake;
         this.snakes.set(data.snake.id, data.snake);
         this.camera.x = data.snake.x;
@@ -13,6 +13,7 @@ class Input {
         this.mouseX = 0;
         this.mouseY = 0;
         this.mouseDown = false;
+        this.hasPointer = false;
 
         // Touch state
         this.touching = false;
@@ -69,6 +70,7 @@ class Input {
     handleMouseMove(e) {
         this.mouseX = e.clientX;
         this.mouseY = e.clientY;
+        this.hasPointer = true;
         this.sendInput();
     }
 
@@ -115,6 +117,7 @@ class Input {
             const touch = e.touches[0];
             this.mouseX = touch.clientX;
             this.mouseY = touch.clientY;
+            this.hasPointer = true;
             this.sendInput();
         }
 
@@ -134,6 +137,7 @@ class Input {
             const touch = e.touches[0];
             this.mouseX = touch.clientX;
             this.mouseY = touch.clientY;
+            this.hasPointer = true;
             this.sendInput();
         }
     }
@@ -159,18 +163,27 @@ class Input {
         this.lastSendTime = now;
 
         if (this.onMove) {
-            // Use logical (CSS) dimensions for coordinate conversion
-            const logicalWidth = this.game?.logicalWidth || window.innerWidth;
-            const logicalHeight = this.game?.logicalHeight || window.innerHeight;
-
-            // Convert screen coordinates to world coordinates
-            const worldX = this.camera.x + (this.mouseX - logicalWidth / 2) / this.camera.zoom;
-            const worldY = this.camera.y + (this.mouseY - logicalHeight / 2) / this.camera.zoom;
-
-            this.onMove({ x: worldX, y: worldY });
+            this.onMove(this.getWorldTarget());
         }
     }
 
+    /**
+     * Current pointer position in world coordinates
+     * @returns {Object|null} { x, y }, or null before the pointer has moved
+     */
+    getWorldTarget() {
+        if (!this.hasPointer) return null;
+
+        // Use logical (CSS) dimensions for coordinate conversion
+        const logicalWidth = this.game?.logicalWidth || window.innerWidth;
+        const logicalHeight = this.game?.logicalHeight || window.innerHeight;
+
+        return {
+            x: this.camera.x + (this.mouseX - logicalWidth / 2) / this.camera.zoom,
+            y: this.camera.y + (this.mouseY - logicalHeight / 2) / this.camera.zoom
+        };
+    }
+
     isTouching() {
         return this.touching;
     }
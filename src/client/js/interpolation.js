@@ -0,0 +1,118 @@
+/**
+ * SlitherStakes - Snapshot Interpolation
+ * Buffers timestamped snapshots and renders remote snakes slightly in the past
+ */
+
+// How far behind the newest server time remote snakes are rendered (ms)
+const INTERPOLATION_DELAY = 100;
+
+// How long to keep moving snakes forward when snapshots stop arriving (ms)
+const MAX_EXTRAPOLATION = 250;
+
+// Snapshots older than this (relative to the newest) are dropped (ms)
+const BUFFER_DURATION = 1000;
+
+class SnapshotBuffer {
+    constructor(delay = INTERPOLATION_DELAY) {
+        this.delay = delay;
+        this.snapshots = []; // [{ time, snakes: Map<id, snake> }], oldest first
+        this.clockOffset = null; // Estimated server time minus local time
+    }
+
+    /**
+     * Add a decoded state
+     * @param {Object} state - { snakes, timestamp }
+     * @param {number} now - Local receive time
+     */
+    push(state, now = Date.now()) {
+        // The least-delayed sample is the best clock estimate; when latency
+        // rises for good, drift towards it slowly instead of jumping
+        const sample = state.timestamp - now;
+        if (this.clockOffset === null || sample > this.clockOffset) {
+            this.clockOffset = sample;
+        } else {
+            this.clockOffset += (sample - this.clockOffset) * 0.05;
+        }
+
+        const latest = this.snapshots[this.snapshots.length - 1];
+        if (latest && state.timestamp <= latest.time) return;
+
+        this.snapshots.push({
+            time: state.timestamp,
+            snakes: new Map(state.snakes.map(snake => [snake.id, snake]))
+        });
+
+        while (this.snapshots.length > 2 &&
+            this.snapshots[0].time < state.timestamp - BUFFER_DURATION) {
+            this.snapshots.shift();
+        }
+    }
+
+    renderTime(now = Date.now()) {
+        return now + (this.clockOffset || 0) - this.delay;
+    }
+
+    /**
+     * Find the snapshots around a render time
+     * @returns {Object|null} { from, to, t } where t > 1 means extrapolating
+     */
+    bracket(renderTime) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return null;
+
+        if (snapshots.length === 1 || renderTime <= snapshots[0].time) {
+            return { from: snapshots[0], to: snapshots[0], t: 1 };
+        }
+
+        for (let i = snapshots.length - 2; i >= 0; i--) {
+            const from = snapshots[i];
+            const to = snapshots[i + 1];
+            if (renderTime >= from.time) {
+                const span = to.time - from.time;
+                const overshoot = Math.min(renderTime, to.time + MAX_EXTRAPOLATION);
+                return { from, to, t: (overshoot - from.time) / span };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Interpolated (or extrapolated) pose for one snake
+     * @returns {Object|null} { x, y, angle, segments }
+     */
+    sample(frame, id) {
+        const b = frame.to.snakes.get(id);
+        if (!b) return null;
+
+        const a = frame.from.snakes.get(id);
+        if (!a || frame.from === frame.to) {
+            return { x: b.x, y: b.y, angle: b.angle, segments: b.segments };
+        }
+
+        const t = frame.t;
+        const lerp = (p, q) => p + (q - p) * t;
+
+        // Turn the short way round
+        let angleDiff = b.angle - a.angle;
+        while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+        while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+
+        return {
+            x: lerp(a.x, b.x),
+            y: lerp(a.y, b.y),
+            angle: a.angle + angleDiff * t,
+            // Segments by index; ones that didn't exist before appear in place
+            segments: b.segments.map((seg, i) => {
+                const prev = a.segments[i];
+                return prev ? { x: lerp(prev.x, seg.x), y: lerp(prev.y, seg.y) } : seg;
+            })
+        };
+    }
+
+    clear() {
+        this.snapshots = [];
+    }
+}
+
+export default SnapshotBuffer;
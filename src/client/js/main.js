@@ -3,11 +3,18 @@
  */
 
 import Game from './game.js';
+import ReplayViewer from './replay.js';
+import Spectator from './spectator.js';
+import ClipPlayer from './clip.js';
 import UI from './ui.js';
+import nearestRegion from './region.js';
 
 // Global state
 let socket = null;
 let game = null;
+let replayViewer = null;
+let spectator = null;
+let clipPlayer = null;
 let ui = null;
 let config = null;
 let clerk = null;
@@ -15,6 +22,141 @@ let rooms = [];
 let currentFilterTier = 'all';
 let roomPollingInterval = null;
 
+// Join ticket polling after checkout
+const TICKET_POLL_ATTEMPTS = 30;
+const TICKET_POLL_INTERVAL = 1000;
+
+// Reconnect backoff (socket.io doubles the delay up to the max, with jitter);
+// the server holds a staked snake for 30 seconds
+const RECONNECT_ATTEMPTS = 10;
+const RECONNECT_DELAY = 500;
+const RECONNECT_DELAY_MAX = 5000;
+
+// Reclaims our snake after a dropped connection (staked seats only)
+let resumeToken = null;
+
+// Private room being joined: the invite description and the created room's invite code
+let currentInvite = null;
+let createdInviteCode = null;
+
+// Tournament whose lobby (or rounds) we are in
+let currentTournamentId = null;
+
+// Wallet owner ID, kept across sessions
+function getPlayerId() {
+    let playerId = localStorage.getItem('slither_player_id');
+    if (!playerId) {
+        playerId = crypto.randomUUID();
+        localStorage.setItem('slither_player_id', playerId);
+    }
+    return playerId;
+}
+
+// Credentials for the server: the Clerk session token when signed in,
+// otherwise the local player ID (only honoured by servers without Clerk)
+async function getCredentials() {
+    const token = clerk?.session ? await clerk.session.getToken().catch(() => null) : null;
+    return token ? { token } : { playerId: getPlayerId() };
+}
+
+async function authHeaders(headers = {}) {
+    const credentials = await getCredentials();
+    return credentials.token
+        ? { ...headers, Authorization: `Bearer ${credentials.token}` }
+        : { ...headers, 'X-Player-Id': credentials.playerId };
+}
+
+// Recent payouts for the signed-in player (none for guests)
+async function loadPayouts() {
+    try {
+        const response = await fetch('/api/payouts', { headers: await authHeaders() });
+        if (!response.ok) return;
+        const data = await response.json();
+        ui.renderPayouts(data.payouts || []);
+    } catch (error) {
+        console.error('[SLITHER] Payouts load error:', error);
+    }
+}
+
+// Replays the signed-in player was in (none for guests)
+async function loadReplays() {
+    try {
+        const response = await fetch('/api/replays', { headers: await authHeaders() });
+        if (!response.ok) return;
+        const data = await response.json();
+        ui.renderReplays(data.replays || []);
+    } catch (error) {
+        console.error('[SLITHER] Replays load error:', error);
+    }
+}
+
+// A paid kill's clip, from the kill feed or the death modal
+async function watchClip(killId) {
+    try {
+        const response = await fetch(`/api/kills/${encodeURIComponent(killId)}/clip`);
+        if (!response.ok) {
+            alert('That clip is no longer available.');
+            return;
+        }
+        const clip = await response.json();
+
+        stopClip();
+        ui.showClipModal(clip);
+        clipPlayer = new ClipPlayer(document.getElementById('clip-canvas'), clip);
+        clipPlayer.start();
+    } catch (error) {
+        console.error('[SLITHER] Clip load error:', error);
+    }
+}
+
+function stopClip() {
+    if (clipPlayer) {
+        clipPlayer.stop();
+        clipPlayer = null;
+    }
+}
+
+// Upcoming and recent tournaments (marked when we've entered them)
+async function loadTournaments() {
+    try {
+        const response = await fetch('/api/tournaments', { headers: await authHeaders() });
+        const data = await response.json();
+        ui.renderTournaments(data.tournaments || []);
+    } catch (error) {
+        console.error('[SLITHER] Tournaments load error:', error);
+    }
+}
+
+// Enter or leave a tournament (entry fees come from the wallet)
+async function handleTournamentRegistration(tournamentId, register) {
+    if (config.authRequired && !clerk?.user) {
+        if (clerk) {
+            clerk.openSignIn();
+        } else {
+            alert('Sign in to enter tournaments.');
+        }
+        return;
+    }
+
+    const name = document.getElementById('player-name')?.value?.trim() ||
+        localStorage.getItem('slither_name') || 'Player';
+
+    try {
+        const response = await fetch(`/api/tournaments/${encodeURIComponent(tournamentId)}/register`, {
+            method: register ? 'POST' : 'DELETE',
+            headers: await authHeaders({ 'Content-Type': 'application/json' }),
+            body: register ? JSON.stringify({ name }) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            alert(data.error || 'Could not update registration.');
+        }
+    } catch (error) {
+        console.error('[SLITHER] Tournament registration error:', error);
+    }
+    loadTournaments();
+}
+
 // Local stats persistence
 function saveLocalStats(earnings, kills) {
     const stats = JSON.parse(localStorage.getItem('slither_stats') || '{}');
@@ -95,22 +237,63 @@ window.addEventListener('DOMContentLoaded', async () => {
     ui.onJoinRoom = handleJoinRoom;
     ui.onQuickPlay = handleQuickPlay;
     ui.onFilterRooms = handleFilterRooms;
+    ui.onCreatePrivateRoom = handleCreatePrivateRoom;
+    ui.onJoinPrivateRoom = handleJoinPrivateRoom;
+    ui.onJoinInvite = handleJoinInvite;
+    ui.onTournamentRegistration = handleTournamentRegistration;
+    ui.onEnterTournament = enterTournament;
+    ui.onLeaveTournament = handleQuit;
+    ui.onWatchReplay = (replayId) => watchReplay(replayId);
+    ui.onReplayControl = handleReplayControl;
+    ui.onReplayFollow = (snakeId) => replayViewer?.follow(snakeId);
+    ui.onReplayExit = handleQuit;
+    ui.onWatchClip = (killId) => watchClip(killId);
+    ui.onClipSpeed = (speed) => clipPlayer?.setSpeed(speed);
+    ui.onCloseClip = stopClip;
+    ui.onSpectate = (roomId) => spectateRoom(roomId);
+    ui.onSpectateFollow = (mode) => spectator?.follow(mode);
+    ui.onSpectateJoin = handleSpectateJoin;
+    ui.onSpectateExit = handleQuit;
 
-    // Check for payment callback
+    loadPayouts();
+    loadTournaments();
+    loadReplays();
+
+    // Invite link
     const params = new URLSearchParams(window.location.search);
+    if (params.has('invite')) {
+        window.history.replaceState({}, '', '/');
+        openInvite(params.get('invite'));
+    }
+
+    // Replay link (optionally from a tick)
+    if (params.has('replay')) {
+        window.history.replaceState({}, '', '/');
+        const tick = Number(params.get('t'));
+        watchReplay(params.get('replay'), Number.isFinite(tick) && tick > 0 ? tick : null);
+    }
+
+    // Spectate link
+    if (params.has('spectate')) {
+        window.history.replaceState({}, '', '/');
+        spectateRoom(params.get('spectate'));
+    }
+
+    // Check for payment callback
     if (params.has('payment')) {
         const status = params.get('payment');
         const tierId = parseInt(params.get('tier') || '1');
 
         if (status === 'success') {
-            console.log('[SLITHER] Payment successful, joining game...');
+            console.log('[SLITHER] Payment successful, waiting for confirmation...');
             // Clear URL params
             window.history.replaceState({}, '', '/');
-            // Auto-join with payment
+            // Auto-join once the server has confirmed the payment
             const name = localStorage.getItem('slither_name') || 'Player';
-            handleJoin(name, tierId, false);
+            joinWithTicket(name, tierId);
         } else {
             console.log('[SLITHER] Payment cancelled');
+            localStorage.removeItem('slither_checkout');
             window.history.replaceState({}, '', '/');
         }
     }
@@ -226,11 +409,14 @@ function handleJoinRoom(roomId, tierId) {
     stopRoomPolling();
     localStorage.setItem('slither_name', name);
 
-    // For now, join with demo mode (free play)
+    // Paid rooms go through checkout first
     const tier = config.tiers?.find(t => t.id === tierId);
-    const demoMode = !tier || tier.buy_in === 0;
+    if (tier && tier.buy_in > 0) {
+        handleJoin(name, tierId, false, roomId);
+        return;
+    }
 
-    connectToServer(name, tierId, demoMode, roomId);
+    connectToServer(name, tierId, true, roomId);
 }
 
 // Handle quick play (auto-join best room)
@@ -250,12 +436,69 @@ function handleQuickPlay() {
     stopRoomPolling();
     localStorage.setItem('slither_name', name);
 
-    // Join free tier by default
+    // Free tier; the server picks the room that best fits our rating and region
     connectToServer(name, 1, true);
 }
 
+// Create a private room and show its invite link
+async function handleCreatePrivateRoom(tierId, rules, password) {
+    try {
+        const response = await fetch('/api/rooms/private', {
+            method: 'POST',
+            headers: await authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ tierId, rules, password: password || null })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            ui.showPrivateRoomError(data.error || 'Could not create room.');
+            return;
+        }
+
+        createdInviteCode = data.inviteCode;
+        ui.showPrivateRoomCreated(data.inviteUrl);
+    } catch (error) {
+        console.error('[SLITHER] Private room error:', error);
+        ui.showPrivateRoomError('Could not create room.');
+    }
+}
+
+// The owner joins the room they just created (no password prompt)
+async function handleJoinPrivateRoom() {
+    if (createdInviteCode) {
+        await openInvite(createdInviteCode);
+    }
+}
+
+// Look up an invite and ask for a name (and password, if the room has one)
+async function openInvite(code) {
+    try {
+        const response = await fetch(`/api/rooms/invite/${encodeURIComponent(code)}`);
+        if (!response.ok) {
+            alert('This invite link has expired.');
+            return;
+        }
+
+        currentInvite = { code, ...(await response.json()) };
+        ui.showInviteModal(currentInvite);
+    } catch (error) {
+        console.error('[SLITHER] Invite lookup error:', error);
+    }
+}
+
+function handleJoinInvite(name, password) {
+    if (!currentInvite) return;
+
+    ui.hideInviteModal();
+    stopRoomPolling();
+
+    const access = { invite: currentInvite.code, password: password || null };
+    const demoMode = !(Number(currentInvite.tier.buyIn) > 0);
+    handleJoin(name, currentInvite.tier.id, demoMode, null, access);
+}
+
 // Handle join game
-async function handleJoin(name, tierId, demoMode) {
+// `access` - { invite, password } for private rooms
+async function handleJoin(name, tierId, demoMode, roomId = null, access = null) {
     console.log(`[SLITHER] Joining as ${name}, tier ${tierId}, demo: ${demoMode}`);
 
     // Save name for next time
@@ -264,13 +507,22 @@ async function handleJoin(name, tierId, demoMode) {
     // Check if payment needed
     const tier = config.tiers.find(t => t.id === tierId);
     if (tier && tier.buy_in > 0 && !demoMode) {
+        // Stakes belong to an account
+        if (config.authRequired && !clerk?.user) {
+            if (clerk) {
+                clerk.openSignIn();
+            } else {
+                alert('Sign in to play for stakes.');
+            }
+            return;
+        }
+
         // Redirect to payment
         try {
             const response = await fetch('/api/checkout', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: await authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
-                    playerId: 'pending',
                     playerName: name,
                     tierId
                 })
@@ -278,6 +530,17 @@ async function handleJoin(name, tierId, demoMode) {
             const data = await response.json();
 
             if (data.checkoutUrl) {
+                // Remembered so the join ticket can be collected after the redirect
+                localStorage.setItem('slither_checkout', JSON.stringify({
+                    sessionId: data.sessionId,
+                    tierId,
+                    roomId,
+                    invite: access?.invite || null
+                }));
+                // Only for this tab, not kept on disk
+                if (access?.password) {
+                    sessionStorage.setItem('slither_room_password', access.password);
+                }
                 window.location.href = data.checkoutUrl;
                 return;
             }
@@ -290,10 +553,121 @@ async function handleJoin(name, tierId, demoMode) {
     }
 
     // Connect to server
-    connectToServer(name, tierId, demoMode);
+    connectToServer(name, tierId, demoMode, roomId, null, access);
+}
+
+// After checkout, wait for the server to confirm the payment and issue a
+// join ticket (the webhook may arrive a little after the redirect)
+async function joinWithTicket(name, fallbackTierId) {
+    const checkout = JSON.parse(localStorage.getItem('slither_checkout') || 'null');
+    if (!checkout?.sessionId) {
+        alert('Payment not found. Please try again.');
+        return;
+    }
+
+    const url = `/api/tickets/${encodeURIComponent(checkout.sessionId)}`;
+
+    for (let attempt = 0; attempt < TICKET_POLL_ATTEMPTS; attempt++) {
+        try {
+            const response = await fetch(url, { headers: await authHeaders() });
+            const data = await response.json();
+
+            if (data.ticket) {
+                localStorage.removeItem('slither_checkout');
+                const access = checkout.invite
+                    ? { invite: checkout.invite, password: sessionStorage.getItem('slither_room_password') }
+                    : null;
+                sessionStorage.removeItem('slither_room_password');
+                connectToServer(name, data.tierId || fallbackTierId, false, checkout.roomId || null, data.ticket, access);
+                return;
+            }
+            if (data.status && data.status !== 'pending') {
+                // Already used or refunded
+                localStorage.removeItem('slither_checkout');
+                alert('This payment has already been used.');
+                return;
+            }
+        } catch (error) {
+            console.error('[SLITHER] Ticket check error:', error);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, TICKET_POLL_INTERVAL));
+    }
+
+    // A late confirmation still issues the ticket; unused tickets are refunded to the wallet
+    alert('Payment not confirmed yet. Once it is, the buy-in will be added to your wallet.');
+}
+
+function connectToServer(name, tierId, demoMode, roomId = null, ticket = null, access = null) {
+    currentTournamentId = null;
+
+    // Join game (optionally with specific room, or a private room's invite)
+    openSocket(() => {
+        socket.emit('join', {
+            name, tierId, demoMode, roomId, ticket,
+            invite: access?.invite || null,
+            password: access?.password || null,
+            region: nearestRegion()
+        });
+    }, access);
 }
 
-function connectToServer(name, tierId, demoMode, roomId = null) {
+// Wait in a tournament's lobby; the server seats us when each round starts
+function enterTournament(tournamentId) {
+    currentTournamentId = tournamentId;
+    ui.showTournamentModal();
+
+    openSocket(() => {
+        socket.emit('tournament_join', { tournamentId });
+    });
+}
+
+// Watch a replay; after a dropped connection it picks up where it was
+function watchReplay(replayId, tick = null) {
+    currentTournamentId = null;
+
+    openSocket(() => {
+        socket.emit('replay_open', { replayId, tick: replayViewer ? replayViewer.status.tick : tick });
+    });
+}
+
+// Spectate a live room; after a dropped connection it keeps following the same way
+function spectateRoom(roomId) {
+    currentTournamentId = null;
+    stopRoomPolling();
+
+    openSocket(() => {
+        socket.emit('spectate', { roomId, follow: spectator ? spectator.mode : 'leader' });
+    });
+}
+
+// Take a seat in the room being watched
+function handleSpectateJoin() {
+    if (!spectator) return;
+    const { roomId, tier } = spectator;
+
+    const nameInput = document.getElementById('player-name');
+    if (nameInput && !nameInput.value.trim()) {
+        nameInput.value = localStorage.getItem('slither_name') || '';
+    }
+    if (!nameInput?.value.trim()) {
+        // No name yet: back to the home screen to pick one
+        handleQuit();
+    }
+    handleJoinRoom(roomId, tier.id);
+}
+
+function handleReplayControl(action, value) {
+    if (!replayViewer) return;
+
+    if (action === 'play') replayViewer.play();
+    else if (action === 'pause') replayViewer.pause();
+    else if (action === 'speed') replayViewer.setSpeed(value);
+    else if (action === 'seek') replayViewer.seek(value);
+}
+
+// Connect and run `onConnect` on every (re)connection that isn't resuming a held snake
+function openSocket(onConnect, access = null) {
     // Clean up existing socket to prevent memory leaks
     if (socket) {
         socket.removeAllListeners();
@@ -306,38 +680,117 @@ function connectToServer(name, tierId, demoMode, roomId = null) {
         game.stop();
         game = null;
     }
+    stopReplay();
+    stopSpectating();
+
+    resumeToken = null;
 
     // Connect socket
+    // Credentials are fetched on every (re)connect so the token is fresh
     socket = io({
-        transports: ['websocket', 'polling']
+        transports: ['websocket', 'polling'],
+        auth: (callback) => getCredentials().then(callback),
+        reconnectionAttempts: RECONNECT_ATTEMPTS,
+        reconnectionDelay: RECONNECT_DELAY,
+        reconnectionDelayMax: RECONNECT_DELAY_MAX
     });
 
     socket.on('connect', () => {
         console.log('[SOCKET] Connected:', socket.id);
 
-        // Join game (optionally with specific room)
-        socket.emit('join', { name, tierId, demoMode, roomId });
+        // After a dropped connection, take our held snake back
+        if (resumeToken) {
+            socket.emit('resume', { token: resumeToken });
+            return;
+        }
+
+        onConnect();
     });
 
     socket.on('joined', (data) => {
         console.log('[SOCKET] Joined room:', data.roomId);
+        resumeToken = data.resumeToken || null;
+        ui.hideReconnecting();
+        startGame(data);
+    });
 
-        // Initialize game
-        game = new Game(socket, data);
-        game.onDeath = handleDeath;
-        game.onKill = handleKill;
-        game.start();
+    socket.on('resumed', (data) => {
+        console.log('[SOCKET] Resumed in room:', data.roomId);
+        resumeToken = data.resumeToken;
+        ui.hideReconnecting();
+        startGame(data);
+    });
 
-        // Show game screen
-        ui.showGame();
+    socket.on('resume_failed', (data) => {
+        console.log('[SOCKET] Resume failed:', data.message);
+        resumeToken = null;
+        ui.hideReconnecting();
+        alert('Your snake could not be recovered. Its value has been settled to your wallet.');
+        handleQuit();
     });
 
-    socket.on('state', (state) => {
+    // Out of reconnect attempts
+    socket.io.on('reconnect_failed', () => {
+        ui.hideReconnecting();
+        alert('Connection lost. Any stake in play has been settled to your wallet.');
+        handleQuit();
+    });
+
+    socket.on('snapshot', (data) => {
         if (game) {
-            game.updateState(state);
+            game.receiveSnapshot(data);
+        }
+    });
+
+    // Replay viewer: setup, world snapshots, playback status and kills
+    socket.on('replay_opened', (data) => {
+        console.log('[SOCKET] Watching replay:', data.replay.id);
+        ui.hideReconnecting();
+        startReplay(data);
+    });
+
+    socket.on('replay_snapshot', (data) => {
+        if (replayViewer) {
+            replayViewer.receiveSnapshot(data);
         }
     });
 
+    socket.on('replay_status', (status) => {
+        if (!replayViewer) return;
+        replayViewer.updateStatus(status);
+        ui.updateReplayStatus(status);
+        ui.updateReplayFollow(replayViewer.followable(), replayViewer.followId);
+    });
+
+    socket.on('replay_kill', (data) => {
+        ui.addKillFeed(data);
+    });
+
+    // Spectating: setup, world snapshots, who's followed, and the room closing
+    socket.on('spectating', (data) => {
+        console.log('[SOCKET] Spectating room:', data.roomId);
+        ui.hideReconnecting();
+        startSpectating(data);
+    });
+
+    socket.on('spectate_snapshot', (data) => {
+        if (spectator) {
+            spectator.receiveSnapshot(data);
+        }
+    });
+
+    socket.on('spectate_status', (status) => {
+        if (!spectator) return;
+        spectator.updateStatus(status);
+        ui.updateSpectateFollow(status.snakes, status.follow);
+    });
+
+    socket.on('spectate_ended', (data) => {
+        console.log('[SOCKET] Spectating ended:', data.message);
+        alert(data.message);
+        handleQuit();
+    });
+
     socket.on('leaderboard', (leaderboard) => {
         ui.updateLeaderboard(leaderboard);
     });
@@ -370,26 +823,173 @@ function connectToServer(name, tierId, demoMode, roomId = null) {
 
     socket.on('cashout', (data) => {
         console.log('[SOCKET] Cashed out:', data);
+        resumeToken = null;
         // Save stats to localStorage
         saveLocalStats(data.earnings || 0, data.kills || 0);
         ui.showCashoutModal(data);
     });
 
+    // Tournament status, countdowns and standings
+    socket.on('tournament', (tournament) => {
+        if (tournament.id !== currentTournamentId) return;
+        ui.hideReconnecting();
+        ui.updateTournament(tournament);
+        if (tournament.status === 'finished' || tournament.status === 'cancelled') {
+            ui.showTournamentModal();
+            loadTournaments();
+        }
+    });
+
+    // Seated for the next round
+    socket.on('tournament_round', (data) => {
+        console.log(`[SOCKET] Tournament round ${data.round} in room:`, data.roomId);
+        ui.hideTournamentModal();
+        ui.hideDeathModal();
+        if (game) {
+            game.stop();
+            game = null;
+        }
+        startGame(data);
+    });
+
+    socket.on('tournament_eliminated', (data) => {
+        console.log('[SOCKET] Eliminated from tournament, placed', data.placement);
+        ui.showTournamentEliminated(data.placement);
+        ui.showTournamentModal();
+    });
+
+    // Battle royale round started, ended or counting down
+    socket.on('round', (round) => {
+        ui.updateRound(round);
+    });
+
+    // Payout status changes (sent, retrying, failed)
+    socket.on('payout', (payout) => {
+        ui.updatePayoutStatus(payout);
+        loadPayouts();
+    });
+
     socket.on('error', (data) => {
         console.error('[SOCKET] Error:', data.message);
+
+        // Let a refused invite join try again (e.g. a mistyped password)
+        if (!game && access?.invite && currentInvite?.code === access.invite) {
+            ui.showInviteModal(currentInvite);
+            ui.showInviteError(data.message);
+            return;
+        }
         alert('Error: ' + data.message);
     });
 
-    socket.on('disconnect', () => {
-        console.log('[SOCKET] Disconnected');
+    // The handshake was refused (expired or invalid session token)
+    socket.on('connect_error', (error) => {
+        if (socket.active) return; // Transport error; socket.io retries
+        console.error('[SOCKET] Connection refused:', error.message);
+        alert('Your session has expired. Please sign in again.');
+    });
+
+    socket.on('disconnect', (reason) => {
+        console.log('[SOCKET] Disconnected:', reason);
+        if ((replayViewer || spectator) && socket.active) {
+            ui.showReconnecting();
+        }
         if (game) {
             game.stop();
-            game = null;
+
+            // socket.io retries unless we (or the server) closed the connection;
+            // a resumed game picks up where this one stopped
+            if (socket.active) {
+                ui.showReconnecting();
+            }
+            if (!socket.active || !resumeToken) {
+                game = null;
+            }
         }
     });
 }
 
+function startGame(data) {
+    // A resumed snake keeps this session's HUD stats
+    const previous = game;
+    if (previous) {
+        previous.stop();
+    }
+
+    game = new Game(socket, data);
+    game.onDeath = handleDeath;
+    game.onKill = handleKill;
+    if (previous) {
+        game.kills = previous.kills;
+        game.earnings = previous.earnings;
+    }
+    game.start();
+    ui.updateRound(data.round || null);
+
+    // Show game screen
+    ui.showGame();
+}
+
+function startReplay(data) {
+    // Reconnected: carry on with the same camera
+    const previous = replayViewer;
+    if (previous) {
+        previous.stop();
+    }
+
+    replayViewer = new ReplayViewer(socket, data);
+    replayViewer.onFollow = (snakeId) => ui.updateReplayFollow(replayViewer.followable(), snakeId);
+    if (previous) {
+        replayViewer.camera = previous.camera;
+        replayViewer.followId = previous.followId;
+    }
+    replayViewer.start();
+
+    ui.updateRound(null);
+    ui.showReplayBar(data);
+    ui.showGame();
+}
+
+function startSpectating(data) {
+    // Reconnected: carry on with the same camera
+    const previous = spectator;
+    if (previous) {
+        previous.stop();
+    }
+
+    spectator = new Spectator(socket, data);
+    spectator.onFollow = (mode) => ui.updateSpectateFollow(spectator.followable(), mode);
+    if (previous) {
+        spectator.camera = previous.camera;
+    }
+    spectator.start();
+
+    ui.updateRound(data.round || null);
+    ui.showSpectateBar(data);
+    ui.showGame();
+}
+
+function stopSpectating() {
+    if (spectator) {
+        spectator.stop();
+        spectator = null;
+    }
+    ui.hideSpectateBar();
+}
+
+function stopReplay() {
+    if (replayViewer) {
+        replayViewer.stop();
+        replayViewer = null;
+    }
+    ui.hideReplayBar();
+}
+
 function handleDeath(data) {
+    // No respawns in tournament rounds; wait for the round to end
+    if (currentTournamentId) {
+        ui.showTournamentModal();
+        return;
+    }
     ui.showDeathModal(data);
 }
 
@@ -411,6 +1011,8 @@ function handleCashout() {
 }
 
 function handleQuit() {
+    currentTournamentId = null;
+    ui.hideTournamentModal();
     if (socket) {
         socket.disconnect();
     }
@@ -418,14 +1020,24 @@ function handleQuit() {
         game.stop();
         game = null;
     }
+    stopReplay();
+    stopSpectating();
+    stopClip();
+    ui.hideClipModal();
     stopRoomPolling();
+    ui.updateRound(null);
     ui.showHome();
+    loadPayouts();
+    loadTournaments();
+    loadReplays();
 }
 
 // Export for debugging
 window.slither = {
     getSocket: () => socket,
     getGame: () => game,
+    getReplay: () => replayViewer,
+    getSpectator: () => spectator,
     getConfig: () => config,
     getClerk: () => clerk,
     getRooms: () => rooms,
@@ -0,0 +1,140 @@
+/**
+ * SlitherStakes - Local Snake Prediction
+ * Runs the shared movement rules on the player's own snake and reconciles
+ * with the server's authoritative state
+ */
+
+import movement from '../../shared/movement.js';
+
+// Visual correction left after a reconcile decays by this much per frame
+const ERROR_DECAY = 0.85;
+
+// Corrections larger than this snap instead of smoothing (teleport/respawn)
+const SNAP_DISTANCE = 200;
+
+class Predictor {
+    constructor(world, rates, boostCost = 1) {
+        this.world = world;
+        this.boostCost = boostCost; // Room rule (see server rooms/rules.js)
+        this.dt = 60 / rates.tickRate;
+        this.tickInterval = 1000 / rates.tickRate;
+
+        this.body = null;
+        this.pending = []; // Commands sent but not yet applied by the server
+        this.accumulator = 0;
+        this.errorX = 0;
+        this.errorY = 0;
+    }
+
+    reset(snake) {
+        this.body = {
+            x: snake.x,
+            y: snake.y,
+            angle: snake.angle,
+            targetAngle: snake.angle,
+            boosting: snake.boosting,
+            boostDebt: 0,
+            segments: snake.segments.map(seg => ({ x: seg.x, y: seg.y }))
+        };
+        this.pending = [];
+        this.accumulator = 0;
+        this.errorX = 0;
+        this.errorY = 0;
+    }
+
+    // Apply a command the same way Room.applyInputs does, then step
+    applyCommand(command) {
+        const body = this.body;
+        if (Number.isFinite(command.x) && Number.isFinite(command.y)) {
+            body.targetAngle = movement.angleTo(body.x, body.y, command.x, command.y);
+        }
+        body.boosting = !!command.boost && movement.canBoost(body.segments.length);
+        movement.step(body, this.world.width, this.world.height, this.dt, this.boostCost);
+    }
+
+    /**
+     * Advance local time, producing one command per simulation tick
+     * @param {number} elapsed - Milliseconds since the last frame
+     * @param {Function} makeCommand - Returns the next command ({ seq, x, y, boost })
+     * @returns {Object[]} Commands to send to the server
+     */
+    advance(elapsed, makeCommand) {
+        if (!this.body) return [];
+
+        const commands = [];
+        this.accumulator = Math.min(this.accumulator + elapsed, this.tickInterval * 5);
+
+        while (this.accumulator >= this.tickInterval) {
+            this.accumulator -= this.tickInterval;
+
+            const command = makeCommand();
+            this.applyCommand(command);
+            this.pending.push(command);
+            commands.push(command);
+        }
+
+        this.errorX *= ERROR_DECAY;
+        this.errorY *= ERROR_DECAY;
+
+        return commands;
+    }
+
+    /**
+     * Rewind to the server's state and replay commands it hasn't applied yet
+     * @param {Object} snake - Authoritative snake from a snapshot
+     * @param {number} ackSeq - Last command the server applied
+     */
+    reconcile(snake, ackSeq) {
+        if (!this.body) {
+            this.reset(snake);
+            return;
+        }
+
+        const beforeX = this.body.x;
+        const beforeY = this.body.y;
+        const targetAngle = this.body.targetAngle;
+
+        this.pending = this.pending.filter(command => command.seq > ackSeq);
+
+        this.body = {
+            x: snake.x,
+            y: snake.y,
+            angle: snake.angle,
+            targetAngle,
+            boosting: snake.boosting,
+            boostDebt: this.body.boostDebt,
+            segments: snake.segments.map(seg => ({ x: seg.x, y: seg.y }))
+        };
+
+        for (const command of this.pending) {
+            this.applyCommand(command);
+        }
+
+        // Hide the correction by easing out the difference
+        const errorX = this.errorX + beforeX - this.body.x;
+        const errorY = this.errorY + beforeY - this.body.y;
+        if (Math.hypot(errorX, errorY) > SNAP_DISTANCE) {
+            this.errorX = 0;
+            this.errorY = 0;
+        } else {
+            this.errorX = errorX;
+            this.errorY = errorY;
+        }
+    }
+
+    // Copy the predicted pose (plus remaining visual error) onto a snake for rendering
+    applyTo(snake) {
+        if (!this.body) return;
+
+        const ex = this.errorX;
+        const ey = this.errorY;
+        snake.x = this.body.x + ex;
+        snake.y = this.body.y + ey;
+        snake.angle = this.body.angle;
+        snake.boosting = this.body.boosting;
+        snake.segments = this.body.segments.map(seg => ({ x: seg.x + ex, y: seg.y + ey }));
+        snake.length = this.body.segments.length;
+    }
+}
+
+export default Predictor;
@@ -0,0 +1,41 @@
+/**
+ * SlitherStakes - Region Guess
+ * Nearest hosting region for matchmaking, from the browser's time zone
+ */
+
+// First match wins; names are the server's region names
+const REGIONS_BY_TIME_ZONE = [
+    [/^America\/(Vancouver|Anchorage|Juneau|Boise)/, 'Seattle'],
+    [/^America\/(Los_Angeles|Tijuana|Phoenix|Denver|Edmonton)/, 'Los_Angeles'],
+    [/^America\/(Chicago|Winnipeg|Mexico_City|Monterrey|Regina)/, 'Chicago'],
+    [/^America\/(Sao_Paulo|Argentina|Buenos_Aires|Santiago|Montevideo|Bogota|Lima|Caracas)/, 'Sao_Paulo'],
+    [/^America\//, 'Washington_DC'],
+    [/^(Europe\/(London|Dublin|Lisbon)|Atlantic\/)/, 'London'],
+    [/^Europe\//, 'Frankfurt'],
+    [/^Asia\/(Dubai|Muscat|Qatar|Riyadh|Bahrain|Kuwait|Tehran|Baghdad)/, 'Dubai'],
+    [/^Asia\/(Kolkata|Calcutta|Karachi|Colombo|Dhaka|Kathmandu)/, 'Mumbai'],
+    [/^Asia\/(Tokyo|Seoul|Pyongyang)/, 'Tokyo'],
+    [/^Asia\//, 'Singapore'],
+    [/^(Australia\/|Pacific\/(Auckland|Fiji))/, 'Sydney'],
+    [/^Africa\/(Cairo|Tripoli|Tunis|Algiers|Casablanca)/, 'Frankfurt'],
+    [/^Africa\//, 'Johannesburg']
+];
+
+/**
+ * @returns {string|null} Region name, or null when the time zone is unknown
+ */
+function nearestRegion() {
+    let timeZone = '';
+    try {
+        timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    } catch (error) {
+        return null;
+    }
+
+    for (const [pattern, region] of REGIONS_BY_TIME_ZONE) {
+        if (pattern.test(timeZone)) return region;
+    }
+    return null;
+}
+
+export default nearestRegion;
@@ -66,6 +66,40 @@ class Renderer {
         ctx.strokeRect(25, 25, this.world.width - 50, this.world.height - 50);
     }
 
+    /**
+     * Battle royale safe zone: shade everything outside it and outline the
+     * circle it is shrinking to
+     * @param {Object|null} zone - { x, y, radius, targetX, targetY, targetRadius }
+     */
+    renderZone(zone) {
+        if (!zone) return;
+
+        const ctx = this.ctx;
+        const margin = 1000; // Cover the view beyond the world edge too
+
+        ctx.fillStyle = 'rgba(255, 40, 80, 0.18)';
+        ctx.beginPath();
+        ctx.rect(-margin, -margin, this.world.width + margin * 2, this.world.height + margin * 2);
+        ctx.arc(zone.x, zone.y, zone.radius, 0, Math.PI * 2, true);
+        ctx.fill();
+
+        ctx.strokeStyle = '#00d4ff';
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.arc(zone.x, zone.y, zone.radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        if (zone.targetRadius < zone.radius) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+            ctx.lineWidth = 3;
+            ctx.setLineDash([20, 15]);
+            ctx.beginPath();
+            ctx.arc(zone.targetX, zone.targetY, zone.targetRadius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+    }
+
     renderFood(food) {
         const ctx = this.ctx;
 
@@ -109,6 +143,12 @@ class Renderer {
 
         if (segments.length === 0) return;
 
+        // Held snakes (owner disconnected) are out of play; draw them faded
+        ctx.save();
+        if (snake.held) {
+            ctx.globalAlpha = 0.35;
+        }
+
         // Calculate segment radius based on length
         const baseRadius = 12 + Math.min(snake.length * 0.08, 8);
 
@@ -139,6 +179,7 @@ class Renderer {
 
         // Render head
         this.renderHead(snake, isPlayer, baseRadius);
+        ctx.restore();
     }
 
     renderHead(snake, isPlayer, baseRadius) {
@@ -259,6 +300,69 @@ class Renderer {
         }
     }
 
+    /**
+     * Minimap: the safe zone, snakes as dots and the camera's view
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} view - { snakes, zone, highlightId, camera, width, height }
+     *   where the highlighted snake is drawn larger, and width/height are the
+     *   main view's logical size (no view rectangle without a camera)
+     */
+    renderMinimap(canvas, { snakes, zone, highlightId, camera, width, height }) {
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const scale = canvas.width / this.world.width;
+
+        // Clear
+        ctx.fillStyle = '#0a0a15';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Border
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(0, 0, canvas.width, canvas.height);
+
+        // Safe zone and where it is shrinking to
+        if (zone) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.arc(zone.targetX * scale, zone.targetY * scale, zone.targetRadius * scale, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.strokeStyle = '#00d4ff';
+            ctx.beginPath();
+            ctx.arc(zone.x * scale, zone.y * scale, zone.radius * scale, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // Draw snakes as dots
+        for (const snake of snakes) {
+            if (!snake.alive) continue;
+
+            const x = snake.x * scale;
+            const y = snake.y * scale;
+
+            ctx.fillStyle = snake.id === highlightId ? '#00ff88' : snake.color;
+            ctx.beginPath();
+            ctx.arc(x, y, snake.id === highlightId ? 4 : 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Camera view rectangle
+        if (camera) {
+            const viewWidth = (width / camera.zoom) * scale;
+            const viewHeight = (height / camera.zoom) * scale;
+            const viewX = (camera.x - width / 2 / camera.zoom) * scale;
+            const viewY = (camera.y - height / 2 / camera.zoom) * scale;
+
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(viewX, viewY, viewWidth, viewHeight);
+        }
+    }
+
     colorToHue(hexColor) {
         // Simple hex to hue conversion
         const r = parseInt(hexColor.slice(1, 3), 16) / 255;
@@ -0,0 +1,61 @@
+/**
+ * SlitherStakes - Replay Viewer
+ * Draws a replay streamed by the server (see src/server/replays) in a free
+ * camera view (see viewer.js); the server keeps the playback position.
+ */
+
+import Viewer from './viewer.js';
+
+class ReplayViewer extends Viewer {
+    /**
+     * @param {Object} data - 'replay_opened' from the server
+     */
+    constructor(socket, data) {
+        super(socket, { width: data.rules.worldSize, height: data.rules.worldSize }, 'replay_ack');
+        this.startTick = data.startTick;
+        this.endTick = data.endTick;
+        this.tickRate = data.rates.tickRate;
+        this.status = { tick: data.startTick, playing: true, speed: 1, seeking: false, diverged: false, cuts: 0 };
+    }
+
+    start() {
+        console.log('[REPLAY] Starting viewer');
+        super.start();
+    }
+
+    stop() {
+        console.log('[REPLAY] Stopping viewer');
+        super.stop();
+    }
+
+    // Playback controls (the server keeps the position)
+    play() {
+        this.socket.emit('replay_control', { action: 'play' });
+    }
+
+    pause() {
+        this.socket.emit('replay_control', { action: 'pause' });
+    }
+
+    setSpeed(speed) {
+        this.socket.emit('replay_control', { action: 'speed', value: speed });
+    }
+
+    seek(tick) {
+        this.socket.emit('replay_control', { action: 'seek', value: tick });
+    }
+
+    /**
+     * @param {Object} status - 'replay_status' from the server
+     */
+    updateStatus(status) {
+        // After a jump, don't interpolate between before and after
+        if (status.cuts !== this.status.cuts) {
+            this.buffer.clear();
+        }
+        this.status = status;
+        this.endTick = Math.max(this.endTick, status.tick);
+    }
+}
+
+export default ReplayViewer;
@@ -0,0 +1,105 @@
+/**
+ * SlitherStakes - Snapshot Receiver
+ * Rebuilds room state from binary delta snapshots
+ */
+
+import protocol from '../../shared/protocol.js';
+
+// Decoded snapshots kept as possible delta baselines
+const MAX_STATES = 32;
+
+class SnapshotReceiver {
+    constructor() {
+        this.states = new Map(); // seq -> { snakes: Map<netId, { info, body }>, food: Map<nid, food> }
+        this.lastSeq = 0;
+        this.awaitingFull = false; // Resync requested, ignore deltas until a full frame
+    }
+
+    /**
+     * Decode a snapshot and apply it to its baseline
+     * @param {ArrayBuffer} data - Binary snapshot from the server
+     * @returns {Object|null} { seq, state }, { resync: true } if the baseline
+     *   is missing, or null for stale/unknown frames
+     */
+    receive(data) {
+        const frame = protocol.decodeSnapshot(data);
+        if (!frame || frame.seq <= this.lastSeq) return null;
+        if (this.awaitingFull && frame.baseline !== 0) return null;
+
+        let baseline = null;
+        if (frame.baseline !== 0) {
+            baseline = this.states.get(frame.baseline);
+            if (!baseline) {
+                return this.requestResync();
+            }
+        }
+
+        // Snakes: info and unchanged fields carried over from the baseline
+        const known = new Map();
+        const snakes = [];
+        for (const sent of frame.snakes) {
+            const base = baseline?.snakes.get(sent.netId);
+            const info = sent.info || base?.info;
+            const body = protocol.applySnake(sent, base?.body);
+            if (!info || !body) {
+                return this.requestResync();
+            }
+            known.set(sent.netId, { info, body });
+
+            snakes.push({
+                id: info.id,
+                netId: sent.netId,
+                name: info.name,
+                color: info.color,
+                x: body.x,
+                y: body.y,
+                angle: body.angle,
+                segments: body.segments,
+                length: body.segments.length,
+                alive: sent.alive,
+                boosting: sent.boosting,
+                held: sent.held,
+                kills: body.kills,
+                value: body.value
+            });
+        }
+
+        // Food: baseline minus removed plus added
+        const food = new Map(baseline ? baseline.food : []);
+        for (const nid of frame.removedFood) {
+            food.delete(nid);
+        }
+        for (const f of frame.addedFood) {
+            food.set(f.nid, f);
+        }
+
+        this.states.set(frame.seq, { snakes: known, food });
+        this.lastSeq = frame.seq;
+        this.awaitingFull = false;
+
+        // Anything older than the frame's baseline will never be referenced again
+        for (const seq of this.states.keys()) {
+            if (seq >= frame.baseline && this.states.size <= MAX_STATES) break;
+            this.states.delete(seq);
+        }
+
+        return {
+            seq: frame.seq,
+            state: {
+                snakes,
+                food: Array.from(food.values()),
+                inputSeq: frame.inputSeq,
+                zone: frame.zone,
+                timestamp: frame.timestamp
+            }
+        };
+    }
+
+    requestResync() {
+        this.awaitingFull = true;
+        this.states.clear();
+        return { resync: true };
+    }
+}
+
+export default SnapshotReceiver;
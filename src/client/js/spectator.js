@@ -0,0 +1,94 @@
+/**
+ * SlitherStakes - Spectator
+ * Watches a live room without a snake (see src/server/rooms/spectators.js),
+ * in a free camera view (see viewer.js). The server culls what it sends
+ * around the followed snake, or around where a free camera is looking, so
+ * the camera is reported back as it moves.
+ */
+
+import Viewer from './viewer.js';
+
+const CAMERA_INTERVAL = 200; // ms between camera reports
+const FULL_VIEW_ZOOM = 0.5; // Zoomed out this far, ask for the whole room
+
+class Spectator extends Viewer {
+    /**
+     * @param {Object} data - 'spectating' from the server
+     */
+    constructor(socket, data) {
+        super(socket, data.world, 'spectate_ack');
+        this.roomId = data.roomId;
+        this.tier = data.tier;
+
+        // What we follow: 'leader', a snake ID or null (free camera); the
+        // server says which snake the leader is
+        this.mode = data.follow;
+        this.targetId = data.targetId;
+        this.followId = data.targetId;
+        this.candidates = data.snakes; // [{ id, name, length }], longest first
+
+        this.cameraSentAt = 0;
+        this.cameraSent = null;
+    }
+
+    start() {
+        console.log('[SPECTATOR] Watching', this.roomId);
+        super.start();
+    }
+
+    stop() {
+        console.log('[SPECTATOR] Stopped watching', this.roomId);
+        super.stop();
+    }
+
+    /**
+     * @param {string|null} target - 'leader', a snake ID or null (free camera)
+     */
+    follow(target) {
+        this.mode = target || null;
+        this.followId = this.mode === 'leader' ? this.targetId : this.mode;
+        this.socket.emit('spectate_follow', { follow: this.mode });
+        if (this.onFollow) this.onFollow(this.mode);
+    }
+
+    update(deltaTime) {
+        super.update(deltaTime);
+        this.reportCamera();
+    }
+
+    // Tell the server where we're looking (and how far out), when it changes
+    reportCamera() {
+        const now = performance.now();
+        if (now - this.cameraSentAt < CAMERA_INTERVAL) return;
+
+        const camera = {
+            x: Math.round(this.camera.x),
+            y: Math.round(this.camera.y),
+            zoom: Math.round(this.camera.zoom * 100) / 100,
+            full: this.camera.zoom <= FULL_VIEW_ZOOM
+        };
+        const sent = this.cameraSent;
+        if (sent && sent.x === camera.x && sent.y === camera.y && sent.zoom === camera.zoom) return;
+
+        this.socket.emit('spectate_camera', camera);
+        this.cameraSent = camera;
+        this.cameraSentAt = now;
+    }
+
+    /**
+     * @param {Object} status - 'spectate_status' from the server
+     */
+    updateStatus(status) {
+        this.mode = status.follow;
+        this.targetId = status.targetId;
+        if (this.mode) this.followId = status.targetId;
+        this.candidates = status.snakes;
+    }
+
+    // Anyone in the room can be followed, not just the snakes in view
+    followable() {
+        return this.candidates;
+    }
+}
+
+export default Spectator;
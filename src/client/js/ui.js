@@ -15,6 +15,11 @@ class UI {
         // Modals
         this.deathModal = document.getElementById('death-modal');
         this.cashoutModal = document.getElementById('cashout-modal');
+        this.reconnectingModal = document.getElementById('reconnecting-modal');
+        this.privateRoomModal = document.getElementById('private-room-modal');
+        this.inviteModal = document.getElementById('invite-modal');
+        this.tournamentModal = document.getElementById('tournament-modal');
+        this.clipModal = document.getElementById('clip-modal');
 
         // Input elements
         this.nameInput = document.getElementById('player-name');
@@ -27,6 +32,7 @@ class UI {
         // HUD elements
         this.leaderboardList = document.getElementById('leaderboard-list');
         this.killFeed = document.getElementById('kill-feed');
+        this.roundBanner = document.getElementById('round-banner');
 
         // Callbacks
         this.onJoin = null;
@@ -36,6 +42,39 @@ class UI {
         this.onShowLobby = null;
         this.onJoinRoom = null;
         this.onQuickPlay = null;
+        this.onCreatePrivateRoom = null; // (tierId, rules, password)
+        this.onJoinPrivateRoom = null;
+        this.onJoinInvite = null; // (name, password)
+        this.onTournamentRegistration = null; // (tournamentId, register)
+        this.onEnterTournament = null; // (tournamentId)
+        this.onLeaveTournament = null;
+        this.onWatchReplay = null; // (replayId)
+        this.onReplayControl = null; // (action, value) - see ReplayViewer
+        this.onReplayFollow = null; // (snakeId | null)
+        this.onReplayExit = null;
+        this.onWatchClip = null; // (killId)
+        this.onClipSpeed = null; // (speed)
+        this.onCloseClip = null;
+        this.onSpectate = null; // (roomId)
+        this.onSpectateFollow = null; // ('leader' | snakeId | null)
+        this.onSpectateJoin = null;
+        this.onSpectateExit = null;
+
+        // Tournament shown in the lobby modal, and its countdown timer
+        this.tournament = null;
+        this.tournamentTimer = null;
+
+        // Kill shown by the death modal's clip button
+        this.deathKillId = null;
+
+        // Replay in the replay bar ({ startTick, endTick, tickRate }), and
+        // whether the scrubber is being dragged
+        this.replay = null;
+        this.scrubbing = false;
+
+        // Battle royale round shown in the HUD banner, and its countdown timer
+        this.round = null;
+        this.roundTimer = null;
 
         // Initialize
         this.setupEventListeners();
@@ -61,6 +100,22 @@ class UI {
             if (this.onQuit) this.onQuit();
         });
 
+        document.getElementById('death-clip-btn').addEventListener('click', () => {
+            if (this.deathKillId && this.onWatchClip) this.onWatchClip(this.deathKillId);
+        });
+
+        // Kill clip modal buttons
+        document.getElementById('clip-slow-btn').addEventListener('click', (e) => {
+            const slow = e.target.classList.toggle('primary');
+            e.target.classList.toggle('secondary', !slow);
+            if (this.onClipSpeed) this.onClipSpeed(slow ? 0.25 : 1);
+        });
+
+        document.getElementById('clip-close-btn').addEventListener('click', () => {
+            this.hideClipModal();
+            if (this.onCloseClip) this.onCloseClip();
+        });
+
         // Cashout modal button
         document.getElementById('home-btn').addEventListener('click', () => {
             this.hideCashoutModal();
@@ -104,6 +159,106 @@ class UI {
             });
         }
 
+        // Private room: create, then share or join
+        document.getElementById('private-room-btn')?.addEventListener('click', () => {
+            this.showPrivateRoomModal();
+        });
+
+        document.getElementById('private-room-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const value = (id) => document.getElementById(id).value.trim();
+            const rules = {
+                mode: value('private-mode'),
+                worldSize: Number(value('private-world-size')),
+                foodCount: Number(value('private-food')),
+                botCount: value('private-bots') === '' ? null : Number(value('private-bots')),
+                botMix: value('private-bot-mix') || null,
+                maxPlayers: Number(value('private-max-players')),
+                boostCost: Number(value('private-boost-cost')),
+                boostDropRate: Number(value('private-boost-drops')),
+                boostDropValue: Number(value('private-pellet-value'))
+            };
+            if (this.onCreatePrivateRoom) {
+                this.onCreatePrivateRoom(Number(value('private-tier')), rules, value('private-password'));
+            }
+        });
+
+        document.getElementById('private-cancel-btn').addEventListener('click', () => {
+            this.hidePrivateRoomModal();
+        });
+
+        document.getElementById('private-copy-btn').addEventListener('click', () => {
+            const urlInput = document.getElementById('private-invite-url');
+            urlInput.select();
+            navigator.clipboard?.writeText(urlInput.value);
+        });
+
+        document.getElementById('private-join-btn').addEventListener('click', () => {
+            this.hidePrivateRoomModal();
+            if (this.onJoinPrivateRoom) this.onJoinPrivateRoom();
+        });
+
+        // Invite link
+        document.getElementById('invite-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = document.getElementById('invite-name').value.trim();
+            if (name.length < 1) {
+                this.showInviteError('Enter your name.');
+                return;
+            }
+            if (this.onJoinInvite) {
+                this.onJoinInvite(name, document.getElementById('invite-password').value);
+            }
+        });
+
+        document.getElementById('invite-cancel-btn').addEventListener('click', () => {
+            this.hideInviteModal();
+        });
+
+        document.getElementById('tournament-leave-btn').addEventListener('click', () => {
+            if (this.onLeaveTournament) this.onLeaveTournament();
+        });
+
+        // Replay bar
+        document.getElementById('replay-play-btn').addEventListener('click', () => {
+            if (this.onReplayControl) this.onReplayControl(this.replay?.playing ? 'pause' : 'play');
+        });
+
+        const scrubber = document.getElementById('replay-scrubber');
+        scrubber.addEventListener('input', () => {
+            this.scrubbing = true;
+            this.renderReplayTime(Number(scrubber.value));
+        });
+        scrubber.addEventListener('change', () => {
+            this.scrubbing = false;
+            if (this.onReplayControl) this.onReplayControl('seek', Number(scrubber.value));
+        });
+
+        document.getElementById('replay-speed').addEventListener('change', (e) => {
+            if (this.onReplayControl) this.onReplayControl('speed', Number(e.target.value));
+        });
+
+        document.getElementById('replay-follow').addEventListener('change', (e) => {
+            if (this.onReplayFollow) this.onReplayFollow(e.target.value || null);
+        });
+
+        document.getElementById('replay-exit-btn').addEventListener('click', () => {
+            if (this.onReplayExit) this.onReplayExit();
+        });
+
+        // Spectator bar
+        document.getElementById('spectate-follow').addEventListener('change', (e) => {
+            if (this.onSpectateFollow) this.onSpectateFollow(e.target.value || null);
+        });
+
+        document.getElementById('spectate-join-btn').addEventListener('click', () => {
+            if (this.onSpectateJoin) this.onSpectateJoin();
+        });
+
+        document.getElementById('spectate-exit-btn').addEventListener('click', () => {
+            if (this.onSpectateExit) this.onSpectateExit();
+        });
+
         // Browse Rooms button
         const browseBtn = document.getElementById('browse-rooms-btn');
         if (browseBtn) {
@@ -206,19 +361,29 @@ class UI {
             card.innerHTML = `
                 <div class="room-info">
                     <div class="room-tier">${this.escapeHtml(tierInfo.name)} Room</div>
-                    <div class="room-players">${room.playerCount}/${room.maxPlayers} players</div>
+                    <div class="room-players">${room.playerCount}/${room.maxPlayers} players${room.spectators > 0 ? `, ${room.spectators} watching` : ''}</div>
                     <div class="room-buy-in">${tierInfo.buy_in > 0 ? '$' + tierInfo.buy_in.toFixed(2) : 'Free'}</div>
                 </div>
-                <button class="room-join-btn">Join</button>
+                <div class="room-actions">
+                    <button class="room-join-btn watch">Watch</button>
+                    <button class="room-join-btn join">Join</button>
+                </div>
             `;
 
-            card.querySelector('.room-join-btn').addEventListener('click', (e) => {
+            card.querySelector('.room-join-btn.join').addEventListener('click', (e) => {
                 e.stopPropagation();
                 if (this.onJoinRoom) {
                     this.onJoinRoom(room.id, room.tierId);
                 }
             });
 
+            card.querySelector('.room-join-btn.watch').addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.onSpectate) {
+                    this.onSpectate(room.id);
+                }
+            });
+
             card.addEventListener('click', () => {
                 if (this.onJoinRoom) {
                     this.onJoinRoom(room.id, room.tierId);
@@ -235,6 +400,10 @@ class UI {
         document.getElementById('death-kills').textContent = data.kills || 0;
         document.getElementById('death-earnings').textContent = '$' + (data.earnings || 0).toFixed(2);
 
+        // Paid kills have a clip of how it happened
+        this.deathKillId = data.clip ? data.killId : null;
+        document.getElementById('death-clip-btn').style.display = this.deathKillId ? '' : 'none';
+
         this.deathModal.classList.add('active');
     }
 
@@ -242,6 +411,27 @@ class UI {
         this.deathModal.classList.remove('active');
     }
 
+    /**
+     * @param {Object} clip - From /api/kills/:id/clip (the canvas is drawn by ClipPlayer)
+     */
+    showClipModal(clip) {
+        const { killerId, killerName, victimName, segment, bounty } = clip.kill;
+        let caption = killerId ? `${victimName} ran into ${killerName}` : `${victimName} was killed by ${killerName}`;
+        if (segment !== null) caption += ` (segment ${segment})`;
+        if (bounty > 0) caption += ` - $${bounty.toFixed(2)} bounty`;
+        document.getElementById('clip-caption').textContent = caption;
+
+        const slowBtn = document.getElementById('clip-slow-btn');
+        slowBtn.classList.remove('primary');
+        slowBtn.classList.add('secondary');
+
+        this.clipModal.classList.add('active');
+    }
+
+    hideClipModal() {
+        this.clipModal.classList.remove('active');
+    }
+
     showCashoutModal(data) {
         document.getElementById('cashout-earnings').textContent = '$' + (data.earnings || 0).toFixed(2);
         document.getElementById('cashout-kills').textContent = data.kills || 0;
@@ -253,9 +443,389 @@ class UI {
         document.getElementById('cashout-time').textContent =
             `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
 
+        const payoutEl = document.getElementById('cashout-payout');
+        payoutEl.dataset.payoutId = data.payout?.id || '';
+        if (data.payout) {
+            this.updatePayoutStatus(data.payout);
+        } else {
+            payoutEl.className = 'payout-status';
+            payoutEl.textContent = data.balance > 0
+                ? `$${data.balance.toFixed(2)} kept in your wallet (payouts start at $${(data.minPayout || 0).toFixed(2)})`
+                : '';
+        }
+
         this.cashoutModal.classList.add('active');
     }
 
+    // Live status of the payout shown in the cashout modal
+    updatePayoutStatus(payout) {
+        const payoutEl = document.getElementById('cashout-payout');
+        if (payoutEl.dataset.payoutId !== payout.id) return;
+
+        payoutEl.className = `payout-status ${payout.status}`;
+        payoutEl.textContent = `Payout of $${payout.amount.toFixed(2)}: ${this.describePayout(payout)}`;
+    }
+
+    describePayout(payout) {
+        if (payout.status === 'settled') return 'sent';
+        if (payout.status === 'failed') return 'failed, returned to your wallet';
+        return payout.attempts > 0 ? 'pending (retrying)' : 'pending';
+    }
+
+    renderPayouts(payouts) {
+        const container = document.getElementById('payouts');
+        const list = document.getElementById('payout-list');
+        container.style.display = payouts.length > 0 ? 'block' : 'none';
+        list.innerHTML = '';
+
+        for (const payout of payouts.slice(0, 5)) {
+            const li = document.createElement('li');
+            li.innerHTML = `
+                <span>${new Date(payout.createdAt).toLocaleDateString()} - $${payout.amount.toFixed(2)}</span>
+                <span class="${payout.status}">${this.escapeHtml(this.describePayout(payout))}</span>
+            `;
+            list.appendChild(li);
+        }
+    }
+
+    renderReplays(replays) {
+        const container = document.getElementById('replays');
+        const list = document.getElementById('replay-list');
+        container.style.display = replays.length > 0 ? 'block' : 'none';
+        list.innerHTML = '';
+
+        for (const replay of replays.slice(0, 5)) {
+            const li = document.createElement('li');
+            const started = new Date(replay.startedAt);
+            const minutes = Math.round((replay.endTick - replay.startTick) / replay.tickRate / 60);
+            li.innerHTML = `
+                <span class="${replay.live ? 'live' : ''}">
+                    ${started.toLocaleDateString()} ${started.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    - ${this.escapeHtml(replay.tierName || 'Room')}${replay.part > 1 ? ` (part ${replay.part})` : ''},
+                    ${replay.live ? 'live' : `${minutes} min`}, ${replay.kills} kills
+                </span>
+            `;
+
+            const btn = document.createElement('button');
+            btn.className = 'btn-small';
+            btn.textContent = 'Watch';
+            btn.addEventListener('click', () => {
+                if (this.onWatchReplay) this.onWatchReplay(replay.id);
+            });
+            li.appendChild(btn);
+
+            list.appendChild(li);
+        }
+    }
+
+    /**
+     * Switch the game screen to replay mode
+     * @param {Object} data - 'replay_opened' from the server
+     */
+    showReplayBar(data) {
+        this.replay = { startTick: data.startTick, endTick: data.endTick, tickRate: data.rates.tickRate, playing: true };
+        this.gameScreen.classList.add('replay-mode');
+        this.killFeed.innerHTML = '';
+
+        const scrubber = document.getElementById('replay-scrubber');
+        scrubber.min = data.startTick;
+        scrubber.max = data.endTick;
+        scrubber.value = data.startTick;
+
+        const speed = document.getElementById('replay-speed');
+        speed.innerHTML = data.speeds.map(value => `<option value="${value}">${value}x</option>`).join('');
+        speed.value = '1';
+
+        // Kill marks along the scrubber
+        const marks = document.getElementById('replay-kill-marks');
+        const span = Math.max(1, data.endTick - data.startTick);
+        marks.innerHTML = data.kills
+            .map(kill => `<span style="left: ${((kill.tick - data.startTick) / span * 100).toFixed(2)}%"></span>`)
+            .join('');
+
+        this.renderReplayTime(data.startTick);
+        document.getElementById('replay-bar').style.display = 'flex';
+    }
+
+    hideReplayBar() {
+        this.replay = null;
+        this.gameScreen.classList.remove('replay-mode');
+        document.getElementById('replay-bar').style.display = 'none';
+    }
+
+    updateReplayStatus(status) {
+        if (!this.replay) return;
+
+        this.replay.playing = status.playing;
+        this.replay.endTick = Math.max(this.replay.endTick, status.tick);
+        document.getElementById('replay-play-btn').textContent = status.playing ? 'Pause' : 'Play';
+        document.getElementById('replay-speed').value = String(status.speed);
+        document.getElementById('replay-note').textContent = status.seeking
+            ? 'Seeking...'
+            : status.diverged ? 'Resynced' : '';
+
+        if (!this.scrubbing) {
+            document.getElementById('replay-scrubber').value = status.tick;
+            this.renderReplayTime(status.tick);
+        }
+    }
+
+    renderReplayTime(tick) {
+        const { startTick, endTick, tickRate } = this.replay;
+        const format = (ticks) => {
+            const seconds = Math.max(0, Math.floor(ticks / tickRate));
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        document.getElementById('replay-time').textContent = `${format(tick - startTick)} / ${format(endTick - startTick)}`;
+    }
+
+    // Snakes the camera can follow (longest first)
+    updateReplayFollow(snakes, followId) {
+        const select = document.getElementById('replay-follow');
+        const options = ['<option value="">Free camera</option>'];
+        for (const snake of snakes) {
+            options.push(`<option value="${this.escapeHtml(snake.id)}">${this.escapeHtml(snake.name)} (${snake.length})</option>`);
+        }
+
+        const html = options.join('');
+        if (select.dataset.html !== html && document.activeElement !== select) {
+            select.innerHTML = html;
+            select.dataset.html = html;
+        }
+        select.value = followId && snakes.some(snake => snake.id === followId) ? followId : '';
+    }
+
+    /**
+     * Switch the game screen to spectator mode
+     * @param {Object} data - 'spectating' from the server
+     */
+    showSpectateBar(data) {
+        this.gameScreen.classList.add('spectate-mode');
+        this.killFeed.innerHTML = '';
+        document.getElementById('spectate-title').textContent = `Spectating ${data.tier.name} Room`;
+        this.updateSpectateFollow(data.snakes, data.follow);
+        document.getElementById('spectate-bar').style.display = 'flex';
+    }
+
+    hideSpectateBar() {
+        this.gameScreen.classList.remove('spectate-mode');
+        document.getElementById('spectate-bar').style.display = 'none';
+    }
+
+    // Leader, free camera or a snake (longest first)
+    updateSpectateFollow(snakes, mode) {
+        const select = document.getElementById('spectate-follow');
+        const options = ['<option value="leader">Leader</option>', '<option value="">Free camera</option>'];
+        for (const snake of snakes) {
+            options.push(`<option value="${this.escapeHtml(snake.id)}">${this.escapeHtml(snake.name)} (${snake.length})</option>`);
+        }
+        // A followed snake that fell off the list stays selectable
+        if (mode && mode !== 'leader' && !snakes.some(snake => snake.id === mode)) {
+            options.push(`<option value="${this.escapeHtml(mode)}">Followed snake</option>`);
+        }
+
+        const html = options.join('');
+        if (select.dataset.html !== html && document.activeElement !== select) {
+            select.innerHTML = html;
+            select.dataset.html = html;
+        }
+        select.value = mode || '';
+    }
+
+    showPrivateRoomModal() {
+        const tierSelect = document.getElementById('private-tier');
+        tierSelect.innerHTML = '';
+        for (const tier of this.config.tiers || []) {
+            const option = document.createElement('option');
+            option.value = tier.id;
+            option.textContent = `${tier.name} (${tier.buy_in > 0 ? '$' + tier.buy_in.toFixed(2) : 'Free'})`;
+            tierSelect.appendChild(option);
+        }
+
+        document.getElementById('private-room-form').style.display = 'flex';
+        document.getElementById('private-room-created').style.display = 'none';
+        this.showPrivateRoomError('');
+        this.privateRoomModal.classList.add('active');
+    }
+
+    showPrivateRoomCreated(inviteUrl) {
+        document.getElementById('private-room-form').style.display = 'none';
+        document.getElementById('private-room-created').style.display = 'flex';
+        document.getElementById('private-invite-url').value = inviteUrl;
+    }
+
+    showPrivateRoomError(message) {
+        document.getElementById('private-room-error').textContent = message;
+    }
+
+    hidePrivateRoomModal() {
+        this.privateRoomModal.classList.remove('active');
+    }
+
+    showInviteModal(invite) {
+        const buyIn = Number(invite.tier.buyIn);
+        document.getElementById('invite-details').textContent =
+            `${invite.tier.name} ${invite.rules?.mode === 'royale' ? 'battle royale ' : ''}room ` +
+            `(${buyIn > 0 ? '$' + buyIn.toFixed(2) + ' buy-in' : 'free'}), ` +
+            `${invite.playerCount}/${invite.maxPlayers} players`;
+        document.getElementById('invite-name').value = this.nameInput.value;
+        document.getElementById('invite-password-label').style.display = invite.requiresPassword ? 'flex' : 'none';
+        document.getElementById('invite-password').value = '';
+        this.showInviteError('');
+        this.inviteModal.classList.add('active');
+    }
+
+    showInviteError(message) {
+        document.getElementById('invite-error').textContent = message;
+    }
+
+    hideInviteModal() {
+        this.inviteModal.classList.remove('active');
+    }
+
+    renderTournaments(tournaments) {
+        const container = document.getElementById('tournaments');
+        const list = document.getElementById('tournament-list');
+        const shown = tournaments.filter(t => !['finished', 'cancelled'].includes(t.status) || t.registered);
+        container.style.display = shown.length > 0 ? 'block' : 'none';
+        list.innerHTML = '';
+
+        for (const tournament of shown.slice(0, 5)) {
+            const li = document.createElement('li');
+            const fee = tournament.entryFee > 0 ? '$' + tournament.entryFee.toFixed(2) : 'Free';
+            li.innerHTML = `
+                <span class="${tournament.registered ? 'registered' : ''}">
+                    ${this.escapeHtml(tournament.name)} - ${new Date(tournament.startsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    (${fee}, ${tournament.entrants}/${tournament.maxEntrants}, pool $${tournament.prizePool.toFixed(2)})
+                </span>
+            `;
+
+            const addButton = (label, onClick) => {
+                const btn = document.createElement('button');
+                btn.className = 'btn-small';
+                btn.textContent = label;
+                btn.addEventListener('click', onClick);
+                li.appendChild(btn);
+            };
+
+            if (tournament.status === 'registration') {
+                addButton(tournament.registered ? 'Leave' : 'Enter', () => {
+                    if (this.onTournamentRegistration) this.onTournamentRegistration(tournament.id, !tournament.registered);
+                });
+            }
+            if (tournament.registered && ['registration', 'countdown'].includes(tournament.status)) {
+                addButton('Lobby', () => {
+                    if (this.onEnterTournament) this.onEnterTournament(tournament.id);
+                });
+            }
+
+            list.appendChild(li);
+        }
+    }
+
+    showTournamentModal() {
+        this.tournamentModal.classList.add('active');
+        if (!this.tournamentTimer) {
+            this.tournamentTimer = setInterval(() => this.renderTournamentStatus(), 1000);
+        }
+        this.renderTournamentStatus();
+    }
+
+    hideTournamentModal() {
+        this.tournamentModal.classList.remove('active');
+        clearInterval(this.tournamentTimer);
+        this.tournamentTimer = null;
+    }
+
+    updateTournament(tournament) {
+        if (this.tournament?.id !== tournament.id) {
+            document.getElementById('tournament-placement').textContent = '';
+        }
+        this.tournament = tournament;
+        document.getElementById('tournament-name').textContent = tournament.name;
+
+        const standings = document.getElementById('tournament-standings');
+        standings.innerHTML = '';
+        for (const entrant of tournament.standings || []) {
+            const li = document.createElement('li');
+            const out = ['eliminated', 'no_show', 'refunded'].includes(entrant.status);
+            li.className = out ? 'out' : '';
+            li.textContent = entrant.name +
+                (entrant.prize > 0 ? ` - $${entrant.prize.toFixed(2)}` : '') +
+                (entrant.status === 'eliminated' ? ` (out in round ${entrant.eliminatedRound})` : '') +
+                (entrant.status === 'no_show' ? ' (no show)' : '');
+            standings.appendChild(li);
+        }
+
+        this.renderTournamentStatus();
+    }
+
+    showTournamentEliminated(placement) {
+        document.getElementById('tournament-placement').textContent = `You finished #${placement}`;
+    }
+
+    renderTournamentStatus() {
+        const tournament = this.tournament;
+        if (!tournament) return;
+
+        const countdown = (until) => {
+            const seconds = Math.max(0, Math.ceil((until - Date.now()) / 1000));
+            return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+        };
+
+        const status = {
+            scheduled: `Registration opens in ${countdown(tournament.registrationOpensAt)}`,
+            registration: `Starts in ${countdown(tournament.startsAt)}`,
+            countdown: `Starting in ${countdown(tournament.startsAt)} - stay in the lobby!`,
+            running: `Round ${tournament.round}: ${tournament.remaining} left, ${countdown(tournament.roundEndsAt)} to go`,
+            intermission: `Round ${tournament.round + 1} starts in ${countdown(tournament.nextRoundAt)}`,
+            finished: 'Final standings',
+            cancelled: 'Cancelled - entry fees refunded'
+        };
+        document.getElementById('tournament-status').textContent = status[tournament.status] || '';
+    }
+
+    // Battle royale round status (null outside battle royale rooms)
+    updateRound(round) {
+        clearInterval(this.roundTimer);
+        this.roundTimer = null;
+
+        this.round = round ? { ...round, endsAt: Date.now() + round.timer * 1000 } : null;
+        this.roundBanner.style.display = round ? 'block' : 'none';
+        if (!round) return;
+
+        if (round.state === 'countdown' || round.state === 'ended') {
+            this.roundTimer = setInterval(() => this.renderRoundStatus(), 1000);
+        }
+        this.renderRoundStatus();
+    }
+
+    renderRoundStatus() {
+        const round = this.round;
+        if (!round) return;
+
+        const seconds = Math.max(0, Math.ceil((round.endsAt - Date.now()) / 1000));
+        const winner = round.winnerName
+            ? `${round.winnerName} wins${round.pot > 0 ? ` $${round.pot.toFixed(2)}` : ''}!`
+            : 'Nobody survived!';
+
+        const status = {
+            waiting: 'Waiting for more snakes...',
+            countdown: `Round ${round.number + 1} starts in ${seconds}`,
+            active: `Round ${round.number} - stay inside the zone`,
+            ended: `${winner} Next round in ${seconds}`
+        };
+        this.roundBanner.textContent = status[round.state] || '';
+    }
+
+    showReconnecting() {
+        this.reconnectingModal.classList.add('active');
+    }
+
+    hideReconnecting() {
+        this.reconnectingModal.classList.remove('active');
+    }
+
     hideCashoutModal() {
         this.cashoutModal.classList.remove('active');
     }
@@ -282,7 +852,11 @@ class UI {
             killed
             <span class="victim">${this.escapeHtml(data.victimName)}</span>
             ${data.bounty > 0 ? `<span class="bounty">+$${data.bounty.toFixed(2)}</span>` : ''}
+            ${data.clip ? '<button class="kill-clip" title="Watch the kill">Watch</button>' : ''}
         `;
+        entry.querySelector('.kill-clip')?.addEventListener('click', () => {
+            if (this.onWatchClip) this.onWatchClip(data.killId);
+        });
 
         this.killFeed.insertBefore(entry, this.killFeed.firstChild);
 
@@ -0,0 +1,324 @@
+/**
+ * SlitherStakes - World Viewer
+ * Draws a world streamed as binary snapshots, without a snake of our own,
+ * with a free camera: drag or WASD/arrow keys to pan, wheel to zoom, click a
+ * snake to follow it, click the minimap to jump there. Replays (replay.js)
+ * and spectating (spectator.js) build on it.
+ */
+
+import Renderer from './render.js';
+import SnapshotReceiver from './snapshots.js';
+import SnapshotBuffer from './interpolation.js';
+
+const MIN_ZOOM = 0.4;
+const MAX_ZOOM = 2;
+const PAN_SPEED = 900; // World units per second at zoom 1 (keyboard)
+const CLICK_RADIUS = 60; // How close a click must be to a head to follow it
+
+const PAN_KEYS = {
+    KeyW: [0, -1], ArrowUp: [0, -1],
+    KeyS: [0, 1], ArrowDown: [0, 1],
+    KeyA: [-1, 0], ArrowLeft: [-1, 0],
+    KeyD: [1, 0], ArrowRight: [1, 0]
+};
+
+class Viewer {
+    /**
+     * @param {Object} world - { width, height }
+     * @param {string} ackEvent - How snapshots are acknowledged
+     */
+    constructor(socket, world, ackEvent) {
+        this.socket = socket;
+        this.world = world;
+        this.ackEvent = ackEvent;
+
+        this.snakes = new Map();
+        this.food = [];
+        this.zone = null;
+        this.snapshots = new SnapshotReceiver();
+        this.buffer = new SnapshotBuffer();
+
+        this.canvas = document.getElementById('game-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.minimap = document.getElementById('minimap-canvas');
+        this.resizeCanvas();
+
+        this.camera = { x: this.world.width / 2, y: this.world.height / 2, zoom: 0.6 };
+        this.followId = null; // Snake the camera follows (null = free)
+        this.renderer = new Renderer(this.ctx, this.world);
+
+        // Pointer drag and held pan keys
+        this.drag = null;
+        this.keys = new Set();
+
+        // Callbacks
+        this.onFollow = null; // (snakeId | null)
+
+        this.lastTime = 0;
+        this.animationFrame = null;
+
+        this.loop = this.loop.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.handleMinimapClick = this.handleMinimapClick.bind(this);
+    }
+
+    resizeCanvas() {
+        const dpr = window.devicePixelRatio || 1;
+        this.logicalWidth = window.innerWidth;
+        this.logicalHeight = window.innerHeight;
+
+        this.canvas.width = this.logicalWidth * dpr;
+        this.canvas.height = this.logicalHeight * dpr;
+        this.canvas.style.width = this.logicalWidth + 'px';
+        this.canvas.style.height = this.logicalHeight + 'px';
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    handleResize() {
+        this.resizeCanvas();
+    }
+
+    start() {
+        window.addEventListener('resize', this.handleResize);
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+        window.addEventListener('pointermove', this.handlePointerMove);
+        window.addEventListener('pointerup', this.handlePointerUp);
+        this.canvas.addEventListener('wheel', this.handleWheel, { passive: false });
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+        this.minimap?.addEventListener('click', this.handleMinimapClick);
+
+        this.lastTime = performance.now();
+        this.loop();
+    }
+
+    stop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+
+        window.removeEventListener('resize', this.handleResize);
+        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        window.removeEventListener('pointermove', this.handlePointerMove);
+        window.removeEventListener('pointerup', this.handlePointerUp);
+        this.canvas.removeEventListener('wheel', this.handleWheel);
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+        this.minimap?.removeEventListener('click', this.handleMinimapClick);
+    }
+
+    follow(snakeId) {
+        this.followId = snakeId || null;
+        if (this.onFollow) this.onFollow(this.followId);
+    }
+
+    loop(currentTime = performance.now()) {
+        const deltaTime = (currentTime - this.lastTime) / 1000;
+        this.lastTime = currentTime;
+
+        this.update(deltaTime);
+        this.render();
+
+        this.animationFrame = requestAnimationFrame(this.loop);
+    }
+
+    update(deltaTime) {
+        // Every snake is remote here: all of them come from the buffer
+        const frame = this.buffer.bracket(this.buffer.renderTime());
+        if (frame) {
+            for (const snake of this.snakes.values()) {
+                const pose = this.buffer.sample(frame, snake.id);
+                if (pose) {
+                    snake.x = pose.x;
+                    snake.y = pose.y;
+                    snake.angle = pose.angle;
+                    snake.segments = pose.segments;
+                }
+            }
+        }
+
+        const followed = this.followId ? this.snakes.get(this.followId) : null;
+        if (followed?.alive) {
+            this.camera.x += (followed.x - this.camera.x) * 0.1;
+            this.camera.y += (followed.y - this.camera.y) * 0.1;
+            return;
+        }
+
+        let dx = 0;
+        let dy = 0;
+        for (const code of this.keys) {
+            dx += PAN_KEYS[code][0];
+            dy += PAN_KEYS[code][1];
+        }
+        if (dx !== 0 || dy !== 0) {
+            const distance = PAN_SPEED * deltaTime / this.camera.zoom;
+            this.camera.x += dx * distance;
+            this.camera.y += dy * distance;
+            this.clampCamera();
+        }
+    }
+
+    render() {
+        const width = this.logicalWidth;
+        const height = this.logicalHeight;
+
+        this.ctx.fillStyle = '#0a0a15';
+        this.ctx.fillRect(0, 0, width, height);
+
+        this.ctx.save();
+        this.ctx.translate(
+            width / 2 - this.camera.x * this.camera.zoom,
+            height / 2 - this.camera.y * this.camera.zoom
+        );
+        this.ctx.scale(this.camera.zoom, this.camera.zoom);
+
+        this.renderer.renderGrid(this.camera);
+        this.renderer.renderBorder();
+        this.renderer.renderFood(this.food);
+        this.renderer.renderZone(this.zone);
+        this.renderer.renderSnakes(Array.from(this.snakes.values()), this.followId);
+
+        this.ctx.restore();
+
+        this.renderer.renderMinimap(this.minimap, {
+            snakes: this.snakes.values(),
+            zone: this.zone,
+            highlightId: this.followId,
+            camera: this.camera,
+            width,
+            height
+        });
+    }
+
+    // Screen point to world point
+    toWorld(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: this.camera.x + (clientX - rect.left - this.logicalWidth / 2) / this.camera.zoom,
+            y: this.camera.y + (clientY - rect.top - this.logicalHeight / 2) / this.camera.zoom
+        };
+    }
+
+    clampCamera() {
+        this.camera.x = Math.max(0, Math.min(this.world.width, this.camera.x));
+        this.camera.y = Math.max(0, Math.min(this.world.height, this.camera.y));
+    }
+
+    handlePointerDown(e) {
+        this.drag = { x: e.clientX, y: e.clientY, moved: false };
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag) return;
+
+        const dx = e.clientX - this.drag.x;
+        const dy = e.clientY - this.drag.y;
+        if (!this.drag.moved && Math.hypot(dx, dy) < 5) return;
+
+        // Dragging takes the camera off the followed snake
+        if (!this.drag.moved && this.followId) this.follow(null);
+        this.drag = { x: e.clientX, y: e.clientY, moved: true };
+        this.camera.x -= dx / this.camera.zoom;
+        this.camera.y -= dy / this.camera.zoom;
+        this.clampCamera();
+    }
+
+    // A click (not a drag) follows the snake under it, or stops following
+    handlePointerUp(e) {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag || drag.moved) return;
+
+        const point = this.toWorld(e.clientX, e.clientY);
+        let closest = null;
+        let closestDistance = CLICK_RADIUS / this.camera.zoom;
+        for (const snake of this.snakes.values()) {
+            if (!snake.alive) continue;
+            const distance = Math.hypot(snake.x - point.x, snake.y - point.y);
+            if (distance < closestDistance) {
+                closest = snake;
+                closestDistance = distance;
+            }
+        }
+        this.follow(closest ? closest.id : null);
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
+        const factor = e.deltaY > 0 ? 0.9 : 1 / 0.9;
+        this.camera.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, this.camera.zoom * factor));
+    }
+
+    handleKeyDown(e) {
+        if (!PAN_KEYS[e.code] || e.target.closest?.('input, select')) return;
+        e.preventDefault();
+        this.keys.add(e.code);
+        if (this.followId) this.follow(null);
+    }
+
+    handleKeyUp(e) {
+        this.keys.delete(e.code);
+    }
+
+    // Jump the camera to a point on the minimap
+    handleMinimapClick(e) {
+        const rect = this.minimap.getBoundingClientRect();
+        if (this.followId) this.follow(null);
+        this.camera.x = (e.clientX - rect.left) / rect.width * this.world.width;
+        this.camera.y = (e.clientY - rect.top) / rect.height * this.world.height;
+        this.clampCamera();
+    }
+
+    /**
+     * Apply a binary delta snapshot and acknowledge it as the next baseline
+     * @param {ArrayBuffer} data - Snapshot from the server
+     */
+    receiveSnapshot(data) {
+        const result = this.snapshots.receive(data);
+        if (!result) return;
+
+        if (result.resync) {
+            this.socket.emit(this.ackEvent, 0);
+            return;
+        }
+
+        this.socket.emit(this.ackEvent, result.seq);
+        this.updateState(result.state);
+    }
+
+    updateState(state) {
+        this.buffer.push(state);
+
+        const snakes = new Map();
+        for (const snakeData of state.snakes) {
+            // Keep the rendered pose until the next frame samples the buffer
+            const existing = this.snakes.get(snakeData.id);
+            if (existing) {
+                snakeData.x = existing.x;
+                snakeData.y = existing.y;
+                snakeData.angle = existing.angle;
+                snakeData.segments = existing.segments;
+            }
+            snakes.set(snakeData.id, snakeData);
+        }
+        this.snakes = snakes;
+        this.food = state.food;
+        this.zone = state.zone;
+    }
+
+    // Snakes to pick from for the follow list, longest first
+    followable() {
+        return Array.from(this.snakes.values())
+            .filter(snake => snake.alive)
+            .sort((a, b) => b.length - a.length);
+    }
+}
+
+export default Viewer;
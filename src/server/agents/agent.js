@@ -0,0 +1,140 @@
+/**
+ * External Bot Agent
+ * A community-written bot behind the same think/getInput contract as
+ * BotPlayer. Subclasses (LocalAgent, RemoteAgent) decide from a restricted
+ * observation (see observation.js).
+ *
+ * A decision that throws, overruns the time budget or returns something
+ * that isn't an input is a strike. After MAX_STRIKES in a row the agent is
+ * disabled and its snake keeps its last heading.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { observe } = require('./observation');
+
+const MAX_STRIKES = 20;
+const MAX_NAME_LENGTH = 16;
+
+function cleanName(name) {
+    const cleaned = typeof name === 'string' ? name.replace(/[^\w -]/g, '').trim().slice(0, MAX_NAME_LENGTH) : '';
+    return cleaned || 'Agent';
+}
+
+class AgentBot {
+    /**
+     * @param {string} kind - 'local' or 'remote'
+     * @param {number} thinkInterval - Ticks between decisions
+     */
+    constructor(room, name, kind, thinkInterval = 1) {
+        this.id = `agent_${uuidv4().slice(0, 8)}`;
+        this.name = cleanName(name);
+        this.room = room;
+        this.isBot = true;
+        this.kind = kind;
+
+        this.thinkInterval = thinkInterval;
+        this.thinkTimer = 0;
+        this.decisions = 0;
+        this.targetAngle = 0;
+        this.boosting = false;
+
+        // Budget enforcement
+        this.strikes = 0; // In a row
+        this.overruns = 0;
+        this.errors = 0;
+        this.disabled = null; // Reason, once disabled
+
+        // Standings in a sandbox (see Room.handleDeath)
+        this.kills = 0;
+        this.deaths = 0;
+        this.bestLength = 0;
+    }
+
+    // `spatial` is the room's snake index (see Room.indexSnakes)
+    think(snakes, food, worldWidth, worldHeight, spatial) {
+        if (this.disabled) return;
+
+        this.thinkTimer++;
+        if (this.thinkTimer < this.thinkInterval) return;
+        this.thinkTimer = 0;
+
+        const snake = snakes.get(this.id);
+        if (!snake || !snake.alive) return;
+
+        const observation = observe(snake, {
+            food,
+            spatial,
+            worldWidth,
+            worldHeight,
+            zone: this.room?.round?.zone || null,
+            tick: this.decisions++
+        });
+
+        const input = this.decide(observation);
+        if (input === null || input === undefined) return;
+
+        if (typeof input !== 'object' || !Number.isFinite(input.angle)) {
+            this.strike('invalid');
+            return;
+        }
+
+        this.strikes = 0;
+        this.targetAngle = input.angle;
+        this.boosting = !!input.boost;
+    }
+
+    /**
+     * Subclasses decide from an observation
+     * @returns {Object|null} { angle, boost }, or null to keep going as before
+     */
+    decide(_observation) {
+        return null;
+    }
+
+    // A failed decision: 'overrun', 'error' or 'invalid'
+    strike(reason) {
+        if (reason === 'overrun') {
+            this.overruns++;
+        } else {
+            this.errors++;
+        }
+
+        this.strikes++;
+        if (this.strikes >= MAX_STRIKES) {
+            this.disable(`${MAX_STRIKES} failed decisions in a row (last: ${reason})`);
+        }
+    }
+
+    disable(reason) {
+        if (this.disabled) return;
+        this.disabled = reason;
+        this.boosting = false;
+        console.log(`[AGENTS] ${this.name} disabled: ${reason}`);
+    }
+
+    getInput() {
+        return {
+            angle: this.targetAngle,
+            boost: this.boosting
+        };
+    }
+
+    toJSON() {
+        const snake = this.room?.snakes.get(this.id);
+        return {
+            id: this.id,
+            name: this.name,
+            kind: this.kind,
+            length: snake?.alive ? snake.length : 0,
+            bestLength: Math.max(this.bestLength, snake?.alive ? snake.length : 0),
+            kills: this.kills,
+            deaths: this.deaths,
+            decisions: this.decisions,
+            overruns: this.overruns,
+            errors: this.errors,
+            disabled: this.disabled
+        };
+    }
+}
+
+module.exports = { AgentBot, cleanName, MAX_STRIKES };
@@ -0,0 +1,141 @@
+/**
+ * Local Agents
+ * Bots loaded from a module directory (BOT_AGENTS_DIR, default ./bots).
+ * Each .js file is one bot:
+ *
+ *   module.exports = {
+ *       name: 'Circler',
+ *       think(observation) { return { angle, boost }; }
+ *   };
+ *
+ * Every agent runs in its own vm context with no require, process or
+ * timers, and each decision gets AGENT_BUDGET_MS (BOT_AGENT_BUDGET_MS).
+ * Observations go in and inputs come out as JSON strings, so no server
+ * objects reach the bot. A vm context is still not a security boundary:
+ * only load bots you have read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { performance } = require('perf_hooks');
+const { AgentBot, cleanName } = require('./agent');
+
+// Time each decision may take, and module setup
+const AGENT_BUDGET_MS = Number(process.env.BOT_AGENT_BUDGET_MS) || 2;
+const SETUP_BUDGET_MS = 200;
+
+// Everything the bot's code runs happens inside its context; only strings
+// (JSON, or ERROR for a throw) come back out
+const ERROR = '!error';
+
+const THINK_SCRIPT = new vm.Script(`(function () {
+    try {
+        return JSON.stringify(__agent.think(JSON.parse(__observation)) || null);
+    } catch (error) {
+        return '${ERROR}';
+    }
+})()`, { filename: 'agent-think' });
+
+// Runs a module and describes it as { name, hasThink } or { error }
+function setupScript(source) {
+    return `var __agent = null;
+(function () {
+    var module = { exports: {} };
+    try {
+        (function (module, exports) {
+${source}
+        })(module, module.exports);
+        __agent = module.exports;
+        return JSON.stringify({ name: String(__agent.name || ''), hasThink: typeof __agent.think === 'function' });
+    } catch (error) {
+        return JSON.stringify({ error: String(error && error.message) });
+    }
+})()`;
+}
+
+/**
+ * Compile every bot module in a directory
+ * @returns {Map} module id (file name without .js) -> { id, script }
+ */
+function loadAgentModules(dir = process.env.BOT_AGENTS_DIR || path.join(process.cwd(), 'bots')) {
+    const modules = new Map();
+    if (!fs.existsSync(dir)) return modules;
+
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.js')).sort()) {
+        const id = path.basename(file, '.js');
+        try {
+            const source = fs.readFileSync(path.join(dir, file), 'utf8');
+            modules.set(id, { id, script: new vm.Script(setupScript(source), { filename: file }) });
+        } catch (error) {
+            console.error(`[AGENTS] Failed to load ${file}:`, error.message);
+        }
+    }
+    return modules;
+}
+
+// JSON that came out of an agent's context (undefined if it isn't a JSON string)
+function parseOutput(output) {
+    if (typeof output !== 'string') return undefined;
+    try {
+        return JSON.parse(output);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+class LocalAgent extends AgentBot {
+    /**
+     * @param {Object} agentModule - From loadAgentModules
+     * @throws When the module fails to set up or has no think function
+     */
+    constructor(room, agentModule) {
+        super(room, agentModule.id, 'local');
+        this.module = agentModule.id;
+        this.context = vm.createContext({}, { microtaskMode: 'afterEvaluate' });
+
+        let setup;
+        try {
+            setup = parseOutput(agentModule.script.runInContext(this.context, { timeout: SETUP_BUDGET_MS }));
+        } catch (error) {
+            setup = { error: 'setup took too long' };
+        }
+        if (!setup || setup.error || !setup.hasThink) {
+            throw new Error(`Agent ${agentModule.id} failed to start: ${setup?.error || 'no think function'}`);
+        }
+        if (setup.name) this.name = cleanName(setup.name);
+    }
+
+    decide(observation) {
+        this.context.__observation = JSON.stringify(observation);
+
+        const started = performance.now();
+        let output;
+        try {
+            output = THINK_SCRIPT.runInContext(this.context, { timeout: Math.ceil(AGENT_BUDGET_MS) });
+        } catch (error) {
+            // Only the vm's timeout gets out of the context
+            this.strike('overrun');
+            return null;
+        }
+
+        // The vm timeout is coarse; the budget is checked here too
+        if (performance.now() - started > AGENT_BUDGET_MS) {
+            this.strike('overrun');
+            return null;
+        }
+        if (output === ERROR) {
+            this.strike('error');
+            return null;
+        }
+
+        const input = parseOutput(output);
+        if (input === undefined) {
+            this.strike('invalid');
+            return null;
+        }
+        return input;
+    }
+}
+
+module.exports = { LocalAgent, loadAgentModules, AGENT_BUDGET_MS };
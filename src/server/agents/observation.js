@@ -0,0 +1,103 @@
+/**
+ * Agent Observations
+ * What an external bot sees when it decides: its own snake, nearby snakes
+ * and food, the world bounds and the safe zone. Observations are plain
+ * JSON data (no room objects), and other snakes are identified only by
+ * their snapshot IDs.
+ */
+
+const VIEW_RADIUS = 800;
+const MAX_SNAKES = 24;
+const MAX_FOOD = 128;
+
+// Segments overlap heavily; every few of them outline a body
+const SEGMENT_STRIDE = 3;
+
+function round(value, digits = 1) {
+    const scale = Math.pow(10, digits);
+    return Math.round(value * scale) / scale;
+}
+
+/**
+ * @param {Snake} self - The agent's snake
+ * @param {Object} world - { food, spatial, worldWidth, worldHeight, zone, tick }
+ *   where `spatial` is the room's snake index (see Room.indexSnakes)
+ * @returns {Object} { tick, world, zone, self, snakes, food } - snakes and
+ *   food nearest first; a snake's body is [x, y] points from head to tail
+ */
+function observe(self, { food, spatial, worldWidth, worldHeight, zone = null, tick = 0 }) {
+    const radiusSq = VIEW_RADIUS * VIEW_RADIUS;
+    const seen = new Map(); // Snake -> { view, points }
+
+    spatial.forEachNear(self.x, self.y, VIEW_RADIUS, (entry) => {
+        const snake = entry.snake;
+        if (snake === self || !snake.alive) return;
+
+        const dx = entry.x - self.x;
+        const dy = entry.y - self.y;
+        if (dx * dx + dy * dy > radiusSq) return;
+
+        let seenSnake = seen.get(snake);
+        if (!seenSnake) {
+            seenSnake = {
+                distance: Math.hypot(snake.x - self.x, snake.y - self.y),
+                view: {
+                    id: snake.netId,
+                    x: round(snake.x),
+                    y: round(snake.y),
+                    angle: round(snake.angle, 3),
+                    length: snake.length,
+                    boosting: snake.boosting,
+                    held: snake.held, // Disconnected; can't kill or be killed
+                    headRadius: round(snake.headRadius),
+                    segmentRadius: round(snake.segmentRadius),
+                    body: []
+                },
+                points: []
+            };
+            seen.set(snake, seenSnake);
+        }
+
+        if (entry.index >= 0 && entry.index % SEGMENT_STRIDE === 0) {
+            seenSnake.points.push(entry);
+        }
+    });
+
+    const snakes = Array.from(seen.values())
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, MAX_SNAKES)
+        .map(({ view, points }) => {
+            points.sort((a, b) => a.index - b.index);
+            view.body = points.map(point => [round(point.x), round(point.y)]);
+            return view;
+        });
+
+    const foodArray = Array.isArray(food) ? food : food.getNearby(self.x, self.y, VIEW_RADIUS);
+    const nearbyFood = foodArray
+        .map(f => ({ x: round(f.x), y: round(f.y), value: f.value, distance: Math.hypot(f.x - self.x, f.y - self.y) }))
+        .filter(f => f.distance <= VIEW_RADIUS)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, MAX_FOOD)
+        .map(({ x, y, value }) => ({ x, y, value }));
+
+    return {
+        tick,
+        world: { width: worldWidth, height: worldHeight, viewRadius: VIEW_RADIUS },
+        zone: zone ? zone.toJSON() : null,
+        self: {
+            id: self.netId,
+            x: round(self.x),
+            y: round(self.y),
+            angle: round(self.angle, 3),
+            length: self.length,
+            boosting: self.boosting,
+            speed: round(self.speed, 2),
+            turnRate: round(self.turnRate, 3),
+            headRadius: round(self.headRadius)
+        },
+        snakes,
+        food: nearbyFood
+    };
+}
+
+module.exports = { observe, VIEW_RADIUS };
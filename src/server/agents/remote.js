@@ -0,0 +1,57 @@
+/**
+ * Remote Agents
+ * Bots that connect over the /bots socket namespace. The server sends an
+ * observation every REMOTE_THINK_MS and the bot answers with an input for
+ * it; the answer has to arrive before the next observation goes out.
+ * Answers are applied at the bot's next decision, so remote bots play one
+ * decision behind.
+ */
+
+const { AgentBot } = require('./agent');
+const { BASE_TICK_RATE } = require('../rooms/schedule');
+
+const REMOTE_THINK_MS = 100;
+
+class RemoteAgent extends AgentBot {
+    constructor(room, socketId, name) {
+        const tickRate = room?.rates?.tickRate || BASE_TICK_RATE;
+        super(room, name, 'remote', Math.max(1, Math.round(REMOTE_THINK_MS * tickRate / 1000)));
+        this.socketId = socketId;
+
+        this.seq = 0;
+        this.awaiting = null; // Seq of the observation waiting for an answer
+        this.reply = null; // Its answer, once in
+        this.outbox = null; // Next observation for the manager to send
+    }
+
+    decide(observation) {
+        let input = null;
+        if (this.reply) {
+            input = this.reply;
+            this.reply = null;
+        } else if (this.awaiting !== null) {
+            this.strike('overrun');
+        }
+
+        this.seq++;
+        this.awaiting = this.seq;
+        this.outbox = { seq: this.seq, ...observation };
+        return input;
+    }
+
+    // An answer from the bot: { seq, angle, boost }; stale answers are dropped
+    receive(data) {
+        if (!data || data.seq !== this.awaiting) return;
+
+        this.awaiting = null;
+        this.reply = { angle: data.angle, boost: data.boost };
+    }
+
+    takeObservation() {
+        const observation = this.outbox;
+        this.outbox = null;
+        return observation;
+    }
+}
+
+module.exports = { RemoteAgent, REMOTE_THINK_MS };
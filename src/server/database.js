@@ -40,15 +40,39 @@ async function initialize() {
     }
 }
 
+// Whether a database is configured (otherwise everything is memory-only)
+function isConnected() {
+    return !!pool;
+}
+
+// Run queries in a single database transaction
+async function withTransaction(fn) {
+    if (!pool) return null;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
 // Get room tiers
 async function getRoomTiers() {
     if (!pool) {
         // Default tiers for memory mode
         return [
-            { id: 1, name: 'Free', buy_in: 0, platform_fee: 0.20 },
-            { id: 2, name: 'Micro', buy_in: 0.10, platform_fee: 0.20 },
-            { id: 3, name: 'Low', buy_in: 0.50, platform_fee: 0.20 },
-            { id: 4, name: 'Medium', buy_in: 1.00, platform_fee: 0.20 }
+            { id: 1, name: 'Free', buy_in: 0, platform_fee: 0.20, tick_rate: 60, snapshot_rate: 20, leaderboard_rate: 1,
+                bot_target: 10, bot_min: 0, bot_mix: { easy: 2, normal: 1 } },
+            { id: 2, name: 'Micro', buy_in: 0.10, platform_fee: 0.20, tick_rate: 60, snapshot_rate: 20, leaderboard_rate: 1 },
+            { id: 3, name: 'Low', buy_in: 0.50, platform_fee: 0.20, tick_rate: 60, snapshot_rate: 20, leaderboard_rate: 1 },
+            { id: 4, name: 'Medium', buy_in: 1.00, platform_fee: 0.20, tick_rate: 60, snapshot_rate: 20, leaderboard_rate: 1 }
         ];
     }
 
@@ -91,15 +115,17 @@ async function getTierById(tierId) {
 }
 
 // Create room record
-async function createRoom(roomId, tierId, hathoraRoomId = null) {
+// `details` - { isPrivate, inviteCode, ownerId, rules }
+async function createRoom(roomId, tierId, hathoraRoomId = null, details = {}) {
     if (!pool) return null;
 
     try {
         const result = await pool.query(
-            `INSERT INTO rooms (id, tier_id, hathora_room_id)
-             VALUES ($1, $2, $3)
+            `INSERT INTO rooms (id, tier_id, hathora_room_id, is_private, invite_code, owner_id, rules)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
              RETURNING *`,
-            [roomId, tierId, hathoraRoomId]
+            [roomId, tierId, hathoraRoomId, !!details.isPrivate, details.inviteCode || null,
+                details.ownerId || null, details.rules ? JSON.stringify(details.rules) : null]
         );
         return result.rows[0];
     } catch (error) {
@@ -108,16 +134,35 @@ async function createRoom(roomId, tierId, hathoraRoomId = null) {
     }
 }
 
+// Find or create the player for a Clerk user
+async function upsertPlayer(clerkUserId) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO players (clerk_user_id)
+             VALUES ($1)
+             ON CONFLICT (clerk_user_id) DO UPDATE SET last_seen_at = NOW()
+             RETURNING *`,
+            [clerkUserId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error('[DATABASE] upsertPlayer error:', error.message);
+        return null;
+    }
+}
+
 // Log player session
-async function logSession(roomId, socketId, name, buyIn) {
+async function logSession(roomId, socketId, name, buyIn, sessionId = null, playerId = null) {
     if (!pool) return null;
 
     try {
         const result = await pool.query(
-            `INSERT INTO room_sessions (room_id, socket_id, name, buy_in)
-             VALUES ($1, $2, $3, $4)
+            `INSERT INTO room_sessions (id, room_id, socket_id, name, buy_in, player_id)
+             VALUES (COALESCE($5, gen_random_uuid()), $1, $2, $3, $4, $6)
              RETURNING *`,
-            [roomId, socketId, name, buyIn]
+            [roomId, socketId, name, buyIn, sessionId, playerId]
         );
         return result.rows[0];
     } catch (error) {
@@ -145,16 +190,35 @@ async function updateSessionCashout(socketId, earnings, kills) {
     }
 }
 
+// Point a session at the socket that resumed it
+async function updateSessionSocket(sessionId, socketId) {
+    if (!pool || !sessionId) return null;
+
+    try {
+        const result = await pool.query(
+            `UPDATE room_sessions SET socket_id = $2 WHERE id = $1 RETURNING *`,
+            [sessionId, socketId]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error('[DATABASE] updateSessionSocket error:', error.message);
+        return null;
+    }
+}
+
 // Log a kill
-async function logKill(roomId, killerSocket, killerName, victimSocket, victimName, bounty) {
+async function logKill(roomId, killerSocket, killerName, victimSocket, victimName, bounty,
+    killerPlayerId = null, victimPlayerId = null, killId = null) {
     if (!pool) return null;
 
     try {
         const result = await pool.query(
-            `INSERT INTO kills (room_id, killer_socket, killer_name, victim_socket, victim_name, bounty)
-             VALUES ($1, $2, $3, $4, $5, $6)
+            `INSERT INTO kills (id, room_id, killer_socket, killer_name, victim_socket, victim_name, bounty,
+                                killer_player_id, victim_player_id)
+             VALUES (COALESCE($9, gen_random_uuid()), $1, $2, $3, $4, $5, $6, $7, $8)
              RETURNING *`,
-            [roomId, killerSocket || 'wall', killerName || 'the wall', victimSocket, victimName, bounty]
+            [roomId, killerSocket || 'wall', killerName || 'the wall', victimSocket, victimName, bounty,
+                killerPlayerId, victimPlayerId, killId]
         );
         return result.rows[0];
     } catch (error) {
@@ -163,8 +227,578 @@ async function logKill(roomId, killerSocket, killerName, victimSocket, victimNam
     }
 }
 
-// Get player stats
-async function getPlayerStats(socketId) {
+// Log an anti-cheat flag for review
+async function logPlayerFlag(roomId, socketId, playerName, reason, details) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO player_flags (room_id, socket_id, player_name, reason, details)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [roomId, socketId, playerName, reason, JSON.stringify(details)]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error('[DATABASE] logPlayerFlag error:', error.message);
+        return null;
+    }
+}
+
+// Write a ledger transaction and its entries atomically.
+// Returns false if the idempotency key was already recorded; throws if the
+// write fails, so the ledger can keep the money where it was.
+async function recordTransaction(tx) {
+    if (!pool) return null;
+
+    const amount = tx.entries.reduce((sum, entry) => sum + Math.max(0, entry.amount), 0) / 100;
+
+    try {
+        return await withTransaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO transactions (id, session_id, room_id, player_id, type, amount, idempotency_key,
+                                           metadata, flowglad_session_id, status)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'completed')
+                 ON CONFLICT (idempotency_key) DO NOTHING
+                 RETURNING *`,
+                [tx.id, tx.sessionId, tx.roomId, tx.playerId, tx.type, amount, tx.idempotencyKey,
+                    tx.metadata ? JSON.stringify(tx.metadata) : null, tx.flowgladSessionId]
+            );
+            // Already recorded (a retried deposit, or a repeat after a restart)
+            if (result.rows.length === 0) return false;
+
+            for (const entry of tx.entries) {
+                await client.query(
+                    `INSERT INTO ledger_entries (transaction_id, account_kind, owner_id, amount_cents)
+                     VALUES ($1, $2, $3, $4)`,
+                    [tx.id, entry.kind, entry.owner, entry.amount]
+                );
+            }
+            return result.rows[0];
+        });
+    } catch (error) {
+        console.error('[DATABASE] recordTransaction error:', error.message);
+        throw error;
+    }
+}
+
+// Balance of a ledger account in cents; throws if it can't be read
+async function getAccountBalance(kind, ownerId) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `SELECT COALESCE(SUM(amount_cents), 0) AS balance
+             FROM ledger_entries
+             WHERE account_kind = $1 AND owner_id = $2`,
+            [kind, ownerId]
+        );
+        return Number(result.rows[0].balance);
+    } catch (error) {
+        console.error('[DATABASE] getAccountBalance error:', error.message);
+        throw error;
+    }
+}
+
+// Session accounts with money still in them, with the player who bought in
+async function getOpenSessions() {
+    if (!pool) return [];
+
+    try {
+        const result = await pool.query(
+            `SELECT e.owner_id AS session_id,
+                    SUM(e.amount_cents) AS balance_cents,
+                    MIN(t.room_id) AS room_id,
+                    MIN(t.player_id) FILTER (WHERE t.type = 'buy_in') AS player_id
+             FROM ledger_entries e
+             JOIN transactions t ON t.id = e.transaction_id
+             WHERE e.account_kind = 'session'
+             GROUP BY e.owner_id
+             HAVING SUM(e.amount_cents) <> 0`
+        );
+        return result.rows;
+    } catch (error) {
+        console.error('[DATABASE] getOpenSessions error:', error.message);
+        return [];
+    }
+}
+
+// Store a join ticket (one per checkout session)
+async function createJoinTicket(ticket) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO join_tickets (id, flowglad_session_id, player_id, tier_id, amount_cents, status, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($7 / 1000.0))
+             ON CONFLICT (flowglad_session_id) DO NOTHING
+             RETURNING *`,
+            [ticket.id, ticket.checkoutSessionId, ticket.playerId, ticket.tierId,
+                ticket.amountCents, ticket.status, ticket.expiresAt]
+        );
+        return result.rows[0] || null;
+    } catch (error) {
+        console.error('[DATABASE] createJoinTicket error:', error.message);
+        return null;
+    }
+}
+
+// Get the ticket issued for a checkout session
+async function getTicketBySession(flowgladSessionId) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            'SELECT * FROM join_tickets WHERE flowglad_session_id = $1',
+            [flowgladSessionId]
+        );
+        return result.rows[0] || null;
+    } catch (error) {
+        console.error('[DATABASE] getTicketBySession error:', error.message);
+        return null;
+    }
+}
+
+// Get tickets that haven't been used or refunded
+async function getIssuedTickets() {
+    if (!pool) return [];
+
+    try {
+        const result = await pool.query(
+            `SELECT * FROM join_tickets WHERE status = 'issued'`
+        );
+        return result.rows;
+    } catch (error) {
+        console.error('[DATABASE] getIssuedTickets error:', error.message);
+        return [];
+    }
+}
+
+// Mark a ticket redeemed or refunded
+async function updateTicketStatus(ticketId, status) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `UPDATE join_tickets SET status = $2, updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [ticketId, status]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error('[DATABASE] updateTicketStatus error:', error.message);
+        return null;
+    }
+}
+
+// Store a new payout
+async function createPayout(payout) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO payouts (id, player_id, amount_cents, status, provider, attempts, next_attempt_at, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($7 / 1000.0), to_timestamp($8 / 1000.0))
+             RETURNING *`,
+            [payout.id, payout.playerId, payout.amountCents, payout.status, payout.provider,
+                payout.attempts, payout.nextAttemptAt, payout.createdAt]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error('[DATABASE] createPayout error:', error.message);
+        return null;
+    }
+}
+
+// Save a payout's status, retry state and provider transfers
+async function updatePayout(payout) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `UPDATE payouts
+             SET status = $2, attempts = $3, next_attempt_at = to_timestamp($4 / 1000.0),
+                 reference = $5, last_error = $6, transfers = $7, updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [payout.id, payout.status, payout.attempts, payout.nextAttemptAt, payout.reference, payout.lastError,
+                JSON.stringify(payout.transfers || [])]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error('[DATABASE] updatePayout error:', error.message);
+        return null;
+    }
+}
+
+// Get payouts not yet settled or failed
+async function getPendingPayouts() {
+    if (!pool) return [];
+
+    try {
+        const result = await pool.query(
+            `SELECT * FROM payouts WHERE status = 'pending'`
+        );
+        return result.rows;
+    } catch (error) {
+        console.error('[DATABASE] getPendingPayouts error:', error.message);
+        return [];
+    }
+}
+
+// Get a player's recent payouts
+async function getPlayerPayouts(playerId, limit = 20) {
+    if (!pool) return [];
+
+    try {
+        const result = await pool.query(
+            `SELECT * FROM payouts WHERE player_id = $1
+             ORDER BY created_at DESC
+             LIMIT $2`,
+            [playerId, limit]
+        );
+        return result.rows;
+    } catch (error) {
+        console.error('[DATABASE] getPlayerPayouts error:', error.message);
+        return [];
+    }
+}
+
+// Checkout sessions a player has deposited through
+async function getDepositSessions(playerId) {
+    if (!pool) return [];
+
+    try {
+        const result = await pool.query(
+            `SELECT DISTINCT flowglad_session_id FROM transactions
+             WHERE type = 'deposit' AND player_id = $1 AND flowglad_session_id IS NOT NULL`,
+            [playerId]
+        );
+        return result.rows.map(row => row.flowglad_session_id);
+    } catch (error) {
+        console.error('[DATABASE] getDepositSessions error:', error.message);
+        return [];
+    }
+}
+
+// A player's matchmaking rating
+async function getPlayerRating(playerId) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            'SELECT rating, games FROM player_ratings WHERE player_id = $1',
+            [playerId]
+        );
+        return result.rows[0] || null;
+    } catch (error) {
+        console.error('[DATABASE] getPlayerRating error:', error.message);
+        return null;
+    }
+}
+
+// Store a player's rating after it changes
+async function savePlayerRating(playerId, rating, games) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO player_ratings (player_id, rating, games)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (player_id) DO UPDATE SET rating = $2, games = $3, updated_at = NOW()
+             RETURNING *`,
+            [playerId, rating, games]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error('[DATABASE] savePlayerRating error:', error.message);
+        return null;
+    }
+}
+
+// Create a tournament
+async function createTournament(tournament) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO tournaments (id, name, entry_fee_cents, status, registration_opens_at, starts_at)
+             VALUES ($1, $2, $3, $4, to_timestamp($5 / 1000.0), to_timestamp($6 / 1000.0))
+             RETURNING *`,
+            [tournament.id, tournament.name, tournament.entryFeeCents, tournament.status,
+                tournament.registrationOpensAt, tournament.startsAt]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error('[DATABASE] createTournament error:', error.message);
+        return null;
+    }
+}
+
+// Save a tournament's status, round and prize pool
+async function updateTournament(tournament) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `UPDATE tournaments
+             SET status = $2, current_round = $3, prize_pool_cents = $4,
+                 finished_at = CASE WHEN $2 IN ('finished', 'cancelled') THEN NOW() ELSE finished_at END
+             WHERE id = $1
+             RETURNING *`,
+            [tournament.id, tournament.status, tournament.round, tournament.prizePoolCents]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error('[DATABASE] updateTournament error:', error.message);
+        return null;
+    }
+}
+
+// Insert or update a tournament entry
+async function saveTournamentEntry(tournamentId, entry) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO tournament_entries
+                (tournament_id, player_id, entry_id, name, status, placement, prize_cents, eliminated_round, registered_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, to_timestamp($9 / 1000.0))
+             ON CONFLICT (tournament_id, player_id) DO UPDATE
+             SET entry_id = $3, name = $4, status = $5, placement = $6, prize_cents = $7, eliminated_round = $8
+             RETURNING *`,
+            [tournamentId, entry.playerId, entry.entryId, entry.name, entry.status, entry.placement,
+                entry.prizeCents, entry.eliminatedRound, entry.registeredAt]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error('[DATABASE] saveTournamentEntry error:', error.message);
+        return null;
+    }
+}
+
+async function deleteTournamentEntry(tournamentId, playerId) {
+    if (!pool) return null;
+
+    try {
+        await pool.query(
+            'DELETE FROM tournament_entries WHERE tournament_id = $1 AND player_id = $2',
+            [tournamentId, playerId]
+        );
+        return true;
+    } catch (error) {
+        console.error('[DATABASE] deleteTournamentEntry error:', error.message);
+        return null;
+    }
+}
+
+// Record a finished round and its ranking (one bracket row per entrant)
+async function recordTournamentRound(tournamentId, round, roomId, startedAt, results) {
+    if (!pool) return null;
+
+    try {
+        return await withTransaction(async (client) => {
+            await client.query(
+                `INSERT INTO tournament_rounds (tournament_id, round, room_id, player_count, started_at, ended_at)
+                 VALUES ($1, $2, $3, $4, to_timestamp($5 / 1000.0), NOW())`,
+                [tournamentId, round, roomId, results.length, startedAt]
+            );
+            for (const result of results) {
+                await client.query(
+                    `INSERT INTO tournament_results
+                        (tournament_id, round, player_id, rank, length, kills, survived, advanced)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+                    [tournamentId, round, result.playerId, result.rank, result.length,
+                        result.kills, result.survived, result.advanced]
+                );
+            }
+            return true;
+        });
+    } catch (error) {
+        console.error('[DATABASE] recordTournamentRound error:', error.message);
+        return null;
+    }
+}
+
+// Tournaments not yet finished or cancelled, with their entries
+async function getOpenTournaments() {
+    if (!pool) return [];
+
+    try {
+        const result = await pool.query(
+            `SELECT t.*, COALESCE(json_agg(e.*) FILTER (WHERE e.player_id IS NOT NULL), '[]') AS entries
+             FROM tournaments t
+             LEFT JOIN tournament_entries e ON e.tournament_id = t.id
+             WHERE t.status NOT IN ('finished', 'cancelled')
+             GROUP BY t.id
+             ORDER BY t.starts_at`
+        );
+        return result.rows;
+    } catch (error) {
+        console.error('[DATABASE] getOpenTournaments error:', error.message);
+        return [];
+    }
+}
+
+// Start a replay part (its stream is written as the room plays)
+async function createReplay(replay) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO replays (id, room_id, part, tier_id, tick_rate, start_tick, started_at)
+             VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($7 / 1000.0))
+             RETURNING *`,
+            [replay.id, replay.roomId, replay.part, replay.tierId, replay.tickRate, replay.startTick, replay.startedAt]
+        );
+        return result.rows[0];
+    } catch (error) {
+        console.error('[DATABASE] createReplay error:', error.message);
+        return null;
+    }
+}
+
+// Close a replay part, with its stream when replays are kept in the database
+async function finishReplay(replay, data = null) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `UPDATE replays
+             SET end_tick = $2, ended_at = to_timestamp($3 / 1000.0), player_ids = $4, kills = $5,
+                 data = COALESCE($6, data)
+             WHERE id = $1
+             RETURNING id`,
+            [replay.id, replay.endTick, replay.endedAt, replay.playerIds, replay.kills, data]
+        );
+        return result.rows[0] || null;
+    } catch (error) {
+        console.error('[DATABASE] finishReplay error:', error.message);
+        return null;
+    }
+}
+
+// A replay part's details, without its stream
+async function getReplay(replayId) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `SELECT id, room_id, part, tier_id, tick_rate, start_tick, end_tick, player_ids, kills,
+                    started_at, ended_at
+             FROM replays WHERE id = $1`,
+            [replayId]
+        );
+        return result.rows[0] || null;
+    } catch (error) {
+        console.error('[DATABASE] getReplay error:', error.message);
+        return null;
+    }
+}
+
+// A replay part's stored stream (gzipped), if it's kept in the database
+async function getReplayData(replayId) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query('SELECT data FROM replays WHERE id = $1', [replayId]);
+        return result.rows[0]?.data || null;
+    } catch (error) {
+        console.error('[DATABASE] getReplayData error:', error.message);
+        return null;
+    }
+}
+
+// Replays a player was in, newest first
+async function getPlayerReplays(playerId, limit = 20) {
+    if (!pool) return [];
+
+    try {
+        const result = await pool.query(
+            `SELECT id, room_id, part, tier_id, tick_rate, start_tick, end_tick, player_ids, kills,
+                    started_at, ended_at
+             FROM replays WHERE $1 = ANY(player_ids)
+             ORDER BY started_at DESC
+             LIMIT $2`,
+            [playerId, limit]
+        );
+        return result.rows;
+    } catch (error) {
+        console.error('[DATABASE] getPlayerReplays error:', error.message);
+        return [];
+    }
+}
+
+// Delete replays past retention; returns their IDs (to remove their files)
+async function deleteOldReplays(daysOld = 30) {
+    if (!pool) return [];
+
+    try {
+        const result = await pool.query(
+            `DELETE FROM replays
+             WHERE started_at < NOW() - make_interval(days => $1)
+             RETURNING id`,
+            [daysOld]
+        );
+        return result.rows.map(row => row.id);
+    } catch (error) {
+        console.error('[DATABASE] deleteOldReplays error:', error.message);
+        return [];
+    }
+}
+
+// Store a kill's clip (gzipped, see src/server/replays/clips.js)
+async function saveKillClip(killId, roomId, data) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO kill_clips (kill_id, room_id, data)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (kill_id) DO NOTHING
+             RETURNING kill_id`,
+            [killId, roomId, data]
+        );
+        return result.rows[0] || null;
+    } catch (error) {
+        console.error('[DATABASE] saveKillClip error:', error.message);
+        return null;
+    }
+}
+
+// A kill's stored clip (gzipped)
+async function getKillClip(killId) {
+    if (!pool) return null;
+
+    try {
+        const result = await pool.query('SELECT data FROM kill_clips WHERE kill_id = $1', [killId]);
+        return result.rows[0]?.data || null;
+    } catch (error) {
+        console.error('[DATABASE] getKillClip error:', error.message);
+        return null;
+    }
+}
+
+// Delete kill clips past retention (the kills themselves are kept)
+async function deleteOldKillClips(daysOld = 30) {
+    if (!pool) return 0;
+
+    try {
+        const result = await pool.query(
+            `DELETE FROM kill_clips
+             WHERE created_at < NOW() - make_interval(days => $1)`,
+            [daysOld]
+        );
+        return result.rowCount;
+    } catch (error) {
+        console.error('[DATABASE] deleteOldKillClips error:', error.message);
+        return 0;
+    }
+}
+
+// Get player stats (across every session and device)
+async function getPlayerStats(playerId) {
     if (!pool) return null;
 
     try {
@@ -175,8 +809,8 @@ async function getPlayerStats(socketId) {
                 SUM(deaths) as total_deaths,
                 SUM(earnings) as total_earnings
              FROM room_sessions
-             WHERE socket_id = $1`,
-            [socketId]
+             WHERE player_id = $1`,
+            [playerId]
         );
         return result.rows[0];
     } catch (error) {
@@ -222,12 +856,46 @@ async function cleanupOldSessions(hoursOld = 24) {
 
 module.exports = {
     initialize,
+    isConnected,
+    withTransaction,
+    upsertPlayer,
     getRoomTiers,
     getTierById,
     createRoom,
     logSession,
     updateSessionCashout,
+    updateSessionSocket,
     logKill,
+    logPlayerFlag,
+    recordTransaction,
+    getAccountBalance,
+    getOpenSessions,
+    createJoinTicket,
+    getTicketBySession,
+    getIssuedTickets,
+    updateTicketStatus,
+    createPayout,
+    updatePayout,
+    getPendingPayouts,
+    getPlayerPayouts,
+    getDepositSessions,
+    getPlayerRating,
+    savePlayerRating,
+    createTournament,
+    updateTournament,
+    saveTournamentEntry,
+    deleteTournamentEntry,
+    recordTournamentRound,
+    getOpenTournaments,
+    createReplay,
+    finishReplay,
+    getReplay,
+    getReplayData,
+    getPlayerReplays,
+    deleteOldReplays,
+    saveKillClip,
+    getKillClip,
+    deleteOldKillClips,
     getPlayerStats,
     getRecentKills,
     cleanupOldSessions
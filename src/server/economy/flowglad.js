@@ -43,16 +43,23 @@ async function initializeProducts() {
     }
 }
 
+/**
+ * Price ID for a buy-in amount (dollars), if one exists
+ */
+function priceIdFor(amount) {
+    return priceCache.get(Number(amount)) || null;
+}
+
 /**
  * Create checkout session for room buy-in
  */
-async function createCheckoutSession(playerId, playerName, successUrl, cancelUrl) {
+async function createCheckoutSession(playerId, playerName, tier, successUrl, cancelUrl) {
     try {
-        // Find a suitable price (any will do for demo)
-        const priceId = priceCache.values().next().value;
+        // The price must match the tier so the confirmed payment covers the seat
+        const priceId = priceIdFor(tier.buy_in);
 
         if (!priceId) {
-            console.log('[FLOWGLAD] Demo mode - no checkout created');
+            console.log(`[FLOWGLAD] Demo mode - no price for $${Number(tier.buy_in).toFixed(2)}, no checkout created`);
             return null;
         }
 
@@ -69,6 +76,7 @@ async function createCheckoutSession(playerId, playerName, successUrl, cancelUrl
                 outputMetadata: {
                     playerId,
                     playerName,
+                    tierId: tier.id,
                     game: 'slitherstakes'
                 }
             }
@@ -99,6 +107,60 @@ async function verifyPayment(sessionId) {
     }
 }
 
+/**
+ * Fetch a checkout session from Flowglad
+ * @returns {Object|null} The checkout session, or null if it can't be retrieved
+ */
+async function getCheckoutSession(sessionId) {
+    try {
+        const response = await flowglad.checkoutSessions.retrieve(sessionId);
+        return response.checkoutSession;
+    } catch (error) {
+        console.error('[FLOWGLAD] Retrieve error:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Payments made through a player's checkout sessions that can still be refunded
+ * @param {string[]} checkoutSessionIds
+ * @returns {Promise<Array>} [{ id, refundable }] with refundable in cents
+ */
+async function getRefundablePayments(checkoutSessionIds) {
+    const purchaseIds = new Set();
+    for (const sessionId of checkoutSessionIds) {
+        const session = await getCheckoutSession(sessionId);
+        if (session?.purchaseId) purchaseIds.add(session.purchaseId);
+    }
+    if (purchaseIds.size === 0) return [];
+
+    // Payments can't be filtered by purchase, so page through them
+    const payments = [];
+    let cursor = null;
+    do {
+        const page = await flowglad.payments.list(cursor ? { cursor } : {});
+        for (const payment of page.data) {
+            const refundable = payment.amount - (payment.refundedAmount || 0);
+            if (purchaseIds.has(payment.purchaseId) && payment.status === 'succeeded' && refundable > 0) {
+                payments.push({ id: payment.id, refundable });
+            }
+        }
+        cursor = page.hasMore ? page.nextCursor : null;
+    } while (cursor);
+
+    return payments;
+}
+
+/**
+ * Refund part of a payment (amount in cents). Throws on failure. Repeating
+ * a refund with the same idempotency key doesn't refund it again.
+ */
+async function refundPayment(paymentId, amountCents, idempotencyKey) {
+    console.log(`[FLOWGLAD] Refunding ${amountCents} cents of payment ${paymentId}`);
+    const response = await flowglad.payments.refund(paymentId, { partialAmount: amountCents }, { idempotencyKey });
+    return response.payment;
+}
+
 /**
  * Calculate bounty for a kill
  * Bounty = victim's value * (1 - platform fee)
@@ -130,6 +192,10 @@ module.exports = {
     initializeProducts,
     createCheckoutSession,
     verifyPayment,
+    getCheckoutSession,
+    priceIdFor,
+    getRefundablePayments,
+    refundPayment,
     calculateBounty,
     isConfigured,
     getConfig,
@@ -0,0 +1,397 @@
+/**
+ * Ledger
+ * Double-entry accounting for buy-ins, bounties, fees and cashouts
+ *
+ * Every money movement is one transaction whose entries sum to zero.
+ * Amounts are integer cents. Accounts are (kind, owner) pairs:
+ *   wallet   - a player's balance outside of rooms (owner: player ID)
+ *   session  - money staked in a room session (owner: session ID);
+ *              this is what a snake is worth
+ *   platform - platform fees
+ *   house    - pays bounties on unstaked snakes (bots) and battle royale
+ *              pots, and keeps stakes lost to walls, the zone or bots
+ *   ticket   - a confirmed payment waiting to be used for a seat
+ *              (owner: Flowglad checkout session ID)
+ *   payout   - a cashout on its way to the player (owner: payout ID)
+ *   prize    - a tournament's prize pool (owner: tournament ID)
+ *   external - money entering or leaving through payments
+ */
+
+const crypto = require('crypto');
+const db = require('../database');
+
+const ACCOUNT_KINDS = ['wallet', 'session', 'ticket', 'payout', 'prize', 'platform', 'house', 'external'];
+
+// Accounts holding player money; these can never go negative
+const FUNDED_KINDS = new Set(['wallet', 'session', 'ticket', 'payout', 'prize']);
+
+function toCents(dollars) {
+    return Math.round(Number(dollars || 0) * 100);
+}
+
+function fromCents(cents) {
+    return cents / 100;
+}
+
+class Ledger {
+    constructor(store = db) {
+        this.store = store;
+        this.balances = new Map(); // "kind:owner" -> cents
+        this.postedKeys = new Set(); // Idempotency keys seen by this process
+        this.queue = Promise.resolve(); // Persistence, in posting order
+        this.unsaved = new Set(); // In-play records whose writes failed, oldest first
+    }
+
+    accountKey(kind, owner) {
+        return `${kind}:${owner}`;
+    }
+
+    balance(kind, owner) {
+        return this.balances.get(this.accountKey(kind, owner)) || 0;
+    }
+
+    // Load a persisted balance (wallets) before posting against it
+    async loadBalance(kind, owner) {
+        const key = this.accountKey(kind, owner);
+        if (this.balances.has(key)) return this.balances.get(key);
+
+        await this.queue;
+        // Throws if the database can't be read; null only without a database
+        const stored = await this.store.getAccountBalance(kind, owner);
+        if (stored === null && this.store.isConnected()) {
+            throw new Error(`Could not load the ${key} balance`);
+        }
+        if (!this.balances.has(key)) {
+            this.balances.set(key, stored || 0);
+        }
+        return this.balances.get(key);
+    }
+
+    /**
+     * Post a balanced transaction, writing it in the background. For moves
+     * made mid-tick (settlement on leaving); a write that fails leaves the
+     * session open in the database, to be settled on restart.
+     * @param {Object} tx - { type, entries: [{ kind, owner, amount }], idempotencyKey?,
+     *   roomId?, sessionId?, playerId?, flowgladSessionId?, metadata? }
+     * @returns {Object|null} The posted transaction, or null if rejected
+     */
+    post(tx) {
+        const record = this.apply(tx);
+        if (record) {
+            this.persist(record).catch(error => console.error('[LEDGER] Persist error:', error.message));
+        }
+        return record;
+    }
+
+    /**
+     * Post a move between sessions still in play (kills, pots), writing it in
+     * the background. A write that fails is tried again ahead of the next
+     * write touching any of its sessions, so the database never records a
+     * cashout or settlement that counts a kill it doesn't have.
+     * @returns {Object|null} The posted transaction, or null if rejected
+     */
+    postInPlay(tx) {
+        const record = this.apply(tx);
+        if (record) {
+            this.persist(record, true).catch(error => {
+                console.error(`[LEDGER] Could not save ${record.type} for sessions ` +
+                    `${sessionsOf(record).join(', ')}; retrying before their next write:`, error.message);
+            });
+        }
+        return record;
+    }
+
+    /**
+     * Post a transaction and wait for it to be written. Buy-ins, cashouts,
+     * deposits and payouts go through here: if the write fails the balances
+     * are put back and the error is thrown, so the money doesn't move.
+     * @returns {Promise<Object|null>} The posted transaction, or null if
+     *   rejected (or already recorded by an earlier run)
+     */
+    async postAndPersist(tx) {
+        const record = this.apply(tx);
+        if (!record) return null;
+
+        let recorded;
+        try {
+            recorded = await this.persist(record);
+        } catch (error) {
+            console.error(`[LEDGER] Could not save ${tx.type}, reverting:`, error.message);
+            this.revert(record);
+            throw error;
+        }
+
+        if (recorded === false) {
+            this.revert(record);
+            return null;
+        }
+        return record;
+    }
+
+    // Validate a transaction and apply it to the balances
+    apply(tx) {
+        const entries = tx.entries.filter(entry => entry.amount !== 0);
+
+        const valid = entries.length > 0 && entries.every(entry =>
+            Number.isSafeInteger(entry.amount) && ACCOUNT_KINDS.includes(entry.kind) && entry.owner);
+        if (!valid || entries.reduce((sum, entry) => sum + entry.amount, 0) !== 0) {
+            console.error(`[LEDGER] Rejected unbalanced ${tx.type} transaction`);
+            return null;
+        }
+
+        if (tx.idempotencyKey && this.postedKeys.has(tx.idempotencyKey)) {
+            return null;
+        }
+
+        // Net change per account (an account may appear in several entries)
+        const changes = new Map();
+        for (const entry of entries) {
+            const key = this.accountKey(entry.kind, entry.owner);
+            changes.set(key, (changes.get(key) || 0) + entry.amount);
+        }
+
+        for (const entry of entries) {
+            const key = this.accountKey(entry.kind, entry.owner);
+            if (FUNDED_KINDS.has(entry.kind) && (this.balances.get(key) || 0) + changes.get(key) < 0) {
+                console.log(`[LEDGER] Insufficient funds in ${key} for ${tx.type}`);
+                return null;
+            }
+        }
+
+        for (const [key, change] of changes) {
+            this.balances.set(key, (this.balances.get(key) || 0) + change);
+        }
+        if (tx.idempotencyKey) {
+            this.postedKeys.add(tx.idempotencyKey);
+        }
+
+        return {
+            id: crypto.randomUUID(),
+            type: tx.type,
+            roomId: tx.roomId || null,
+            sessionId: tx.sessionId || null,
+            playerId: tx.playerId || null,
+            flowgladSessionId: tx.flowgladSessionId || null,
+            idempotencyKey: tx.idempotencyKey || null,
+            metadata: tx.metadata || null,
+            entries
+        };
+    }
+
+    // Undo an applied transaction whose write failed
+    revert(record) {
+        for (const entry of record.entries) {
+            const key = this.accountKey(entry.kind, entry.owner);
+            this.balances.set(key, (this.balances.get(key) || 0) - entry.amount);
+        }
+        if (record.idempotencyKey) {
+            this.postedKeys.delete(record.idempotencyKey);
+        }
+    }
+
+    /**
+     * Queue a transaction's write behind everything posted before it
+     * @param {boolean} inPlay - Keep it to write again if it fails (see postInPlay)
+     * @returns {Promise} Resolves with false if the database already had its
+     *   idempotency key; rejects if the write failed
+     */
+    persist(record, inPlay = false) {
+        const write = this.queue.then(async () => {
+            await this.writeUnsaved(record);
+            return this.store.recordTransaction(record);
+        });
+        // A failed write doesn't hold up the ones after it
+        this.queue = write.catch(() => {
+            if (inPlay) this.unsaved.add(record);
+        });
+        return write;
+    }
+
+    // Write failed in-play records that share a session with `record` first;
+    // throws (failing `record`'s write too) if one still can't be saved
+    async writeUnsaved(record) {
+        const sessions = sessionsOf(record);
+        for (const earlier of this.unsaved) {
+            if (!sessionsOf(earlier).some(sessionId => sessions.includes(sessionId))) continue;
+
+            await this.store.recordTransaction(earlier);
+            this.unsaved.delete(earlier);
+        }
+    }
+
+    // Wait for every posted transaction to be written
+    flush() {
+        return this.queue;
+    }
+
+    /**
+     * Stake a buy-in in a session, paid from a join ticket or else the wallet
+     * @param {Object} ticket - Redeemed ticket (see JoinTickets), if any
+     * @returns {Promise<Object|null>} The transaction, or null if the wallet
+     *   or ticket is short; rejects if it couldn't be saved
+     */
+    buyIn({ sessionId, playerId, roomId, amount, ticket = null }) {
+        const from = ticket
+            ? { kind: 'ticket', owner: ticket.checkoutSessionId }
+            : { kind: 'wallet', owner: playerId };
+
+        return this.postAndPersist({
+            type: 'buy_in',
+            roomId,
+            sessionId,
+            playerId,
+            entries: [
+                { ...from, amount: -amount },
+                { kind: 'session', owner: sessionId, amount }
+            ]
+        });
+    }
+
+    /**
+     * Settle a death. A staked victim's whole stake moves in one transaction:
+     * the fee to the platform and the rest to the killer's session (or the
+     * house when killed by a wall, a bot or an unstaked player). An unstaked
+     * victim is worth a house-funded bounty to a staked killer.
+     * @returns {Object} { bounty, fee } in cents
+     */
+    settleKill({ roomId, victimSessionId, killerSessionId, unstakedValue = 0, feeRate }) {
+        const stake = victimSessionId ? this.balance('session', victimSessionId) : 0;
+
+        if (stake > 0) {
+            const fee = Math.round(stake * feeRate);
+            const bounty = stake - fee;
+            const to = killerSessionId
+                ? { kind: 'session', owner: killerSessionId }
+                : { kind: 'house', owner: 'house' };
+
+            const posted = this.postInPlay({
+                type: killerSessionId ? 'kill_bounty' : 'forfeit',
+                roomId,
+                sessionId: victimSessionId,
+                metadata: { killerSessionId: killerSessionId || null },
+                entries: [
+                    { kind: 'session', owner: victimSessionId, amount: -stake },
+                    { kind: 'platform', owner: 'platform', amount: fee },
+                    { ...to, amount: bounty }
+                ]
+            });
+            return posted && killerSessionId ? { bounty, fee } : { bounty: 0, fee: posted ? fee : 0 };
+        }
+
+        if (killerSessionId && unstakedValue > 0) {
+            const bounty = Math.round(unstakedValue * (1 - feeRate));
+            const posted = this.postInPlay({
+                type: 'house_bounty',
+                roomId,
+                sessionId: killerSessionId,
+                entries: [
+                    { kind: 'house', owner: 'house', amount: -bounty },
+                    { kind: 'session', owner: killerSessionId, amount: bounty }
+                ]
+            });
+            return { bounty: posted ? bounty : 0, fee: 0 };
+        }
+
+        return { bounty: 0, fee: 0 };
+    }
+
+    /**
+     * Pay a battle royale round's pot from the house to the winner's session
+     * @returns {number} Cents paid
+     */
+    awardPot({ sessionId, playerId, roomId, round, amount }) {
+        const posted = this.postInPlay({
+            type: 'royale_pot',
+            roomId,
+            sessionId,
+            playerId,
+            idempotencyKey: `royale-pot:${roomId}:${round}`,
+            entries: [
+                { kind: 'house', owner: 'house', amount: -amount },
+                { kind: 'session', owner: sessionId, amount }
+            ]
+        });
+        return posted ? amount : 0;
+    }
+
+    /**
+     * Pay a session's balance into the player's wallet and forget the session
+     * @returns {number} Cents paid out
+     */
+    closeSession({ sessionId, playerId, roomId, type = 'cashout' }) {
+        const amount = this.balance('session', sessionId);
+        if (amount > 0) {
+            this.post(closeTransaction({ sessionId, playerId, roomId, type, amount }));
+        }
+
+        this.balances.delete(this.accountKey('session', sessionId));
+        return amount;
+    }
+
+    /**
+     * Pay a session's balance into the player's wallet, waiting for it to be
+     * saved. The session stays open (it may still win a bounty until the
+     * player leaves), and keeps its balance if the payment can't be saved.
+     * @returns {Promise<number>} Cents paid out
+     */
+    async payOutSession({ sessionId, playerId, roomId, type = 'cashout' }) {
+        const amount = this.balance('session', sessionId);
+        if (amount <= 0) return 0;
+
+        const paid = await this.postAndPersist(closeTransaction({ sessionId, playerId, roomId, type, amount }));
+        return paid ? amount : 0;
+    }
+
+    // Sessions still holding money at startup were cut off by a crash or
+    // restart; pay them out to their players' wallets
+    async settleOrphanedSessions() {
+        const sessions = await this.store.getOpenSessions();
+
+        for (const session of sessions) {
+            if (!session.player_id) {
+                console.error(`[LEDGER] Open session ${session.session_id} has no player`);
+                continue;
+            }
+
+            await this.loadBalance('wallet', session.player_id);
+            this.balances.set(this.accountKey('session', session.session_id), Number(session.balance_cents));
+            await this.payOutSession({
+                sessionId: session.session_id,
+                playerId: session.player_id,
+                roomId: session.room_id,
+                type: 'settlement'
+            });
+            this.balances.delete(this.accountKey('session', session.session_id));
+        }
+
+        if (sessions.length > 0) {
+            console.log(`[LEDGER] Settled ${sessions.length} orphaned sessions`);
+        }
+        return sessions.length;
+    }
+}
+
+// Session accounts a transaction moves money in or out of
+function sessionsOf(record) {
+    return record.entries.filter(entry => entry.kind === 'session').map(entry => entry.owner);
+}
+
+function closeTransaction({ sessionId, playerId, roomId, type, amount }) {
+    return {
+        type,
+        roomId,
+        sessionId,
+        playerId,
+        entries: [
+            { kind: 'session', owner: sessionId, amount: -amount },
+            { kind: 'wallet', owner: playerId, amount }
+        ]
+    };
+}
+
+module.exports = {
+    Ledger,
+    toCents,
+    fromCents,
+    ACCOUNT_KINDS
+};
@@ -0,0 +1,443 @@
+/**
+ * Payouts
+ * Sends cashed-out wallet balances to players through a payout provider
+ *
+ * Requesting a payout moves the money from the wallet into a `payout` ledger
+ * account (owned by the payout ID), so it can't be spent while in flight.
+ * A worker sends pending payouts in batches; a settled payout moves to
+ * `external`, and one that fails for good goes back to the wallet.
+ *
+ * Providers implement:
+ *   name                  - stored on each payout
+ *   send(payouts)         - Promise of [{ id, status, reference?, error?, sentCents? }]
+ *                           where status is 'settled', 'failed' (permanent)
+ *                           or 'retry' (try again later), and sentCents is
+ *                           what already reached the player of a payout
+ *                           that isn't settled
+ *   payable(playerId)     - optional; Promise of the most (in cents) the
+ *                           provider could ever pay the player. Payouts are
+ *                           capped at it, less what pending payouts still owe
+ * A provider that pays a payout in several transfers keeps them in
+ * `payout.transfers`, saved with the payout.
+ */
+
+const crypto = require('crypto');
+const db = require('../database');
+const flowglad = require('./flowglad');
+const { toCents, fromCents } = require('./ledger');
+
+// Payout limits, in dollars; balances above the maximum are paid over
+// several cashouts
+const MIN_PAYOUT = Number(process.env.PAYOUT_MIN || 1.00);
+const MAX_PAYOUT = Number(process.env.PAYOUT_MAX || 100.00);
+
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 30 * 1000; // Doubles with each attempt
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+// Finished payouts kept for players to look up (memory-only mode)
+const FINISHED_HISTORY = 500;
+
+class PayoutService {
+    constructor(ledger, provider = new FakePayoutProvider(), store = db) {
+        this.ledger = ledger;
+        this.provider = provider;
+        this.store = store;
+        this.minCents = toCents(MIN_PAYOUT);
+        this.maxCents = toCents(MAX_PAYOUT);
+        this.pending = new Map(); // payoutId -> payout
+        this.finished = new Map(); // payoutId -> payout, oldest first
+        this.processing = false;
+        this.onUpdate = null; // (payout) => void
+    }
+
+    // Reload payouts that were still pending before a restart
+    async load() {
+        const rows = await this.store.getPendingPayouts();
+        for (const row of rows) {
+            const payout = fromRow(row);
+            this.pending.set(payout.id, payout);
+            await this.ledger.loadBalance('payout', payout.id);
+        }
+        if (rows.length > 0) {
+            console.log(`[PAYOUTS] Loaded ${rows.length} pending payouts`);
+        }
+    }
+
+    /**
+     * Withdraw from a player's wallet into a pending payout
+     * @param {number} upToCents - Most to withdraw (the whole wallet by default)
+     * @returns {Promise<Object|null>} The payout, or null if it would be
+     *   below the minimum payout
+     */
+    async request(playerId, upToCents = Infinity, now = Date.now()) {
+        const balance = await this.ledger.loadBalance('wallet', playerId);
+        let amountCents = Math.min(balance, upToCents, this.maxCents);
+        if (this.provider.payable) {
+            amountCents = Math.min(amountCents, await this.provider.payable(playerId) - this.owed(playerId));
+        }
+        if (amountCents < this.minCents) return null;
+
+        const payout = {
+            id: crypto.randomUUID(),
+            playerId,
+            amountCents,
+            status: 'pending',
+            provider: this.provider.name,
+            attempts: 0,
+            nextAttemptAt: now,
+            reference: null,
+            lastError: null,
+            transfers: [],
+            createdAt: now
+        };
+
+        const withdrawal = await this.ledger.postAndPersist({
+            type: 'withdrawal',
+            playerId,
+            idempotencyKey: `payout:${payout.id}`,
+            metadata: { payoutId: payout.id },
+            entries: [
+                { kind: 'wallet', owner: playerId, amount: -payout.amountCents },
+                { kind: 'payout', owner: payout.id, amount: payout.amountCents }
+            ]
+        });
+        if (!withdrawal) return null;
+
+        // Without its row the payout wouldn't be reloaded after a restart
+        if (!(await this.store.createPayout(payout)) && this.store.isConnected()) {
+            await this.ledger.postAndPersist({
+                type: 'payout_reversal',
+                playerId,
+                idempotencyKey: `payout-failed:${payout.id}`,
+                metadata: { payoutId: payout.id, error: 'Could not save the payout' },
+                entries: [
+                    { kind: 'payout', owner: payout.id, amount: -payout.amountCents },
+                    { kind: 'wallet', owner: playerId, amount: payout.amountCents }
+                ]
+            }).catch(error => {
+                console.error(`[PAYOUTS] Could not return payout ${payout.id} to ${playerId}'s wallet:`, error.message);
+            });
+            throw new Error('Could not save the payout');
+        }
+        this.pending.set(payout.id, payout);
+
+        console.log(`[PAYOUTS] ${playerId} requested $${fromCents(payout.amountCents).toFixed(2)}`);
+        return payout;
+    }
+
+    // What a player's pending payouts have yet to send
+    owed(playerId) {
+        let cents = 0;
+        for (const payout of this.pending.values()) {
+            if (payout.playerId === playerId) cents += payout.amountCents - sentCents(payout);
+        }
+        return cents;
+    }
+
+    /**
+     * Send one batch of due payouts to the provider
+     * @returns {Promise<number>} Payouts sent
+     */
+    async processBatch(now = Date.now()) {
+        if (this.processing) return 0;
+
+        const batch = Array.from(this.pending.values())
+            .filter(payout => payout.nextAttemptAt <= now)
+            .slice(0, BATCH_SIZE);
+        if (batch.length === 0) return 0;
+
+        this.processing = true;
+        try {
+            let results;
+            try {
+                results = await this.provider.send(batch);
+            } catch (error) {
+                results = batch.map(payout => ({ id: payout.id, status: 'retry', error: error.message }));
+            }
+
+            const byId = new Map((results || []).map(result => [result.id, result]));
+            for (const payout of batch) {
+                const result = byId.get(payout.id) || { status: 'retry', error: 'No result from provider' };
+                payout.attempts++;
+
+                try {
+                    if (result.status === 'settled') {
+                        await this.settle(payout, result.reference || null);
+                    } else if (result.status === 'failed' || payout.attempts >= MAX_ATTEMPTS) {
+                        await this.fail(payout, result.error || 'Payout failed', result.sentCents || 0);
+                    } else {
+                        this.retry(payout, result.error || null, now);
+                    }
+                } catch (error) {
+                    // The outcome couldn't be saved; the provider is asked
+                    // again (with the same payout ID) on the next attempt
+                    this.retry(payout, error.message, now);
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+
+        return batch.length;
+    }
+
+    retry(payout, error, now) {
+        payout.lastError = error;
+        payout.nextAttemptAt = now + Math.min(RETRY_BASE_DELAY * 2 ** (payout.attempts - 1), MAX_RETRY_DELAY);
+        this.store.updatePayout(payout);
+        this.notify(payout);
+    }
+
+    async settle(payout, reference) {
+        await this.ledger.postAndPersist({
+            type: 'payout',
+            playerId: payout.playerId,
+            idempotencyKey: `payout-settled:${payout.id}`,
+            metadata: { payoutId: payout.id, provider: payout.provider, reference },
+            entries: [
+                { kind: 'payout', owner: payout.id, amount: -payout.amountCents },
+                { kind: 'external', owner: 'external', amount: payout.amountCents }
+            ]
+        });
+
+        payout.status = 'settled';
+        payout.reference = reference;
+        payout.lastError = null;
+        this.finish(payout);
+        console.log(`[PAYOUTS] Settled $${fromCents(payout.amountCents).toFixed(2)} to ${payout.playerId}`);
+    }
+
+    // Return the money to the wallet, less any part the provider already sent
+    async fail(payout, error, sentCents = 0) {
+        await this.ledger.loadBalance('wallet', payout.playerId);
+        await this.ledger.postAndPersist({
+            type: 'payout_reversal',
+            playerId: payout.playerId,
+            idempotencyKey: `payout-failed:${payout.id}`,
+            metadata: { payoutId: payout.id, provider: payout.provider, error, sentCents },
+            entries: [
+                { kind: 'payout', owner: payout.id, amount: -payout.amountCents },
+                { kind: 'external', owner: 'external', amount: sentCents },
+                { kind: 'wallet', owner: payout.playerId, amount: payout.amountCents - sentCents }
+            ]
+        });
+
+        payout.status = 'failed';
+        payout.lastError = error;
+        this.finish(payout);
+        console.error(`[PAYOUTS] Payout ${payout.id} failed after ${payout.attempts} attempts: ${error}`);
+    }
+
+    finish(payout) {
+        this.pending.delete(payout.id);
+        this.finished.set(payout.id, payout);
+        if (this.finished.size > FINISHED_HISTORY) {
+            this.finished.delete(this.finished.keys().next().value);
+        }
+        this.store.updatePayout(payout);
+        this.notify(payout);
+    }
+
+    notify(payout) {
+        if (this.onUpdate) {
+            this.onUpdate(payout);
+        }
+    }
+
+    /**
+     * A player's recent payouts, newest first
+     */
+    async list(playerId) {
+        const payouts = new Map();
+        for (const payout of [...this.pending.values(), ...this.finished.values()]) {
+            if (payout.playerId === playerId) payouts.set(payout.id, payout);
+        }
+        for (const row of await this.store.getPlayerPayouts(playerId)) {
+            if (!payouts.has(row.id)) payouts.set(row.id, fromRow(row));
+        }
+
+        return Array.from(payouts.values())
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(toView);
+    }
+}
+
+/**
+ * Local stand-in for tests and demo mode; settles everything unless told
+ * otherwise by `outcome(payout)` ('settled', 'failed' or 'retry')
+ */
+class FakePayoutProvider {
+    constructor(outcome = () => 'settled') {
+        this.name = 'fake';
+        this.outcome = outcome;
+        this.batches = []; // Payout IDs of every batch sent
+    }
+
+    async send(payouts) {
+        this.batches.push(payouts.map(payout => payout.id));
+        return payouts.map(payout => {
+            const status = this.outcome(payout);
+            return {
+                id: payout.id,
+                status,
+                reference: status === 'settled' ? `fake_${payout.id}` : null,
+                error: status === 'settled' ? null : `Fake ${status}`
+            };
+        });
+    }
+}
+
+/**
+ * Pays out through Flowglad. Flowglad can't send money to arbitrary
+ * accounts, so a payout is refunded across the player's buy-in payments,
+ * largest refundable first. A player can never be paid more than they
+ * deposited; winnings above that stay in the wallet. The split is saved with the payout before any
+ * refund is sent, and each refund's idempotency key is the payout ID and
+ * payment ID, so a retry (after a timeout or a restart) repeats the same
+ * refunds instead of paying again.
+ */
+class FlowgladPayoutProvider {
+    constructor(store = db, payments = flowglad) {
+        this.name = 'flowglad';
+        this.store = store;
+        this.payments = payments;
+    }
+
+    async send(payouts) {
+        const results = [];
+
+        // Refunds split out but not sent yet; deposits can only cover them once
+        const planned = new Map(); // paymentId -> cents
+        for (const payout of payouts) {
+            for (const transfer of payout.transfers.filter(transfer => !transfer.sent)) {
+                planned.set(transfer.paymentId, (planned.get(transfer.paymentId) || 0) + transfer.amountCents);
+            }
+        }
+
+        for (const payout of payouts) {
+            try {
+                if (payout.transfers.length === 0) {
+                    const transfers = await this.split(payout, planned);
+                    if (!transfers) {
+                        results.push({ id: payout.id, status: 'failed', error: 'Deposits too small to refund', sentCents: 0 });
+                        continue;
+                    }
+
+                    // A split that isn't saved could be made differently next time
+                    payout.transfers = transfers;
+                    if (this.store.isConnected() && !(await this.store.updatePayout(payout))) {
+                        payout.transfers = [];
+                        throw new Error('Could not save the refund split');
+                    }
+                    for (const transfer of transfers) {
+                        planned.set(transfer.paymentId, (planned.get(transfer.paymentId) || 0) + transfer.amountCents);
+                    }
+                }
+
+                for (const transfer of payout.transfers.filter(transfer => !transfer.sent)) {
+                    await this.payments.refundPayment(transfer.paymentId, transfer.amountCents,
+                        `${payout.id}:${transfer.paymentId}`);
+                    transfer.sent = true;
+                    planned.set(transfer.paymentId, planned.get(transfer.paymentId) - transfer.amountCents);
+                    this.store.updatePayout(payout);
+                }
+
+                results.push({
+                    id: payout.id,
+                    status: 'settled',
+                    reference: payout.transfers.map(transfer => transfer.paymentId).join(',')
+                });
+            } catch (error) {
+                results.push({ id: payout.id, status: 'retry', error: error.message, sentCents: sentCents(payout) });
+            }
+        }
+
+        return results;
+    }
+
+    // Everything still refundable of the player's deposits
+    async payable(playerId) {
+        const payments = await this.refundablePayments(playerId);
+        return payments.reduce((sum, payment) => sum + Math.max(0, payment.refundable), 0);
+    }
+
+    async refundablePayments(playerId) {
+        const checkoutSessionIds = await this.store.getDepositSessions(playerId);
+        return this.payments.getRefundablePayments(checkoutSessionIds);
+    }
+
+    /**
+     * Spread a payout across the player's refundable deposits
+     * @param {Map} planned - Cents of each payment already taken by other payouts
+     * @returns {Promise<Array|null>} [{ paymentId, amountCents, sent }], or
+     *   null if the deposits can't cover it
+     */
+    async split(payout, planned) {
+        const candidates = (await this.refundablePayments(payout.playerId))
+            .map(payment => ({ id: payment.id, refundable: payment.refundable - (planned.get(payment.id) || 0) }))
+            .filter(payment => payment.refundable > 0)
+            .sort((a, b) => b.refundable - a.refundable);
+
+        const transfers = [];
+        let remaining = payout.amountCents;
+        for (const payment of candidates) {
+            if (remaining === 0) break;
+            const amountCents = Math.min(remaining, payment.refundable);
+            transfers.push({ paymentId: payment.id, amountCents, sent: false });
+            remaining -= amountCents;
+        }
+
+        return remaining === 0 ? transfers : null;
+    }
+}
+
+function sentCents(payout) {
+    return payout.transfers
+        .filter(transfer => transfer.sent)
+        .reduce((sum, transfer) => sum + transfer.amountCents, 0);
+}
+
+// Flowglad when payments are configured (or PAYOUT_PROVIDER=flowglad), else the fake
+function createPayoutProvider(name = process.env.PAYOUT_PROVIDER) {
+    const provider = name || (flowglad.isConfigured() ? 'flowglad' : 'fake');
+    if (provider === 'flowglad') return new FlowgladPayoutProvider();
+    return new FakePayoutProvider();
+}
+
+function fromRow(row) {
+    return {
+        id: row.id,
+        playerId: row.player_id,
+        amountCents: Number(row.amount_cents),
+        status: row.status,
+        provider: row.provider,
+        attempts: row.attempts,
+        nextAttemptAt: new Date(row.next_attempt_at).getTime(),
+        reference: row.reference,
+        lastError: row.last_error,
+        transfers: row.transfers || [],
+        createdAt: new Date(row.created_at).getTime()
+    };
+}
+
+// What players see of a payout
+function toView(payout) {
+    return {
+        id: payout.id,
+        amount: fromCents(payout.amountCents),
+        status: payout.status,
+        attempts: payout.attempts,
+        error: payout.status === 'failed' ? payout.lastError : null,
+        createdAt: payout.createdAt
+    };
+}
+
+module.exports = {
+    PayoutService,
+    FakePayoutProvider,
+    FlowgladPayoutProvider,
+    createPayoutProvider,
+    toView
+};
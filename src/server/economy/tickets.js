@@ -0,0 +1,200 @@
+/**
+ * Join Tickets
+ * Single-use paid seats, issued once Flowglad confirms a buy-in
+ *
+ * Confirming a checkout deposits the buy-in into a `ticket` ledger account
+ * (owned by the checkout session ID, so retries land on the same account).
+ * Joining redeems the ticket and moves the money into the room session.
+ * Money left on expired tickets is refunded to the player's wallet.
+ */
+
+const crypto = require('crypto');
+const db = require('../database');
+const flowglad = require('./flowglad');
+const { toCents } = require('./ledger');
+
+// How long a confirmed payment can wait to be used
+const TICKET_TTL = 30 * 60 * 1000;
+
+class JoinTickets {
+    constructor(ledger, store = db, payments = flowglad) {
+        this.ledger = ledger;
+        this.store = store;
+        this.payments = payments;
+        this.tickets = new Map(); // ticketId -> ticket
+        this.bySession = new Map(); // checkout session ID -> ticketId
+        this.confirming = new Map(); // checkout session ID -> in-flight confirmation
+    }
+
+    // Reload tickets still waiting to be used after a restart
+    async load() {
+        const rows = await this.store.getIssuedTickets();
+        for (const row of rows) {
+            const ticket = fromRow(row);
+            this.remember(ticket);
+            await this.ledger.loadBalance('ticket', ticket.checkoutSessionId);
+        }
+        if (rows.length > 0) {
+            console.log(`[TICKETS] Loaded ${rows.length} unused tickets`);
+        }
+    }
+
+    remember(ticket) {
+        this.tickets.set(ticket.id, ticket);
+        this.bySession.set(ticket.checkoutSessionId, ticket.id);
+    }
+
+    findBySession(checkoutSessionId) {
+        const ticketId = this.bySession.get(checkoutSessionId);
+        return ticketId ? this.tickets.get(ticketId) : null;
+    }
+
+    /**
+     * Confirm a checkout with Flowglad and issue its ticket. Safe to call any
+     * number of times (webhook retries, client polling); a checkout session
+     * only ever produces one ticket.
+     * @param {string} checkoutSessionId
+     * @param {Map} tiers - tierId -> tier
+     * @returns {Promise<Object|null>} The ticket, or null if the payment isn't confirmed
+     */
+    confirmCheckout(checkoutSessionId, tiers) {
+        const existing = this.findBySession(checkoutSessionId);
+        if (existing) return Promise.resolve(existing);
+
+        if (!this.confirming.has(checkoutSessionId)) {
+            const confirmation = this.issue(checkoutSessionId, tiers)
+                .finally(() => this.confirming.delete(checkoutSessionId));
+            this.confirming.set(checkoutSessionId, confirmation);
+        }
+        return this.confirming.get(checkoutSessionId);
+    }
+
+    async issue(checkoutSessionId, tiers) {
+        // Issued before a restart (possibly already used)
+        const stored = await this.store.getTicketBySession(checkoutSessionId);
+        if (stored) {
+            const ticket = fromRow(stored);
+            this.remember(ticket);
+            return ticket;
+        }
+
+        const session = await this.payments.getCheckoutSession(checkoutSessionId);
+        if (!session || session.status !== 'succeeded') return null;
+
+        const metadata = session.outputMetadata || {};
+        const tier = tiers.get(Number(metadata.tierId));
+        if (!tier || typeof metadata.playerId !== 'string' || !metadata.playerId) {
+            console.error(`[TICKETS] Checkout ${checkoutSessionId} has no player or tier`);
+            return null;
+        }
+
+        // The price paid must be the tier's buy-in
+        if (!session.priceId || session.priceId !== this.payments.priceIdFor(tier.buy_in)) {
+            console.error(`[TICKETS] Checkout ${checkoutSessionId} price does not match tier ${tier.id}`);
+            return null;
+        }
+
+        const ticket = {
+            id: crypto.randomBytes(24).toString('base64url'),
+            checkoutSessionId,
+            playerId: metadata.playerId,
+            tierId: tier.id,
+            amountCents: toCents(tier.buy_in),
+            status: 'issued',
+            expiresAt: Date.now() + TICKET_TTL
+        };
+
+        // Saved before the ticket is issued; a failed write rejects, and the
+        // webhook or the client's next poll tries again
+        const deposit = await this.ledger.postAndPersist({
+            type: 'deposit',
+            idempotencyKey: `checkout:${checkoutSessionId}`,
+            playerId: ticket.playerId,
+            flowgladSessionId: checkoutSessionId,
+            entries: [
+                { kind: 'external', owner: 'external', amount: -ticket.amountCents },
+                { kind: 'ticket', owner: checkoutSessionId, amount: ticket.amountCents }
+            ]
+        });
+        if (!deposit) return null;
+
+        this.remember(ticket);
+        await this.store.createJoinTicket(ticket);
+
+        console.log(`[TICKETS] Issued ticket for ${ticket.playerId} (tier ${tier.id}, checkout ${checkoutSessionId})`);
+        return ticket;
+    }
+
+    /**
+     * Spend a ticket on a seat
+     * @returns {Promise<Object|null>} The ticket, or null if it isn't valid for this seat
+     */
+    async redeem(ticketId, tier, playerId) {
+        const ticket = typeof ticketId === 'string' ? this.tickets.get(ticketId) : null;
+        if (!ticket || ticket.status !== 'issued' || ticket.expiresAt <= Date.now()) return null;
+        if (ticket.playerId !== playerId || ticket.tierId !== tier.id) return null;
+        if (ticket.amountCents !== toCents(tier.buy_in)) return null;
+
+        // Spent before any await, so concurrent joins can't both use it
+        ticket.status = 'redeemed';
+
+        const balance = await this.ledger.loadBalance('ticket', ticket.checkoutSessionId);
+        if (balance < ticket.amountCents) {
+            console.error(`[TICKETS] Ticket for checkout ${ticket.checkoutSessionId} is underfunded`);
+            return null;
+        }
+
+        this.store.updateTicketStatus(ticket.id, 'redeemed');
+        return ticket;
+    }
+
+    // Refund whatever is left on expired tickets (unused, or a join that failed)
+    async expire(now = Date.now()) {
+        const expired = Array.from(this.tickets.values()).filter(ticket => ticket.expiresAt <= now);
+
+        for (const ticket of expired) {
+            const balance = this.ledger.balance('ticket', ticket.checkoutSessionId);
+            if (balance > 0) {
+                try {
+                    await this.ledger.loadBalance('wallet', ticket.playerId);
+                    await this.ledger.postAndPersist({
+                        type: 'refund',
+                        playerId: ticket.playerId,
+                        flowgladSessionId: ticket.checkoutSessionId,
+                        entries: [
+                            { kind: 'ticket', owner: ticket.checkoutSessionId, amount: -balance },
+                            { kind: 'wallet', owner: ticket.playerId, amount: balance }
+                        ]
+                    });
+                } catch (error) {
+                    // Kept for the next sweep
+                    console.error(`[TICKETS] Refund of ${ticket.checkoutSessionId} failed:`, error.message);
+                    continue;
+                }
+                console.log(`[TICKETS] Refunded expired ticket for ${ticket.playerId} to wallet`);
+            }
+
+            if (ticket.status === 'issued') {
+                ticket.status = 'refunded';
+                this.store.updateTicketStatus(ticket.id, 'refunded');
+            }
+
+            this.tickets.delete(ticket.id);
+            this.bySession.delete(ticket.checkoutSessionId);
+        }
+    }
+}
+
+function fromRow(row) {
+    return {
+        id: row.id,
+        checkoutSessionId: row.flowglad_session_id,
+        playerId: row.player_id,
+        tierId: row.tier_id,
+        amountCents: Number(row.amount_cents),
+        status: row.status,
+        expiresAt: new Date(row.expires_at).getTime()
+    };
+}
+
+module.exports = JoinTickets;
@@ -0,0 +1,69 @@
+/**
+ * Webhook Verification
+ * Flowglad delivers webhooks using the Standard Webhooks scheme: an HMAC-SHA256
+ * over "<id>.<timestamp>.<body>" keyed with the base64 secret (whsec_...)
+ */
+
+const crypto = require('crypto');
+
+// Reject deliveries signed longer ago (or further ahead) than this
+const TIMESTAMP_TOLERANCE = 5 * 60; // seconds
+
+/**
+ * Check a webhook signature
+ * @param {Buffer|string} payload - Raw request body, exactly as received
+ * @param {Object} headers - Request headers (lower-cased, as Express provides them)
+ * @param {string} secret - Endpoint signing secret
+ * @returns {boolean}
+ */
+function verifyWebhook(payload, headers, secret, now = Date.now()) {
+    if (!secret) return false;
+
+    const id = headers['webhook-id'] || headers['svix-id'];
+    const timestamp = headers['webhook-timestamp'] || headers['svix-timestamp'];
+    const signatures = headers['webhook-signature'] || headers['svix-signature'];
+    if (!id || !timestamp || !signatures) return false;
+
+    const seconds = Number(timestamp);
+    if (!Number.isInteger(seconds) || Math.abs(now / 1000 - seconds) > TIMESTAMP_TOLERANCE) {
+        return false;
+    }
+
+    const key = Buffer.from(secret.startsWith('whsec_') ? secret.slice(6) : secret, 'base64');
+    const expected = crypto.createHmac('sha256', key)
+        .update(`${id}.${timestamp}.`)
+        .update(payload)
+        .digest();
+
+    // Header holds space-separated "v1,<base64>" entries (several during key rotation)
+    return signatures.split(' ').some(entry => {
+        const [version, signature] = entry.split(',');
+        if (version !== 'v1' || !signature) return false;
+
+        const given = Buffer.from(signature, 'base64');
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    });
+}
+
+/**
+ * Find the checkout session an event refers to. The event body is only used
+ * to find the session; its status is always re-fetched from Flowglad.
+ * @returns {string|null}
+ */
+function checkoutSessionIdFrom(event) {
+    const data = event?.data;
+    if (!data || typeof data !== 'object') return null;
+
+    const candidates = [
+        data.checkoutSessionId,
+        data.checkoutSession?.id,
+        data.object?.checkoutSessionId
+    ];
+
+    return candidates.find(id => typeof id === 'string' && /^[\w-]{1,128}$/.test(id)) || null;
+}
+
+module.exports = {
+    verifyWebhook,
+    checkoutSessionIdFrom
+};
@@ -1,9 +1,14 @@
 /**
  * Bot Player
- * AI-controlled snake for populating rooms
+ * AI-controlled snake for populating rooms. Decisions are utility-scored:
+ * see think, and tactics.js for the geometry.
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { BOT_PROFILES } = require('./profiles');
+const { sampleFreeSpace, reachToward, interceptPoint, coilAngle, coilDirection, canCoil } = require('./tactics');
+const movement = require('../../shared/movement');
+const { BASE_TICK_RATE } = require('../rooms/schedule');
 
 const BOT_NAMES = [
     'Snek_Bot', 'AI_Slither', 'RoboWorm', 'ByteSnake', 'NPC_Steve',
@@ -12,181 +17,351 @@ const BOT_NAMES = [
     'SerpentX', 'NoodleBot', 'WiggleAI', 'ScaleBot', 'HissBot'
 ];
 
-// Bot difficulty settings
-const BOT_THINK_INTERVAL = 10; // Ticks between AI decisions
-const BOT_FOOD_SEEK_RADIUS = 300;
-const BOT_DANGER_RADIUS = 150;
-const BOT_WALL_MARGIN = 100;
-const BOT_BOOST_CHANCE = 0.01;
-const BOT_BOOST_COOLDOWN = 300; // Ticks
+// Boost bursts (ms) and the minimum time between random bursts
+const ESCAPE_BOOST_MS = 300;
+const HUNT_BOOST_MS = 300;
+const WANDER_BOOST_MS = 500;
+const HUNT_BOOST_COOLDOWN_MS = 3000;
+const WANDER_BOOST_COOLDOWN_MS = 5000;
+
+// Bots below this length never boost (it would shrink them to nothing)
+const MIN_BOOST_LENGTH = 15;
+const HUNT_BOOST_LENGTH = 30; // Length kept in reserve when boosting to hunt
+// Only boost towards at least this fraction of the lookahead of free space
+const BOOST_SAFETY = 0.6;
+const ESCAPE_BOOST_DISTANCE = 80; // Boost away from threats this close
+const CHASE_BOOST_DISTANCE = [150, 400]; // Boost after prey this far away
+
+// Option utilities before scaling by free space (see think)
+const WANDER_UTILITY = 0.1;
+const ESCAPE_UTILITY = 0.15; // Plus up to 1 with danger
+const FEED_UTILITY = 0.5;
+const CHASE_UTILITY = 0.5;
+const CUT_UTILITY = 0.7;
+const COIL_UTILITY = 0.8;
+const ZONE_UTILITY = 1;
+
+// Free space: a direction is open with this fraction of the lookahead free,
+// and a bot with fewer than this fraction of open directions is being trapped
+const OPEN_FRACTION = 0.6;
+const TRAPPED_OPENNESS = 0.35;
+
+// Sensing
+const SENSE_PADDING = 25; // Largest body radius (see CollisionDetector)
+const NECK_SEGMENTS = 3;
+const SEGMENT_STRIDE = 3; // Body segments sampled as obstacles
+const HEAD_ON_MARGIN = 3; // Heads within this many segments of our length draw
+const THREAT_LOOKAHEAD = [8, 16, 24]; // Ticks ahead a threatening head is avoided
+const FOOD_DISTANCE_BIAS = 40;
+
+// Hunting
+const HUNT_AGGRESSION = 0.7; // Bots hunt above this aggressiveness
+const CUT_MAX_TICKS = 90;
+const COIL_RATIO = 0.5; // Coil snakes up to this fraction of our length
+const COIL_SLACK = 1.2; // Body length needed per length of the circle
+const COIL_TIGHTEN = 0.3; // Radians inward from circling
 
 class BotPlayer {
-    constructor(room) {
-        this.id = `bot_${uuidv4().slice(0, 8)}`;
-        this.name = BOT_NAMES[Math.floor(Math.random() * BOT_NAMES.length)];
+    /**
+     * @param {string} profileName - Difficulty profile (see BOT_PROFILES)
+     */
+    constructor(room, profileName = 'normal') {
         this.room = room;
+        this.random = room?.random || Math.random;
+        this.id = `bot_${uuidv4().slice(0, 8)}`;
+        this.name = BOT_NAMES[Math.floor(this.random() * BOT_NAMES.length)];
         this.isBot = true;
+        this.profileName = BOT_PROFILES[profileName] ? profileName : 'normal';
+        this.profile = BOT_PROFILES[this.profileName];
+
+        // Profile times in this room's ticks
+        this.tickRate = room?.rates?.tickRate || BASE_TICK_RATE;
+        this.thinkInterval = this.ticks(this.profile.reactionMs);
+        this.huntCooldown = this.ticks(HUNT_BOOST_COOLDOWN_MS);
+        this.wanderCooldown = this.ticks(WANDER_BOOST_COOLDOWN_MS);
 
         // AI state
-        this.targetAngle = Math.random() * Math.PI * 2;
-        this.thinkTimer = Math.floor(Math.random() * BOT_THINK_INTERVAL); // Stagger thinking
-        this.boostTimer = 0;
+        this.targetAngle = this.random() * Math.PI * 2;
+        this.thinkTimer = Math.floor(this.random() * this.thinkInterval); // Stagger thinking
+        this.boostTimer = 0; // Ticks since the last burst
+        this.boostTicks = 0; // Ticks left in the current boost burst
         this.boosting = false;
+        this.coil = null; // { targetId, direction } while coiling around prey
+
+        // Behavior personality (adds variety within the profile)
+        const [minAggression, maxAggression] = this.profile.aggression;
+        this.aggressiveness = minAggression + this.random() * (maxAggression - minAggression); // 0 = passive, 1 = aggressive
+        this.foodPreference = 0.5 + this.random() * 0.5; // How much they prioritize food
+    }
 
-        // Behavior personality (adds variety)
-        this.aggressiveness = Math.random(); // 0 = passive, 1 = aggressive
-        this.foodPreference = 0.5 + Math.random() * 0.5; // How much they prioritize food
+    ticks(ms) {
+        return Math.max(1, Math.round(ms * this.tickRate / 1000));
     }
 
-    think(snakes, food, worldWidth, worldHeight) {
+    // Boost for a while (counted down in think)
+    burst(ms) {
+        this.boosting = true;
+        this.boostTicks = this.ticks(ms);
+    }
+
+    /**
+     * Decide where to head next. Each decision weighs a few options (wander,
+     * feed, hunt, escape, get back into the zone) by utility, scaled down
+     * sharply by how little free space lies in the option's direction.
+     * `spatial` is the room's snake index (see Room.indexSnakes).
+     */
+    think(snakes, food, worldWidth, worldHeight, spatial) {
+        const mySnake = snakes.get(this.id);
+
+        // Bursts end early rather than boosting the snake down to nothing
+        if (this.boostTicks > 0 && (--this.boostTicks === 0 || !mySnake || mySnake.length <= MIN_BOOST_LENGTH)) {
+            this.boostTicks = 0;
+            this.boosting = false;
+        }
+
         this.thinkTimer++;
-        if (this.thinkTimer < BOT_THINK_INTERVAL) return;
+        if (this.thinkTimer < this.thinkInterval) return;
         this.thinkTimer = 0;
 
-        const mySnake = snakes.get(this.id);
         if (!mySnake || !mySnake.alive) return;
 
-        const headX = mySnake.x;
-        const headY = mySnake.y;
+        const profile = this.profile;
 
-        // Find nearest food
-        let nearestFood = null;
-        let nearestFoodDist = Infinity;
-        const foodArray = Array.isArray(food) ? food : food.toArray();
+        const head = {
+            x: mySnake.x,
+            y: mySnake.y,
+            angle: mySnake.angle,
+            radius: mySnake.headRadius,
+            speed: mySnake.speed,
+            turnRate: mySnake.turnRate
+        };
 
-        for (const f of foodArray) {
-            const dist = Math.hypot(f.x - headX, f.y - headY);
-            if (dist < nearestFoodDist) {
-                nearestFoodDist = dist;
-                nearestFood = f;
-            }
-        }
+        // The zone edge is a wall while inside it, and the way back when not
+        const zone = this.room?.round?.zone || null;
+        const inZone = !zone || zone.contains(head.x, head.y);
 
-        // Find nearby danger (other snake heads)
-        let nearestDanger = null;
-        let nearestDangerDist = Infinity;
+        // Free space is sampled beyond the turning circle: longer snakes turn wider
+        const lookahead = profile.lookahead + head.speed / head.turnRate;
+        const senses = this.sense(mySnake, spatial, lookahead);
+        const bounds = { width: worldWidth, height: worldHeight, zone: zone && inZone ? zone : null };
+        const rays = sampleFreeSpace(head, senses.obstacles, bounds, profile.directions, lookahead);
 
-        for (const [id, snake] of snakes) {
-            if (id === this.id || !snake.alive) continue;
+        // Few open directions means something is closing around us
+        const open = rays.filter(ray => ray.free >= lookahead * OPEN_FRACTION).length / rays.length;
+        const trapped = open < TRAPPED_OPENNESS;
+        const threat = senses.threat ? 1 - senses.threatDist / profile.dangerRadius : 0;
 
-            // Check distance to other snake's head
-            const dist = Math.hypot(snake.x - headX, snake.y - headY);
-            if (dist < nearestDangerDist && dist < BOT_DANGER_RADIUS) {
-                // Only consider it danger if they're bigger or similar size
-                if (snake.length >= mySnake.length * 0.8) {
-                    nearestDangerDist = dist;
-                    nearestDanger = snake;
-                }
-            }
+        const options = [
+            this.wander(),
+            this.escape(rays, Math.max(threat, trapped ? 1 - open : 0), trapped || senses.threatDist < ESCAPE_BOOST_DISTANCE),
+            this.feed(head, food)
+        ];
 
-            // Check distance to other snake's body (collision danger)
-            for (const seg of snake.segments.slice(0, 10)) { // Check first 10 segments
-                const segDist = Math.hypot(seg.x - headX, seg.y - headY);
-                if (segDist < nearestDangerDist && segDist < BOT_DANGER_RADIUS) {
-                    nearestDangerDist = segDist;
-                    nearestDanger = { x: seg.x, y: seg.y, isBody: true };
-                }
-            }
+        if (senses.prey && this.aggressiveness > HUNT_AGGRESSION) {
+            options.push(this.hunt(mySnake, head, senses.prey, senses.preyDist, worldWidth, worldHeight));
+        } else {
+            this.coil = null;
         }
 
-        // Priority 1: Avoid walls
-        const wallAvoidance = this.calculateWallAvoidance(headX, headY, worldWidth, worldHeight);
-        if (wallAvoidance) {
-            this.targetAngle = wallAvoidance;
-            this.boostTimer = 0; // Don't boost near walls
-            return;
+        if (!inZone) {
+            options.push({
+                kind: 'zone',
+                angle: Math.atan2(zone.y - head.y, zone.x - head.x),
+                utility: ZONE_UTILITY,
+                boost: profile.boost.escape ? ESCAPE_BOOST_MS : 0,
+                cooldown: 0
+            });
         }
 
-        // Priority 2: Avoid danger
-        if (nearestDanger && nearestDangerDist < BOT_DANGER_RADIUS) {
-            // Flee from danger
-            const fleeAngle = Math.atan2(headY - nearestDanger.y, headX - nearestDanger.x);
-            this.targetAngle = fleeAngle;
-
-            // Boost to escape if we have length
-            if (mySnake.length > 15 && nearestDangerDist < 80) {
-                this.boosting = true;
-                setTimeout(() => { this.boosting = false; }, 300);
+        let best = null;
+        let bestScore = -1;
+        let bestSafety = 0;
+        for (const option of options) {
+            if (!option) continue;
+            const safety = Math.min(1, reachToward(rays, option.angle) / lookahead);
+            const score = option.utility * safety * safety;
+            if (score > bestScore) {
+                best = option;
+                bestScore = score;
+                bestSafety = safety;
             }
-            return;
         }
 
-        // Priority 3: Seek food
-        if (nearestFood && nearestFoodDist < BOT_FOOD_SEEK_RADIUS * this.foodPreference) {
-            this.targetAngle = Math.atan2(nearestFood.y - headY, nearestFood.x - headX);
-            return;
+        this.targetAngle = best.angle;
+
+        // Boost only with length to spare and room to use it, and ration
+        // bursts that aren't to get out of trouble
+        this.boostTimer += this.thinkInterval;
+        if (best.boost && !this.boosting && this.boostTimer > best.cooldown &&
+            mySnake.length > MIN_BOOST_LENGTH && bestSafety >= BOOST_SAFETY) {
+            this.boostTimer = 0;
+            this.burst(best.boost);
         }
+    }
+
+    /**
+     * Snakes around the head
+     * @returns {Object} { obstacles, threat, threatDist, prey, preyDist } -
+     *   obstacles: { x, y, radius } that would kill on contact, including
+     *   where threatening heads are about to be
+     */
+    sense(mySnake, spatial, lookahead) {
+        const profile = this.profile;
+        const headX = mySnake.x;
+        const headY = mySnake.y;
+        const range = Math.max(lookahead, profile.dangerRadius, profile.huntRadius);
+
+        const obstacles = [];
+        let threat = null;
+        let threatDist = Infinity;
+        let prey = null;
+        let preyDist = Infinity;
+
+        spatial.forEachNear(headX, headY, range + SENSE_PADDING, (entry) => {
+            const snake = entry.snake;
+            // Held snakes can't kill or be hunted
+            if (snake.id === this.id || !snake.alive || snake.held) return;
+
+            const dist = Math.hypot(entry.x - headX, entry.y - headY);
 
-        // Priority 4: Hunt smaller snakes (if aggressive)
-        if (this.aggressiveness > 0.7) {
-            let smallestPrey = null;
-            let smallestPreyDist = Infinity;
-
-            for (const [id, snake] of snakes) {
-                if (id === this.id || !snake.alive) continue;
-                if (snake.length < mySnake.length * 0.7) {
-                    const dist = Math.hypot(snake.x - headX, snake.y - headY);
-                    if (dist < smallestPreyDist && dist < 400) {
-                        smallestPreyDist = dist;
-                        smallestPrey = snake;
-                    }
+            if (entry.index >= 0) {
+                // The first segments behind a head don't kill (see CollisionDetector),
+                // and segments overlap enough that every few of them outline a body
+                if (entry.index >= NECK_SEGMENTS && entry.index % SEGMENT_STRIDE === 0 && dist < lookahead + SENSE_PADDING) {
+                    obstacles.push({ x: entry.x, y: entry.y, radius: snake.segmentRadius * (1 - entry.index * 0.01) });
                 }
+                return;
             }
 
-            if (smallestPrey) {
-                // Aim ahead of where they're going
-                const predictionTime = 10;
-                const predictX = smallestPrey.x + Math.cos(smallestPrey.angle) * smallestPrey.speed * predictionTime;
-                const predictY = smallestPrey.y + Math.sin(smallestPrey.angle) * smallestPrey.speed * predictionTime;
-                this.targetAngle = Math.atan2(predictY - headY, predictX - headX);
-                return;
+            // Head-on collisions are lost to longer snakes and drawn with similar
+            // ones, so their heads and where they're about to be are avoided
+            if (snake.length > mySnake.length - HEAD_ON_MARGIN && dist < lookahead + SENSE_PADDING) {
+                obstacles.push({ x: snake.x, y: snake.y, radius: snake.headRadius });
+                for (const ticks of THREAT_LOOKAHEAD) {
+                    obstacles.push({
+                        x: snake.x + Math.cos(snake.angle) * snake.speed * ticks,
+                        y: snake.y + Math.sin(snake.angle) * snake.speed * ticks,
+                        radius: snake.headRadius
+                    });
+                }
+                if (dist < profile.dangerRadius && dist < threatDist) {
+                    threatDist = dist;
+                    threat = snake;
+                }
             }
-        }
 
-        // Default: Random wandering with slight turns
-        this.targetAngle += (Math.random() - 0.5) * 0.3;
+            if (dist < profile.huntRadius && dist < preyDist && snake.length < mySnake.length * profile.preyRatio) {
+                preyDist = dist;
+                prey = snake;
+            }
+        });
 
-        // Occasional boost
-        this.boostTimer++;
-        if (this.boostTimer > BOT_BOOST_COOLDOWN && Math.random() < BOT_BOOST_CHANCE) {
-            this.boosting = true;
-            this.boostTimer = 0;
-            setTimeout(() => { this.boosting = false; }, 500);
-        }
+        return { obstacles, threat, threatDist, prey, preyDist };
     }
 
-    calculateWallAvoidance(x, y, worldWidth, worldHeight) {
-        // Check if near any wall
-        const margin = BOT_WALL_MARGIN;
+    // Drift with slight turns and the odd burst
+    wander() {
+        return {
+            kind: 'wander',
+            angle: this.targetAngle + (this.random() - 0.5) * 0.3,
+            utility: WANDER_UTILITY,
+            boost: this.random() < this.profile.boost.wanderChance ? WANDER_BOOST_MS : 0,
+            cooldown: this.wanderCooldown
+        };
+    }
 
-        if (x < margin) {
-            return 0; // Turn right (east)
-        }
-        if (x > worldWidth - margin) {
-            return Math.PI; // Turn left (west)
-        }
-        if (y < margin) {
-            return Math.PI / 2; // Turn down (south)
-        }
-        if (y > worldHeight - margin) {
-            return -Math.PI / 2; // Turn up (north)
+    // Head for the most open direction, more urgently the greater the danger
+    escape(rays, danger, urgent) {
+        let best = rays[0];
+        for (const ray of rays) {
+            if (ray.reach > best.reach) best = ray;
         }
 
-        // Corner handling
-        if (x < margin * 1.5 && y < margin * 1.5) {
-            return Math.PI / 4; // Southeast
-        }
-        if (x < margin * 1.5 && y > worldHeight - margin * 1.5) {
-            return -Math.PI / 4; // Northeast
+        return {
+            kind: 'escape',
+            angle: best.angle,
+            utility: ESCAPE_UTILITY + danger,
+            boost: urgent && this.profile.boost.escape ? ESCAPE_BOOST_MS : 0,
+            cooldown: 0
+        };
+    }
+
+    // Most food for the distance (remains of dead snakes are worth more)
+    feed(head, food) {
+        const reach = this.profile.foodRadius * this.foodPreference;
+        const foodArray = Array.isArray(food) ? food : food.getNearby(head.x, head.y, reach);
+
+        let best = null;
+        let bestScore = 0;
+        for (const f of foodArray) {
+            const dist = Math.hypot(f.x - head.x, f.y - head.y);
+            if (dist >= reach) continue;
+
+            const score = f.value / (dist + FOOD_DISTANCE_BIAS);
+            if (score > bestScore) {
+                bestScore = score;
+                best = f;
+            }
         }
-        if (x > worldWidth - margin * 1.5 && y < margin * 1.5) {
-            return Math.PI * 3 / 4; // Southwest
+        if (!best) return null;
+
+        return {
+            kind: 'feed',
+            angle: Math.atan2(best.y - head.y, best.x - head.x),
+            utility: FEED_UTILITY * this.foodPreference,
+            boost: 0,
+            cooldown: 0
+        };
+    }
+
+    // Coil around small prey, cut across the path of the rest, or chase
+    hunt(mySnake, head, prey, preyDist, worldWidth, worldHeight) {
+        const profile = this.profile;
+        const boost = profile.boost.hunt && mySnake.length > HUNT_BOOST_LENGTH ? HUNT_BOOST_MS : 0;
+
+        if (profile.tactics.coil && prey.length < mySnake.length * COIL_RATIO && canCoil(mySnake.length, preyDist, COIL_SLACK)) {
+            if (!this.coil || this.coil.targetId !== prey.id) {
+                this.coil = { targetId: prey.id, direction: coilDirection(head, prey) };
+            }
+
+            // Close the loop quickly once the body wraps around with room to spare
+            return {
+                kind: 'coil',
+                angle: coilAngle(head, prey, this.coil.direction, COIL_TIGHTEN),
+                utility: COIL_UTILITY * this.aggressiveness,
+                boost: canCoil(mySnake.length, preyDist, COIL_SLACK * 2) ? boost : 0,
+                cooldown: this.huntCooldown
+            };
         }
-        if (x > worldWidth - margin * 1.5 && y > worldHeight - margin * 1.5) {
-            return -Math.PI * 3 / 4; // Northwest
+        this.coil = null;
+
+        if (profile.tactics.cutOff) {
+            const cruise = interceptPoint(head, movement.speed(mySnake.length, false), prey, CUT_MAX_TICKS);
+            const dash = cruise || !boost ? null : interceptPoint(head, movement.speed(mySnake.length, true), prey, CUT_MAX_TICKS);
+            const point = cruise || dash;
+
+            if (point && point.x > head.radius && point.x < worldWidth - head.radius &&
+                point.y > head.radius && point.y < worldHeight - head.radius) {
+                return {
+                    kind: 'cut',
+                    angle: Math.atan2(point.y - head.y, point.x - head.x),
+                    utility: CUT_UTILITY * this.aggressiveness,
+                    boost: dash ? boost : 0,
+                    cooldown: this.huntCooldown
+                };
+            }
         }
 
-        return null; // No wall avoidance needed
+        // Aim ahead of where they're going, and close the gap on prey that's getting away
+        const predictX = prey.x + Math.cos(prey.angle) * prey.speed * profile.aimPrediction;
+        const predictY = prey.y + Math.sin(prey.angle) * prey.speed * profile.aimPrediction;
+        return {
+            kind: 'chase',
+            angle: Math.atan2(predictY - head.y, predictX - head.x),
+            utility: CHASE_UTILITY * this.aggressiveness,
+            boost: preyDist > CHASE_BOOST_DISTANCE[0] && preyDist < CHASE_BOOST_DISTANCE[1] ? boost : 0,
+            cooldown: this.huntCooldown
+        };
     }
 
     getInput() {
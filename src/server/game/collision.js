@@ -3,69 +3,75 @@
  * Handles snake-to-snake and snake-to-food collisions
  */
 
+// Largest head/segment radius a snake can reach (pads spatial queries)
+const MAX_BODY_RADIUS = 25;
+
 class CollisionDetector {
     constructor() {
         // Cache for performance
         this.collisionCache = new Map();
     }
 
-    // Check if a snake's head collides with another snake's body
-    checkSnakeCollision(snake, otherSnakes) {
+    // Check if a snake's head collides with another snake's body.
+    // `spatial` is the room's snake index (see Room.indexSnakes), so only
+    // segments in cells around the head are tested.
+    checkSnakeCollision(snake, spatial) {
         if (!snake.alive) return null;
 
         const headX = snake.x;
         const headY = snake.y;
         const headRadius = snake.headRadius;
+        let result = null;
+
+        spatial.forEachNear(headX, headY, headRadius + MAX_BODY_RADIUS, (entry) => {
+            if (result) return;
 
-        for (const other of otherSnakes) {
-            if (other.id === snake.id || !other.alive) continue;
+            const other = entry.snake;
+            // Held snakes (disconnected players) can't kill
+            if (other.id === snake.id || !other.alive || other.held) return;
 
-            // Check collision with other snake's body segments
-            // Skip the first few segments near their head (grace period)
-            const segments = other.getBodyPositions();
+            const dx = headX - entry.x;
+            const dy = headY - entry.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
 
-            for (let i = 3; i < segments.length; i++) {
-                const seg = segments[i];
-                const dx = headX - seg.x;
-                const dy = headY - seg.y;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-                const minDist = headRadius + seg.radius;
+            if (entry.index >= 0) {
+                // Skip the first few segments near their head (grace period)
+                if (entry.index < 3) return;
 
-                if (dist < minDist) {
-                    return {
+                // Segments get slightly smaller towards tail
+                const segRadius = other.segmentRadius * (1 - entry.index * 0.01);
+                if (dist < headRadius + segRadius) {
+                    result = {
                         killer: other,
                         victim: snake,
-                        segment: i
+                        segment: entry.index
                     };
                 }
+                return;
             }
 
-            // Head-to-head collision - both die
-            const otherHeadDx = headX - other.x;
-            const otherHeadDy = headY - other.y;
-            const otherHeadDist = Math.sqrt(otherHeadDx * otherHeadDx + otherHeadDy * otherHeadDy);
+            // Head-to-head collision
             const minHeadDist = headRadius + other.headRadius;
-
-            if (otherHeadDist < minHeadDist * 0.8) {
+            if (dist < minHeadDist * 0.8) {
                 // Head-to-head: the longer snake survives, or both die if similar length
                 if (Math.abs(snake.length - other.length) < 3) {
-                    return {
+                    result = {
                         killer: null, // Both die
                         victim: snake,
                         headToHead: true,
                         otherVictim: other
                     };
                 } else if (snake.length < other.length) {
-                    return {
+                    result = {
                         killer: other,
                         victim: snake,
                         headToHead: true
                     };
                 }
             }
-        }
+        });
 
-        return null;
+        return result;
     }
 
     // Check if snake head collides with food
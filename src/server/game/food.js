@@ -4,6 +4,9 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const SpatialGrid = require('./spatial');
+
+const FOOD_CELL_SIZE = 100;
 
 const FOOD_COLORS = [
     '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4',
@@ -12,11 +15,14 @@ const FOOD_COLORS = [
 ];
 
 class FoodManager {
-    constructor(worldWidth, worldHeight, targetFoodCount = 500) {
+    constructor(worldWidth, worldHeight, targetFoodCount = 500, random = Math.random) {
         this.worldWidth = worldWidth;
         this.worldHeight = worldHeight;
         this.targetFoodCount = targetFoodCount;
+        this.random = random;
         this.food = new Map();
+        this.nextNid = 1; // Compact numeric IDs for snapshots
+        this.grid = new SpatialGrid(worldWidth, worldHeight, FOOD_CELL_SIZE);
     }
 
     initialize() {
@@ -32,28 +38,46 @@ class FoodManager {
 
         const food = {
             id,
-            x: x !== null ? x : margin + Math.random() * (this.worldWidth - margin * 2),
-            y: y !== null ? y : margin + Math.random() * (this.worldHeight - margin * 2),
+            nid: this.nextNid++,
+            x: x !== null ? x : margin + this.random() * (this.worldWidth - margin * 2),
+            y: y !== null ? y : margin + this.random() * (this.worldHeight - margin * 2),
             value: value,
-            color: color || FOOD_COLORS[Math.floor(Math.random() * FOOD_COLORS.length)],
+            color: color || FOOD_COLORS[Math.floor(this.random() * FOOD_COLORS.length)],
             radius: 5 + value * 2
         };
 
         this.food.set(id, food);
+        this.grid.insert(food, food.x, food.y);
         return food;
     }
 
     // Add food from a dead snake
     addSnakeFood(foodArray) {
         for (const f of foodArray) {
-            this.food.set(f.id, {
+            const food = {
                 ...f,
+                nid: this.nextNid++,
                 radius: 5 + f.value * 2
-            });
+            };
+            this.food.set(f.id, food);
+            this.grid.insert(food, food.x, food.y);
         }
     }
 
+    // Add pellets dropped by a boosting snake (kept inside the world)
+    addBoostFood(foodArray) {
+        this.addSnakeFood(foodArray.map(f => ({
+            ...f,
+            x: Math.max(0, Math.min(this.worldWidth, f.x)),
+            y: Math.max(0, Math.min(this.worldHeight, f.y))
+        })));
+    }
+
     removeFood(id) {
+        const food = this.food.get(id);
+        if (!food) return false;
+
+        this.grid.remove(food);
         return this.food.delete(id);
     }
 
@@ -73,16 +97,17 @@ class FoodManager {
         return Array.from(this.food.values());
     }
 
-    // Get food near a position (for client culling)
+    // Get food near a position (for client culling, pickup and bot sensing)
     getNearby(x, y, radius) {
         const nearby = [];
-        for (const food of this.food.values()) {
+        const radiusSq = radius * radius;
+        this.grid.forEachNear(x, y, radius, (food) => {
             const dx = food.x - x;
             const dy = food.y - y;
-            if (dx * dx + dy * dy < radius * radius) {
+            if (dx * dx + dy * dy < radiusSq) {
                 nearby.push(food);
             }
-        }
+        });
         return nearby;
     }
 }
@@ -0,0 +1,149 @@
+/**
+ * Bot Profiles
+ * Difficulty profiles for BotPlayer and how many bots of which profiles a
+ * room runs. Tiers set a bot population and mix; private room rules can
+ * override both (see resolveRules).
+ */
+
+/**
+ * reactionMs     - Time between decisions
+ * foodRadius     - How far away food is noticed
+ * dangerRadius   - How close a threatening head gets before the bot steers clear
+ * huntRadius     - How far away prey is noticed (0 = never hunts)
+ * preyRatio      - Hunts snakes up to this fraction of its own length
+ * aimPrediction  - How far ahead of prey to aim (60Hz ticks; 0 = aims at the head)
+ * directions     - Directions sampled for free space each decision
+ * lookahead      - How far free space is sampled
+ * tactics        - { cutOff, coil }: cut across a target's path, and
+ *                  encircle snakes much smaller than itself
+ * boost          - { escape, hunt, wanderChance }: boost to flee, to catch
+ *                  prey, and the chance per decision of a random burst
+ * aggression     - [min, max] personality roll; bots hunt above 0.7
+ * rating         - Matchmaking rating of a snake controlled by this profile
+ */
+const BOT_PROFILES = {
+    easy: {
+        reactionMs: 350,
+        foodRadius: 200,
+        dangerRadius: 100,
+        huntRadius: 0,
+        preyRatio: 0,
+        aimPrediction: 0,
+        directions: 6,
+        lookahead: 150,
+        tactics: { cutOff: false, coil: false },
+        boost: { escape: false, hunt: false, wanderChance: 0.005 },
+        aggression: [0, 0.5],
+        rating: 800
+    },
+    normal: {
+        reactionMs: 170,
+        foodRadius: 300,
+        dangerRadius: 150,
+        huntRadius: 400,
+        preyRatio: 0.7,
+        aimPrediction: 10,
+        directions: 8,
+        lookahead: 220,
+        tactics: { cutOff: true, coil: false },
+        boost: { escape: true, hunt: false, wanderChance: 0.01 },
+        aggression: [0, 1],
+        rating: 1000
+    },
+    hard: {
+        reactionMs: 85,
+        foodRadius: 400,
+        dangerRadius: 220,
+        huntRadius: 500,
+        preyRatio: 0.8,
+        aimPrediction: 15,
+        directions: 12,
+        lookahead: 320,
+        tactics: { cutOff: true, coil: true },
+        boost: { escape: true, hunt: true, wanderChance: 0.01 },
+        aggression: [0.5, 1],
+        rating: 1300
+    },
+    hunter: {
+        reactionMs: 65,
+        foodRadius: 250,
+        dangerRadius: 180,
+        huntRadius: 800,
+        preyRatio: 1.2,
+        aimPrediction: 20,
+        directions: 16,
+        lookahead: 400,
+        tactics: { cutOff: true, coil: true },
+        boost: { escape: true, hunt: true, wanderChance: 0 },
+        aggression: [1, 1],
+        rating: 1500
+    }
+};
+
+// Most bots a room will run
+const MAX_BOTS = 20;
+
+// Tiers that don't set a mix get this one
+const DEFAULT_BOT_MIX = { normal: 1 };
+
+/**
+ * Normalize a bot mix: a profile name, or { profile: weight }
+ * @returns {Object|null} { profile: weight } with known profiles only, or null
+ */
+function normalizeMix(mix) {
+    if (typeof mix === 'string') {
+        return BOT_PROFILES[mix] ? { [mix]: 1 } : null;
+    }
+    if (!mix || typeof mix !== 'object') return null;
+
+    const normalized = {};
+    for (const [name, weight] of Object.entries(mix)) {
+        if (BOT_PROFILES[name] && Number.isFinite(Number(weight)) && Number(weight) > 0) {
+            normalized[name] = Number(weight);
+        }
+    }
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * A room's bot settings from its tier (bot_target, bot_min, bot_mix) and
+ * rules (botCount, botMix)
+ * @returns {Object} { count, target, min, mix } - `count` is a fixed bot
+ *   count (null = fill up to `target` snakes, keeping at least `min` bots)
+ */
+function resolveBotConfig(tier = {}, rules = {}) {
+    const pick = (value) => (Number.isFinite(Number(value)) ? Math.max(0, Math.min(MAX_BOTS, Math.round(Number(value)))) : 0);
+
+    return {
+        count: rules.botCount === null || rules.botCount === undefined ? null : pick(rules.botCount),
+        target: pick(tier.bot_target),
+        min: pick(tier.bot_min),
+        mix: normalizeMix(rules.botMix) || normalizeMix(tier.bot_mix) || DEFAULT_BOT_MIX
+    };
+}
+
+// Bots a room should have with this many real players
+function botTarget(config, realPlayers) {
+    if (config.count !== null) return config.count;
+    return Math.max(config.min, Math.min(MAX_BOTS, config.target - realPlayers));
+}
+
+// Weighted random profile name from a mix
+function pickProfile(mix, random = Math.random) {
+    const entries = Object.entries(mix);
+    let roll = random() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+    for (const [name, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return name;
+    }
+    return entries[entries.length - 1][0];
+}
+
+module.exports = {
+    BOT_PROFILES,
+    MAX_BOTS,
+    normalizeMix,
+    resolveBotConfig,
+    botTarget,
+    pickProfile
+};
@@ -0,0 +1,38 @@
+/**
+ * Seeded Random Numbers
+ * Drop-in replacement for Math.random, so a room started from the same
+ * seed plays out the same way (see rooms/simulation.js and replays/)
+ */
+
+// Seeds can be numbers or strings
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * @param {number|string} seed
+ * @returns {Function} () => number in [0, 1), like Math.random (mulberry32).
+ *   getState() and setState(state) save and restore its position in the
+ *   sequence (replay keyframes).
+ */
+function createRandom(seed) {
+    let state = hashSeed(seed);
+    function random() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    random.getState = () => state;
+    random.setState = (value) => {
+        state = value | 0;
+    };
+    return random;
+}
+
+module.exports = { createRandom };
@@ -4,29 +4,25 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const movement = require('../../shared/movement');
 
-// Constants
-const SEGMENT_SPACING = 5;
-const BASE_SPEED = 3;
-const BOOST_SPEED = 6;
-const _BOOST_MASS_COST = 0.5; // Mass lost per tick while boosting
-const HEAD_RADIUS = 15;
-const SEGMENT_RADIUS = 12;
-const INITIAL_LENGTH = 10;
-const MIN_LENGTH = 3;
-const TURN_RATE_BASE = 0.15; // Radians per tick
-const TURN_RATE_SCALE = 0.005; // Smaller = slower turn for longer snakes
+const { SEGMENT_SPACING, INITIAL_LENGTH, MIN_LENGTH } = movement;
 
 class Snake {
-    constructor(id, name, x, y, color) {
+    /**
+     * @param {Function} random - Random number source (the room's, see Room)
+     */
+    constructor(id, name, x, y, color, random = Math.random) {
         this.id = id;
+        this.netId = 0; // Compact numeric ID for snapshots (assigned by Room)
         this.name = name;
+        this.random = random;
         this.color = color || this.randomColor();
 
         // Head position and angle
         this.x = x;
         this.y = y;
-        this.angle = Math.random() * Math.PI * 2;
+        this.angle = this.random() * Math.PI * 2;
 
         // Target angle (where mouse is pointing)
         this.targetAngle = this.angle;
@@ -38,8 +34,13 @@ class Snake {
         // State
         this.alive = true;
         this.boosting = false;
+        this.boostDebt = 0; // Fractional boost mass owed (see update)
+        this.dropDebt = 0; // Fractional boost pellets owed (see boostFood)
+        this.growDebt = 0; // Fractional mass eaten but not grown yet (see grow)
+        this.zoneDebt = 0; // Fractional segments owed outside the safe zone (see Room.applyZoneDamage)
         this.kills = 0;
         this.value = 0; // In-game value (for bounty calculation)
+        this.held = false; // Owner disconnected; out of play (see Room.holdPlayer)
 
         // Stats
         this.maxLength = INITIAL_LENGTH;
@@ -52,7 +53,7 @@ class Snake {
             '#FFEAA7', '#DDA0DD', '#98D8C8', '#F7DC6F',
             '#BB8FCE', '#85C1E9', '#F8B500', '#00CED1'
         ];
-        return colors[Math.floor(Math.random() * colors.length)];
+        return colors[Math.floor(this.random() * colors.length)];
     }
 
     initializeSegments() {
@@ -70,97 +71,49 @@ class Snake {
     }
 
     get headRadius() {
-        return HEAD_RADIUS + Math.min(this.length * 0.1, 10);
+        return movement.headRadius(this.length);
     }
 
     get segmentRadius() {
-        return SEGMENT_RADIUS + Math.min(this.length * 0.08, 8);
+        return movement.segmentRadius(this.length);
     }
 
     // Turn rate decreases as snake gets longer (harder to maneuver)
     get turnRate() {
-        return Math.max(0.03, TURN_RATE_BASE - this.length * TURN_RATE_SCALE);
+        return movement.turnRate(this.length);
     }
 
     get speed() {
-        const baseSpeed = this.boosting ? BOOST_SPEED : BASE_SPEED;
-        // Slightly slower as snake grows
-        return baseSpeed - Math.min(this.length * 0.01, 1);
+        return movement.speed(this.length, this.boosting);
     }
 
     setTarget(x, y) {
         // Calculate angle to target
-        const dx = x - this.x;
-        const dy = y - this.y;
-        this.targetAngle = Math.atan2(dy, dx);
+        this.targetAngle = movement.angleTo(this.x, this.y, x, y);
     }
 
     setBoost(active) {
-        this.boosting = active && this.length > MIN_LENGTH;
+        this.boosting = active && movement.canBoost(this.length);
     }
 
-    update(worldWidth, worldHeight) {
-        if (!this.alive) return;
+    // dt is the step length in 60Hz ticks (2 at a 30Hz tick rate).
+    // Movement rules live in shared/movement so clients can predict them.
+    // Returns the segments lost to boosting.
+    update(worldWidth, worldHeight, dt = 1, boostCost = 1) {
+        if (!this.alive) return 0;
 
-        // Smoothly rotate towards target angle
-        let angleDiff = this.targetAngle - this.angle;
-
-        // Normalize angle difference to [-PI, PI]
-        while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
-        while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
-
-        // Apply turn rate
-        if (Math.abs(angleDiff) > this.turnRate) {
-            this.angle += Math.sign(angleDiff) * this.turnRate;
-        } else {
-            this.angle = this.targetAngle;
-        }
-
-        // Move head forward
-        const _prevX = this.x;
-        const _prevY = this.y;
-
-        this.x += Math.cos(this.angle) * this.speed;
-        this.y += Math.sin(this.angle) * this.speed;
-
-        // World boundary collision
-        const margin = this.headRadius;
-        if (this.x < margin || this.x > worldWidth - margin ||
-            this.y < margin || this.y > worldHeight - margin) {
-            this.x = Math.max(margin, Math.min(worldWidth - margin, this.x));
-            this.y = Math.max(margin, Math.min(worldHeight - margin, this.y));
-        }
-
-        // Update segments (follow the leader)
-        let leaderX = this.x;
-        let leaderY = this.y;
-
-        for (let i = 0; i < this.segments.length; i++) {
-            const seg = this.segments[i];
-            const dx = leaderX - seg.x;
-            const dy = leaderY - seg.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-
-            if (dist > SEGMENT_SPACING) {
-                const ratio = SEGMENT_SPACING / dist;
-                seg.x = leaderX - dx * ratio;
-                seg.y = leaderY - dy * ratio;
-            }
-
-            leaderX = seg.x;
-            leaderY = seg.y;
-        }
-
-        // Boosting costs mass
-        if (this.boosting && this.length > MIN_LENGTH) {
-            this.shrink(1);
-        }
+        return movement.step(this, worldWidth, worldHeight, dt, boostCost);
     }
 
     grow(amount = 1) {
         const lastSeg = this.segments[this.segments.length - 1] || { x: this.x, y: this.y };
 
-        for (let i = 0; i < amount; i++) {
+        // Boost pellets are worth part of a segment; the rest carries over
+        this.growDebt += amount;
+        const whole = Math.floor(this.growDebt);
+        this.growDebt -= whole;
+
+        for (let i = 0; i < whole; i++) {
             this.segments.push({
                 x: lastSeg.x,
                 y: lastSeg.y
@@ -191,6 +144,37 @@ class Snake {
         }));
     }
 
+    /**
+     * Pellets left behind the tail for mass lost to boosting
+     * @param {number} lost - Segments lost this step
+     * @param {number} rate - Pellets per segment lost (room rule)
+     * @param {number} value - Mass of each pellet (room rule)
+     */
+    boostFood(lost, rate, value) {
+        this.dropDebt += lost * rate;
+        const count = Math.floor(this.dropDebt);
+        this.dropDebt -= count;
+
+        // Just past the tail, continuing the body's line
+        const tail = this.segments[this.segments.length - 1] || this;
+        const prev = this.segments[this.segments.length - 2] || this;
+        const distance = Math.hypot(tail.x - prev.x, tail.y - prev.y) || 1;
+        const x = tail.x + (tail.x - prev.x) / distance * SEGMENT_SPACING;
+        const y = tail.y + (tail.y - prev.y) / distance * SEGMENT_SPACING;
+
+        const food = [];
+        for (let i = 0; i < count; i++) {
+            food.push({
+                id: uuidv4(),
+                x: x + (this.random() - 0.5) * 10,
+                y: y + (this.random() - 0.5) * 10,
+                value,
+                color: this.color
+            });
+        }
+        return food;
+    }
+
     // Convert snake to food dots when it dies
     toFood() {
         const food = [];
@@ -200,8 +184,8 @@ class Snake {
         for (let i = 0; i < 5; i++) {
             food.push({
                 id: uuidv4(),
-                x: this.x + (Math.random() - 0.5) * 30,
-                y: this.y + (Math.random() - 0.5) * 30,
+                x: this.x + (this.random() - 0.5) * 30,
+                y: this.y + (this.random() - 0.5) * 30,
                 value: 2,
                 color: this.color
             });
@@ -212,8 +196,8 @@ class Snake {
             for (let i = 0; i < foodPerSegment; i++) {
                 food.push({
                     id: uuidv4(),
-                    x: seg.x + (Math.random() - 0.5) * 20,
-                    y: seg.y + (Math.random() - 0.5) * 20,
+                    x: seg.x + (this.random() - 0.5) * 20,
+                    y: seg.y + (this.random() - 0.5) * 20,
                     value: 1,
                     color: this.color
                 });
@@ -227,6 +211,7 @@ class Snake {
     toJSON() {
         return {
             id: this.id,
+            netId: this.netId,
             name: this.name,
             color: this.color,
             x: this.x,
@@ -236,6 +221,7 @@ class Snake {
             length: this.length,
             alive: this.alive,
             boosting: this.boosting,
+            held: this.held,
             kills: this.kills,
             value: this.value
         };
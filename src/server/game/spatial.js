@@ -0,0 +1,90 @@
+/**
+ * Spatial Grid
+ * Uniform grid of cell buckets for fast proximity queries
+ */
+
+const DEFAULT_CELL_SIZE = 100;
+
+class SpatialGrid {
+    constructor(worldWidth, worldHeight, cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cols = Math.max(1, Math.ceil(worldWidth / cellSize));
+        this.rows = Math.max(1, Math.ceil(worldHeight / cellSize));
+
+        this.cells = new Map(); // cellKey -> Set of items
+        this.itemCells = new Map(); // item -> cellKey (for removal)
+    }
+
+    cellCoord(value, max) {
+        const c = Math.floor(value / this.cellSize);
+        return Math.max(0, Math.min(max - 1, c));
+    }
+
+    keyFor(x, y) {
+        return this.cellCoord(y, this.rows) * this.cols + this.cellCoord(x, this.cols);
+    }
+
+    // Add an item at a point. Items must not be inserted twice.
+    insert(item, x, y) {
+        const key = this.keyFor(x, y);
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = new Set();
+            this.cells.set(key, cell);
+        }
+        cell.add(item);
+        this.itemCells.set(item, key);
+    }
+
+    remove(item) {
+        const key = this.itemCells.get(item);
+        if (key === undefined) return false;
+
+        const cell = this.cells.get(key);
+        if (cell) {
+            cell.delete(item);
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
+        }
+        this.itemCells.delete(item);
+        return true;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.itemCells.clear();
+    }
+
+    get size() {
+        return this.itemCells.size;
+    }
+
+    // Visit every item in cells overlapping the query circle's bounding box.
+    // Callers do their own exact distance check (and pad the radius by the
+    // largest entity radius they care about).
+    forEachNear(x, y, radius, callback) {
+        const minCol = this.cellCoord(x - radius, this.cols);
+        const maxCol = this.cellCoord(x + radius, this.cols);
+        const minRow = this.cellCoord(y - radius, this.rows);
+        const maxRow = this.cellCoord(y + radius, this.rows);
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const cell = this.cells.get(row * this.cols + col);
+                if (!cell) continue;
+                for (const item of cell) {
+                    callback(item);
+                }
+            }
+        }
+    }
+
+    query(x, y, radius) {
+        const results = [];
+        this.forEachNear(x, y, radius, item => results.push(item));
+        return results;
+    }
+}
+
+module.exports = SpatialGrid;
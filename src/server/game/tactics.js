@@ -0,0 +1,160 @@
+/**
+ * Bot Tactics
+ * Geometry behind BotPlayer decisions: how much free space lies in each
+ * direction around a head, where a snake's path can be cut off, and the
+ * heading that coils around a snake
+ *
+ * Distances are in world units and times in 60Hz ticks, as in shared/movement.
+ */
+
+const movement = require('../../shared/movement');
+
+// Extra ticks a cut-off must arrive ahead of its target
+const CUT_LEAD = 10;
+const CUT_STEP = 5;
+
+// Turning travels roughly this fraction of the arc's length away from the
+// straight path, which counts against a direction's free space
+const TURN_DRIFT = 0.5;
+
+function normalizeAngle(angle) {
+    while (angle > Math.PI) angle -= Math.PI * 2;
+    while (angle < -Math.PI) angle += Math.PI * 2;
+    return angle;
+}
+
+// Distance along a ray to the nearest wall the head can't cross
+function wallDistance(head, cos, sin, width, height) {
+    const margin = head.radius;
+    let distance = Infinity;
+    if (cos > 0) distance = Math.min(distance, (width - margin - head.x) / cos);
+    if (cos < 0) distance = Math.min(distance, (margin - head.x) / cos);
+    if (sin > 0) distance = Math.min(distance, (height - margin - head.y) / sin);
+    if (sin < 0) distance = Math.min(distance, (margin - head.y) / sin);
+    return Math.max(0, distance);
+}
+
+// Distance along a ray to the edge of a circle the head is inside
+function zoneDistance(head, cos, sin, zone) {
+    const dx = head.x - zone.x;
+    const dy = head.y - zone.y;
+    const along = dx * cos + dy * sin;
+    const inside = zone.radius * zone.radius - (dx * dx + dy * dy);
+    return Math.max(0, -along + Math.sqrt(Math.max(0, along * along + inside)));
+}
+
+/**
+ * Sample free space around a head
+ * @param {Object} head - { x, y, angle, radius, speed, turnRate }
+ * @param {Object[]} obstacles - { x, y, radius } the head must not touch
+ * @param {Object} bounds - { width, height, zone } - zone is a circle to stay
+ *   inside ({ x, y, radius }) or null
+ * @param {number} directions - Rays, evenly spaced, the first straight ahead
+ * @param {number} lookahead - Longest ray
+ * @returns {Object[]} { angle, free, reach } - free: distance before the head
+ *   hits something; reach: free less the cost of turning that way
+ */
+function sampleFreeSpace(head, obstacles, bounds, directions, lookahead) {
+    const rays = [];
+
+    for (let i = 0; i < directions; i++) {
+        const turn = normalizeAngle(i * Math.PI * 2 / directions);
+        const angle = normalizeAngle(head.angle + turn);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        let free = Math.min(lookahead, wallDistance(head, cos, sin, bounds.width, bounds.height));
+        if (bounds.zone) {
+            free = Math.min(free, zoneDistance(head, cos, sin, bounds.zone));
+        }
+
+        for (const obstacle of obstacles) {
+            const dx = obstacle.x - head.x;
+            const dy = obstacle.y - head.y;
+            const along = dx * cos + dy * sin;
+            if (along <= 0 || along - obstacle.radius - head.radius >= free) continue;
+
+            const across = dx * sin - dy * cos;
+            const clearance = obstacle.radius + head.radius;
+            if (Math.abs(across) >= clearance) continue;
+
+            free = Math.max(0, along - Math.sqrt(clearance * clearance - across * across));
+        }
+
+        const turning = Math.abs(turn) / head.turnRate * head.speed * TURN_DRIFT;
+        rays.push({ angle, free, reach: Math.max(0, free - turning) });
+    }
+
+    return rays;
+}
+
+// Reach towards an angle: the nearest ray's, or the worse of the two rays
+// either side when it lies well between them
+function reachToward(rays, angle) {
+    const step = Math.PI * 2 / rays.length;
+    const offset = normalizeAngle(angle - rays[0].angle);
+    const position = (offset < 0 ? offset + Math.PI * 2 : offset) / step;
+    const nearest = Math.round(position);
+    if (Math.abs(position - nearest) < 0.25) {
+        return rays[nearest % rays.length].reach;
+    }
+
+    const before = rays[Math.floor(position) % rays.length];
+    const after = rays[Math.ceil(position) % rays.length];
+    return Math.min(before.reach, after.reach);
+}
+
+/**
+ * Earliest point on a snake's current path that a head can reach well
+ * before it does, so its body lies across the path
+ * @param {Object} head - { x, y }
+ * @param {number} speed - Pursuer speed per tick
+ * @param {Object} target - Snake ({ x, y, angle, speed })
+ * @param {number} maxTicks - Furthest ahead to look
+ * @returns {Object|null} { x, y, ticks }
+ */
+function interceptPoint(head, speed, target, maxTicks) {
+    const cos = Math.cos(target.angle);
+    const sin = Math.sin(target.angle);
+
+    for (let ticks = CUT_STEP; ticks <= maxTicks; ticks += CUT_STEP) {
+        const x = target.x + cos * target.speed * ticks;
+        const y = target.y + sin * target.speed * ticks;
+        const arrival = Math.hypot(x - head.x, y - head.y) / speed;
+        if (arrival + CUT_LEAD <= ticks) {
+            return { x, y, ticks };
+        }
+    }
+    return null;
+}
+
+/**
+ * Heading that circles a target while spiralling in
+ * @param {number} direction - 1 or -1 (see coilDirection)
+ * @param {number} tighten - Radians turned in from the tangent
+ */
+function coilAngle(head, target, direction, tighten) {
+    const toTarget = Math.atan2(target.y - head.y, target.x - head.x);
+    return normalizeAngle(toTarget - direction * (Math.PI / 2 - tighten));
+}
+
+// The way around a target that needs the least turning from the current heading
+function coilDirection(head, target) {
+    const toTarget = Math.atan2(target.y - head.y, target.x - head.x);
+    return normalizeAngle(toTarget - head.angle) >= 0 ? 1 : -1;
+}
+
+// Whether a snake this long can wrap around a circle of this radius
+function canCoil(length, radius, slack) {
+    return length * movement.SEGMENT_SPACING > Math.PI * 2 * radius * slack;
+}
+
+module.exports = {
+    normalizeAngle,
+    sampleFreeSpace,
+    reachToward,
+    interceptPoint,
+    coilAngle,
+    coilDirection,
+    canCoil
+};
@@ -0,0 +1,99 @@
+/**
+ * Safe Zone
+ * Shrinking circle for battle royale rounds. Each phase waits, then shrinks
+ * the circle towards a smaller one placed somewhere inside the current one.
+ */
+
+// { wait, shrink } in seconds; radius is a fraction of the starting radius
+const ZONE_PHASES = [
+    { wait: 30, shrink: 30, radius: 0.7 },
+    { wait: 20, shrink: 25, radius: 0.45 },
+    { wait: 15, shrink: 20, radius: 0.25 },
+    { wait: 10, shrink: 15, radius: 0.1 },
+    { wait: 10, shrink: 15, radius: 0 }
+];
+
+class SafeZone {
+    constructor(worldWidth, worldHeight, phases = ZONE_PHASES, random = Math.random) {
+        this.phases = phases;
+        this.random = random;
+
+        // Starts out covering the whole world
+        this.x = worldWidth / 2;
+        this.y = worldHeight / 2;
+        this.radius = Math.hypot(worldWidth, worldHeight) / 2;
+        this.startRadius = this.radius;
+
+        this.phase = -1;
+        this.elapsed = 0; // Seconds into the current phase
+        this.from = null; // Circle the current phase shrinks from
+        this.nextPhase();
+    }
+
+    get finished() {
+        return this.phase >= this.phases.length;
+    }
+
+    // Pick the next circle: it lies entirely inside the current one
+    nextPhase() {
+        this.phase++;
+        this.elapsed = 0;
+        this.from = { x: this.x, y: this.y, radius: this.radius };
+
+        if (this.finished) {
+            this.target = { ...this.from };
+            return;
+        }
+
+        const radius = this.startRadius * this.phases[this.phase].radius;
+        const slack = Math.max(0, this.radius - radius);
+        const angle = this.random() * Math.PI * 2;
+        const distance = Math.sqrt(this.random()) * slack;
+
+        this.target = {
+            x: this.x + Math.cos(angle) * distance,
+            y: this.y + Math.sin(angle) * distance,
+            radius
+        };
+    }
+
+    /**
+     * Advance the zone
+     * @param {number} seconds - Simulated time since the last update
+     */
+    update(seconds) {
+        if (this.finished) return;
+
+        this.elapsed += seconds;
+        const { wait, shrink } = this.phases[this.phase];
+        if (this.elapsed < wait) return;
+
+        const progress = Math.min(1, (this.elapsed - wait) / shrink);
+        this.x = this.from.x + (this.target.x - this.from.x) * progress;
+        this.y = this.from.y + (this.target.y - this.from.y) * progress;
+        this.radius = this.from.radius + (this.target.radius - this.from.radius) * progress;
+
+        if (progress >= 1) {
+            this.nextPhase();
+        }
+    }
+
+    contains(x, y) {
+        const dx = x - this.x;
+        const dy = y - this.y;
+        return dx * dx + dy * dy <= this.radius * this.radius;
+    }
+
+    toJSON() {
+        return {
+            x: this.x,
+            y: this.y,
+            radius: this.radius,
+            targetX: this.target.x,
+            targetY: this.target.y,
+            targetRadius: this.target.radius
+        };
+    }
+}
+
+module.exports = { SafeZone, ZONE_PHASES };
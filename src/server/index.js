@@ -13,6 +13,10 @@ const path = require('path');
 const RoomManager = require('./rooms/manager');
 const flowglad = require('./economy/flowglad');
 const db = require('./database');
+const { fromCents } = require('./economy/ledger');
+const { toView } = require('./economy/payouts');
+const { verifyWebhook, checkoutSessionIdFrom } = require('./economy/webhooks');
+const auth = require('./security/auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -25,18 +29,51 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 3000;
 
+// Initialize room manager
+const roomManager = new RoomManager(io);
+
 // Serve static files
 app.use(express.static(path.join(__dirname, '../client')));
-app.use(express.json());
 
-// Initialize room manager
-const roomManager = new RoomManager(io);
+// Flowglad webhooks (needs the raw body to check the signature, so it is
+// registered before the JSON parser). The event only says which checkout to
+// look at; payment status is re-fetched from Flowglad before a ticket is issued.
+app.post('/api/webhooks/flowglad', express.raw({ type: '*/*' }), async (req, res) => {
+    if (!verifyWebhook(req.body, req.headers, process.env.FLOWGLAD_WEBHOOK_SECRET)) {
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    let event;
+    try {
+        event = JSON.parse(req.body.toString('utf8'));
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid payload' });
+    }
+
+    const checkoutSessionId = checkoutSessionIdFrom(event);
+    if (!checkoutSessionId) {
+        return res.json({ received: true });
+    }
+
+    let ticket;
+    try {
+        ticket = await roomManager.tickets.confirmCheckout(checkoutSessionId, roomManager.tiers);
+    } catch (error) {
+        // Not acknowledged, so Flowglad sends it again
+        console.error(`[WEBHOOK] Could not confirm checkout ${checkoutSessionId}:`, error.message);
+        return res.status(500).json({ error: 'Could not confirm checkout' });
+    }
+    console.log(`[WEBHOOK] ${event.type || 'event'} for checkout ${checkoutSessionId}: ${ticket ? 'confirmed' : 'not paid'}`);
+    res.json({ received: true });
+});
+
+app.use(express.json());
 
 // API Routes
 app.get('/api/config', async (req, res) => {
     const config = flowglad.getConfig();
     const tiers = await db.getRoomTiers();
-    res.json({ ...config, tiers });
+    res.json({ ...config, tiers, authRequired: auth.isConfigured() });
 });
 
 app.get('/api/rooms', async (req, res) => {
@@ -44,19 +81,85 @@ app.get('/api/rooms', async (req, res) => {
     res.json(rooms);
 });
 
-app.post('/api/checkout', async (req, res) => {
-    const { playerId, playerName, tierId } = req.body;
+// Create a private room; returns its invite code
+app.post('/api/rooms/private', auth.requirePlayer, async (req, res) => {
+    const { tierId, password, rules } = req.body || {};
+
+    try {
+        const room = await roomManager.createPrivateRoom(Number(tierId), {
+            ownerId: req.player.id,
+            password: password || null,
+            rules: rules && typeof rules === 'object' ? rules : {}
+        });
+        const inviteCode = room.access.inviteCode;
+        res.json({
+            roomId: room.id,
+            inviteCode,
+            inviteUrl: `${req.protocol}://${req.get('host')}/?invite=${inviteCode}`,
+            rules: room.rules
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Resolve an invite link
+app.get('/api/rooms/invite/:code', (req, res) => {
+    const invite = roomManager.describeInvite(req.params.code);
+    if (!invite) {
+        return res.status(404).json({ error: 'Invite not found' });
+    }
+    res.json(invite);
+});
+
+// Upcoming, running and recent tournaments
+app.get('/api/tournaments', auth.optionalPlayer, (req, res) => {
+    res.json({ tournaments: roomManager.tournaments.list(req.player?.id || null) });
+});
+
+// A tournament with its standings
+app.get('/api/tournaments/:id', (req, res) => {
+    const tournament = roomManager.tournaments.get(req.params.id);
+    if (!tournament) {
+        return res.status(404).json({ error: 'Tournament not found' });
+    }
+    res.json(roomManager.tournaments.view(tournament));
+});
+
+// Enter a tournament (the entry fee comes from the wallet)
+app.post('/api/tournaments/:id/register', auth.requirePlayer, async (req, res) => {
+    try {
+        await roomManager.tournaments.register(req.params.id, req.player.id, req.body?.name);
+        res.json({ registered: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Leave a tournament before registration closes (refunds the entry fee)
+app.delete('/api/tournaments/:id/register', auth.requirePlayer, (req, res) => {
+    try {
+        roomManager.tournaments.unregister(req.params.id, req.player.id);
+        res.json({ registered: false });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/checkout', auth.requirePlayer, async (req, res) => {
+    const { playerName, tierId } = req.body;
     const tier = await db.getTierById(tierId);
 
-    if (!tier || tier.buy_in === 0) {
+    if (!tier || Number(tier.buy_in) === 0) {
         // Free tier - no payment needed
         return res.json({ success: true, demoMode: true });
     }
 
     const baseUrl = `${req.protocol}://${req.get('host')}`;
     const session = await flowglad.createCheckoutSession(
-        playerId,
+        req.player.id,
         playerName,
+        tier,
         `${baseUrl}/?payment=success&tier=${tierId}`,
         `${baseUrl}/?payment=cancelled`
     );
@@ -73,17 +176,164 @@ app.get('/api/verify-payment/:sessionId', async (req, res) => {
     res.json({ verified });
 });
 
+// Join ticket for a checkout, once the payment is confirmed. Also confirms
+// with Flowglad directly in case the webhook hasn't arrived yet.
+app.get('/api/tickets/:checkoutSessionId', auth.requirePlayer, async (req, res) => {
+    const { checkoutSessionId } = req.params;
+    if (!/^[\w-]{1,128}$/.test(checkoutSessionId)) {
+        return res.status(400).json({ error: 'Invalid checkout session' });
+    }
+
+    let ticket;
+    try {
+        ticket = await roomManager.tickets.confirmCheckout(checkoutSessionId, roomManager.tiers);
+    } catch (error) {
+        // The client keeps polling
+        return res.json({ status: 'pending' });
+    }
+    if (!ticket) {
+        return res.json({ status: 'pending' });
+    }
+    if (ticket.playerId !== req.player.id) {
+        return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    res.json({
+        status: ticket.status,
+        ticket: ticket.status === 'issued' ? ticket.id : null,
+        tierId: ticket.tierId
+    });
+});
+
+app.get('/api/wallet', auth.requirePlayer, async (req, res) => {
+    try {
+        const cents = await roomManager.ledger.loadBalance('wallet', req.player.id);
+        res.json({ balance: fromCents(cents) });
+    } catch (error) {
+        res.status(503).json({ error: 'Wallet unavailable' });
+    }
+});
+
+// Signed-in player's recent payouts
+app.get('/api/payouts', auth.requirePlayer, async (req, res) => {
+    const payouts = await roomManager.payouts.list(req.player.id);
+    res.json({ payouts });
+});
+
+// Withdraw the signed-in player's wallet (up to PAYOUT_MAX)
+app.post('/api/payouts', auth.requirePlayer, async (req, res) => {
+    try {
+        const payout = await roomManager.payouts.request(req.player.id);
+        if (!payout) {
+            return res.status(400).json({ error: `Payouts start at $${fromCents(roomManager.payouts.minCents).toFixed(2)}` });
+        }
+        res.json({ payout: toView(payout) });
+    } catch (error) {
+        res.status(503).json({ error: 'Could not request a payout. Please try again.' });
+    }
+});
+
+// Replays the signed-in player was in, newest first
+app.get('/api/replays', auth.requirePlayer, async (req, res) => {
+    const replays = await roomManager.replays.list(req.player.id);
+    res.json({ replays });
+});
+
+// A replay's details (players who were in it, and moderators)
+app.get('/api/replays/:id', auth.requirePlayer, async (req, res) => {
+    const replay = await roomManager.replays.store.get(req.params.id);
+    if (!replay || !roomManager.replays.store.canView(replay, req.player.id)) {
+        return res.status(404).json({ error: 'Replay not found' });
+    }
+    res.json(replay);
+});
+
+// A paid kill's clip (the kill feed and the death modal link to it)
+app.get('/api/kills/:id/clip', async (req, res) => {
+    const clip = await roomManager.clips.get(req.params.id);
+    if (!clip) {
+        return res.status(404).json({ error: 'Clip not found' });
+    }
+    res.json(clip);
+});
+
+// Local bot modules that can be put in a sandbox
+app.get('/api/sandbox/agents', (req, res) => {
+    res.json({ agents: Array.from(roomManager.agentModules.keys()) });
+});
+
+// Open a bot-only sandbox; remote bots join it on /bots with its key
+app.post('/api/sandbox', auth.requirePlayer, async (req, res) => {
+    const { agents, rules } = req.body || {};
+
+    try {
+        const room = await roomManager.createSandboxRoom({
+            ownerId: req.player.id,
+            agents: Array.isArray(agents) ? agents : [],
+            rules: rules && typeof rules === 'object' ? rules : {}
+        });
+        res.json({ ...roomManager.sandboxView(room), key: room.sandbox.key });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// A sandbox's agent standings
+app.get('/api/sandbox/:id', (req, res) => {
+    const room = roomManager.rooms.get(req.params.id);
+    if (!room?.sandbox) {
+        return res.status(404).json({ error: 'Sandbox not found' });
+    }
+    res.json(roomManager.sandboxView(room));
+});
+
+// Close a sandbox (owner only)
+app.delete('/api/sandbox/:id', auth.requirePlayer, (req, res) => {
+    const room = roomManager.rooms.get(req.params.id);
+    if (!room?.sandbox || room.sandbox.ownerId !== req.player.id) {
+        return res.status(404).json({ error: 'Sandbox not found' });
+    }
+    roomManager.closeSandbox(room.id);
+    res.json({ closed: true });
+});
+
+// Signed-in player's lifetime stats, matchmaking rating and wallet
+app.get('/api/me', auth.requirePlayer, async (req, res) => {
+    const stats = await db.getPlayerStats(req.player.id);
+    const rating = await roomManager.ratings.load(req.player.id);
+    let cents;
+    try {
+        cents = await roomManager.ledger.loadBalance('wallet', req.player.id);
+    } catch (error) {
+        return res.status(503).json({ error: 'Wallet unavailable' });
+    }
+    res.json({ playerId: req.player.id, stats, rating: Math.round(rating), balance: fromCents(cents) });
+});
+
+// Verify the handshake token; socket.data.player is null for guests
+io.use(auth.authenticateSocket);
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
     console.log(`[SOCKET] Player connected: ${socket.id}`);
 
+    // Per-player updates (payouts) reach all of a player's devices
+    if (socket.data.player) {
+        socket.join(`player:${socket.data.player.id}`);
+    }
+
     // Join a room by tier (optionally specify roomId)
     socket.on('join', async (data) => {
-        const { name, tierId, demoMode, roomId } = data;
-        console.log(`[SOCKET] ${name} joining tier ${tierId}${roomId ? ` (room: ${roomId})` : ''}`);
+        const { name, tierId, demoMode, roomId, ticket, invite, password, region } = data;
+        const playerId = socket.data.player?.id || null;
+        console.log(`[SOCKET] ${name} joining tier ${tierId}${roomId ? ` (room: ${roomId})` : ''}${invite ? ' (invite)' : ''}`);
 
         try {
-            const result = await roomManager.joinRoom(socket, name, tierId, demoMode, roomId);
+            roomManager.replays.close(socket.id);
+            roomManager.spectators.leave(socket.id);
+            const result = await roomManager.joinRoom(socket, {
+                name, tierId, demoMode, roomId, playerId, ticket, invite, password, region
+            });
             socket.emit('joined', result);
         } catch (error) {
             console.error('[SOCKET] Join error:', error);
@@ -91,14 +341,38 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Reclaim a snake held after a disconnect (resume token from 'joined')
+    socket.on('resume', (data) => {
+        try {
+            const result = roomManager.resumePlayer(socket, data?.token, socket.data.player?.id || null);
+            socket.emit('resumed', result);
+        } catch (error) {
+            socket.emit('resume_failed', { message: error.message });
+        }
+    });
+
+    // Follow a tournament; entrants in its lobby are seated when rounds start
+    socket.on('tournament_join', (data) => {
+        try {
+            roomManager.tournaments.watch(socket, data?.tournamentId, socket.data.player?.id || null);
+        } catch (error) {
+            socket.emit('error', { message: error.message });
+        }
+    });
+
     // Player input (mouse position)
     socket.on('input', (data) => {
         roomManager.handleInput(socket.id, data);
     });
 
+    // Snapshot acknowledgement (delta baseline)
+    socket.on('ack', (seq) => {
+        roomManager.handleAck(socket.id, seq);
+    });
+
     // Boost toggle
     socket.on('boost', (data) => {
-        roomManager.handleBoost(socket.id, data.active);
+        roomManager.handleBoost(socket.id, data);
     });
 
     // Cash out and leave
@@ -114,16 +388,106 @@ io.on('connection', (socket) => {
 
     // Respawn after death
     socket.on('respawn', async (data) => {
-        const result = await roomManager.respawnPlayer(socket.id, data.demoMode);
-        if (result) {
+        const result = await roomManager.respawnPlayer(socket.id, data?.demoMode);
+        if (result?.success) {
             socket.emit('respawned', result);
+        } else if (result) {
+            socket.emit('error', { message: result.message });
         }
     });
 
+    // Watch a replay (see src/server/replays); snapshots come as
+    // 'replay_snapshot', acknowledged with 'replay_ack'
+    socket.on('replay_open', async (data) => {
+        try {
+            roomManager.spectators.leave(socket.id);
+            const result = await roomManager.replays.open(socket, data, socket.data.player?.id || null);
+            socket.emit('replay_opened', result);
+        } catch (error) {
+            socket.emit('error', { message: error.message });
+        }
+    });
+
+    // Play, pause, speed or seek
+    socket.on('replay_control', (data) => {
+        roomManager.replays.control(socket.id, data);
+    });
+
+    socket.on('replay_ack', (seq) => {
+        roomManager.replays.acknowledge(socket.id, seq);
+    });
+
+    socket.on('replay_close', () => {
+        roomManager.replays.close(socket.id);
+    });
+
+    // Watch a live room without playing (see src/server/rooms/spectators.js);
+    // snapshots come as 'spectate_snapshot', acknowledged with 'spectate_ack'
+    socket.on('spectate', (data) => {
+        try {
+            roomManager.replays.close(socket.id);
+            socket.emit('spectating', roomManager.spectators.watch(socket, data));
+        } catch (error) {
+            socket.emit('error', { message: error.message });
+        }
+    });
+
+    // Follow the leader, a snake (by ID) or nobody: { follow }
+    socket.on('spectate_follow', (data) => {
+        roomManager.spectators.follow(socket.id, data?.follow);
+    });
+
+    // Free camera position: { x, y, zoom, full }
+    socket.on('spectate_camera', (data) => {
+        roomManager.spectators.camera(socket.id, data);
+    });
+
+    socket.on('spectate_ack', (seq) => {
+        roomManager.spectators.acknowledge(socket.id, seq);
+    });
+
+    socket.on('spectate_leave', () => {
+        roomManager.spectators.leave(socket.id);
+    });
+
     // Disconnect
     socket.on('disconnect', () => {
         console.log(`[SOCKET] Player disconnected: ${socket.id}`);
-        roomManager.removePlayer(socket.id);
+        roomManager.disconnectPlayer(socket.id);
+        roomManager.tournaments.disconnect(socket.id);
+        roomManager.replays.close(socket.id);
+        roomManager.spectators.leave(socket.id);
+    });
+});
+
+// External bots: observations out, inputs back (see src/server/agents)
+const bots = io.of('/bots');
+bots.use(auth.authenticateSocket);
+
+bots.on('connection', (socket) => {
+    if (!socket.data.player) {
+        socket.emit('error', { message: 'Sign in to connect a bot' });
+        socket.disconnect(true);
+        return;
+    }
+    console.log(`[AGENTS] Bot connected: ${socket.id}`);
+
+    // Take a seat in a sandbox: { key, name }
+    socket.on('join', (data) => {
+        try {
+            socket.emit('joined', roomManager.joinSandbox(socket, data));
+        } catch (error) {
+            socket.emit('error', { message: error.message });
+        }
+    });
+
+    // Answer to an observation: { seq, angle, boost }
+    socket.on('input', (data) => {
+        roomManager.handleAgentInput(socket.id, data);
+    });
+
+    socket.on('disconnect', () => {
+        roomManager.disconnectAgent(socket.id);
     });
 });
 
@@ -139,6 +503,21 @@ async function start() {
     await flowglad.initializeProducts();
     console.log('[FLOWGLAD] Initialized');
 
+    // Refuse to take real money without a trustworthy player identity
+    auth.checkConfiguration(flowglad.isConfigured());
+
+    // Load room tiers (buy-ins and per-tier rates), settle the ledger and load tickets
+    await roomManager.initialize();
+
+    // Refund confirmed buy-ins that were never used
+    setInterval(() => roomManager.tickets.expire(), 60000).unref();
+
+    // Send pending payouts
+    setInterval(() => roomManager.payouts.processBatch(), 10000).unref();
+
+    // Open registration, start and end rounds, schedule the next tournaments
+    setInterval(() => roomManager.tournaments.update(), 1000).unref();
+
     // Start game loop
     roomManager.startGameLoop();
     console.log('[GAME] Loop started');
@@ -148,6 +527,21 @@ async function start() {
     });
 }
 
-start().catch(console.error);
+// Write out pending ledger transactions and recordings before exiting
+async function shutdown(signal) {
+    console.log(`[SERVER] ${signal} received, shutting down...`);
+    roomManager.stopGameLoop();
+    await roomManager.ledger.flush();
+    await roomManager.replays.closeAll();
+    process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+start().catch((error) => {
+    console.error('[SERVER] Startup failed:', error.message);
+    process.exit(1);
+});
 
 module.exports = { app, server, io };
@@ -0,0 +1,257 @@
+/**
+ * Kill Clips
+ * Evidence for paid kills (ones that moved real money). Staked rooms keep a
+ * ring buffer of their last few seconds (ClipBuffer); a paid kill takes those
+ * seconds, the collision itself and a second after it as a clip, stored under
+ * the kill's ID and watched from the kill feed and the death modal.
+ *
+ * A clip's frames only hold the snakes near the collision (and always the
+ * killer and the victim), with rounded coordinates to keep clips small.
+ */
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+const db = require('../database');
+const { UUID_PATTERN } = require('./store');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const CLIP_VERSION = 1;
+const CLIP_RATE = 20; // Frames per second
+const BEFORE_SECONDS = 3;
+const AFTER_SECONDS = 1;
+const CLIP_RADIUS = 900; // Snakes with their head this close to the collision are kept
+const RETENTION_DAYS = Number(process.env.REPLAY_RETENTION_DAYS) || 30;
+
+// Finished clips kept in memory (the only copy in memory-only mode)
+const CACHE_SIZE = 200;
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// A snake as a clip draws it; segments are flattened to [x0, y0, x1, y1, ...]
+function frameSnake(snake) {
+    const segments = new Array(snake.segments.length * 2);
+    for (let i = 0; i < snake.segments.length; i++) {
+        segments[i * 2] = round(snake.segments[i].x);
+        segments[i * 2 + 1] = round(snake.segments[i].y);
+    }
+
+    return {
+        id: snake.id,
+        name: snake.name,
+        color: snake.color,
+        x: round(snake.x),
+        y: round(snake.y),
+        angle: Math.round(snake.angle * 1000) / 1000,
+        boosting: snake.boosting,
+        held: snake.held,
+        segments
+    };
+}
+
+// The last BEFORE_SECONDS of one room, a frame every few ticks
+class ClipBuffer {
+    constructor(room) {
+        this.room = room;
+        this.frameTicks = Math.max(1, Math.round(room.rates.tickRate / CLIP_RATE));
+        this.frames = new Array(BEFORE_SECONDS * CLIP_RATE);
+        this.next = 0; // Where the next frame goes
+        this.count = 0;
+        this.pending = []; // Clips still taking their frames after the kill
+    }
+
+    /**
+     * The room as it is now
+     * @param {Set<string>} victims - Snakes that died this tick, drawn where they died
+     */
+    capture(victims = null) {
+        const snakes = [];
+        for (const snake of this.room.snakes.values()) {
+            if (snake.alive || victims?.has(snake.id)) snakes.push(frameSnake(snake));
+        }
+        return {
+            tick: this.room.tick,
+            snakes,
+            zone: this.room.round?.zone?.toJSON() || null
+        };
+    }
+
+    // After each tick; returns the frame taken, if it was a frame tick
+    afterUpdate() {
+        if (this.room.tick % this.frameTicks !== 0) return null;
+
+        const frame = this.capture();
+        this.frames[this.next] = frame;
+        this.next = (this.next + 1) % this.frames.length;
+        this.count = Math.min(this.count + 1, this.frames.length);
+        return frame;
+    }
+
+    // Buffered frames, oldest first
+    recent() {
+        const frames = [];
+        for (let i = this.count; i > 0; i--) {
+            frames.push(this.frames[(this.next - i + this.frames.length) % this.frames.length]);
+        }
+        return frames;
+    }
+}
+
+class Clips {
+    constructor(store = db, { retentionDays = RETENTION_DAYS } = {}) {
+        this.store = store;
+        this.retentionDays = retentionDays;
+        this.buffers = new Map(); // roomId -> ClipBuffer
+        this.pending = new Map(); // killId -> { clip, waiters }
+        this.cache = new Map(); // killId -> clip, oldest first
+    }
+
+    // Only rooms with paid seats have paid kills (tournament rounds are free)
+    watch(room) {
+        if (this.buffers.has(room.id) || room.buyInCents === 0) return;
+
+        this.buffers.set(room.id, new ClipBuffer(room));
+    }
+
+    // The room closed; clips still being taken end where the room did
+    stop(room) {
+        const buffer = this.buffers.get(room.id);
+        if (!buffer) return;
+
+        for (const clip of buffer.pending) {
+            this.finish(clip);
+        }
+        this.buffers.delete(room.id);
+    }
+
+    // Whether a kill gets a clip (its event says so, for a watch button)
+    wants(room, kill) {
+        return !!kill.paid && this.buffers.has(room.id);
+    }
+
+    /**
+     * After each room update, once the kills have IDs (see RoomManager.broadcastKills)
+     * @param {Object[]} kills - This tick's kills
+     */
+    afterUpdate(room, kills) {
+        const buffer = this.buffers.get(room.id);
+        if (!buffer) return;
+
+        const clipped = kills.filter(kill => kill.clip);
+        if (clipped.length > 0) {
+            const moment = buffer.capture(new Set(kills.map(kill => kill.victimId)));
+            const before = buffer.recent();
+            for (const kill of clipped) {
+                buffer.pending.push(this.start(room, kill, before, moment));
+            }
+        }
+
+        const frame = buffer.afterUpdate();
+        if (buffer.pending.length === 0) return;
+
+        const afterTicks = AFTER_SECONDS * room.rates.tickRate;
+        buffer.pending = buffer.pending.filter(clip => {
+            if (frame && frame.tick > clip.kill.tick) clip.frames.push(frame);
+            if (room.tick < clip.kill.tick + afterTicks) return true;
+            this.finish(clip);
+            return false;
+        });
+    }
+
+    start(room, kill, before, moment) {
+        const victim = moment.snakes.find(snake => snake.id === kill.victimId);
+        const clip = {
+            version: CLIP_VERSION,
+            killId: kill.killId,
+            roomId: room.id,
+            tickRate: room.rates.tickRate,
+            world: { width: room.worldWidth, height: room.worldHeight },
+            kill: {
+                tick: room.tick,
+                x: victim ? victim.x : 0,
+                y: victim ? victim.y : 0,
+                killerId: kill.killerId || null,
+                killerName: kill.killerName,
+                victimId: kill.victimId,
+                victimName: kill.victimName,
+                bounty: kill.bounty,
+                victimLength: kill.victimLength,
+                segment: kill.segment
+            },
+            frames: [...before, moment]
+        };
+        this.pending.set(clip.killId, { clip, waiters: [] });
+        return clip;
+    }
+
+    // Cut the frames down to the collision's surroundings and store the clip
+    finish(clip) {
+        const { x, y, killerId, victimId } = clip.kill;
+        const limit = CLIP_RADIUS * CLIP_RADIUS;
+        clip.frames = clip.frames.map(frame => ({
+            ...frame,
+            snakes: frame.snakes.filter(snake => snake.id === killerId || snake.id === victimId ||
+                (snake.x - x) ** 2 + (snake.y - y) ** 2 < limit)
+        }));
+
+        const pending = this.pending.get(clip.killId);
+        this.pending.delete(clip.killId);
+        this.remember(clip);
+        for (const resolve of pending?.waiters || []) {
+            resolve(clip);
+        }
+
+        return this.save(clip);
+    }
+
+    remember(clip) {
+        this.cache.delete(clip.killId);
+        this.cache.set(clip.killId, clip);
+        while (this.cache.size > CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    async save(clip) {
+        try {
+            const data = await gzip(JSON.stringify(clip));
+            await this.store.saveKillClip(clip.killId, clip.roomId, data);
+        } catch (error) {
+            console.error(`[CLIPS] Save failed for ${clip.killId}:`, error.message);
+        }
+    }
+
+    /**
+     * A kill's clip; one still being taken is waited for
+     * @returns {Promise<Object|null>}
+     */
+    async get(killId) {
+        if (!UUID_PATTERN.test(killId || '')) return null;
+
+        const pending = this.pending.get(killId);
+        if (pending) return new Promise(resolve => pending.waiters.push(resolve));
+        if (this.cache.has(killId)) return this.cache.get(killId);
+
+        const data = await this.store.getKillClip(killId);
+        if (!data) return null;
+
+        try {
+            const clip = JSON.parse((await gunzip(data)).toString('utf8'));
+            this.remember(clip);
+            return clip;
+        } catch (error) {
+            console.error(`[CLIPS] Unreadable clip ${killId}:`, error.message);
+            return null;
+        }
+    }
+
+    // Delete clips past retention (REPLAY_RETENTION_DAYS)
+    prune() {
+        return this.store.deleteOldKillClips(this.retentionDays);
+    }
+}
+
+module.exports = { Clips, ClipBuffer, CLIP_RATE, BEFORE_SECONDS, AFTER_SECONDS };
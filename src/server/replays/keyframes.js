@@ -0,0 +1,193 @@
+/**
+ * Replay Keyframes
+ * A room's full state between two ticks: everything the next tick reads,
+ * down to bots' minds, queued player input, the random number state and
+ * the snake index bots sense from. Recording writes one every few seconds;
+ * playback restores them to seek, and checks its re-run against them.
+ */
+
+const crypto = require('crypto');
+const Snake = require('../game/snake');
+const { BotPlayer } = require('../game/bot');
+const { BOT_PROFILES } = require('../game/profiles');
+const { SafeZone } = require('../game/zone');
+
+// An object's own fields, minus references that are rebuilt on restore
+function fields(object, skip = []) {
+    const copy = {};
+    for (const [key, value] of Object.entries(object)) {
+        if (!skip.includes(key)) copy[key] = value;
+    }
+    return copy;
+}
+
+// Points as a flat [x0, y0, x1, y1, ...] list
+function flatten(points) {
+    const flat = new Array(points.length * 2);
+    for (let i = 0; i < points.length; i++) {
+        flat[i * 2] = points[i].x;
+        flat[i * 2 + 1] = points[i].y;
+    }
+    return flat;
+}
+
+function unflatten(flat) {
+    const points = new Array(flat.length / 2);
+    for (let i = 0; i < points.length; i++) {
+        points[i] = { x: flat[i * 2], y: flat[i * 2 + 1] };
+    }
+    return points;
+}
+
+/**
+ * The snake index as it was built this tick (see Room.indexSnakes). Snakes
+ * may have grown, shrunk or died since; those that haven't are stored as
+ * `true` rather than repeating their body.
+ * @returns {Array} [[snake key, true | flat points (head first)]] in index order
+ */
+function captureIndex(room) {
+    const keys = new Map();
+    for (const [key, snake] of room.snakes) keys.set(snake, key);
+
+    const groups = [];
+    for (const entry of room.spatial.itemCells.keys()) {
+        const last = groups[groups.length - 1];
+        if (last && last.snake === entry.snake) {
+            last.points.push(entry.x, entry.y);
+        } else {
+            groups.push({ snake: entry.snake, points: [entry.x, entry.y] });
+        }
+    }
+
+    return groups
+        .filter(({ snake }) => keys.has(snake))
+        .map(({ snake, points }) => {
+            const current = [snake.x, snake.y, ...flatten(snake.segments)];
+            const unchanged = current.length === points.length && current.every((value, i) => value === points[i]);
+            return [keys.get(snake), unchanged ? true : points];
+        });
+}
+
+function restoreIndex(room, index) {
+    room.spatial.clear();
+    for (const [key, stored] of index) {
+        const snake = room.snakes.get(key);
+        const points = stored === true ? [snake.x, snake.y, ...flatten(snake.segments)] : stored;
+        for (let i = 0; i < points.length; i += 2) {
+            const x = points[i];
+            const y = points[i + 1];
+            room.spatial.insert({ snake, index: i / 2 - 1, x, y }, x, y);
+        }
+    }
+}
+
+/**
+ * @returns {Object} Plain JSON; restore with restoreKeyframe
+ */
+function captureKeyframe(room) {
+    const round = room.round;
+
+    return {
+        tick: room.tick,
+        time: room.clock.now(),
+        random: room.random.getState(),
+        nextNetId: room.nextNetId,
+        totalKills: room.totalKills,
+        respawnAt: Array.from(room.respawnAt),
+        snakes: Array.from(room.snakes, ([key, snake]) => [key, {
+            ...fields(snake, ['random', 'segments']),
+            segments: flatten(snake.segments)
+        }]),
+        // Replays are unstaked: no sessions (or resume tokens) in them
+        players: Array.from(room.players, ([key, player]) => [key, {
+            ...fields(player, ['resumeToken']),
+            sessionId: null,
+            inputQueue: player.inputQueue.map(command => ({ ...command }))
+        }]),
+        bots: Array.from(room.bots, ([key, bot]) => [key, fields(bot, ['room', 'random', 'profile'])]),
+        agents: Array.from(room.agents.values(), agent => ({
+            id: agent.id,
+            name: agent.name,
+            kind: agent.kind,
+            kills: agent.kills,
+            deaths: agent.deaths,
+            bestLength: agent.bestLength,
+            input: agent.getInput()
+        })),
+        food: {
+            nextNid: room.food.nextNid,
+            items: Array.from(room.food.food.values(), food => [food.nid, food.x, food.y, food.value, food.color])
+        },
+        round: round ? {
+            ...fields(round, ['zone']),
+            zone: round.zone ? fields(round.zone, ['random']) : null
+        } : null,
+        index: captureIndex(room)
+    };
+}
+
+/**
+ * Put a room (built with the recording's tier, rules and seed) into a
+ * keyframe's state
+ * @param {Function} createAgent - (agent state) => stand-in for an external
+ *   agent (see ReplayAgent)
+ */
+function restoreKeyframe(room, state, createAgent) {
+    room.tick = state.tick;
+    room.random.setState(state.random);
+    room.nextNetId = state.nextNetId;
+    room.totalKills = state.totalKills;
+    room.respawnAt = new Map(state.respawnAt);
+
+    room.snakes = new Map(state.snakes.map(([key, stored]) => {
+        const snake = Object.assign(Object.create(Snake.prototype), stored);
+        snake.random = room.random;
+        snake.segments = unflatten(stored.segments);
+        return [key, snake];
+    }));
+
+    room.players = new Map(state.players.map(([key, stored]) => [key, { ...stored }]));
+
+    room.bots = new Map(state.bots.map(([key, stored]) => {
+        const bot = Object.assign(Object.create(BotPlayer.prototype), stored);
+        bot.room = room;
+        bot.random = room.random;
+        bot.profile = BOT_PROFILES[bot.profileName];
+        return [key, bot];
+    }));
+
+    room.agents = new Map(state.agents.map(stored => [stored.id, createAgent(stored)]));
+
+    // Food IDs are only map keys; the snapshot ID stands in for them
+    const food = room.food;
+    food.food.clear();
+    food.grid.clear();
+    food.nextNid = state.food.nextNid;
+    for (const [nid, x, y, value, color] of state.food.items) {
+        const item = { id: `f${nid}`, nid, x, y, value, color, radius: 5 + value * 2 };
+        food.food.set(item.id, item);
+        food.grid.insert(item, x, y);
+    }
+
+    if (state.round) {
+        const zone = state.round.zone
+            ? Object.assign(Object.create(SafeZone.prototype), state.round.zone, { random: room.random })
+            : null;
+        room.round = { ...state.round, zone };
+    }
+
+    restoreIndex(room, state.index);
+}
+
+// Short hash of what a re-run must reproduce (snapshot IDs, not bot IDs,
+// which are random)
+function fingerprint(room) {
+    const hash = crypto.createHash('sha1');
+    hash.update(JSON.stringify([room.tick, room.random.getState(), room.food.food.size, room.nextNetId]));
+    for (const snake of room.snakes.values()) {
+        hash.update(JSON.stringify([snake.netId, snake.alive, snake.x, snake.y, snake.angle, snake.length]));
+    }
+    return hash.digest('hex').slice(0, 16);
+}
+
+module.exports = { captureKeyframe, restoreKeyframe, fingerprint };
@@ -0,0 +1,214 @@
+/**
+ * Replay Player
+ * Plays a recorded segment back by re-running its room: from the seed (or
+ * the segment's first keyframe), with each recorded change applied before
+ * the tick it took effect in. Built-in bots think again just as they did;
+ * players and external agents are puppets of their recorded input.
+ *
+ * Replays are unstaked and never touch the database: bounties come from the
+ * recorded kills, not the re-run. Keyframes let playback seek without
+ * re-running from the start, and catch a re-run that has drifted.
+ */
+
+const Room = require('../rooms/room');
+const { ManualClock } = require('../rooms/simulation');
+const { Ledger } = require('../economy/ledger');
+const { restoreKeyframe, fingerprint } = require('./keyframes');
+const { REPLAY_VERSION } = require('./recorder');
+
+// Stands in for the database under a replay's ledger
+const OFFLINE_STORE = {
+    isConnected: () => false,
+    recordTransaction: async () => null,
+    getAccountBalance: async () => 0,
+    getOpenSessions: async () => []
+};
+
+// An external agent during playback: steered by its recorded input
+class ReplayAgent {
+    constructor({ id, name, kind, kills = 0, deaths = 0, bestLength = 0, input = null }) {
+        this.id = id;
+        this.name = name;
+        this.kind = kind;
+        this.isBot = true;
+        this.kills = kills;
+        this.deaths = deaths;
+        this.bestLength = bestLength;
+        this.input = input || { angle: 0, boost: false };
+    }
+
+    think() {}
+
+    getInput() {
+        return this.input;
+    }
+}
+
+// Recorded changes (see Room.record), applied to the replay's room
+const OPS = {
+    join: (room, socketId, name) => room.addPlayer(socketId, name, true),
+    leave: (room, socketId) => room.removePlayer(socketId),
+    input: (room, socketId, data) => room.handleInput(socketId, data),
+    boost: (room, socketId, active) => room.handleBoost(socketId, active),
+    hold: (room, socketId, until) => room.holdPlayer(socketId, until),
+    resume: (room, oldSocketId, newSocketId) => room.resumePlayer(oldSocketId, newSocketId),
+    respawn: (room, socketId) => room.respawnPlayer(socketId),
+    bot: (room, profileName) => room.addBot(profileName),
+    bots: (room) => room.adjustBotCount(),
+    agent: (room, id, name, kind) => room.addAgent(new ReplayAgent({ id, name, kind })),
+    agent_leave: (room, id) => room.removeAgent(id),
+    steer: (room, id, angle, boost) => {
+        const agent = room.agents.get(id);
+        if (agent) agent.input = { angle, boost };
+    }
+};
+
+/**
+ * Sort a segment's entries (as written by ReplayRecorder) for playback
+ * @returns {Object} { header, keyframes, ops: Map<tick, entries>, kills,
+ *   endTick, complete } - complete is false while the room is still recorded
+ */
+function parseReplay(entries) {
+    const [header, ...rest] = entries;
+    if (header?.type !== 'header' || header.version !== REPLAY_VERSION) {
+        throw new Error('Unsupported replay.');
+    }
+
+    const replay = {
+        header,
+        keyframes: [],
+        ops: new Map(),
+        kills: [],
+        endTick: header.startTick,
+        complete: false
+    };
+
+    for (const entry of rest) {
+        if (Array.isArray(entry)) {
+            const [tick, type] = entry;
+            if (type === 'kill') {
+                replay.kills.push({ tick, ...entry[2] });
+                replay.endTick = Math.max(replay.endTick, tick);
+            } else {
+                if (!replay.ops.has(tick)) replay.ops.set(tick, []);
+                replay.ops.get(tick).push(entry);
+                // Steering is recorded during its tick, other changes before it
+                replay.endTick = Math.max(replay.endTick, type === 'steer' ? tick : tick - 1);
+            }
+        } else if (entry.type === 'keyframe') {
+            replay.keyframes.push(entry);
+            replay.endTick = Math.max(replay.endTick, entry.tick);
+        } else if (entry.type === 'end') {
+            replay.endTick = entry.tick;
+            replay.complete = true;
+        }
+    }
+
+    if (header.startTick > 0 && replay.keyframes[0]?.tick !== header.startTick) {
+        throw new Error('Replay segment has no starting keyframe.');
+    }
+    return replay;
+}
+
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.keyframes = new Map(replay.keyframes.map(keyframe => [keyframe.tick, keyframe]));
+        this.diverged = false; // The re-run drifted from a keyframe at least once
+        this.restore(null);
+    }
+
+    get tick() {
+        return this.room.tick;
+    }
+
+    get startTick() {
+        return this.replay.header.startTick;
+    }
+
+    get endTick() {
+        return this.replay.endTick;
+    }
+
+    /**
+     * A fresh room at a keyframe, or at the start of the segment
+     * @param {Object|null} keyframe
+     */
+    restore(keyframe) {
+        const { header } = this.replay;
+        const start = keyframe || this.replay.keyframes[0];
+
+        this.clock = new ManualClock(header.startedAt);
+        this.room = new Room(header.roomId, header.tier, null, new Ledger(OFFLINE_STORE), {
+            rules: header.rules,
+            seed: header.seed,
+            clock: this.clock
+        });
+
+        // Segments after a room's first start from their first keyframe
+        if (keyframe || header.startTick > 0) {
+            restoreKeyframe(this.room, start.state, state => new ReplayAgent(state));
+            this.clock.time = start.state.time;
+        }
+    }
+
+    // Latest keyframe at or before a tick
+    keyframeBefore(tick) {
+        let found = null;
+        for (const keyframe of this.replay.keyframes) {
+            if (keyframe.tick > tick) break;
+            found = keyframe;
+        }
+        return found;
+    }
+
+    /**
+     * Move towards a tick, re-running at most maxSteps ticks. Going back, or
+     * forward past a keyframe, starts from the nearest keyframe.
+     * @returns {boolean} Whether the room has reached the tick
+     */
+    seek(tick, maxSteps = Infinity) {
+        const target = Math.max(this.startTick, Math.min(this.endTick, Math.floor(tick)));
+        const keyframe = this.keyframeBefore(target);
+
+        if (this.room.tick > target || (keyframe && this.room.tick < keyframe.tick)) {
+            this.restore(keyframe);
+        }
+
+        for (let steps = 0; this.room.tick < target && steps < maxSteps; steps++) {
+            this.step();
+        }
+        return this.room.tick === target;
+    }
+
+    /**
+     * Re-run one tick
+     * @returns {Object[]} Kills in the re-run (bounties aren't the recorded ones)
+     */
+    step() {
+        const room = this.room;
+        for (const [, type, ...args] of this.replay.ops.get(room.tick + 1) || []) {
+            OPS[type]?.(room, ...args);
+        }
+
+        const kills = room.update();
+        this.clock.advance(1000 / room.rates.tickRate);
+
+        // Pick up from the recording if the re-run has drifted
+        const keyframe = this.keyframes.get(room.tick);
+        if (keyframe && fingerprint(room) !== keyframe.fingerprint) {
+            const { roomId, part } = this.replay.header;
+            console.warn(`[REPLAYS] Replay of ${roomId} (part ${part}) drifted before tick ${room.tick}, resyncing`);
+            this.diverged = true;
+            this.restore(keyframe);
+        }
+        return kills;
+    }
+
+    // Recorded kills in (fromTick, toTick]
+    killsBetween(fromTick, toTick) {
+        return this.replay.kills.filter(kill => kill.tick > fromTick && kill.tick <= toTick);
+    }
+}
+
+module.exports = { ReplayPlayer, ReplayAgent, parseReplay };
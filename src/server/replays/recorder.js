@@ -0,0 +1,120 @@
+/**
+ * Replay Recorder
+ * Records a room as a stream of entries: a header with the room's seed,
+ * then every change that comes from outside the simulation (see
+ * Room.record) stamped with the tick it takes effect in, the kills as they
+ * were paid out and a keyframe every few seconds. Everything else is
+ * re-run on playback (see ReplayPlayer).
+ *
+ * Long sessions are split into segments of a few minutes; each one starts
+ * with a keyframe, so it plays back on its own.
+ */
+
+const { captureKeyframe, fingerprint } = require('./keyframes');
+
+const REPLAY_VERSION = 1;
+
+const KEYFRAME_SECONDS = 10;
+const SEGMENT_MINUTES = Number(process.env.REPLAY_SEGMENT_MINUTES) || 10;
+
+class ReplayRecorder {
+    /**
+     * @param {Function} openSegment - (header) => { write(entry), close(end) }
+     *   for each segment (see ReplayStore.openSegment)
+     * @param {Object} options - { keyframeSeconds, segmentMinutes }
+     */
+    constructor(room, openSegment, { keyframeSeconds = KEYFRAME_SECONDS, segmentMinutes = SEGMENT_MINUTES } = {}) {
+        this.room = room;
+        this.openSegment = openSegment;
+        this.keyframeTicks = Math.max(1, Math.round(keyframeSeconds * room.rates.tickRate));
+        this.segmentTicks = Math.max(this.keyframeTicks, Math.round(segmentMinutes * 60 * room.rates.tickRate));
+
+        this.segment = null;
+        this.segmentStart = 0;
+        this.part = 0;
+        this.steering = new Map(); // agentId -> last recorded input
+    }
+
+    // Attach to the room and open the first segment
+    start() {
+        this.room.recorder = this;
+        this.beginSegment();
+        return this;
+    }
+
+    beginSegment() {
+        const room = this.room;
+        this.part++;
+        this.segmentStart = room.tick;
+        this.segment = this.openSegment({
+            type: 'header',
+            version: REPLAY_VERSION,
+            roomId: room.id,
+            part: this.part,
+            tier: room.tier,
+            rules: room.rules,
+            seed: room.seed,
+            tickRate: room.rates.tickRate,
+            startTick: room.tick,
+            startedAt: room.clock.now()
+        });
+
+        // Only a room's first tick can be rebuilt from the seed alone
+        if (room.tick > 0) {
+            this.keyframe();
+        }
+    }
+
+    endSegment() {
+        this.segment.close({ type: 'end', tick: this.room.tick, endedAt: this.room.clock.now() });
+        this.segment = null;
+    }
+
+    // [tick, type, ...args]
+    op(tick, type, args) {
+        this.segment.write([tick, type, ...args]);
+    }
+
+    // An agent's input for this tick, when it changed
+    steer(tick, agentId, input) {
+        const last = this.steering.get(agentId);
+        if (last && last.angle === input.angle && last.boost === input.boost) return;
+
+        this.steering.set(agentId, { angle: input.angle, boost: input.boost });
+        this.op(tick, 'steer', [agentId, input.angle, input.boost]);
+    }
+
+    keyframe() {
+        const room = this.room;
+        this.segment.write({
+            type: 'keyframe',
+            tick: room.tick,
+            fingerprint: fingerprint(room),
+            state: captureKeyframe(room)
+        });
+    }
+
+    // End of a tick: log its kills, then keyframe or start the next segment
+    afterUpdate(kills) {
+        const tick = this.room.tick;
+        for (const kill of kills) {
+            this.op(tick, 'kill', [kill]);
+        }
+
+        if (tick - this.segmentStart >= this.segmentTicks) {
+            this.endSegment();
+            this.beginSegment();
+        } else if (tick % this.keyframeTicks === 0) {
+            this.keyframe();
+        }
+    }
+
+    // The room closed
+    finish() {
+        if (!this.segment) return;
+        this.endSegment();
+        this.room.recorder = null;
+    }
+}
+
+module.exports = { ReplayRecorder, REPLAY_VERSION };
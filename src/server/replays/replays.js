@@ -0,0 +1,278 @@
+/**
+ * Replays
+ * Records rooms (staked ones by default, see REPLAY_ROOMS) and plays the
+ * recordings back to viewers over their game socket.
+ *
+ * A viewer's session re-runs the segment on the server (see ReplayPlayer)
+ * and streams the whole world as ordinary binary snapshots, so the client
+ * draws it with the game's renderer. Viewers play, pause, change speed and
+ * seek; a seek re-runs from the nearest keyframe, a few hundred ticks per
+ * update so one viewer can't stall the server.
+ */
+
+const SnapshotTracker = require('../rooms/snapshots');
+const { toCents } = require('../economy/ledger');
+const { ReplayRecorder } = require('./recorder');
+const { ReplayPlayer, parseReplay } = require('./player');
+const { ReplayStore } = require('./store');
+
+// Which rooms are recorded: staked (paid seats and tournament rounds), all or none
+const REPLAY_ROOMS = ['all', 'none'].includes(process.env.REPLAY_ROOMS) ? process.env.REPLAY_ROOMS : 'staked';
+
+const VIEWER_RATE = 20; // Snapshots per second to a viewer
+const MAX_STEPS = 240; // Ticks re-run per viewer update
+const MAX_VIEWERS = 8; // Replays played at once, server-wide
+const SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// Loaded segments, shared by viewers (finished ones don't change)
+const CACHE_SIZE = 8;
+
+class Replays {
+    constructor(manager, store = new ReplayStore()) {
+        this.manager = manager;
+        this.store = store;
+        this.recorders = new Map(); // roomId -> ReplayRecorder
+        this.viewers = new Map(); // socketId -> viewer session
+        this.cache = new Map(); // replayId -> parsed segment, oldest first
+        this.timer = null;
+    }
+
+    shouldRecord(room) {
+        if (REPLAY_ROOMS === 'all') return true;
+        if (REPLAY_ROOMS === 'none') return false;
+        return !!room.tournamentId || toCents(room.tier.buy_in) > 0;
+    }
+
+    // Start recording a new room, before anything has happened in it
+    record(room) {
+        if (!this.shouldRecord(room) || this.recorders.has(room.id)) return;
+
+        const recorder = new ReplayRecorder(room, header => this.store.openSegment(header)).start();
+        this.recorders.set(room.id, recorder);
+        console.log(`[REPLAYS] Recording room ${room.id}`);
+    }
+
+    // The room closed
+    stop(room) {
+        const recorder = this.recorders.get(room.id);
+        if (!recorder) return;
+
+        recorder.finish();
+        this.recorders.delete(room.id);
+    }
+
+    // Close every recording and wait for them to be written (shutdown)
+    async closeAll() {
+        for (const recorder of this.recorders.values()) {
+            recorder.finish();
+        }
+        this.recorders.clear();
+        await this.store.flush();
+    }
+
+    async load(replayId, live) {
+        if (!live && this.cache.has(replayId)) return this.cache.get(replayId);
+
+        const entries = await this.store.load(replayId);
+        if (!entries) return null;
+        const replay = parseReplay(entries);
+
+        if (!live) {
+            this.cache.set(replayId, replay);
+            if (this.cache.size > CACHE_SIZE) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+        }
+        return replay;
+    }
+
+    /**
+     * Start playing a segment to a socket
+     * @param {Object} data - { replayId, tick } (tick to start at, optional)
+     * @returns {Object} What the viewer needs to set up (see 'replay_opened')
+     */
+    async open(socket, data, playerId) {
+        if (!playerId) {
+            throw new Error('Sign in to watch replays.');
+        }
+        if (this.manager.playerRooms.has(socket.id)) {
+            throw new Error('Leave your room to watch a replay.');
+        }
+
+        const details = await this.store.get(data?.replayId);
+        if (!details || !this.store.canView(details, playerId)) {
+            throw new Error('Replay not found.');
+        }
+
+        this.close(socket.id);
+        if (this.viewers.size >= MAX_VIEWERS) {
+            throw new Error('Too many replays are being watched. Try again shortly.');
+        }
+
+        const replay = await this.load(details.id, details.live);
+        if (!replay) {
+            throw new Error('Replay not found.');
+        }
+
+        const player = new ReplayPlayer(replay);
+        const start = Number.isFinite(data?.tick) ? data.tick : player.startTick;
+        const session = {
+            socket,
+            player,
+            tracker: new SnapshotTracker(),
+            playing: true,
+            speed: 1,
+            position: Math.max(player.startTick, Math.min(player.endTick, start)), // Tick, fractional while playing
+            seeking: false, // Still re-running towards the position
+            cuts: 0, // Jumps so far; the viewer drops interpolation when it changes
+            lastLeaderboard: 0,
+            lastUpdate: Date.now()
+        };
+        this.viewers.set(socket.id, session);
+        this.startTimer();
+
+        console.log(`[REPLAYS] ${socket.id} watching ${details.id} (${this.viewers.size} viewers)`);
+
+        return {
+            replay: details,
+            rules: replay.header.rules,
+            rates: { tickRate: replay.header.tickRate, snapshotRate: VIEWER_RATE },
+            startTick: player.startTick,
+            endTick: player.endTick,
+            speeds: SPEEDS,
+            kills: replay.kills.map(({ tick, killerName, victimName, bounty }) => ({ tick, killerName, victimName, bounty }))
+        };
+    }
+
+    /**
+     * @param {Object} data - { action: 'play' | 'pause' | 'speed' | 'seek', value }
+     *   where value is a speed from SPEEDS or the tick to seek to
+     */
+    control(socketId, data) {
+        const session = this.viewers.get(socketId);
+        if (!session) return;
+
+        const { player } = session;
+        switch (data?.action) {
+            case 'play':
+                // Playing from the end starts over
+                if (session.position >= player.endTick) session.position = player.startTick;
+                session.playing = true;
+                break;
+
+            case 'pause':
+                session.playing = false;
+                break;
+
+            case 'speed':
+                if (SPEEDS.includes(data.value)) session.speed = data.value;
+                break;
+
+            case 'seek':
+                if (!Number.isFinite(data.value)) return;
+                session.position = Math.max(player.startTick, Math.min(player.endTick, Math.floor(data.value)));
+                session.cuts++;
+                break;
+
+            default:
+                return;
+        }
+        this.sendStatus(session);
+    }
+
+    acknowledge(socketId, seq) {
+        const session = this.viewers.get(socketId);
+        if (session && Number.isInteger(seq)) session.tracker.acknowledge(seq);
+    }
+
+    close(socketId) {
+        if (this.viewers.delete(socketId) && this.viewers.size === 0) {
+            this.stopTimer();
+        }
+    }
+
+    startTimer() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.update(), 1000 / VIEWER_RATE);
+        this.timer.unref();
+    }
+
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    update(now = Date.now()) {
+        for (const [socketId, session] of this.viewers) {
+            if (!session.socket.connected) {
+                this.close(socketId);
+                continue;
+            }
+            this.updateSession(session, now);
+        }
+    }
+
+    updateSession(session, now) {
+        const { player, socket } = session;
+        const elapsed = now - session.lastUpdate;
+        session.lastUpdate = now;
+
+        if (session.playing) {
+            session.position = Math.min(player.endTick, session.position + elapsed * player.replay.header.tickRate * session.speed / 1000);
+            if (session.position >= player.endTick) session.playing = false;
+        }
+
+        // Restoring a keyframe (seeking, or catching up after a drift) is a cut
+        const from = player.tick;
+        const reached = player.seek(session.position, MAX_STEPS);
+        const jumped = player.tick < from || player.tick - from > MAX_STEPS;
+        if (jumped) session.cuts++;
+
+        // Kills and round events as they're played through, not skipped over
+        const events = player.room.takeEvents();
+        if (session.playing && !jumped) {
+            for (const kill of player.killsBetween(from, player.tick)) {
+                socket.emit('replay_kill', kill);
+            }
+            for (const event of events) {
+                socket.emit(event.type, event.data);
+            }
+        }
+
+        socket.emit('replay_snapshot', session.tracker.encode({
+            ...player.room.getState(),
+            inputSeq: 0,
+            timestamp: now
+        }));
+
+        if (now - session.lastLeaderboard >= 1000) {
+            session.lastLeaderboard = now;
+            socket.emit('leaderboard', player.room.getLeaderboard());
+        }
+
+        session.seeking = !reached;
+        this.sendStatus(session);
+    }
+
+    sendStatus(session) {
+        session.socket.emit('replay_status', {
+            tick: session.player.tick,
+            playing: session.playing,
+            speed: session.speed,
+            seeking: session.seeking,
+            diverged: session.player.diverged,
+            cuts: session.cuts
+        });
+    }
+
+    // Segments a player was in, for their replay list
+    list(playerId) {
+        return this.store.list(playerId);
+    }
+
+    prune() {
+        return this.store.prune();
+    }
+}
+
+module.exports = { Replays };
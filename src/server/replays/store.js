@@ -0,0 +1,295 @@
+/**
+ * Replay Store
+ * Where recorded segments go: each one is a gzipped stream of JSON lines
+ * (see ReplayRecorder), written to REPLAY_DIR as the room plays and indexed
+ * in the `replays` table. With REPLAY_STORAGE=database the finished stream
+ * is moved into the table and the file removed.
+ *
+ * Segments are only viewable by the players who were in them, and by the
+ * accounts in REPLAY_VIEWERS (moderators).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('../database');
+
+const gunzip = promisify(zlib.gunzip);
+
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(process.cwd(), 'replays');
+const REPLAY_STORAGE = process.env.REPLAY_STORAGE === 'database' ? 'database' : 'disk';
+const RETENTION_DAYS = Number(process.env.REPLAY_RETENTION_DAYS) || 30;
+const VIEWERS = new Set((process.env.REPLAY_VIEWERS || '').split(',').map(id => id.trim()).filter(Boolean));
+
+// Lines are gzipped in batches; keyframes are flushed through to the file,
+// so a room still playing can be watched up to its last keyframe
+const BATCH_BYTES = 64 * 1024;
+
+// Segments kept in memory for listing (memory-only mode, and live ones)
+const HISTORY = 200;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+class ReplayStore {
+    constructor(store = db, { dir = REPLAY_DIR, storage = REPLAY_STORAGE, retentionDays = RETENTION_DAYS } = {}) {
+        this.store = store;
+        this.dir = dir;
+        this.storage = storage;
+        this.retentionDays = retentionDays;
+        this.replays = new Map(); // replayId -> details, oldest first
+        this.closing = new Set(); // Segments still being written out
+    }
+
+    pathOf(replayId) {
+        return path.join(this.dir, `${replayId}.jsonl.gz`);
+    }
+
+    /**
+     * Start writing a segment (passed to ReplayRecorder). The header gets the
+     * segment's replay ID.
+     * @returns {Object} { write(entry), close(end) }
+     */
+    openSegment(header) {
+        const replay = {
+            id: crypto.randomUUID(),
+            roomId: header.roomId,
+            part: header.part,
+            tierId: header.tier?.id || null,
+            tierName: header.tier?.name || null,
+            tickRate: header.tickRate,
+            startTick: header.startTick,
+            endTick: header.startTick,
+            startedAt: header.startedAt,
+            endedAt: null,
+            playerIds: new Set(),
+            kills: 0,
+            live: true
+        };
+        header.replayId = replay.id;
+        this.remember(replay);
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        const file = this.pathOf(replay.id);
+        const gzip = zlib.createGzip();
+        const out = fs.createWriteStream(file);
+        gzip.pipe(out);
+        out.on('error', error => console.error(`[REPLAYS] Write failed for ${replay.id}:`, error.message));
+
+        let batch = [];
+        let batchBytes = 0;
+        const flush = (toFile) => {
+            if (batch.length > 0) {
+                gzip.write(batch.join(''));
+                batch = [];
+                batchBytes = 0;
+            }
+            if (toFile) gzip.flush();
+        };
+
+        const write = (entry) => {
+            this.track(replay, entry);
+            const line = JSON.stringify(entry) + '\n';
+            batch.push(line);
+            batchBytes += line.length;
+
+            if (entry.type === 'keyframe') {
+                flush(true);
+            } else if (batchBytes > BATCH_BYTES) {
+                flush(false);
+            }
+        };
+
+        write(header);
+        this.store.createReplay(replay);
+
+        return {
+            write,
+            close: (end) => {
+                write(end);
+                replay.endTick = end.tick;
+                replay.endedAt = end.endedAt;
+                replay.live = false;
+                flush(false);
+
+                const finished = new Promise(resolve => out.on('close', resolve))
+                    .then(() => this.finish(replay, file))
+                    .finally(() => this.closing.delete(finished));
+                this.closing.add(finished);
+                gzip.end();
+            }
+        };
+    }
+
+    // Keep a segment's details current as entries are written
+    track(replay, entry) {
+        if (Array.isArray(entry)) {
+            const [tick, type] = entry;
+            replay.endTick = Math.max(replay.endTick, tick);
+            if (type === 'join' && entry[4]) replay.playerIds.add(entry[4]);
+            if (type === 'kill') replay.kills++;
+        } else if (entry.type === 'keyframe') {
+            replay.endTick = Math.max(replay.endTick, entry.tick);
+            for (const [, player] of entry.state.players) {
+                if (player.playerId) replay.playerIds.add(player.playerId);
+            }
+        }
+    }
+
+    remember(replay) {
+        this.replays.set(replay.id, replay);
+        if (this.replays.size > HISTORY) {
+            const [oldest] = this.replays.keys();
+            if (!this.replays.get(oldest).live) this.replays.delete(oldest);
+        }
+    }
+
+    // A segment's file is complete: index it, and move it into the
+    // database if that's where replays are kept
+    async finish(replay, file) {
+        const details = { ...replay, playerIds: Array.from(replay.playerIds) };
+
+        if (this.storage !== 'database') {
+            await this.store.finishReplay(details);
+            return;
+        }
+
+        try {
+            const data = await fs.promises.readFile(file);
+            if (await this.store.finishReplay(details, data)) {
+                await fs.promises.unlink(file);
+            }
+        } catch (error) {
+            console.error(`[REPLAYS] Failed to store ${replay.id}:`, error.message);
+        }
+    }
+
+    // Wait for closed segments to be written out (shutdown)
+    async flush() {
+        await Promise.all(Array.from(this.closing));
+    }
+
+    /**
+     * A segment's details
+     * @returns {Object|null}
+     */
+    async get(replayId) {
+        if (!UUID_PATTERN.test(replayId || '')) return null;
+        const replay = this.replays.get(replayId);
+        if (replay) return toView(replay);
+
+        const row = await this.store.getReplay(replayId);
+        return row ? fromRow(row) : null;
+    }
+
+    // Segments a player was in, newest first
+    async list(playerId, limit = 20) {
+        const found = new Map();
+        for (const replay of this.replays.values()) {
+            if (replay.playerIds.has(playerId)) found.set(replay.id, toView(replay));
+        }
+        for (const row of await this.store.getPlayerReplays(playerId, limit)) {
+            if (!found.has(row.id)) found.set(row.id, fromRow(row));
+        }
+
+        return Array.from(found.values())
+            .sort((a, b) => b.startedAt - a.startedAt)
+            .slice(0, limit);
+    }
+
+    canView(replay, playerId) {
+        return !!playerId && (replay.playerIds.includes(playerId) || VIEWERS.has(playerId));
+    }
+
+    /**
+     * A segment's entries, as far as they've been written
+     * @returns {Object[]|null}
+     */
+    async load(replayId) {
+        if (!UUID_PATTERN.test(replayId || '')) return null;
+
+        let data;
+        try {
+            data = await fs.promises.readFile(this.pathOf(replayId));
+        } catch (error) {
+            data = await this.store.getReplayData(replayId);
+        }
+        if (!data) return null;
+
+        // A live segment's stream is unfinished, and may end mid-line
+        const text = (await gunzip(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH })).toString('utf8');
+        const entries = [];
+        for (const line of text.split('\n')) {
+            if (!line) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                break;
+            }
+        }
+        return entries;
+    }
+
+    // Delete replays past retention, from the database and the disk
+    async prune(now = Date.now()) {
+        const deleted = await this.store.deleteOldReplays(this.retentionDays);
+        const cutoff = now - this.retentionDays * 24 * 60 * 60 * 1000;
+        let files = [];
+        try {
+            files = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            return deleted.length;
+        }
+
+        let removed = 0;
+        for (const name of files) {
+            if (!name.endsWith('.jsonl.gz')) continue;
+            const file = path.join(this.dir, name);
+            const stats = await fs.promises.stat(file);
+            if (stats.mtimeMs < cutoff || deleted.includes(name.replace('.jsonl.gz', ''))) {
+                await fs.promises.unlink(file);
+                removed++;
+            }
+        }
+        return Math.max(removed, deleted.length);
+    }
+}
+
+function toView(replay) {
+    return {
+        id: replay.id,
+        roomId: replay.roomId,
+        part: replay.part,
+        tierId: replay.tierId,
+        tierName: replay.tierName,
+        tickRate: replay.tickRate,
+        startTick: replay.startTick,
+        endTick: replay.endTick,
+        startedAt: replay.startedAt,
+        endedAt: replay.endedAt,
+        playerIds: Array.from(replay.playerIds),
+        kills: replay.kills,
+        live: replay.live
+    };
+}
+
+function fromRow(row) {
+    return {
+        id: row.id,
+        roomId: row.room_id,
+        part: row.part,
+        tierId: row.tier_id,
+        tierName: null,
+        tickRate: row.tick_rate,
+        startTick: row.start_tick,
+        endTick: row.end_tick,
+        startedAt: new Date(row.started_at).getTime(),
+        endedAt: row.ended_at ? new Date(row.ended_at).getTime() : null,
+        playerIds: row.player_ids || [],
+        kills: row.kills,
+        live: false
+    };
+}
+
+module.exports = { ReplayStore, REPLAY_DIR, UUID_PATTERN };
@@ -4,7 +4,22 @@
  */
 
 const Room = require('./room');
+const SnapshotTracker = require('./snapshots');
+const { RoomSchedule } = require('./schedule');
+const InputValidator = require('../security/validator');
+const { isValidPassword, hashPassword, verifyPassword } = require('../security/passwords');
+const { Ledger, toCents, fromCents } = require('../economy/ledger');
+const JoinTickets = require('../economy/tickets');
+const { PayoutService, createPayoutProvider, toView: payoutView } = require('../economy/payouts');
+const { Tournaments } = require('./tournaments');
+const { Ratings, pickRoom, normalizeRegion } = require('./matchmaking');
+const { LocalAgent, loadAgentModules } = require('../agents/local');
+const { RemoteAgent } = require('../agents/remote');
+const { Replays } = require('../replays/replays');
+const { Clips } = require('../replays/clips');
+const { Spectators } = require('./spectators');
 const db = require('../database');
+const crypto = require('crypto');
 
 // Hathora integration (optional)
 let HathoraCloud;
@@ -14,15 +29,66 @@ try {
     console.log('[HATHORA] SDK not available, running in local mode');
 }
 
-const TICK_RATE = 60;
-const TICK_INTERVAL = 1000 / TICK_RATE;
+// The loop wakes at this rate; each room runs its own simulation,
+// snapshot and leaderboard rates on top of it (see RoomSchedule)
+const LOOP_RATE = 60;
+const LOOP_INTERVAL = 1000 / LOOP_RATE;
+
+// How long a disconnected staked player's snake is held for them to resume
+const HOLD_GRACE_MS = 30000;
+
+// Private rooms: invite codes avoid look-alike characters; rooms close after
+// this long without players
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_LENGTH = 8;
+const PRIVATE_IDLE_MS = 10 * 60 * 1000;
+const MAX_PRIVATE_ROOMS_PER_OWNER = 3;
+
+// Sandboxes: bot-only rooms for external agents (local bots and remote
+// ones on the /bots namespace), closed after SANDBOX_MAX_AGE_MS
+const MAX_SANDBOX_AGENTS = 12;
+const MAX_SANDBOXES_PER_OWNER = 1;
+const SANDBOX_MAX_AGE_MS = 30 * 60 * 1000;
+
+// Region this server runs in; rooms registered with Hathora are hosted in
+// the joining player's region instead
+const SERVER_REGION = normalizeRegion(process.env.SERVER_REGION) || 'Seattle';
 
 class RoomManager {
-    constructor(io) {
+    /**
+     * @param {Object} io - socket.io server
+     * @param {Object} options - { replayStore } (defaults to a ReplayStore in REPLAY_DIR)
+     */
+    constructor(io, { replayStore } = {}) {
         this.io = io;
         this.rooms = new Map(); // roomId -> Room
         this.playerRooms = new Map(); // socketId -> roomId
+        this.snapshots = new Map(); // socketId -> SnapshotTracker
+        this.joining = new Set(); // socketIds with a join in progress
+        this.resumeTokens = new Map(); // resume token -> { roomId, socketId }
+        this.invites = new Map(); // invite code -> roomId (private rooms)
+        this.schedules = new Map(); // roomId -> RoomSchedule
         this.tiers = new Map(); // tierId -> tier data
+        this.ledger = new Ledger(); // Wallets and room sessions
+        this.tickets = new JoinTickets(this.ledger); // Confirmed buy-ins
+        this.payouts = new PayoutService(this.ledger); // Cashouts on their way to players
+        this.tournaments = new Tournaments(this); // Scheduled knockout events
+        this.ratings = new Ratings(); // Matchmaking skill ratings
+        this.agentModules = new Map(); // Local bot modules (see loadAgentModules)
+        this.agentSockets = new Map(); // /bots socketId -> { roomId, agentId }
+        this.replays = new Replays(this, replayStore); // Room recordings and their viewers
+        this.clips = new Clips(); // Kill clips for paid kills
+        this.spectators = new Spectators(this); // Read-only viewers of live rooms
+
+        // Payout status goes to every device the player is signed in on
+        this.payouts.onUpdate = (payout) => {
+            this.io.to(`player:${payout.playerId}`).emit('payout', payoutView(payout));
+        };
+
+        // All client input passes through here before reaching a room
+        this.validator = new InputValidator((socketId, reason, details) => {
+            this.logFlag(socketId, reason, details);
+        });
 
         // Hathora client (if configured)
         this.hathora = null;
@@ -48,6 +114,28 @@ class RoomManager {
             this.tiers.set(tier.id, tier);
         }
         console.log(`[ROOMS] Loaded ${tiers.length} room tiers`);
+
+        // Pay out sessions left open by a crash or restart
+        await this.ledger.settleOrphanedSessions();
+        await this.tickets.load();
+
+        // Flowglad's prices are loaded by now, so the provider can be chosen
+        this.payouts.provider = createPayoutProvider();
+        await this.payouts.load();
+
+        await this.tournaments.load();
+
+        this.agentModules = loadAgentModules();
+        console.log(`[AGENTS] Loaded ${this.agentModules.size} local bots`);
+
+        const pruned = await this.replays.prune();
+        if (pruned > 0) {
+            console.log(`[REPLAYS] Deleted ${pruned} expired replays`);
+        }
+        const prunedClips = await this.clips.prune();
+        if (prunedClips > 0) {
+            console.log(`[CLIPS] Deleted ${prunedClips} expired kill clips`);
+        }
     }
 
     startGameLoop() {
@@ -55,9 +143,9 @@ class RoomManager {
 
         this.gameLoopInterval = setInterval(() => {
             this.tick();
-        }, TICK_INTERVAL);
+        }, LOOP_INTERVAL);
 
-        console.log(`[GAME] Loop started at ${TICK_RATE}Hz`);
+        console.log(`[GAME] Loop started at ${LOOP_RATE}Hz`);
     }
 
     stopGameLoop() {
@@ -68,46 +156,151 @@ class RoomManager {
     }
 
     tick() {
+        const now = Date.now();
+
         for (const [roomId, room] of this.rooms) {
+            let schedule = this.schedules.get(roomId);
+            if (!schedule) {
+                schedule = new RoomSchedule(room.rates, now);
+                this.schedules.set(roomId, schedule);
+            }
+
+            const due = schedule.advance(now);
+
             // Update game state
-            const kills = room.update();
+            for (let i = 0; i < due.steps; i++) {
+                const kills = room.update();
+                this.broadcastKills(room, kills);
+                this.clips.afterUpdate(room, kills);
+            }
 
-            // Broadcast kills
-            for (const kill of kills) {
-                this.io.to(roomId).emit('kill', kill);
+            // Battle royale round changes
+            for (const event of room.takeEvents()) {
+                this.io.to(roomId).emit(event.type, event.data);
+            }
 
-                // Notify victim
-                this.io.to(kill.victimId).emit('died', {
-                    killerName: kill.killerName,
-                    lostValue: kill.bounty
-                });
+            if (room.agents.size > 0) {
+                this.sendObservations(room);
+            }
 
-                // Log kill to database
-                db.logKill(roomId, kill.killerId, kill.killerName, kill.victimId, kill.victimName, kill.bounty);
+            if (due.snapshot) {
+                this.broadcastSnapshots(room);
             }
 
-            // Broadcast state to all players in room (culled per player)
-            for (const socketId of room.players.keys()) {
-                const socket = this.io.sockets.sockets.get(socketId);
-                if (socket) {
-                    const state = room.getVisibleState(socketId);
-                    socket.emit('state', state);
-                }
+            if (due.leaderboard) {
+                const leaderboard = room.getLeaderboard();
+                this.io.to(roomId).emit('leaderboard', leaderboard);
+                this.spectators.broadcastStatus(room);
+            }
+
+            // Players who didn't come back in time are settled to their wallets
+            for (const socketId of room.expiredHolds(now)) {
+                console.log(`[ROOMS] Hold expired for ${room.players.get(socketId)?.name}, settling`);
+                this.removePlayer(socketId);
             }
 
-            // Broadcast leaderboard
-            const leaderboard = room.getLeaderboard();
-            this.io.to(roomId).emit('leaderboard', leaderboard);
+            // Tournament rounds are closed by their tournament
+            if (room.tournamentId) continue;
 
-            // Clean up empty rooms (except default rooms)
-            if (room.playerCount === 0 && Date.now() - room.createdAt > 60000) {
+            if (room.sandbox) {
+                if (now - room.createdAt > SANDBOX_MAX_AGE_MS) this.closeSandbox(roomId);
+                continue;
+            }
+
+            // Clean up rooms without players (bots don't count); private rooms
+            // close once no players have been in for a while
+            if (room.isPrivate && room.realPlayerCount === 0) {
+                room.emptySince = room.emptySince || now;
+            } else {
+                room.emptySince = 0;
+            }
+
+            if ((room.isPublic && room.realPlayerCount === 0 && now - room.createdAt > 60000) ||
+                (room.emptySince && now - room.emptySince > PRIVATE_IDLE_MS)) {
                 this.rooms.delete(roomId);
+                this.schedules.delete(roomId);
+                this.replays.stop(room);
+                this.clips.stop(room);
+                this.spectators.closeRoom(room);
+                if (room.isPrivate) this.invites.delete(room.access.inviteCode);
                 console.log(`[ROOMS] Removed empty room: ${roomId}`);
             }
         }
     }
 
-    async joinRoom(socket, name, tierId, demoMode = false, specificRoomId = null) {
+    broadcastKills(room, kills) {
+        const roomId = room.id;
+        for (const kill of kills) {
+            // The kill log and the kill's clip share its ID
+            kill.killId = crypto.randomUUID();
+            kill.clip = this.clips.wants(room, kill);
+
+            // Player accounts, survival time and settlement stay on the server
+            const { killerPlayerId, victimPlayerId, ...event } = kill;
+            delete event.victimSurvived;
+            delete event.paid;
+            this.io.to(roomId).emit('kill', event);
+
+            // Only public rooms are rated (private rooms could farm rating)
+            if (room.isPublic) {
+                this.ratings.recordDeath(room, kill);
+            }
+
+            // Notify victim
+            this.io.to(kill.victimId).emit('died', {
+                killerId: kill.killerId || null,
+                killerName: kill.killerName,
+                lostValue: kill.bounty,
+                killId: kill.killId,
+                clip: kill.clip
+            });
+
+            // Log kill to database
+            db.logKill(roomId, kill.killerId, kill.killerName, kill.victimId, kill.victimName, kill.bounty,
+                killerPlayerId, victimPlayerId, kill.killId);
+        }
+    }
+
+    // Send binary delta snapshots to all players in room (culled per player),
+    // and to its spectators
+    broadcastSnapshots(room) {
+        for (const socketId of room.players.keys()) {
+            const socket = this.io.sockets.sockets.get(socketId);
+            const tracker = this.snapshots.get(socketId);
+            if (socket && tracker) {
+                const state = room.getVisibleState(socketId);
+                socket.emit('snapshot', tracker.encode(state));
+            }
+        }
+        this.spectators.broadcast(room);
+    }
+
+    /**
+     * Join a room by tier (or a specific room)
+     * @param {Object} options - { name, tierId, demoMode, roomId, playerId, ticket, invite, password, region }
+     *   where `playerId` is the authenticated player (null for guests),
+     *   `ticket` a join ticket ID (required for paid seats), `invite`/`password` open a private room and `region` is
+     *   the player's nearest region (for matchmaking)
+     */
+    async joinRoom(socket, options) {
+        // A second join would strand the first seat (and any stake in it)
+        if (this.playerRooms.has(socket.id) || this.joining.has(socket.id)) {
+            throw new Error('Already in a room.');
+        }
+
+        this.joining.add(socket.id);
+        try {
+            return await this.seatByJoin(socket, options);
+        } finally {
+            this.joining.delete(socket.id);
+        }
+    }
+
+    // The join itself, once joinRoom has checked the socket is free
+    async seatByJoin(socket, {
+        name, tierId, demoMode = false, roomId: specificRoomId = null, playerId = null,
+        ticket: ticketId = null, invite = null, password = null, region = null
+    }) {
         // Get tier config
         let tier = this.tiers.get(tierId);
         if (!tier) {
@@ -115,58 +308,285 @@ class RoomManager {
             tier = this.tiers.get(1) || { id: 1, name: 'Free', buy_in: 0, platform_fee: 0.20 };
         }
 
-        // Join specific room if provided, otherwise find or create
+        // Matchmaking rating (rated lives also need it loaded)
+        const rating = await this.ratings.load(playerId);
+
+        // Join a private room by invite, a specific public room if provided,
+        // otherwise find the best fit or create one
         let room = null;
-        if (specificRoomId && this.rooms.has(specificRoomId)) {
+        if (invite) {
+            room = this.findByInvite(invite);
+            if (!room) throw new Error('Invite not found.');
+            if (room.access.passwordHash && !(await verifyPassword(password, room.access.passwordHash))) {
+                throw new Error('Wrong room password.');
+            }
+            tier = room.tier;
+        } else if (specificRoomId && this.rooms.has(specificRoomId) && this.rooms.get(specificRoomId).isPublic) {
             room = this.rooms.get(specificRoomId);
             // Override tier to match the room's tier
             tier = room.tier;
         } else {
-            room = this.findAvailableRoom(tier.id);
+            room = this.findAvailableRoom(tier.id, { rating, region: normalizeRegion(region) });
+        }
+
+        if (room?.isFull) {
+            throw new Error('Room is full.');
+        }
+
+        // Paid seats are bought by a signed-in player with a ticket from a
+        // server-confirmed payment
+        let ticket = null;
+        if (!demoMode && toCents(tier.buy_in) > 0) {
+            if (!playerId) {
+                throw new Error('Sign in to play for stakes.');
+            }
+            if (!ticketId) {
+                throw new Error('Buy-in not confirmed. Complete checkout to join a paid room.');
+            }
+
+            // Wallet must be loaded before the room can post to it
+            await this.ledger.loadBalance('wallet', playerId);
+
+            ticket = await this.tickets.redeem(ticketId, tier, playerId);
+            if (!ticket) throw new Error('Invalid or already used join ticket.');
         }
 
         if (!room) {
-            room = await this.createRoom(tier);
+            room = await this.createRoom(tier, { region: normalizeRegion(region) });
+        }
+
+        // The buy-in is staked (and saved) before the seat is taken
+        let sessionId = null;
+        if (!demoMode && toCents(tier.buy_in) > 0) {
+            sessionId = crypto.randomUUID();
+            await this.stake({ sessionId, playerId, roomId: room.id, amount: room.buyInCents, ticket },
+                'Buy-in not confirmed. Complete checkout to join a paid room.');
+        }
+
+        const { result, player } = this.seatPlayer(socket, room, { name, demoMode, playerId, sessionId });
+
+        console.log(`[ROOMS] ${name} joined room ${room.id} (tier: ${tier.name}, players: ${room.playerCount}, bots: ${room.botCount})`);
+
+        return {
+            ...result,
+            resumeToken: player.sessionId ? this.issueResumeToken(room.id, socket.id) : null,
+            tier: {
+                id: tier.id,
+                name: tier.name,
+                buyIn: tier.buy_in
+            },
+            rates: room.rates,
+            rules: room.rules
+        };
+    }
+
+    /**
+     * Buy into a session from a ticket or the wallet, throwing `shortMessage`
+     * if it's short and a retryable error if the buy-in can't be saved
+     */
+    async stake(buyIn, shortMessage) {
+        let paid;
+        try {
+            paid = await this.ledger.buyIn(buyIn);
+        } catch (error) {
+            throw new Error('Could not save your buy-in. Please try again.');
         }
+        if (!paid) throw new Error(shortMessage);
+    }
 
-        // Add player to room
-        const result = room.addPlayer(socket.id, name, demoMode);
+    /**
+     * Add a socket's player to a room and start sending it the room's state
+     * @returns {Object} { result, player } - Room.addPlayer's result and the player record
+     */
+    seatPlayer(socket, room, { name, demoMode, playerId = null, sessionId = null }) {
+        const result = room.addPlayer(socket.id, name, demoMode, playerId, sessionId);
+        const player = room.players.get(socket.id);
 
         // Adjust bot count when real player joins
         room.adjustBotCount();
 
         // Track player's room
         this.playerRooms.set(socket.id, room.id);
+        this.snapshots.set(socket.id, new SnapshotTracker());
 
         // Join socket.io room for broadcasts
         socket.join(room.id);
 
         // Log session to database
-        db.logSession(room.id, socket.id, name, demoMode ? 0 : tier.buy_in);
+        db.logSession(room.id, socket.id, player.name, player.buyIn, player.sessionId, playerId);
 
-        console.log(`[ROOMS] ${name} joined room ${room.id} (tier: ${tier.name}, players: ${room.playerCount}, bots: ${room.botCount})`);
+        return { result, player };
+    }
+
+    // Remove everyone from a room and shut it down (tournament rounds, sandboxes)
+    closeRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+
+        for (const socketId of Array.from(room.players.keys())) {
+            this.removePlayer(socketId);
+            this.io.sockets.sockets.get(socketId)?.leave(roomId);
+        }
+
+        this.rooms.delete(roomId);
+        this.schedules.delete(roomId);
+        this.replays.stop(room);
+        this.clips.stop(room);
+        this.spectators.closeRoom(room);
+        console.log(`[ROOMS] Closed room: ${roomId}`);
+    }
+
+    // Staked players get a token to reclaim their snake after a disconnect
+    issueResumeToken(roomId, socketId) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        this.resumeTokens.set(token, { roomId, socketId });
+        this.rooms.get(roomId).players.get(socketId).resumeToken = token;
+        return token;
+    }
+
+    /**
+     * A socket dropped. Staked players with a live snake are held for a
+     * grace window (see Room.holdPlayer) instead of being removed.
+     */
+    disconnectPlayer(socketId) {
+        const room = this.rooms.get(this.playerRooms.get(socketId));
+        const player = room?.players.get(socketId);
+
+        if (player?.sessionId && room.holdPlayer(socketId, Date.now() + HOLD_GRACE_MS)) {
+            this.snapshots.delete(socketId);
+            this.validator.forget(socketId);
+            console.log(`[ROOMS] ${player.name} disconnected, holding for ${HOLD_GRACE_MS / 1000}s`);
+            return;
+        }
+
+        this.removePlayer(socketId);
+    }
+
+    /**
+     * Reattach a player's snake to their new socket. The old socket is
+     * usually held already; after a brief blip the server may not have
+     * noticed it drop yet, in which case it is held and closed here.
+     * @param {string} token - Resume token from the original join
+     * @param {string|null} playerId - The new socket's authenticated player
+     */
+    resumePlayer(socket, token, playerId) {
+        const entry = typeof token === 'string' ? this.resumeTokens.get(token) : null;
+        const room = entry ? this.rooms.get(entry.roomId) : null;
+        const player = room?.players.get(entry.socketId);
+
+        if (!player || player.playerId !== playerId) {
+            throw new Error('Nothing to resume.');
+        }
+        if (this.playerRooms.has(socket.id)) {
+            throw new Error('Already in a room.');
+        }
+        if (!player.heldUntil && !room.holdPlayer(entry.socketId, Date.now() + HOLD_GRACE_MS)) {
+            throw new Error('Nothing to resume.');
+        }
+
+        const oldSocketId = entry.socketId;
+        const result = room.resumePlayer(oldSocketId, socket.id);
+        this.resumeTokens.delete(token);
+        this.playerRooms.delete(oldSocketId);
+        this.snapshots.delete(oldSocketId);
+        this.validator.forget(oldSocketId);
+
+        // Its disconnect handler finds nothing left to hold or remove
+        this.io.sockets.sockets.get(oldSocketId)?.disconnect(true);
+
+        this.playerRooms.set(socket.id, room.id);
+        this.snapshots.set(socket.id, new SnapshotTracker());
+        socket.join(room.id);
+        db.updateSessionSocket(player.sessionId, socket.id);
+
+        console.log(`[ROOMS] ${player.name} resumed in room ${room.id}`);
 
         return {
             ...result,
+            resumeToken: this.issueResumeToken(room.id, socket.id),
             tier: {
-                id: tier.id,
-                name: tier.name,
-                buyIn: tier.buy_in
-            }
+                id: room.tier.id,
+                name: room.tier.name,
+                buyIn: room.tier.buy_in
+            },
+            rates: room.rates,
+            rules: room.rules
         };
     }
 
-    findAvailableRoom(tierId) {
-        for (const room of this.rooms.values()) {
-            if (room.tier.id === tierId && room.playerCount < 50) {
-                return room;
-            }
+    /**
+     * Best-fitting public room of a tier with a free seat (see pickRoom)
+     * @param {Object} player - { rating, region }
+     * @returns {Room|null}
+     */
+    findAvailableRoom(tierId, player) {
+        const open = Array.from(this.rooms.values())
+            .filter(room => room.tier.id === tierId && room.isPublic && !room.isFull);
+        return pickRoom(open, player, this.ratings);
+    }
+
+    findByInvite(code) {
+        const roomId = typeof code === 'string' ? this.invites.get(code.toUpperCase()) : null;
+        return roomId ? this.rooms.get(roomId) || null : null;
+    }
+
+    /**
+     * Create a private room, reachable only by its invite code
+     * @param {Object} options - { ownerId, password, rules } (rules: see resolveRules)
+     */
+    async createPrivateRoom(tierId, { ownerId, password = null, rules = {} }) {
+        const owned = Array.from(this.rooms.values()).filter(room => room.access?.ownerId === ownerId);
+        if (owned.length >= MAX_PRIVATE_ROOMS_PER_OWNER) {
+            throw new Error(`You can have at most ${MAX_PRIVATE_ROOMS_PER_OWNER} private rooms open.`);
         }
-        return null;
+        if (password !== null && password !== '' && !isValidPassword(password)) {
+            throw new Error('Password must be 1-64 characters.');
+        }
+
+        const tier = this.tiers.get(tierId) || this.tiers.get(1) || { id: 1, name: 'Free', buy_in: 0, platform_fee: 0.20 };
+
+        let inviteCode;
+        do {
+            inviteCode = Array.from({ length: INVITE_LENGTH },
+                () => INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)]).join('');
+        } while (this.invites.has(inviteCode));
+
+        const access = {
+            inviteCode,
+            ownerId,
+            passwordHash: password ? await hashPassword(password) : null
+        };
+
+        const room = await this.createRoom(tier, { rules, access });
+        this.invites.set(inviteCode, room.id);
+        return room;
+    }
+
+    // What an invite link shows before joining
+    describeInvite(code) {
+        const room = this.findByInvite(code);
+        if (!room) return null;
+
+        return {
+            roomId: room.id,
+            tier: {
+                id: room.tier.id,
+                name: room.tier.name,
+                buyIn: room.tier.buy_in
+            },
+            rules: room.rules,
+            requiresPassword: !!room.access.passwordHash,
+            playerCount: room.realPlayerCount,
+            maxPlayers: room.rules.maxPlayers
+        };
     }
 
-    async createRoom(tier) {
-        const roomId = `room_${tier.id}_${Date.now()}`;
+    /**
+     * @param {Object} options - Room options (see Room); private rooms pass
+     *   `access`, and `region` is where to host the room on Hathora
+     */
+    async createRoom(tier, options = {}) {
+        const roomId = `room_${tier.id}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
 
         // Create Hathora room if available
         let hathoraRoomId = null;
@@ -175,7 +595,7 @@ class RoomManager {
                 const hathoraRoom = await this.hathora.roomsV2.createRoom({
                     appId: this.hathoraAppId,
                     createRoomParams: {
-                        region: 'Seattle',
+                        region: options.region || SERVER_REGION,
                         roomConfig: JSON.stringify({
                             tierId: tier.id,
                             buyIn: tier.buy_in
@@ -189,40 +609,196 @@ class RoomManager {
             }
         }
 
-        const room = new Room(roomId, tier, this.io);
+        const room = new Room(roomId, tier, this.io, this.ledger, {
+            ...options,
+            region: hathoraRoomId ? options.region || SERVER_REGION : SERVER_REGION
+        });
         this.rooms.set(roomId, room);
+        this.replays.record(room);
+        this.clips.watch(room);
 
         // Log room to database
-        db.createRoom(roomId, tier.id, hathoraRoomId);
+        db.createRoom(roomId, tier.id, hathoraRoomId, {
+            isPrivate: room.isPrivate,
+            inviteCode: room.access?.inviteCode || null,
+            ownerId: room.access?.ownerId || null,
+            rules: room.rules
+        });
+
+        // Spawn initial bots (see resolveBotConfig)
+        room.adjustBotCount();
 
-        // Spawn initial bots
-        room.spawnBots(5);
+        const kind = room.isPrivate ? 'private ' : room.tournamentId ? 'tournament ' : room.sandbox ? 'sandbox ' : '';
+        console.log(`[ROOMS] Created new ${kind}room: ${roomId} (tier: ${tier.name})`);
 
-        console.log(`[ROOMS] Created new room: ${roomId} (tier: ${tier.name})`);
+        return room;
+    }
+
+    /**
+     * Create a sandbox: a bot-only room where external agents play each other
+     * @param {Object} options - { ownerId, agents, rules } where `agents` are
+     *   local bot module names (repeats allowed) and `rules` are as for private
+     *   rooms (built-in bots default to none)
+     * @returns {Room} Remote agents join with `room.sandbox.key`
+     */
+    async createSandboxRoom({ ownerId, agents = [], rules = {} }) {
+        const owned = Array.from(this.rooms.values()).filter(room => room.sandbox?.ownerId === ownerId);
+        if (owned.length >= MAX_SANDBOXES_PER_OWNER) {
+            throw new Error(`You can have at most ${MAX_SANDBOXES_PER_OWNER} sandbox open.`);
+        }
+        if (!Array.isArray(agents) || agents.length > MAX_SANDBOX_AGENTS) {
+            throw new Error(`A sandbox holds at most ${MAX_SANDBOX_AGENTS} agents.`);
+        }
+        const unknown = agents.find(name => !this.agentModules.has(name));
+        if (unknown !== undefined) {
+            throw new Error(`Unknown bot: ${unknown}`);
+        }
 
+        const tier = this.tiers.get(1) || { id: 1, name: 'Free', buy_in: 0, platform_fee: 0.20 };
+        const sandbox = { ownerId, key: crypto.randomBytes(18).toString('base64url') };
+        const room = await this.createRoom(tier, { rules: { botCount: 0, ...rules }, sandbox });
+
+        try {
+            for (const name of agents) {
+                room.addAgent(new LocalAgent(room, this.agentModules.get(name)));
+            }
+        } catch (error) {
+            this.closeSandbox(room.id);
+            throw error;
+        }
         return room;
     }
 
+    // A sandbox's rules and agent standings (best first)
+    sandboxView(room) {
+        return {
+            roomId: room.id,
+            rules: room.rules,
+            createdAt: room.createdAt,
+            closesAt: room.createdAt + SANDBOX_MAX_AGE_MS,
+            agents: Array.from(room.agents.values())
+                .map(agent => agent.toJSON())
+                .sort((a, b) => b.kills - a.kills || b.bestLength - a.bestLength)
+        };
+    }
+
+    closeSandbox(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room?.sandbox) return;
+
+        for (const agent of room.agents.values()) {
+            if (agent.kind === 'remote') {
+                this.agentSockets.delete(agent.socketId);
+                this.io.of('/bots').sockets.get(agent.socketId)?.disconnect(true);
+            }
+        }
+        this.closeRoom(roomId);
+    }
+
+    /**
+     * Seat a remote agent (a /bots socket) in a sandbox
+     * @param {Object} data - { key, name } - key from the sandbox's creation
+     */
+    joinSandbox(socket, data) {
+        if (this.agentSockets.has(socket.id)) {
+            throw new Error('Already in a sandbox.');
+        }
+
+        const key = typeof data?.key === 'string' ? data.key : null;
+        const room = key ? Array.from(this.rooms.values()).find(r => r.sandbox?.key === key) : null;
+        if (!room) {
+            throw new Error('Sandbox not found.');
+        }
+        if (room.agents.size >= MAX_SANDBOX_AGENTS) {
+            throw new Error('Sandbox is full.');
+        }
+
+        const agent = new RemoteAgent(room, socket.id, data.name);
+        const snake = room.addAgent(agent);
+        this.agentSockets.set(socket.id, { roomId: room.id, agentId: agent.id });
+
+        return {
+            roomId: room.id,
+            id: snake.netId,
+            name: agent.name,
+            rules: room.rules,
+            thinkInterval: agent.thinkInterval,
+            tickRate: room.rates.tickRate
+        };
+    }
+
+    handleAgentInput(socketId, data) {
+        const entry = this.agentSockets.get(socketId);
+        const agent = entry ? this.rooms.get(entry.roomId)?.agents.get(entry.agentId) : null;
+        if (agent) agent.receive(data);
+    }
+
+    disconnectAgent(socketId) {
+        const entry = this.agentSockets.get(socketId);
+        if (!entry) return;
+
+        this.agentSockets.delete(socketId);
+        this.rooms.get(entry.roomId)?.removeAgent(entry.agentId);
+    }
+
+    // Send remote agents their observations; disabled ones are dropped
+    sendObservations(room) {
+        const namespace = this.io.of('/bots');
+        for (const agent of room.agents.values()) {
+            if (agent.kind !== 'remote') continue;
+
+            const socket = namespace.sockets.get(agent.socketId);
+            if (agent.disabled) {
+                socket?.emit('disabled', { reason: agent.disabled });
+                this.disconnectAgent(agent.socketId);
+                socket?.disconnect(true);
+                continue;
+            }
+
+            const observation = agent.takeObservation();
+            if (observation) socket?.emit('observe', observation);
+        }
+    }
+
     handleInput(socketId, data) {
         const roomId = this.playerRooms.get(socketId);
         if (!roomId) return;
 
         const room = this.rooms.get(roomId);
-        if (room) {
-            room.handleInput(socketId, data);
+        if (!room) return;
+
+        const command = this.validator.checkInput(socketId, data, room);
+        if (command) {
+            room.handleInput(socketId, command);
         }
     }
 
-    handleBoost(socketId, active) {
+    handleAck(socketId, seq) {
+        const tracker = this.snapshots.get(socketId);
+        if (tracker && Number.isInteger(seq) && seq >= 0) {
+            tracker.acknowledge(seq);
+        }
+    }
+
+    handleBoost(socketId, data) {
         const roomId = this.playerRooms.get(socketId);
         if (!roomId) return;
 
         const room = this.rooms.get(roomId);
-        if (room) {
+        if (!room) return;
+
+        const active = this.validator.checkBoost(socketId, data);
+        if (active !== null) {
             room.handleBoost(socketId, active);
         }
     }
 
+    logFlag(socketId, reason, details) {
+        const roomId = this.playerRooms.get(socketId);
+        const player = this.rooms.get(roomId)?.players.get(socketId);
+        db.logPlayerFlag(roomId || null, socketId, player?.name || null, reason, details);
+    }
+
     async respawnPlayer(socketId, _demoMode = false) {
         const roomId = this.playerRooms.get(socketId);
         if (!roomId) return null;
@@ -230,6 +806,25 @@ class RoomManager {
         const room = this.rooms.get(roomId);
         if (!room) return null;
 
+        // Staked players re-buy from their wallet, saved before the new snake spawns
+        const player = room.players.get(socketId);
+        if (player?.sessionId) {
+            const refusal = room.respawnRefusal();
+            if (refusal) return { success: false, message: refusal };
+
+            try {
+                await this.ledger.loadBalance('wallet', player.playerId);
+                await this.stake({
+                    sessionId: player.sessionId,
+                    playerId: player.playerId,
+                    roomId,
+                    amount: room.buyInCents
+                }, 'Insufficient wallet balance to buy in again');
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        }
+
         return room.respawnPlayer(socketId);
     }
 
@@ -240,17 +835,45 @@ class RoomManager {
         const room = this.rooms.get(roomId);
         if (!room) return { success: false, message: 'Room not found' };
 
-        const player = room.players.get(socketId);
+        const seated = room.players.get(socketId);
+        if (!seated) return { success: false, message: 'Player not found' };
+        if (seated.cashingOut) return { success: false, message: 'Already cashing out' };
+
+        // A staked session's balance goes to the player's wallet, saved
+        // before they leave; if it can't be, they stay in the room
+        let paid = 0;
+        if (seated.sessionId) {
+            seated.cashingOut = true;
+            try {
+                paid = await this.ledger.payOutSession({
+                    sessionId: seated.sessionId,
+                    playerId: seated.playerId,
+                    roomId
+                });
+            } catch (error) {
+                return { success: false, message: 'Could not save your cashout. Please try again.' };
+            } finally {
+                seated.cashingOut = false;
+            }
+        }
+
         const snake = room.snakes.get(socketId);
 
-        if (!player) return { success: false, message: 'Player not found' };
+        const token = room.players.get(socketId)?.resumeToken;
+        if (token) this.resumeTokens.delete(token);
+
+        // Anything won while the cashout was saving is settled on the way out
+        const removed = room.removePlayer(socketId, 'cashout');
+        if (!removed) return { success: false, message: 'Player not found' };
+        this.rateRemoval(room, removed);
 
-        // Calculate final earnings
-        const earnings = player.earnings + (snake?.value || 0);
+        // Demo players only ever hold play money
+        const { player } = removed;
+        const earnings = player.sessionId ? fromCents(paid + removed.payout) : (snake?.value || 0);
 
-        // Remove from room
-        room.removePlayer(socketId);
         this.playerRooms.delete(socketId);
+        this.snapshots.delete(socketId);
+        this.validator.forget(socketId);
 
         // Adjust bot count when player leaves
         room.adjustBotCount();
@@ -260,10 +883,23 @@ class RoomManager {
 
         console.log(`[CASHOUT] ${player.name} cashed out: $${earnings.toFixed(2)} (${player.kills} kills)`);
 
+        // Pay out what this cashout earned; the rest of the wallet stays for
+        // tournament entries until the player withdraws it
+        const earnedCents = player.sessionId ? paid + removed.payout : 0;
+        const payout = player.playerId && earnedCents > 0
+            ? await this.payouts.request(player.playerId, earnedCents).catch(error => {
+                console.error('[CASHOUT] Payout request error:', error.message);
+                return null;
+            })
+            : null;
+
         return {
             success: true,
             name: player.name,
             earnings,
+            balance: player.playerId ? fromCents(this.ledger.balance('wallet', player.playerId)) : 0,
+            payout: payout ? payoutView(payout) : null,
+            minPayout: fromCents(this.payouts.minCents),
             kills: player.kills,
             deaths: player.deaths,
             playTime: Date.now() - player.joinedAt
@@ -276,24 +912,40 @@ class RoomManager {
 
         const room = this.rooms.get(roomId);
         if (room) {
-            room.removePlayer(socketId);
+            const token = room.players.get(socketId)?.resumeToken;
+            if (token) this.resumeTokens.delete(token);
+
+            const removed = room.removePlayer(socketId, 'settlement');
+            if (removed) this.rateRemoval(room, removed);
             // Adjust bot count when player leaves
             room.adjustBotCount();
         }
 
         this.playerRooms.delete(socketId);
+        this.snapshots.delete(socketId);
+        this.validator.forget(socketId);
+    }
+
+    // Leaving alive ends a life too; rate how long it lasted
+    rateRemoval(room, removed) {
+        if (room.isPublic && removed.survived !== null) {
+            this.ratings.recordSurvival(room, removed.player.playerId, removed.survived);
+        }
     }
 
     getPublicRoomList() {
         const rooms = [];
         for (const [id, room] of this.rooms) {
+            if (!room.isPublic) continue;
+
             rooms.push({
                 id,
                 tierId: room.tier.id,
                 tier: room.tier.name,
                 buyIn: room.tier.buy_in,
                 playerCount: room.playerCount,
-                maxPlayers: 50
+                maxPlayers: room.rules.maxPlayers,
+                spectators: this.spectators.count(id)
             });
         }
         return rooms;
@@ -0,0 +1,165 @@
+/**
+ * Matchmaking
+ * Per-account skill ratings and the choice of room for tier joins and
+ * Quick Play
+ *
+ * Ratings are Elo-style: a kill moves rating from the victim to the killer
+ * (more for an upset), and every life ending - by death or by leaving -
+ * scores its survival time against the room's average rating.
+ */
+
+const db = require('../database');
+
+const DEFAULT_RATING = 1200; // New accounts and guests
+const MIN_RATING = 100;
+
+const KILL_K = 24; // Most rating one kill can move
+const SURVIVAL_K = 16; // Most rating one life's survival time can move
+const SURVIVAL_TARGET_MS = 5 * 60 * 1000; // Lasting this long is a full win
+
+// Room fit is a cost; the cheapest room wins. A rating gap of RATING_SPREAD
+// costs 1, as does being a whole room's worth of players away from
+// TARGET_FILL; a room hosted outside the player's region adds REGION_PENALTY.
+const RATING_SPREAD = 400;
+const TARGET_FILL = 0.6;
+const FILL_WEIGHT = 1;
+const REGION_PENALTY = 0.75;
+
+// Hathora regions; clients report the one nearest to them
+const REGIONS = [
+    'Seattle', 'Los_Angeles', 'Washington_DC', 'Chicago', 'London', 'Frankfurt', 'Mumbai',
+    'Singapore', 'Tokyo', 'Sydney', 'Sao_Paulo', 'Dubai', 'Johannesburg'
+];
+
+function normalizeRegion(region) {
+    return REGIONS.includes(region) ? region : null;
+}
+
+// Chance that a player rated `rating` beats one rated `opponent`
+function expectedScore(rating, opponent) {
+    return 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+}
+
+class Ratings {
+    constructor(store = db) {
+        this.store = store;
+        this.players = new Map(); // playerId -> { rating, games }
+        this.queue = Promise.resolve(); // Persistence, in change order
+    }
+
+    // Load a stored rating; ratings only change for loaded players
+    async load(playerId) {
+        if (!playerId) return DEFAULT_RATING;
+
+        if (!this.players.has(playerId)) {
+            const row = await this.store.getPlayerRating(playerId);
+            if (!this.players.has(playerId)) {
+                this.players.set(playerId, {
+                    rating: row ? Number(row.rating) : DEFAULT_RATING,
+                    games: row ? Number(row.games) : 0
+                });
+            }
+        }
+        return this.players.get(playerId).rating;
+    }
+
+    get(playerId) {
+        const entry = playerId ? this.players.get(playerId) : null;
+        return entry ? entry.rating : DEFAULT_RATING;
+    }
+
+    adjust(playerId, delta, lifeEnded = false) {
+        const entry = playerId ? this.players.get(playerId) : null;
+        if (!entry) return;
+
+        entry.rating = Math.max(MIN_RATING, entry.rating + delta);
+        if (lifeEnded) entry.games++;
+        const { rating, games } = entry;
+        this.queue = this.queue.then(() => this.store.savePlayerRating(playerId, rating, games));
+    }
+
+    // Mean rating of a room's players (bots left out); null when empty
+    roomRating(room) {
+        if (room.players.size === 0) return null;
+
+        let total = 0;
+        for (const player of room.players.values()) {
+            total += this.get(player.playerId);
+        }
+        return total / room.players.size;
+    }
+
+    // A snake's rating: its player's, or its bot profile's
+    snakeRating(room, snakeId, playerId) {
+        const bot = room.bots.get(snakeId);
+        return bot ? bot.profile.rating : this.get(playerId);
+    }
+
+    /**
+     * Rate a death (see Room.handleDeath for the kill record)
+     * @param {Room} room - Where it happened; `killerId` may be one of its bots
+     */
+    recordDeath(room, kill) {
+        if (kill.killerId) {
+            const killerRating = this.snakeRating(room, kill.killerId, kill.killerPlayerId);
+            const victimRating = this.snakeRating(room, kill.victimId, kill.victimPlayerId);
+            const delta = KILL_K * (1 - expectedScore(killerRating, victimRating));
+
+            this.adjust(kill.killerPlayerId, delta);
+            this.adjust(kill.victimPlayerId, -delta);
+        }
+
+        if (kill.victimSurvived !== null) {
+            this.recordSurvival(room, kill.victimPlayerId, kill.victimSurvived);
+        }
+    }
+
+    // Score how long a life lasted against the room
+    recordSurvival(room, playerId, survived) {
+        const entry = playerId ? this.players.get(playerId) : null;
+        if (!entry) return;
+
+        const average = this.roomRating(room);
+        const field = average === null ? DEFAULT_RATING : average;
+        const score = Math.min(1, survived / SURVIVAL_TARGET_MS);
+        this.adjust(playerId, SURVIVAL_K * (score - expectedScore(entry.rating, field)), true);
+    }
+}
+
+// Lower is a better fit: skill gap, distance from a lively-but-not-crowded
+// room, and hosting region
+function roomCost(room, { rating, region }, ratings) {
+    const average = ratings.roomRating(room);
+    const skill = average === null ? 0.5 : Math.abs(average - rating) / RATING_SPREAD;
+    const fill = Math.abs(room.realPlayerCount / room.rules.maxPlayers - TARGET_FILL) * FILL_WEIGHT;
+    const distance = region && room.region && room.region !== region ? REGION_PENALTY : 0;
+    return skill + fill + distance;
+}
+
+/**
+ * Pick the room that best fits a player
+ * @param {Room[]} rooms - Public rooms of the player's tier with a free seat
+ * @param {Object} player - { rating, region }
+ * @returns {Room|null} null when there is none (a new room is created)
+ */
+function pickRoom(rooms, player, ratings) {
+    // A lone room is always joined rather than splitting a small population
+    if (rooms.length <= 1) return rooms[0] || null;
+
+    let best = null;
+    let bestCost = Infinity;
+    for (const room of rooms) {
+        const cost = roomCost(room, player, ratings);
+        if (cost < bestCost) {
+            best = room;
+            bestCost = cost;
+        }
+    }
+    return best;
+}
+
+module.exports = {
+    Ratings,
+    pickRoom,
+    normalizeRegion
+};
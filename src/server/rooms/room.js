@@ -7,37 +7,119 @@ const Snake = require('../game/snake');
 const FoodManager = require('../game/food');
 const collision = require('../game/collision');
 const { BotPlayer } = require('../game/bot');
-
-// World configuration
-const WORLD_WIDTH = 4000;
-const WORLD_HEIGHT = 4000;
-const FOOD_COUNT = 500;
-const _TICK_RATE = 60;
-
-// Bot configuration (disabled - set to 0 for no autospawn)
-const MIN_BOTS = 0;
-const MAX_BOTS = 0;
-const INITIAL_BOTS = 0;
+const { resolveBotConfig, botTarget, pickProfile } = require('../game/profiles');
+const SpatialGrid = require('../game/spatial');
+const { SafeZone, ZONE_PHASES } = require('../game/zone');
+const { MIN_LENGTH } = require('../../shared/movement');
+const { resolveRates, BASE_TICK_RATE } = require('./schedule');
+const { resolveRules } = require('./rules');
+const { Ledger, toCents, fromCents } = require('../economy/ledger');
+const { createRandom } = require('../game/random');
+const crypto = require('crypto');
+
+// Sequenced input commands buffered per player (one is applied per tick)
+const MAX_INPUT_QUEUE = 8;
+const GRID_CELL_SIZE = 100;
+
+// A player is "threatened" when another snake's body enters this range
+// ahead of their head (used for reaction-time checks, see InputValidator)
+const THREAT_DISTANCE = 80;
+
+// Held snakes (disconnected, see holdPlayer) circle at this turn per tick,
+// and head back to the centre when this close to a wall
+const HOLD_TURN = 0.02;
+const HOLD_WALL_MARGIN = 400;
+
+// Battle royale rounds (rules.mode 'royale'): a round needs this many snakes,
+// starts after a countdown and is followed by an intermission (seconds)
+const ROYALE_MIN_SNAKES = 2;
+const ROYALE_COUNTDOWN = 10;
+const ROYALE_INTERMISSION = 8;
+
+// Dead bots come back after this long
+const BOT_RESPAWN_MS = 2000;
+
+// Segments lost per second outside the safe zone, per zone phase
+const ZONE_DAMAGE = 4;
+
+// House-funded pot for each round's winner (dollars). Staked winners get it
+// in their session when at least ROYALE_MIN_SNAKES staked players started the
+// round; unstaked players win it as play money.
+const ROYALE_POT = toCents(process.env.ROYALE_POT || 0);
 
 class Room {
-    constructor(id, tier, io) {
+    /**
+     * @param {Object} options - { rules, access, tournamentId, sandbox, region,
+     *   seed, clock } where `rules` are owner overrides (see resolveRules),
+     *   `access` ({ inviteCode, passwordHash, ownerId }) makes the room private,
+     *   `tournamentId` makes it a tournament round (seated by the tournament,
+     *   no respawns), `sandbox` ({ ownerId }) makes it a bot-only room for
+     *   external agents and `region` is where the room is hosted (see matchmaking).
+     *   All of the room's randomness comes from `seed` (a random one by
+     *   default), so a replay of its recorded inputs plays out the same way.
+     *   `clock` ({ now() }, like Date) defaults to the real one; simulations
+     *   and replays pass a manual one (see simulation.js).
+     */
+    constructor(id, tier, io, ledger = new Ledger(), options = {}) {
         this.id = id;
         this.tier = tier;
         this.io = io;
+        this.rules = resolveRules(options.rules);
+        this.botConfig = resolveBotConfig(tier, this.rules); // Population and profile mix
+        this.access = options.access || null;
+        this.tournamentId = options.tournamentId || null;
+        this.sandbox = options.sandbox || null;
+        this.region = options.region || null;
+        this.seed = options.seed !== undefined ? options.seed : crypto.randomInt(0xffffffff);
+        this.random = createRandom(this.seed);
+        this.clock = options.clock || Date;
+        this.recorder = null; // Set while the room is recorded (see replays/recorder.js)
+
+        // Battle royale round state (null in classic rooms); round changes are
+        // queued in `events` for the manager to broadcast
+        this.round = this.rules.mode === 'royale' ? {
+            number: 0,
+            state: 'waiting', // waiting -> countdown -> active -> ended -> waiting
+            timer: 0, // Seconds left in the countdown or intermission
+            zone: null,
+            stakedEntrants: 0,
+            winnerName: null,
+            pot: 0, // Won in the last round (dollars)
+            potCents: ROYALE_POT // For each round's winner
+        } : null;
+        this.events = [];
+
+        // Staked players' money lives in the ledger; snake.value mirrors
+        // their session balance
+        this.ledger = ledger;
+        this.feeRate = tier.platform_fee !== undefined ? Number(tier.platform_fee) : 0.20;
 
         // Game state
         this.snakes = new Map(); // socketId -> Snake
         this.players = new Map(); // socketId -> playerData
         this.bots = new Map(); // botId -> BotPlayer
-        this.food = new FoodManager(WORLD_WIDTH, WORLD_HEIGHT, FOOD_COUNT);
-
+        this.agents = new Map(); // agentId -> AgentBot (external bots, see addAgent)
         // Room config
-        this.worldWidth = WORLD_WIDTH;
-        this.worldHeight = WORLD_HEIGHT;
+        this.worldWidth = this.rules.worldSize;
+        this.worldHeight = this.rules.worldSize;
+        this.food = new FoodManager(this.worldWidth, this.worldHeight, this.rules.foodCount, this.random);
+
+        // Spatial index of snake heads and segments, rebuilt every tick
+        this.spatial = new SpatialGrid(this.worldWidth, this.worldHeight, GRID_CELL_SIZE);
+
+        // Simulation/network rates; dt scales per-tick movement to the tick rate
+        this.rates = resolveRates(tier);
+        this.dt = BASE_TICK_RATE / this.rates.tickRate;
+        this.tick = 0; // Ticks simulated (timers below count in ticks)
+        this.respawnAt = new Map(); // Dead botId -> tick it respawns
+
+        // Snapshot entity IDs
+        this.nextNetId = 1;
 
         // Stats
         this.totalKills = 0;
-        this.createdAt = Date.now();
+        this.createdAt = this.clock.now();
+        this.emptySince = 0; // Private rooms: when the last player left
 
         // Initialize food
         this.food.initialize();
@@ -55,22 +137,93 @@ class Room {
         return this.bots.size;
     }
 
+    get isPrivate() {
+        return !!this.access;
+    }
+
+    // Listed in the lobby and open to Quick Play
+    get isPublic() {
+        return !this.access && !this.tournamentId && !this.sandbox;
+    }
+
+    get isRoyale() {
+        return !!this.round;
+    }
+
+    get isFull() {
+        return this.realPlayerCount >= this.rules.maxPlayers;
+    }
+
+    // Give a snake a fresh snapshot ID (clients treat it as a new entity)
+    assignNetId(snake) {
+        snake.netId = this.nextNetId++;
+        return snake;
+    }
+
+    // Note a change from outside the room for its replay; it takes effect
+    // from the next tick (see ReplayRecorder)
+    record(type, ...args) {
+        if (this.recorder) this.recorder.op(this.tick + 1, type, args);
+    }
+
+    // Random spawn position, inside the safe zone while one is closing in
+    spawnPoint() {
+        const margin = 200;
+        const zone = this.round?.zone;
+
+        if (zone && this.round.state === 'active') {
+            const angle = this.random() * Math.PI * 2;
+            const distance = Math.sqrt(this.random()) * zone.radius * 0.8;
+            return {
+                x: Math.max(margin, Math.min(this.worldWidth - margin, zone.x + Math.cos(angle) * distance)),
+                y: Math.max(margin, Math.min(this.worldHeight - margin, zone.y + Math.sin(angle) * distance))
+            };
+        }
+
+        return {
+            x: margin + this.random() * (this.worldWidth - margin * 2),
+            y: margin + this.random() * (this.worldHeight - margin * 2)
+        };
+    }
+
     isNameTaken(name) {
         for (const [, player] of this.players) {
             if (player.name.toLowerCase() === name.toLowerCase()) {
                 return true;
             }
         }
-        // Also check bot names
-        for (const [, bot] of this.bots) {
-            if (bot.name.toLowerCase() === name.toLowerCase()) {
-                return true;
+        // Also check bot and agent names
+        for (const bots of [this.bots, this.agents]) {
+            for (const [, bot] of bots) {
+                if (bot.name.toLowerCase() === name.toLowerCase()) {
+                    return true;
+                }
             }
         }
         return false;
     }
 
-    addPlayer(socketId, name, demoMode = false) {
+    get buyInCents() {
+        return toCents(this.tier.buy_in);
+    }
+
+    // Mirror a staked player's session balance onto their snake
+    syncValue(socketId) {
+        const player = this.players.get(socketId);
+        const snake = this.snakes.get(socketId);
+        if (player?.sessionId && snake) {
+            snake.value = fromCents(this.ledger.balance('session', player.sessionId));
+        }
+    }
+
+    /**
+     * @param {string|null} playerId - Player account ID (null for guests)
+     * @param {string|null} sessionId - Ledger session the manager has already
+     *   staked this room's buy-in in (paid seats only)
+     */
+    addPlayer(socketId, name, demoMode = false, playerId = null, sessionId = null) {
+        this.record('join', socketId, name, playerId);
+
         // Ensure unique name in this room
         let uniqueName = name;
         let suffix = 1;
@@ -79,27 +232,38 @@ class Room {
             suffix++;
         }
 
-        // Random spawn position
-        const margin = 200;
-        const x = margin + Math.random() * (this.worldWidth - margin * 2);
-        const y = margin + Math.random() * (this.worldHeight - margin * 2);
+        const { x, y } = this.spawnPoint();
 
         // Create snake with unique name
-        const snake = new Snake(socketId, uniqueName, x, y);
-        snake.value = demoMode ? 0 : this.tier.buy_in;
+        const snake = new Snake(socketId, uniqueName, x, y, null, this.random);
+
+        this.assignNetId(snake);
 
         this.snakes.set(socketId, snake);
         this.players.set(socketId, {
             name: uniqueName,
             socketId,
+            playerId,
+            sessionId,
             demoMode,
-            buyIn: demoMode ? 0 : this.tier.buy_in,
-            earnings: 0,
+            buyIn: sessionId ? this.tier.buy_in : 0,
             kills: 0,
             deaths: 0,
-            joinedAt: Date.now()
+            joinedAt: this.clock.now(),
+            spawnedAt: this.clock.now(), // Start of the current life
+            inputQueue: [],
+            lastInputSeq: 0,
+            threatened: false,
+            threatAt: 0,
+            heldUntil: 0, // Disconnected and held until this time (0 = connected)
+            diedAt: 0,
+            watchingId: null // Dead: the killer the camera follows (null = the leader)
         });
 
+        if (sessionId) {
+            this.syncValue(socketId);
+        }
+
         return {
             playerId: socketId,
             snake: snake.toJSON(),
@@ -107,58 +271,208 @@ class Room {
             world: {
                 width: this.worldWidth,
                 height: this.worldHeight
-            }
+            },
+            round: this.roundView()
         };
     }
 
-    removePlayer(socketId) {
+    /**
+     * Remove a player, paying their session balance into their wallet
+     * @returns {Object|null} { player, payout, survived } with payout in cents
+     *   and survived the ms the player's snake had been alive (null if dead)
+     */
+    removePlayer(socketId, type = 'cashout') {
         const snake = this.snakes.get(socketId);
         const player = this.players.get(socketId);
+        if (!player) return null;
 
+        this.record('leave', socketId);
+        const survived = snake?.alive ? this.clock.now() - player.spawnedAt : null;
         if (snake && snake.alive) {
             // Drop food when leaving
             const droppedFood = snake.toFood();
             this.food.addSnakeFood(droppedFood);
         }
 
+        let payout = 0;
+        if (player.sessionId) {
+            payout = this.ledger.closeSession({
+                sessionId: player.sessionId,
+                playerId: player.playerId,
+                roomId: this.id,
+                type
+            });
+        }
+
         this.snakes.delete(socketId);
         this.players.delete(socketId);
 
-        return player;
+        return { player, payout, survived };
     }
 
     handleInput(socketId, data) {
         const snake = this.snakes.get(socketId);
-        if (snake && snake.alive) {
+        if (!snake || !snake.alive) return;
+
+        this.record('input', socketId, data);
+
+        // Unsequenced input applies immediately
+        if (data.seq === undefined) {
             snake.setTarget(data.x, data.y);
+            return;
+        }
+
+        // Sequenced commands are applied one per tick, matching client prediction
+        const player = this.players.get(socketId);
+        if (!player || !Number.isInteger(data.seq) || data.seq <= player.lastInputSeq) return;
+
+        player.inputQueue.push(data);
+        if (player.inputQueue.length > MAX_INPUT_QUEUE) {
+            const dropped = player.inputQueue.shift();
+            player.lastInputSeq = dropped.seq;
+        }
+    }
+
+    // Apply the next queued command for each player
+    applyInputs() {
+        for (const [socketId, player] of this.players) {
+            const command = player.inputQueue.shift();
+            if (!command) continue;
+
+            player.lastInputSeq = command.seq;
+
+            const snake = this.snakes.get(socketId);
+            if (!snake || !snake.alive) continue;
+
+            if (Number.isFinite(command.x) && Number.isFinite(command.y)) {
+                snake.setTarget(command.x, command.y);
+            }
+            snake.setBoost(!!command.boost);
+        }
+    }
+
+    /**
+     * Hold a disconnected player's snake until `until`: it can't kill or be
+     * killed and circles on autopilot, so its value stays frozen in the
+     * session until the player resumes or the hold is settled
+     */
+    holdPlayer(socketId, until) {
+        const player = this.players.get(socketId);
+        const snake = this.snakes.get(socketId);
+        if (!player || !snake || !snake.alive) return false;
+
+        this.record('hold', socketId, until);
+        player.heldUntil = until;
+        player.inputQueue = [];
+        snake.held = true;
+        snake.setBoost(false);
+        return true;
+    }
+
+    // Socket IDs of held players whose grace window has run out
+    expiredHolds(now) {
+        const expired = [];
+        for (const [socketId, player] of this.players) {
+            if (player.heldUntil && player.heldUntil <= now) {
+                expired.push(socketId);
+            }
+        }
+        return expired;
+    }
+
+    /**
+     * Hand a held player's snake to their new socket. The snake gets a new
+     * snapshot ID, so clients see it as a new entity with the new owner.
+     */
+    resumePlayer(oldSocketId, newSocketId) {
+        const player = this.players.get(oldSocketId);
+        const snake = this.snakes.get(oldSocketId);
+        if (!player || !snake || !player.heldUntil) return null;
+
+        this.record('resume', oldSocketId, newSocketId);
+        this.players.delete(oldSocketId);
+        this.snakes.delete(oldSocketId);
+
+        player.socketId = newSocketId;
+        player.heldUntil = 0;
+        player.lastInputSeq = 0;
+        player.threatened = false;
+        snake.id = newSocketId;
+        snake.held = false;
+        this.assignNetId(snake);
+
+        this.players.set(newSocketId, player);
+        this.snakes.set(newSocketId, snake);
+
+        return {
+            playerId: newSocketId,
+            snake: snake.toJSON(),
+            roomId: this.id,
+            world: {
+                width: this.worldWidth,
+                height: this.worldHeight
+            },
+            round: this.roundView()
+        };
+    }
+
+    // Autopilot for held snakes: circle, turning back from the walls
+    steerHeld(snake) {
+        const nearWall = snake.x < HOLD_WALL_MARGIN || snake.y < HOLD_WALL_MARGIN ||
+            snake.x > this.worldWidth - HOLD_WALL_MARGIN || snake.y > this.worldHeight - HOLD_WALL_MARGIN;
+
+        if (nearWall) {
+            snake.setTarget(this.worldWidth / 2, this.worldHeight / 2);
+        } else {
+            snake.targetAngle = snake.angle + HOLD_TURN;
         }
     }
 
     handleBoost(socketId, active) {
         const snake = this.snakes.get(socketId);
         if (snake && snake.alive) {
+            this.record('boost', socketId, active);
             snake.setBoost(active);
         }
     }
 
+    // Why nobody can respawn right now, or null if they can
+    respawnRefusal() {
+        if (this.tournamentId) return 'No respawns in tournament rounds';
+        if (this.round?.state === 'active') return 'Wait for the next round';
+        return null;
+    }
+
+    // Staked players' re-buys are made by the manager before this is called
     respawnPlayer(socketId) {
         const player = this.players.get(socketId);
         if (!player) return null;
 
+        const refusal = this.respawnRefusal();
+        if (refusal) {
+            return { success: false, message: refusal };
+        }
+
+        // Replays respawn unstaked, so only a respawn that happened is recorded
+        this.record('respawn', socketId);
+
         // Remove old snake
         this.snakes.delete(socketId);
 
         // Create new snake
-        const margin = 200;
-        const x = margin + Math.random() * (this.worldWidth - margin * 2);
-        const y = margin + Math.random() * (this.worldHeight - margin * 2);
+        const { x, y } = this.spawnPoint();
+
+        const snake = new Snake(socketId, player.name, x, y, null, this.random);
 
-        const snake = new Snake(socketId, player.name, x, y);
-        snake.value = player.demoMode ? 0 : this.tier.buy_in;
+        this.assignNetId(snake);
 
         this.snakes.set(socketId, snake);
+        this.syncValue(socketId);
+        player.spawnedAt = this.clock.now();
+        player.watchingId = null;
 
         return {
+            success: true,
             snake: snake.toJSON()
         };
     }
@@ -166,23 +480,33 @@ class Room {
     // Bot management
     spawnBots(count) {
         for (let i = 0; i < count; i++) {
-            const bot = new BotPlayer(this);
+            this.createBot(pickProfile(this.botConfig.mix, this.random));
+        }
+    }
 
-            // Random spawn position
-            const margin = 200;
-            const x = margin + Math.random() * (this.worldWidth - margin * 2);
-            const y = margin + Math.random() * (this.worldHeight - margin * 2);
+    // Add one bot of a difficulty profile (see BOT_PROFILES)
+    addBot(profileName) {
+        this.record('bot', profileName);
+        return this.createBot(profileName);
+    }
 
-            // Create snake for bot
-            const snake = new Snake(bot.id, bot.name, x, y);
-            snake.value = 0; // Bots have no monetary value
-            snake.isBot = true;
+    createBot(profileName) {
+        const bot = new BotPlayer(this, profileName);
 
-            this.snakes.set(bot.id, snake);
-            this.bots.set(bot.id, bot);
+        const { x, y } = this.spawnPoint();
 
-            console.log(`[BOTS] Spawned ${bot.name} in room ${this.id}`);
-        }
+        // Create snake for bot
+        const snake = new Snake(bot.id, bot.name, x, y, null, this.random);
+        snake.value = 0; // Bots have no monetary value
+        snake.isBot = true;
+
+        this.assignNetId(snake);
+
+        this.snakes.set(bot.id, snake);
+        this.bots.set(bot.id, bot);
+
+        console.log(`[BOTS] Spawned ${bot.name} (${bot.profileName}) in room ${this.id}`);
+        return bot;
     }
 
     removeBots(count) {
@@ -199,6 +523,7 @@ class Room {
 
             this.snakes.delete(botId);
             this.bots.delete(botId);
+            this.respawnAt.delete(botId);
             removed++;
 
             console.log(`[BOTS] Removed ${bot.name} from room ${this.id}`);
@@ -210,88 +535,193 @@ class Room {
         return this.removeBots(this.bots.size);
     }
 
+    // @returns {boolean} false while bots can't respawn (battle royale rounds)
     respawnBot(botId) {
-        const bot = this.bots.get(botId);
-        if (!bot) return;
+        const bot = this.bots.get(botId) || this.agents.get(botId);
+        if (!bot || this.round?.state === 'active') return false;
 
         // Remove old snake
         this.snakes.delete(botId);
 
         // Create new snake
-        const margin = 200;
-        const x = margin + Math.random() * (this.worldWidth - margin * 2);
-        const y = margin + Math.random() * (this.worldHeight - margin * 2);
+        const { x, y } = this.spawnPoint();
 
-        const snake = new Snake(bot.id, bot.name, x, y);
+        const snake = new Snake(bot.id, bot.name, x, y, null, this.random);
         snake.value = 0;
         snake.isBot = true;
 
+        this.assignNetId(snake);
+
         this.snakes.set(bot.id, snake);
+        return true;
+    }
+
+    // Respawn a dead bot BOT_RESPAWN_MS after it was first seen dead
+    updateRespawn(botId) {
+        const due = this.respawnAt.get(botId);
+        if (due === undefined) {
+            this.respawnAt.set(botId, this.tick + Math.round(BOT_RESPAWN_MS * this.rates.tickRate / 1000));
+        } else if (this.tick >= due && this.respawnBot(botId)) {
+            this.respawnAt.delete(botId);
+        }
+    }
+
+    /**
+     * Give an external bot a snake. Agents drive their snake through the same
+     * think/getInput contract as BotPlayer, and aren't part of the bot
+     * population (see adjustBotCount).
+     * @param {AgentBot} agent - LocalAgent or RemoteAgent
+     */
+    addAgent(agent) {
+        this.record('agent', agent.id, agent.name, agent.kind);
+
+        let name = agent.name;
+        let suffix = 1;
+        while (this.isNameTaken(name)) {
+            name = `${agent.name}_${suffix}`;
+            suffix++;
+        }
+        agent.name = name;
+
+        const { x, y } = this.spawnPoint();
+        const snake = new Snake(agent.id, agent.name, x, y, null, this.random);
+        snake.value = 0;
+        snake.isBot = true;
+
+        this.assignNetId(snake);
+
+        this.snakes.set(agent.id, snake);
+        this.agents.set(agent.id, agent);
+
+        console.log(`[AGENTS] ${agent.name} (${agent.kind}) joined room ${this.id}`);
+        return snake;
+    }
+
+    removeAgent(agentId) {
+        const agent = this.agents.get(agentId);
+        if (!agent) return false;
+
+        this.record('agent_leave', agentId);
+        const snake = this.snakes.get(agentId);
+        if (snake && snake.alive) {
+            this.food.addSnakeFood(snake.toFood());
+        }
+
+        this.snakes.delete(agentId);
+        this.agents.delete(agentId);
+        this.respawnAt.delete(agentId);
+
+        console.log(`[AGENTS] ${agent.name} left room ${this.id}`);
+        return true;
     }
 
+    // Bring the bot population to the room's target (see botTarget)
     adjustBotCount() {
-        const realPlayers = this.realPlayerCount;
+        this.record('bots');
+        const diff = botTarget(this.botConfig, this.realPlayerCount) - this.botCount;
+        if (diff > 0) this.spawnBots(diff);
+        if (diff < 0) this.removeBots(-diff);
+    }
 
-        if (realPlayers === 0) {
-            // No real players - spawn initial bots
-            const botsNeeded = INITIAL_BOTS - this.botCount;
-            if (botsNeeded > 0) {
-                this.spawnBots(botsNeeded);
-            }
-        } else {
-            // Real players present - maintain minimum bots
-            const targetBots = Math.max(MIN_BOTS, MAX_BOTS - realPlayers);
-            const currentBots = this.botCount;
-
-            if (currentBots < targetBots) {
-                this.spawnBots(targetBots - currentBots);
-            } else if (currentBots > targetBots) {
-                this.removeBots(currentBots - targetBots);
+    // Rebuild the snake index after movement. Entries are
+    // { snake, index, x, y } with index -1 for the head.
+    indexSnakes() {
+        this.spatial.clear();
+        for (const snake of this.snakes.values()) {
+            if (!snake.alive) continue;
+
+            this.spatial.insert({ snake, index: -1, x: snake.x, y: snake.y }, snake.x, snake.y);
+
+            const segments = snake.segments;
+            for (let i = 0; i < segments.length; i++) {
+                const seg = segments[i];
+                this.spatial.insert({ snake, index: i, x: seg.x, y: seg.y }, seg.x, seg.y);
             }
         }
     }
 
+    // Alive snakes whose head is within radius of a point
+    getSnakesNear(x, y, radius) {
+        const nearby = [];
+        const radiusSq = radius * radius;
+        this.spatial.forEachNear(x, y, radius, (entry) => {
+            if (entry.index >= 0 || !entry.snake.alive) return;
+            const dx = entry.x - x;
+            const dy = entry.y - y;
+            if (dx * dx + dy * dy < radiusSq) {
+                nearby.push(entry.snake);
+            }
+        });
+        return nearby;
+    }
+
     // Main game tick
     update() {
+        this.tick++;
         const snakeArray = Array.from(this.snakes.values());
         const kills = [];
 
-        // Process bot AI and apply inputs
-        for (const [botId, bot] of this.bots) {
-            const snake = this.snakes.get(botId);
-            if (!snake || !snake.alive) {
-                // Respawn dead bot after delay
-                if (snake && !snake.alive) {
-                    setTimeout(() => this.respawnBot(botId), 2000);
+        // Process bot and agent AI and apply inputs (sensing uses last tick's index)
+        for (const bots of [this.bots, this.agents]) {
+            for (const [botId, bot] of bots) {
+                const snake = this.snakes.get(botId);
+                if (!snake || !snake.alive) {
+                    // Respawn dead bot after delay
+                    if (snake && !snake.alive) {
+                        this.updateRespawn(botId);
+                    }
+                    continue;
                 }
-                continue;
-            }
 
-            // Bot thinks and decides next move
-            bot.think(this.snakes, this.food, this.worldWidth, this.worldHeight);
+                // Bot thinks and decides next move
+                bot.think(this.snakes, this.food, this.worldWidth, this.worldHeight, this.spatial);
 
-            // Apply bot input
-            const input = bot.getInput();
-            snake.targetAngle = input.angle;
-            snake.setBoost(input.boost);
+                // Apply bot input. Agents decide outside the simulation
+                // (other processes, time budgets), so replays get their input.
+                const input = bot.getInput();
+                snake.targetAngle = input.angle;
+                snake.setBoost(input.boost);
+                if (this.recorder && bots === this.agents) {
+                    this.recorder.steer(this.tick, botId, input);
+                }
+            }
         }
 
-        // Update all snakes
+        // Player commands
+        this.applyInputs();
+        for (const snake of snakeArray) {
+            if (snake.held && snake.alive) this.steerHeld(snake);
+        }
+
+        // Move all snakes, then index them so collisions see this tick's positions.
+        // Boosting leaves part of the lost mass behind as pellets.
+        const { boostCost, boostDropRate, boostDropValue } = this.rules;
         for (const snake of snakeArray) {
             if (!snake.alive) continue;
+            const lost = snake.update(this.worldWidth, this.worldHeight, this.dt, boostCost);
+            if (lost > 0 && boostDropRate > 0) {
+                this.food.addBoostFood(snake.boostFood(lost, boostDropRate, boostDropValue));
+            }
+        }
+        this.indexSnakes();
 
-            snake.update(this.worldWidth, this.worldHeight);
+        for (const snake of snakeArray) {
+            // Held snakes are out of play until their player returns
+            if (!snake.alive || snake.held) continue;
 
             // Check collisions with other snakes
-            const collisionResult = collision.checkSnakeCollision(snake, snakeArray);
+            const collisionResult = collision.checkSnakeCollision(snake, this.spatial);
 
             if (collisionResult) {
                 if (collisionResult.headToHead && collisionResult.otherVictim) {
                     // Both die in head-to-head
-                    this.handleDeath(collisionResult.victim, null);
-                    this.handleDeath(collisionResult.otherVictim, null);
+                    kills.push(this.handleDeath(collisionResult.victim, null, 'a head-on collision'));
+                    kills.push(this.handleDeath(collisionResult.otherVictim, null, 'a head-on collision'));
                 } else if (collisionResult.killer) {
-                    kills.push(this.handleDeath(collisionResult.victim, collisionResult.killer));
+                    const kill = this.handleDeath(collisionResult.victim, collisionResult.killer);
+                    // The killer's body segment that was hit (none head-on)
+                    if (!collisionResult.headToHead) kill.segment = collisionResult.segment;
+                    kills.push(kill);
                 }
             }
 
@@ -303,13 +733,191 @@ class Room {
             }
         }
 
+        if (this.round) {
+            this.updateRound(kills);
+        }
+
+        this.detectThreats();
+
         // Replenish food
         this.food.update();
 
+        if (this.recorder) {
+            this.recorder.afterUpdate(kills);
+        }
+
         return kills;
     }
 
-    handleDeath(victim, killer) {
+    // Battle royale: wait for enough snakes, count down, shrink the zone
+    // until one snake is left, then pause before the next round
+    updateRound(kills) {
+        const round = this.round;
+        const seconds = 1 / this.rates.tickRate;
+        const alive = this.aliveSnakes();
+
+        if (round.state === 'waiting') {
+            if (alive.length >= ROYALE_MIN_SNAKES) {
+                this.setRoundState('countdown', ROYALE_COUNTDOWN);
+            }
+        } else if (round.state === 'countdown') {
+            round.timer -= seconds;
+            if (alive.length < ROYALE_MIN_SNAKES) {
+                this.setRoundState('waiting');
+            } else if (round.timer <= 0) {
+                this.startRound(alive);
+            }
+        } else if (round.state === 'active') {
+            round.zone.update(seconds);
+            this.applyZoneDamage(seconds, kills);
+
+            const survivors = this.aliveSnakes();
+            if (survivors.length <= 1) {
+                this.endRound(survivors[0] || null);
+            }
+        } else if (round.state === 'ended') {
+            round.timer -= seconds;
+            if (round.timer <= 0) {
+                round.zone = null;
+                round.winnerName = null;
+                round.pot = 0;
+                this.setRoundState('waiting');
+            }
+        }
+    }
+
+    // Snakes in the round: held snakes are out of play, so the zone doesn't
+    // drain them and they can't start, survive or win a round while away
+    aliveSnakes() {
+        return Array.from(this.snakes.values()).filter(snake => snake.alive && !snake.held);
+    }
+
+    setRoundState(state, timer = 0) {
+        this.round.state = state;
+        this.round.timer = timer;
+        this.events.push({ type: 'round', data: this.roundView() });
+    }
+
+    startRound(entrants) {
+        const round = this.round;
+        round.number++;
+        round.zone = new SafeZone(this.worldWidth, this.worldHeight, ZONE_PHASES, this.random);
+        round.stakedEntrants = entrants.filter(snake => this.players.get(snake.id)?.sessionId).length;
+
+        for (const snake of entrants) {
+            snake.zoneDebt = 0;
+        }
+
+        this.setRoundState('active');
+        console.log(`[ROYALE] Round ${round.number} started in room ${this.id} with ${entrants.length} snakes`);
+    }
+
+    // Outside the zone snakes lose segments, faster in later phases, and die
+    // once they have none left to lose
+    applyZoneDamage(seconds, kills) {
+        const zone = this.round.zone;
+        const rate = ZONE_DAMAGE * Math.min(zone.phase + 1, zone.phases.length);
+
+        for (const snake of this.aliveSnakes()) {
+            if (zone.contains(snake.x, snake.y)) {
+                snake.zoneDebt = 0;
+                continue;
+            }
+
+            snake.zoneDebt += rate * seconds;
+            const lost = Math.floor(snake.zoneDebt);
+            if (lost === 0) continue;
+
+            snake.zoneDebt -= lost;
+            if (snake.length - lost < MIN_LENGTH) {
+                kills.push(this.handleDeath(snake, null, 'the zone'));
+            } else {
+                snake.shrink(lost);
+            }
+        }
+    }
+
+    endRound(winner) {
+        const round = this.round;
+        const player = winner ? this.players.get(winner.id) : null;
+
+        let pot = 0;
+        if (player?.sessionId && round.stakedEntrants >= ROYALE_MIN_SNAKES && round.potCents > 0) {
+            pot = fromCents(this.ledger.awardPot({
+                sessionId: player.sessionId,
+                playerId: player.playerId,
+                roomId: this.id,
+                round: round.number,
+                amount: round.potCents
+            }));
+            this.syncValue(winner.id);
+        } else if (player && !player.sessionId && round.potCents > 0) {
+            // Play money, like bounties for unstaked players
+            pot = fromCents(round.potCents);
+            winner.value += pot;
+        }
+
+        round.winnerName = winner?.name || null;
+        round.pot = pot;
+        this.setRoundState('ended', ROYALE_INTERMISSION);
+        console.log(`[ROYALE] Round ${round.number} in room ${this.id} won by ${round.winnerName || 'nobody'} (pot: $${pot.toFixed(2)})`);
+    }
+
+    // Round status for clients
+    roundView() {
+        if (!this.round) return null;
+
+        return {
+            number: this.round.number,
+            state: this.round.state,
+            timer: Math.max(0, Math.ceil(this.round.timer)),
+            winnerName: this.round.winnerName,
+            pot: this.round.pot
+        };
+    }
+
+    // Round changes since the last call
+    takeEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+
+    // Record when each player first had another snake appear in front of them
+    detectThreats() {
+        const now = this.clock.now();
+        for (const [socketId, player] of this.players) {
+            const snake = this.snakes.get(socketId);
+            if (!snake || !snake.alive) {
+                player.threatened = false;
+                continue;
+            }
+
+            const dirX = Math.cos(snake.angle);
+            const dirY = Math.sin(snake.angle);
+            const range = THREAT_DISTANCE + snake.headRadius;
+            let threatened = false;
+
+            this.spatial.forEachNear(snake.x, snake.y, range, (entry) => {
+                if (threatened || entry.snake === snake) return;
+                const dx = entry.x - snake.x;
+                const dy = entry.y - snake.y;
+                if (dx * dirX + dy * dirY > 0 && dx * dx + dy * dy < range * range) {
+                    threatened = true;
+                }
+            });
+
+            if (threatened && !player.threatened) {
+                player.threatAt = now;
+            }
+            player.threatened = threatened;
+        }
+    }
+
+    /**
+     * @param {string} cause - Shown as the killer when there is no killer snake
+     */
+    handleDeath(victim, killer, cause = 'the wall') {
         victim.die();
 
         // Drop food from victim
@@ -319,21 +927,57 @@ class Room {
         const victimPlayer = this.players.get(victim.id);
         if (victimPlayer) {
             victimPlayer.deaths++;
+            victimPlayer.diedAt = this.clock.now();
+            victimPlayer.watchingId = killer ? killer.id : null;
+        }
+
+        // Dead players watching this snake move on to the leader
+        for (const player of this.players.values()) {
+            if (player.watchingId === victim.id) player.watchingId = null;
         }
 
+        // Agent standings (sandbox rooms)
+        const victimAgent = this.agents.get(victim.id);
+        if (victimAgent) {
+            victimAgent.deaths++;
+            victimAgent.bestLength = Math.max(victimAgent.bestLength, victim.maxLength);
+        }
+        const killerAgent = killer ? this.agents.get(killer.id) : null;
+        if (killerAgent) {
+            killerAgent.kills++;
+        }
+
+        const killerPlayer = killer ? this.players.get(killer.id) : null;
+        const playBounty = collision.calculateBounty(victim, this.feeRate);
+
+        // Move the victim's stake (or pay a house bounty for an unstaked victim)
+        const settled = this.ledger.settleKill({
+            roomId: this.id,
+            victimSessionId: victimPlayer?.sessionId || null,
+            killerSessionId: killerPlayer?.sessionId || null,
+            unstakedValue: victim.isBot ? toCents(victim.length * 0.01) : 0,
+            feeRate: this.feeRate
+        });
+        victim.value = 0;
+
         let bounty = 0;
-        let killerName = 'the wall';
+        let killerName = cause;
 
         if (killer) {
-            bounty = collision.calculateBounty(victim, this.tier.platform_fee || 0.20);
             killer.kills++;
-            killer.value += bounty;
             killerName = killer.name;
 
-            const killerPlayer = this.players.get(killer.id);
+            if (killerPlayer?.sessionId) {
+                bounty = fromCents(settled.bounty);
+                this.syncValue(killer.id);
+            } else {
+                // Play money for demo players and bots
+                bounty = playBounty;
+                killer.value += bounty;
+            }
+
             if (killerPlayer) {
                 killerPlayer.kills++;
-                killerPlayer.earnings += bounty;
             }
 
             this.totalKills++;
@@ -345,7 +989,15 @@ class Room {
             victimId: victim.id,
             victimName: victim.name,
             bounty,
-            victimLength: victim.length
+            victimLength: victim.length,
+            segment: null,
+            // Server only: player accounts (null for bots and guests), how
+            // long the victim's snake lived (null for bots) and whether real
+            // money moved (a staked victim or a paid bounty)
+            killerPlayerId: killerPlayer?.playerId || null,
+            victimPlayerId: victimPlayer?.playerId || null,
+            victimSurvived: victimPlayer ? this.clock.now() - victimPlayer.spawnedAt : null,
+            paid: settled.bounty > 0 || settled.fee > 0
         };
     }
 
@@ -356,29 +1008,48 @@ class Room {
                 .filter(s => s.alive)
                 .map(s => s.toJSON()),
             food: this.food.toArray(),
-            timestamp: Date.now()
+            zone: this.round?.zone?.toJSON() || null,
+            timestamp: this.clock.now()
         };
     }
 
-    // Get visible state for a specific player (culled)
+    // Get visible state for a specific player (culled); a dead player sees
+    // around the snake its camera follows (see deathCameraTarget)
     getVisibleState(socketId, viewRadius = 1000) {
         const playerSnake = this.snakes.get(socketId);
         if (!playerSnake) return this.getState();
 
-        const px = playerSnake.x;
-        const py = playerSnake.y;
+        const player = this.players.get(socketId);
+        const center = playerSnake.alive ? playerSnake : this.deathCameraTarget(socketId) || playerSnake;
+        return this.getStateNear(center.x, center.y, viewRadius, player?.lastInputSeq || 0);
+    }
 
+    // Who a dead player's camera follows until it respawns: its killer, or
+    // the leader after a death without one (or once the killer dies too)
+    deathCameraTarget(socketId) {
+        const watchingId = this.players.get(socketId)?.watchingId;
+        const killer = watchingId ? this.snakes.get(watchingId) : null;
+        return killer?.alive ? killer : this.getLeader();
+    }
+
+    // The longest snake alive (null in an empty room)
+    getLeader() {
+        let leader = null;
+        for (const snake of this.snakes.values()) {
+            if (snake.alive && (!leader || snake.length > leader.length)) leader = snake;
+        }
+        return leader;
+    }
+
+    // State culled around a point (a player's head, or a spectator's camera)
+    getStateNear(x, y, viewRadius = 1000, inputSeq = 0) {
         return {
-            snakes: Array.from(this.snakes.values())
-                .filter(s => {
-                    if (!s.alive) return false;
-                    const dx = s.x - px;
-                    const dy = s.y - py;
-                    return dx * dx + dy * dy < viewRadius * viewRadius * 1.5;
-                })
+            snakes: this.getSnakesNear(x, y, viewRadius * Math.sqrt(1.5))
                 .map(s => s.toJSON()),
-            food: this.food.getNearby(px, py, viewRadius),
-            timestamp: Date.now()
+            food: this.food.getNearby(x, y, viewRadius),
+            inputSeq,
+            zone: this.round?.zone?.toJSON() || null,
+            timestamp: this.clock.now()
         };
     }
 
@@ -0,0 +1,71 @@
+/**
+ * Room Rules
+ * Game mode, world size, food, bot count and mix, capacity and boost cost and drops, with owner
+ * overrides for private rooms clamped to safe limits
+ */
+
+const { MAX_WORLD_SIZE } = require('../../shared/protocol');
+const { MAX_BOTS, normalizeMix } = require('../game/profiles');
+
+// Public rooms always use these
+const DEFAULT_RULES = {
+    mode: 'classic',
+    worldSize: 4000,
+    foodCount: 500,
+    botCount: null, // null = automatic (see Room.adjustBotCount)
+    botMix: null, // Profile name or { profile: weight }; null = the tier's mix
+    maxPlayers: 50,
+    boostCost: 1, // Segments lost per 60Hz tick while boosting
+    boostDropRate: 1, // Pellets dropped per segment lost to boosting
+    boostDropValue: 0.5 // Mass of each boost pellet
+};
+
+// classic: free-for-all with respawns; royale: last snake standing inside a
+// shrinking safe zone (see Room.updateRound)
+const GAME_MODES = ['classic', 'royale'];
+
+// [min, max] for owner-set values; world size is capped by the snapshot
+// protocol's position range
+const RULE_LIMITS = {
+    worldSize: [1000, MAX_WORLD_SIZE],
+    foodCount: [50, 2000],
+    botCount: [0, MAX_BOTS],
+    maxPlayers: [2, 50],
+    boostCost: [0, 3],
+    // Drops never give back more mass than boosting cost (2 x 0.5)
+    boostDropRate: [0, 2],
+    boostDropValue: [0.1, 0.5]
+};
+
+// Integer rules; boost cost and drops may be fractional
+const INTEGER_RULES = new Set(['worldSize', 'foodCount', 'botCount', 'maxPlayers']);
+
+/**
+ * Merge custom rules over the defaults. Missing or non-numeric values keep
+ * the default; out-of-range values are clamped.
+ */
+function resolveRules(custom = {}) {
+    const rules = { ...DEFAULT_RULES };
+
+    if (GAME_MODES.includes(custom?.mode)) {
+        rules.mode = custom.mode;
+    }
+    rules.botMix = normalizeMix(custom?.botMix);
+
+    for (const [key, [min, max]] of Object.entries(RULE_LIMITS)) {
+        const value = Number(custom?.[key]);
+        if (custom?.[key] === undefined || custom[key] === null || !Number.isFinite(value)) continue;
+
+        const clamped = Math.max(min, Math.min(max, value));
+        rules[key] = INTEGER_RULES.has(key) ? Math.round(clamped) : clamped;
+    }
+
+    return rules;
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    GAME_MODES,
+    RULE_LIMITS,
+    resolveRules
+};
@@ -0,0 +1,77 @@
+/**
+ * Room Schedule
+ * Fixed-step timing for simulation, snapshot and leaderboard rates
+ */
+
+// Defaults when a tier doesn't set its own rates (Hz)
+const DEFAULT_RATES = {
+    tickRate: 60,
+    snapshotRate: 20,
+    leaderboardRate: 1
+};
+
+// Simulation constants (speeds, turn rates) are tuned per tick at this rate
+const BASE_TICK_RATE = 60;
+
+// Never run more than this many catch-up steps in one pass
+const MAX_CATCHUP_STEPS = 5;
+
+// Read per-tier rates, falling back to defaults
+function resolveRates(tier = {}) {
+    const pick = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
+    return {
+        tickRate: pick(tier.tick_rate, DEFAULT_RATES.tickRate),
+        snapshotRate: pick(tier.snapshot_rate, DEFAULT_RATES.snapshotRate),
+        leaderboardRate: pick(tier.leaderboard_rate, DEFAULT_RATES.leaderboardRate)
+    };
+}
+
+// Keep a steady cadence, but skip missed slots instead of bursting
+function nextDeadline(previous, interval, now) {
+    const next = previous + interval;
+    return next > now ? next : now + interval;
+}
+
+class RoomSchedule {
+    constructor(rates, now = Date.now()) {
+        this.rates = rates;
+        this.tickInterval = 1000 / rates.tickRate;
+        this.snapshotInterval = 1000 / rates.snapshotRate;
+        this.leaderboardInterval = 1000 / rates.leaderboardRate;
+
+        this.lastTime = now;
+        this.accumulator = 0;
+        this.nextSnapshotAt = now;
+        this.nextLeaderboardAt = now;
+    }
+
+    // Work due since the last call: { steps, snapshot, leaderboard }
+    advance(now = Date.now()) {
+        this.accumulator += now - this.lastTime;
+        this.lastTime = now;
+
+        let steps = 0;
+        while (this.accumulator >= this.tickInterval && steps < MAX_CATCHUP_STEPS) {
+            this.accumulator -= this.tickInterval;
+            steps++;
+        }
+        if (steps === MAX_CATCHUP_STEPS) {
+            // Fell behind - drop the backlog rather than spiral
+            this.accumulator = 0;
+        }
+
+        const snapshot = now >= this.nextSnapshotAt;
+        if (snapshot) {
+            this.nextSnapshotAt = nextDeadline(this.nextSnapshotAt, this.snapshotInterval, now);
+        }
+
+        const leaderboard = now >= this.nextLeaderboardAt;
+        if (leaderboard) {
+            this.nextLeaderboardAt = nextDeadline(this.nextLeaderboardAt, this.leaderboardInterval, now);
+        }
+
+        return { steps, snapshot, leaderboard };
+    }
+}
+
+module.exports = { RoomSchedule, resolveRates, DEFAULT_RATES, BASE_TICK_RATE };
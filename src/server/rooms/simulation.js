@@ -0,0 +1,190 @@
+/**
+ * Headless Simulation
+ * Runs a Room without sockets or a RoomManager. The room gets a seeded
+ * random number source and a manual clock, so a run from the same seed and
+ * inputs always plays out the same way. Snakes are driven by bots or by
+ * scripts; tests in test/ step the room and assert on its state.
+ */
+
+const Room = require('./room');
+const { Ledger } = require('../economy/ledger');
+const { SEGMENT_SPACING } = require('../../shared/movement');
+
+const FREE_TIER = { id: 1, name: 'Free', buy_in: 0, platform_fee: 0.20 };
+
+// Stands in for Date: time only moves when the simulation steps
+class ManualClock {
+    constructor(time = 0) {
+        this.time = time;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    advance(ms) {
+        this.time += ms;
+    }
+}
+
+class Simulation {
+    /**
+     * @param {Object} options - { seed, tier, rules, start } where `rules` are
+     *   as for private rooms (built-in bots default to none) and `start` is
+     *   the clock's starting time (ms)
+     */
+    constructor({ seed = 1, tier = FREE_TIER, rules = {}, start = 0 } = {}) {
+        this.seed = seed;
+        this.clock = new ManualClock(start);
+        this.room = new Room(`sim_${seed}`, tier, null, new Ledger(), {
+            rules: { botCount: 0, ...rules },
+            seed,
+            clock: this.clock
+        });
+        this.random = this.room.random;
+
+        this.scripts = new Map(); // Player ID -> script (see script)
+        this.seq = 0; // Input sequence numbers for scripted players
+        this.kills = []; // Every kill so far
+        this.events = []; // Every room event so far (battle royale rounds)
+    }
+
+    get tick() {
+        return this.room.tick;
+    }
+
+    snake(id) {
+        return this.room.snakes.get(id);
+    }
+
+    /**
+     * Add an unstaked player
+     * @param {Object|null} placement - Where to put its snake (see place)
+     * @returns {Snake}
+     */
+    addPlayer(id, name = id, placement = null) {
+        this.room.addPlayer(id, name, true);
+        if (placement) this.place(id, placement);
+        return this.snake(id);
+    }
+
+    // Add a built-in bot of a profile; returns its snake
+    addBot(profileName = 'normal', placement = null) {
+        const bot = this.room.addBot(profileName);
+        if (placement) this.place(bot.id, placement);
+        return this.snake(bot.id);
+    }
+
+    /**
+     * Put a snake's head at a point with its body laid out straight behind it
+     * @param {Object} placement - { x, y, angle, length } (length defaults to
+     *   the snake's current length)
+     */
+    place(id, { x, y, angle = 0, length }) {
+        const snake = this.snake(id);
+        const count = length || snake.length;
+
+        snake.x = x;
+        snake.y = y;
+        snake.angle = angle;
+        snake.targetAngle = angle;
+        snake.segments = [];
+        for (let i = 0; i < count; i++) {
+            snake.segments.push({
+                x: x - (i + 1) * SEGMENT_SPACING * Math.cos(angle),
+                y: y - (i + 1) * SEGMENT_SPACING * Math.sin(angle)
+            });
+        }
+        snake.maxLength = Math.max(snake.maxLength, count);
+
+        this.room.indexSnakes();
+        return snake;
+    }
+
+    // Remove all food and stop it respawning, so nothing grows unexpectedly
+    clearFood() {
+        const food = this.room.food;
+        food.targetFoodCount = 0;
+        for (const id of Array.from(food.food.keys())) {
+            food.removeFood(id);
+        }
+        return this;
+    }
+
+    /**
+     * Drive a player with a script, called every tick before the room updates
+     * @param {Function} script - (snake, simulation) => { x, y, boost } (a
+     *   target point, like client input), { angle, boost }, or null to keep going
+     */
+    script(id, script) {
+        this.scripts.set(id, script);
+        return this;
+    }
+
+    // Scripted inputs go through the room like client commands
+    applyScripts() {
+        for (const [id, script] of this.scripts) {
+            const snake = this.snake(id);
+            if (!snake || !snake.alive) continue;
+
+            const input = script(snake, this);
+            if (!input) continue;
+
+            let { x, y } = input;
+            if (Number.isFinite(input.angle)) {
+                x = snake.x + Math.cos(input.angle) * 100;
+                y = snake.y + Math.sin(input.angle) * 100;
+            }
+            this.room.handleInput(id, { seq: ++this.seq, x, y, boost: !!input.boost });
+        }
+    }
+
+    /**
+     * Advance the room, and the clock with it
+     * @returns {Object[]} Kills in these ticks
+     */
+    step(ticks = 1) {
+        const tickMs = 1000 / this.room.rates.tickRate;
+        const kills = [];
+
+        for (let i = 0; i < ticks; i++) {
+            this.applyScripts();
+            kills.push(...this.room.update());
+            this.events.push(...this.room.takeEvents());
+            this.clock.advance(tickMs);
+        }
+
+        this.kills.push(...kills);
+        return kills;
+    }
+
+    /**
+     * Step until a condition holds
+     * @param {Function} condition - (simulation) => boolean, checked after each tick
+     * @returns {boolean} Whether it held within maxTicks
+     */
+    stepUntil(condition, maxTicks) {
+        for (let i = 0; i < maxTicks; i++) {
+            this.step();
+            if (condition(this)) return true;
+        }
+        return false;
+    }
+
+    // Snakes in a form that's easy to assert on and compare between runs
+    state() {
+        return Array.from(this.room.snakes.values()).map(snake => ({
+            netId: snake.netId,
+            name: snake.name,
+            alive: snake.alive,
+            x: snake.x,
+            y: snake.y,
+            angle: snake.angle,
+            length: snake.length,
+            kills: snake.kills,
+            value: snake.value
+        }));
+    }
+}
+
+module.exports = { Simulation, ManualClock, FREE_TIER };
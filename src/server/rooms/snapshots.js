@@ -0,0 +1,178 @@
+/**
+ * Snapshot Tracker
+ * Per-client delta state for binary room snapshots
+ */
+
+const {
+    encodeSnapshot, quantizeSnake, fitsDeltas, POSITION_SCALE,
+    FIELD_POSITION, FIELD_ANGLE, FIELD_KILLS, FIELD_VALUE, FIELD_SEGMENTS, FIELD_TRAIL, ALL_FIELDS
+} = require('../../shared/protocol');
+
+// Snapshots kept while waiting for an acknowledgement. If the client falls
+// further behind than this, it gets a full snapshot again.
+const MAX_HISTORY = 64;
+
+// A trail rebuilds the body along the head's path, while the server's
+// segments cut corners and slide between points. When any rebuilt point
+// strays further than this (in world units) the whole body is sent instead.
+const TRAIL_TOLERANCE = 6;
+
+// New head points in one trail (a u8 on the wire)
+const MAX_TRAIL = 255;
+
+class SnapshotTracker {
+    constructor() {
+        this.seq = 0;
+        this.ackSeq = 0;
+        this.history = new Map(); // seq -> { snakes: Map<netId, quantized snake>, food: Set<nid> }
+    }
+
+    // Client confirmed it decoded a snapshot; use it as the next baseline.
+    // Acknowledging 0 asks for a full snapshot.
+    acknowledge(seq) {
+        if (seq === 0) {
+            this.ackSeq = 0;
+            this.history.clear();
+            return;
+        }
+
+        if (seq <= this.ackSeq || !this.history.has(seq)) return;
+
+        this.ackSeq = seq;
+        for (const oldSeq of this.history.keys()) {
+            if (oldSeq < seq) this.history.delete(oldSeq);
+        }
+    }
+
+    // Encode a room state (see Room.getVisibleState) as a delta against the
+    // last acknowledged snapshot
+    encode(state) {
+        const baseline = this.history.get(this.ackSeq) || null;
+        const seq = ++this.seq;
+
+        // What the client will hold of each snake once it decodes this
+        const sentSnakes = new Map();
+        const snakes = state.snakes.map(snake => {
+            const current = quantizeSnake(snake);
+            const base = baseline ? baseline.snakes.get(snake.netId) : null;
+            const entry = {
+                netId: snake.netId,
+                alive: snake.alive,
+                boosting: snake.boosting,
+                held: snake.held,
+                info: base ? null : { id: snake.id, name: snake.name, color: snake.color },
+                fields: ALL_FIELDS,
+                snake: current,
+                trail: null
+            };
+
+            if (base) {
+                entry.fields = changedFields(base, current);
+                entry.trail = trailFrom(base, current);
+
+                if (entry.trail) {
+                    if (entry.trail.points.length > 0 || entry.trail.tail !== 0) {
+                        entry.fields |= FIELD_TRAIL;
+                    }
+                    sentSnakes.set(snake.netId, { ...current, points: entry.trail.body });
+                    return entry;
+                }
+                entry.fields |= FIELD_SEGMENTS;
+            }
+
+            sentSnakes.set(snake.netId, current);
+            return entry;
+        });
+
+        const foodIds = new Set();
+        const addedFood = [];
+        for (const food of state.food) {
+            foodIds.add(food.nid);
+            if (!baseline || !baseline.food.has(food.nid)) {
+                addedFood.push(food);
+            }
+        }
+
+        const removedFood = [];
+        if (baseline) {
+            for (const nid of baseline.food) {
+                if (!foodIds.has(nid)) removedFood.push(nid);
+            }
+        }
+
+        this.history.set(seq, { snakes: sentSnakes, food: foodIds });
+        if (this.history.size > MAX_HISTORY) {
+            const oldest = this.history.keys().next().value;
+            this.history.delete(oldest);
+        }
+
+        return encodeSnapshot({
+            seq,
+            baseline: baseline ? this.ackSeq : 0,
+            timestamp: state.timestamp,
+            inputSeq: state.inputSeq || 0,
+            zone: state.zone || null,
+            snakes,
+            removedFood,
+            addedFood
+        });
+    }
+}
+
+// Fields other than the body that differ from the baseline
+function changedFields(base, current) {
+    let fields = 0;
+    if (base.x !== current.x || base.y !== current.y) fields |= FIELD_POSITION;
+    if (base.angle !== current.angle) fields |= FIELD_ANGLE;
+    if (base.kills !== current.kills) fields |= FIELD_KILLS;
+    if (base.value !== current.value) fields |= FIELD_VALUE;
+    return fields;
+}
+
+/**
+ * The body as the baseline's points with the head's new points in front and
+ * the tail trimmed (or extended) to the current length
+ * @returns {Object|null} { points, tail, body } (body: the rebuilt points),
+ *   or null if the whole body has to be sent
+ */
+function trailFrom(base, current) {
+    const from = base.points;
+    const to = current.points;
+    if (from.length === 0 || to.length === 0) return null;
+
+    // The baseline's first point lines up with the nearest current segment;
+    // the segments in front of it are new
+    let count = 0;
+    let nearest = Infinity;
+    for (let i = 0; i < to.length && i <= MAX_TRAIL * 2; i += 2) {
+        const distance = Math.hypot(to[i] - from[0], to[i + 1] - from[1]);
+        if (distance < nearest) {
+            nearest = distance;
+            count = i / 2;
+        }
+    }
+
+    const points = to.slice(0, count * 2);
+    if (!fitsDeltas(current, points)) return null;
+
+    const tail = (from.length + points.length - to.length) / 2;
+    if (tail * 2 > from.length) return null;
+
+    const body = tail === 0 && points.length === 0
+        ? from
+        : points.concat(from.slice(0, from.length - Math.max(0, tail) * 2));
+    for (let i = 0; i < -tail; i++) {
+        body.push(from[from.length - 2], from[from.length - 1]);
+    }
+
+    const limit = TRAIL_TOLERANCE * POSITION_SCALE;
+    for (let i = 0; i < to.length; i += 2) {
+        if (Math.abs(body[i] - to[i]) > limit || Math.abs(body[i + 1] - to[i + 1]) > limit) {
+            return null;
+        }
+    }
+
+    return { points, tail, body };
+}
+
+module.exports = SnapshotTracker;
@@ -0,0 +1,202 @@
+/**
+ * Spectators
+ * Read-only viewers of a live room. A spectator has no Snake and no seat, so
+ * it doesn't count towards the room's players or its player cap; it joins
+ * the room's socket.io room for kills, rounds and the leaderboard, and gets
+ * its own binary snapshots ('spectate_snapshot', acknowledged with
+ * 'spectate_ack').
+ *
+ * A spectator follows the leader (the longest snake), a chosen snake, or
+ * nobody (free camera). Snapshots are culled around whoever is followed, or
+ * around the camera the client reports; a spectator zoomed out far enough
+ * asks for the full room instead.
+ */
+
+const SnapshotTracker = require('./snapshots');
+
+const MAX_SPECTATORS = 100; // Per room
+const VIEW_RADIUS = 1000; // Culling radius at zoom 1 (as for players)
+const MIN_ZOOM = 0.25; // Culling stops growing past this zoom
+const STATUS_SNAKES = 20; // Snakes offered to follow, longest first
+
+class Spectators {
+    /**
+     * @param {RoomManager} manager - Rooms are looked up through it
+     */
+    constructor(manager) {
+        this.manager = manager;
+        this.spectators = new Map(); // socketId -> spectator
+    }
+
+    /**
+     * Start watching a room
+     * @param {Object} data - { roomId, follow } where follow is 'leader'
+     *   (the default), a snake ID, or null for a free camera
+     */
+    watch(socket, data) {
+        if (this.manager.playerRooms.has(socket.id)) {
+            throw new Error('Leave your room before spectating.');
+        }
+
+        this.leave(socket.id);
+
+        const room = this.manager.rooms.get(data?.roomId);
+        if (!room || room.isPrivate) throw new Error('Room not found.');
+        if (this.count(room.id) >= MAX_SPECTATORS) {
+            throw new Error('Too many spectators in this room.');
+        }
+
+        const spectator = {
+            socketId: socket.id,
+            roomId: room.id,
+            follow: data.follow === undefined ? 'leader' : this.checkFollow(data.follow),
+            targetId: null, // Snake being followed right now
+            camera: { x: room.worldWidth / 2, y: room.worldHeight / 2, zoom: 1 },
+            full: false,
+            tracker: new SnapshotTracker()
+        };
+        this.spectators.set(socket.id, spectator);
+        socket.join(room.id);
+        this.updateTarget(room, spectator);
+
+        console.log(`[SPECTATORS] ${socket.id} watching ${room.id} (${this.count(room.id)} spectators)`);
+
+        return {
+            roomId: room.id,
+            tier: { id: room.tier.id, name: room.tier.name, buyIn: room.tier.buy_in },
+            world: { width: room.worldWidth, height: room.worldHeight },
+            round: room.roundView(),
+            rates: room.rates,
+            rules: room.rules,
+            ...this.statusOf(room, spectator)
+        };
+    }
+
+    leave(socketId) {
+        const spectator = this.spectators.get(socketId);
+        if (!spectator) return;
+
+        this.spectators.delete(socketId);
+        this.manager.io.sockets.sockets.get(socketId)?.leave(spectator.roomId);
+    }
+
+    // 'leader', a snake ID or null (free camera)
+    checkFollow(follow) {
+        if (follow === null || follow === 'leader') return follow;
+        return typeof follow === 'string' && follow.length <= 64 ? follow : null;
+    }
+
+    follow(socketId, follow) {
+        const spectator = this.spectators.get(socketId);
+        const room = this.manager.rooms.get(spectator?.roomId);
+        if (!room) return;
+
+        spectator.follow = this.checkFollow(follow);
+        this.updateTarget(room, spectator);
+        this.sendStatus(room, spectator);
+    }
+
+    // Where a free camera is looking: { x, y, zoom, full }
+    camera(socketId, data) {
+        const spectator = this.spectators.get(socketId);
+        if (!spectator || !data) return;
+
+        const room = this.manager.rooms.get(spectator.roomId);
+        if (!room) return;
+
+        const { x, y, zoom } = data;
+        if (Number.isFinite(x) && Number.isFinite(y)) {
+            spectator.camera.x = Math.max(0, Math.min(room.worldWidth, x));
+            spectator.camera.y = Math.max(0, Math.min(room.worldHeight, y));
+        }
+        if (Number.isFinite(zoom) && zoom > 0) {
+            spectator.camera.zoom = zoom;
+        }
+        spectator.full = data.full === true;
+    }
+
+    acknowledge(socketId, seq) {
+        const spectator = this.spectators.get(socketId);
+        if (spectator && Number.isInteger(seq) && seq >= 0) {
+            spectator.tracker.acknowledge(seq);
+        }
+    }
+
+    inRoom(roomId) {
+        return Array.from(this.spectators.values()).filter(spectator => spectator.roomId === roomId);
+    }
+
+    count(roomId) {
+        return this.inRoom(roomId).length;
+    }
+
+    // The snake a spectator follows now (a followed snake that died keeps
+    // the camera where it was until it respawns)
+    updateTarget(room, spectator) {
+        let target = null;
+        if (spectator.follow === 'leader') {
+            target = room.getLeader();
+        } else if (spectator.follow) {
+            target = room.snakes.get(spectator.follow);
+        }
+
+        spectator.targetId = target ? target.id : null;
+        if (target?.alive) {
+            spectator.camera.x = target.x;
+            spectator.camera.y = target.y;
+        }
+    }
+
+    // Send every spectator of a room its snapshot
+    broadcast(room) {
+        for (const spectator of this.inRoom(room.id)) {
+            const socket = this.manager.io.sockets.sockets.get(spectator.socketId);
+            if (!socket) continue;
+
+            const targetId = spectator.targetId;
+            this.updateTarget(room, spectator);
+            if (spectator.targetId !== targetId) this.sendStatus(room, spectator);
+
+            const { camera } = spectator;
+            const state = spectator.full
+                ? { ...room.getState(), inputSeq: 0 }
+                : room.getStateNear(camera.x, camera.y, VIEW_RADIUS / Math.max(camera.zoom, MIN_ZOOM));
+            socket.emit('spectate_snapshot', spectator.tracker.encode(state));
+        }
+    }
+
+    statusOf(room, spectator) {
+        return {
+            follow: spectator.follow,
+            targetId: spectator.targetId,
+            snakes: Array.from(room.snakes.values())
+                .filter(snake => snake.alive)
+                .sort((a, b) => b.length - a.length)
+                .slice(0, STATUS_SNAKES)
+                .map(snake => ({ id: snake.id, name: snake.name, length: snake.length }))
+        };
+    }
+
+    sendStatus(room, spectator) {
+        this.manager.io.sockets.sockets.get(spectator.socketId)
+            ?.emit('spectate_status', this.statusOf(room, spectator));
+    }
+
+    // Who can be followed, alongside the leaderboard
+    broadcastStatus(room) {
+        for (const spectator of this.inRoom(room.id)) {
+            this.sendStatus(room, spectator);
+        }
+    }
+
+    // The room closed under its spectators
+    closeRoom(room) {
+        for (const spectator of this.inRoom(room.id)) {
+            this.manager.io.sockets.sockets.get(spectator.socketId)
+                ?.emit('spectate_ended', { message: 'The room has closed.' });
+            this.leave(spectator.socketId);
+        }
+    }
+}
+
+module.exports = { Spectators, MAX_SPECTATORS };
@@ -0,0 +1,655 @@
+/**
+ * Tournaments
+ * Scheduled knockout events played in timed rounds on ordinary Rooms
+ *
+ * Registration opens ahead of a tournament's start time. Entering moves the
+ * entry fee from the player's wallet into a `prize` ledger account (owned
+ * by the tournament ID). Registration closes for a lobby countdown, then
+ * every entrant in the lobby is seated in a fresh Room for round 1.
+ *
+ * A round ends when its timer runs out or one snake is left. Entrants are
+ * ranked (survivors by length, then the dead by how long they lasted, then
+ * anyone who left) and the top half advance. The round that starts with
+ * FINAL_SIZE or fewer entrants is the final. The prize pool, less the
+ * platform fee, is split by placement.
+ *
+ * Tournaments without enough entrants are cancelled and refunded.
+ */
+
+const crypto = require('crypto');
+const db = require('../database');
+const { toCents, fromCents } = require('../economy/ledger');
+
+// Recurring tournaments; each starts on the hour (or half hour) and the next
+// one is scheduled as soon as the last has started
+const SCHEDULE = [
+    { name: 'Free Roll', entryFee: 0, everyMinutes: 30 },
+    { name: 'Hourly Cup', entryFee: 1.00, everyMinutes: 60 }
+];
+
+const REGISTRATION_WINDOW = 30 * 60 * 1000; // Opens this long before the start
+const LOBBY_COUNTDOWN = 60 * 1000; // Registration closes this long before the start
+const ROUND_DURATION = 3 * 60 * 1000;
+const INTERMISSION = 15 * 1000;
+
+const MIN_ENTRANTS = 2;
+const MAX_ENTRANTS = 32;
+const FINAL_SIZE = 4;
+
+// Share of the pool (after the platform fee) for 1st, 2nd and 3rd
+const PRIZE_SPLIT = [0.5, 0.3, 0.2];
+const PLATFORM_FEE = 0.10;
+
+// Finished or cancelled tournaments kept for the standings page
+const FINISHED_HISTORY = 20;
+
+const OPEN_STATUSES = new Set(['scheduled', 'registration', 'countdown', 'running', 'intermission']);
+
+class Tournaments {
+    /**
+     * @param {RoomManager} manager - Rooms are created, seated and closed through it
+     */
+    constructor(manager, store = db) {
+        this.manager = manager;
+        this.ledger = manager.ledger;
+        this.store = store;
+        this.tournaments = new Map(); // tournamentId -> tournament, oldest first
+    }
+
+    // Reload tournaments after a restart. Ones still taking registrations
+    // carry on; rounds in progress can't be resumed, so those are refunded.
+    async load(now = Date.now()) {
+        const rows = await this.store.getOpenTournaments();
+
+        for (const row of rows) {
+            const tournament = fromRow(row);
+            this.tournaments.set(tournament.id, tournament);
+
+            for (const entrant of tournament.entrants.values()) {
+                if (tournament.entryFeeCents > 0) {
+                    await this.ledger.loadBalance('wallet', entrant.playerId);
+                }
+            }
+            await this.ledger.loadBalance('prize', tournament.id);
+
+            if (!['scheduled', 'registration'].includes(tournament.status)) {
+                this.cancel(tournament, 'Server restarted during the tournament');
+            }
+        }
+
+        if (rows.length > 0) {
+            console.log(`[TOURNAMENTS] Loaded ${rows.length} open tournaments`);
+        }
+        this.schedule(now);
+    }
+
+    // Make sure each recurring tournament has its next occurrence
+    schedule(now = Date.now()) {
+        for (const template of SCHEDULE) {
+            const upcoming = Array.from(this.tournaments.values()).some(tournament =>
+                tournament.name === template.name && ['scheduled', 'registration', 'countdown'].includes(tournament.status));
+            if (upcoming) continue;
+
+            const period = template.everyMinutes * 60 * 1000;
+            let startsAt = Math.ceil(now / period) * period;
+            if (startsAt - now < LOBBY_COUNTDOWN) startsAt += period;
+
+            this.create({ name: template.name, entryFee: template.entryFee, startsAt }, now);
+        }
+    }
+
+    create({ name, entryFee, startsAt }, now = Date.now()) {
+        const registrationOpensAt = startsAt - REGISTRATION_WINDOW;
+        const tournament = {
+            id: crypto.randomUUID(),
+            name,
+            entryFeeCents: toCents(entryFee),
+            status: now >= registrationOpensAt ? 'registration' : 'scheduled',
+            registrationOpensAt,
+            startsAt,
+            round: 0,
+            starting: false, // A round's room is being created
+            roundRoomId: null,
+            roundStartedAt: 0,
+            roundEndsAt: 0,
+            nextRoundAt: 0,
+            prizePoolCents: 0,
+            entrants: new Map() // playerId -> entrant
+        };
+
+        this.tournaments.set(tournament.id, tournament);
+        this.store.createTournament(tournament);
+
+        console.log(`[TOURNAMENTS] Scheduled ${name} for ${new Date(startsAt).toISOString()}`);
+        return tournament;
+    }
+
+    get(tournamentId) {
+        return this.tournaments.get(tournamentId) || null;
+    }
+
+    /**
+     * Enter a player, paying the entry fee from their wallet
+     * @returns {Promise<Object>} The entrant
+     */
+    async register(tournamentId, playerId, name) {
+        const tournament = this.get(tournamentId);
+        const checkOpen = () => {
+            if (!tournament || tournament.status !== 'registration') {
+                throw new Error('Registration is not open.');
+            }
+            if (tournament.entrants.has(playerId)) {
+                throw new Error('Already registered.');
+            }
+            if (tournament.entrants.size >= MAX_ENTRANTS) {
+                throw new Error('Tournament is full.');
+            }
+        };
+        checkOpen();
+
+        const entrant = {
+            playerId,
+            entryId: crypto.randomUUID(),
+            name: String(name || 'Player').slice(0, 16),
+            status: 'registered',
+            socketId: null,
+            placement: null,
+            prizeCents: 0,
+            eliminatedRound: null,
+            registeredAt: Date.now()
+        };
+
+        if (tournament.entryFeeCents > 0) {
+            await this.ledger.loadBalance('wallet', playerId);
+            // The tournament may have moved on while the wallet loaded
+            checkOpen();
+
+            // The seat is held while the fee is saved, so a second
+            // registration can't pay for it too
+            tournament.entrants.set(playerId, entrant);
+            let paid = null;
+            try {
+                paid = await this.ledger.postAndPersist({
+                    type: 'tournament_entry',
+                    playerId,
+                    idempotencyKey: `tournament-entry:${entrant.entryId}`,
+                    metadata: { tournamentId },
+                    entries: [
+                        { kind: 'wallet', owner: playerId, amount: -tournament.entryFeeCents },
+                        { kind: 'prize', owner: tournamentId, amount: tournament.entryFeeCents }
+                    ]
+                });
+            } catch (error) {
+                throw new Error('Could not save your entry fee. Please try again.');
+            } finally {
+                if (!paid) tournament.entrants.delete(playerId);
+            }
+            if (!paid) throw new Error('Not enough in your wallet for the entry fee.');
+        }
+
+        tournament.entrants.set(playerId, entrant);
+        this.store.saveTournamentEntry(tournamentId, entrant);
+        this.broadcast(tournament);
+
+        console.log(`[TOURNAMENTS] ${entrant.name} registered for ${tournament.name}`);
+        return entrant;
+    }
+
+    // Leave before registration closes; the entry fee goes back to the wallet
+    unregister(tournamentId, playerId) {
+        const tournament = this.get(tournamentId);
+        const entrant = tournament?.entrants.get(playerId);
+        if (!entrant || tournament.status !== 'registration') {
+            throw new Error('Not registered, or registration has closed.');
+        }
+
+        this.refund(tournament, entrant);
+        tournament.entrants.delete(playerId);
+        this.store.deleteTournamentEntry(tournamentId, playerId);
+        this.broadcast(tournament);
+    }
+
+    refund(tournament, entrant) {
+        if (tournament.entryFeeCents === 0 || entrant.status === 'refunded') return;
+
+        this.ledger.post({
+            type: 'tournament_refund',
+            playerId: entrant.playerId,
+            idempotencyKey: `tournament-refund:${entrant.entryId}`,
+            metadata: { tournamentId: tournament.id },
+            entries: [
+                { kind: 'prize', owner: tournament.id, amount: -tournament.entryFeeCents },
+                { kind: 'wallet', owner: entrant.playerId, amount: tournament.entryFeeCents }
+            ]
+        });
+    }
+
+    /**
+     * Follow a tournament's updates on a socket. An entrant's socket is the
+     * one seated when rounds start.
+     */
+    watch(socket, tournamentId, playerId) {
+        const tournament = this.get(tournamentId);
+        if (!tournament) throw new Error('Tournament not found.');
+
+        const entrant = playerId ? tournament.entrants.get(playerId) : null;
+        if (entrant) {
+            entrant.socketId = socket.id;
+        }
+
+        socket.join(`tournament:${tournament.id}`);
+        socket.emit('tournament', this.view(tournament));
+    }
+
+    // A socket dropped; its entrant is out of the lobby until it watches again
+    disconnect(socketId) {
+        for (const tournament of this.tournaments.values()) {
+            for (const entrant of tournament.entrants.values()) {
+                if (entrant.socketId === socketId) entrant.socketId = null;
+            }
+        }
+    }
+
+    // Move tournaments through their phases; called every second
+    update(now = Date.now()) {
+        for (const tournament of this.tournaments.values()) {
+            this.advance(tournament, now);
+        }
+        this.schedule(now);
+        this.prune();
+    }
+
+    advance(tournament, now) {
+        if (tournament.starting) return;
+
+        switch (tournament.status) {
+            case 'scheduled':
+                if (now >= tournament.registrationOpensAt) {
+                    this.setStatus(tournament, 'registration');
+                }
+                break;
+
+            case 'registration':
+                if (now >= tournament.startsAt - LOBBY_COUNTDOWN) {
+                    if (tournament.entrants.size < MIN_ENTRANTS) {
+                        this.cancel(tournament, 'Not enough entrants');
+                    } else {
+                        this.setStatus(tournament, 'countdown');
+                    }
+                }
+                break;
+
+            case 'countdown':
+                if (now >= tournament.startsAt) {
+                    this.startRound(tournament, now)
+                        .catch(error => console.error('[TOURNAMENTS] Round start error:', error.message));
+                }
+                break;
+
+            case 'running': {
+                const room = this.manager.rooms.get(tournament.roundRoomId);
+                if (now >= tournament.roundEndsAt || !room || this.aliveCount(room) <= 1) {
+                    this.endRound(tournament, now);
+                }
+                break;
+            }
+
+            case 'intermission':
+                if (now >= tournament.nextRoundAt) {
+                    this.startRound(tournament, now)
+                        .catch(error => console.error('[TOURNAMENTS] Round start error:', error.message));
+                }
+                break;
+        }
+    }
+
+    setStatus(tournament, status) {
+        tournament.status = status;
+        this.refreshPool(tournament);
+        this.store.updateTournament(tournament);
+        this.broadcast(tournament);
+    }
+
+    // Entry fees collected so far (a finished tournament keeps its final pool)
+    refreshPool(tournament) {
+        if (tournament.status !== 'finished') {
+            tournament.prizePoolCents = this.ledger.balance('prize', tournament.id);
+        }
+    }
+
+    view(tournament, withStandings = true) {
+        this.refreshPool(tournament);
+        return toView(tournament, withStandings);
+    }
+
+    // Entrants still in contention
+    remaining(tournament) {
+        return Array.from(tournament.entrants.values()).filter(entrant =>
+            entrant.status === 'registered' || entrant.status === 'playing');
+    }
+
+    async startRound(tournament, now) {
+        let entrants = this.remaining(tournament);
+
+        // Round 1 is for entrants waiting in the lobby; the rest forfeit
+        if (tournament.round === 0) {
+            const present = entrants.filter(entrant => this.socketOf(entrant));
+            if (present.length === 0) {
+                this.cancel(tournament, 'Nobody in the lobby');
+                return;
+            }
+
+            const absent = entrants.filter(entrant => !this.socketOf(entrant));
+            absent.forEach((entrant, i) => this.eliminate(tournament, entrant, present.length + i + 1, 'no_show'));
+            entrants = present;
+        }
+
+        // A walkover for the last one standing
+        if (entrants.length < MIN_ENTRANTS) {
+            entrants.forEach((entrant, i) => { entrant.placement = i + 1; });
+            await this.finish(tournament);
+            return;
+        }
+
+        tournament.round++;
+        tournament.roundStartedAt = now;
+        tournament.roundEndsAt = now + ROUND_DURATION;
+
+        // Smaller arenas as the field shrinks
+        const rules = {
+            worldSize: Math.max(1500, Math.min(4000, entrants.length * 250)),
+            botCount: 0,
+            maxPlayers: entrants.length
+        };
+        const tier = this.manager.tiers.get(1) || { id: 1, name: 'Free', buy_in: 0, platform_fee: 0.20 };
+
+        tournament.starting = true;
+        let room;
+        try {
+            room = await this.manager.createRoom(tier, { rules, tournamentId: tournament.id });
+        } finally {
+            tournament.starting = false;
+        }
+        tournament.roundRoomId = room.id;
+
+        for (const entrant of entrants) {
+            const socket = this.socketOf(entrant);
+            if (!socket) continue; // Left between rounds; ranked last
+
+            // Out of any room they were in (e.g. a public game while waiting)
+            this.manager.removePlayer(socket.id);
+
+            const { result } = this.manager.seatPlayer(socket, room, {
+                name: entrant.name,
+                demoMode: true,
+                playerId: entrant.playerId
+            });
+            entrant.status = 'playing';
+            socket.emit('tournament_round', {
+                ...result,
+                tier: { id: tier.id, name: tier.name, buyIn: 0 },
+                rates: room.rates,
+                rules: room.rules,
+                tournamentId: tournament.id,
+                round: tournament.round,
+                roundEndsAt: tournament.roundEndsAt
+            });
+        }
+
+        this.setStatus(tournament, 'running');
+        console.log(`[TOURNAMENTS] ${tournament.name} round ${tournament.round} started with ${entrants.length} entrants`);
+    }
+
+    aliveCount(room) {
+        let alive = 0;
+        for (const socketId of room.players.keys()) {
+            if (room.snakes.get(socketId)?.alive) alive++;
+        }
+        return alive;
+    }
+
+    endRound(tournament, now) {
+        const room = this.manager.rooms.get(tournament.roundRoomId);
+        const ranking = this.rankRound(tournament, room);
+
+        const final = ranking.length <= FINAL_SIZE;
+        const advancing = final ? 0 : Math.ceil(ranking.length / 2);
+
+        // The bracket: every entrant's rank in this round
+        const results = ranking.map((standing, i) => ({
+            playerId: standing.entrant.playerId,
+            rank: i + 1,
+            length: standing.length,
+            kills: standing.kills,
+            survived: standing.survived,
+            advanced: i < advancing
+        }));
+        this.store.recordTournamentRound(tournament.id, tournament.round, tournament.roundRoomId,
+            tournament.roundStartedAt, results);
+
+        if (room) this.manager.closeRoom(room.id);
+        tournament.roundRoomId = null;
+
+        if (final) {
+            ranking.forEach((standing, i) => { standing.entrant.placement = i + 1; });
+            this.finish(tournament)
+                .catch(error => console.error('[TOURNAMENTS] Finish error:', error.message));
+            return;
+        }
+
+        ranking.slice(advancing).forEach((standing, i) => {
+            this.eliminate(tournament, standing.entrant, advancing + i + 1, 'eliminated');
+        });
+
+        tournament.nextRoundAt = now + INTERMISSION;
+        this.setStatus(tournament, 'intermission');
+    }
+
+    // Survivors by length, then the dead by time of death (latest first),
+    // then entrants who left the room
+    rankRound(tournament, room) {
+        const standings = this.remaining(tournament).map((entrant) => {
+            const socketId = room && Array.from(room.players.values())
+                .find(player => player.playerId === entrant.playerId)?.socketId;
+            const player = socketId ? room.players.get(socketId) : null;
+            const snake = socketId ? room.snakes.get(socketId) : null;
+
+            return {
+                entrant,
+                survived: !!snake?.alive,
+                present: !!player,
+                diedAt: player?.diedAt || 0,
+                length: snake ? snake.length : 0,
+                kills: player ? player.kills : 0
+            };
+        });
+
+        return standings.sort((a, b) =>
+            (b.survived - a.survived) ||
+            (b.present - a.present) ||
+            (a.survived ? b.length - a.length : b.diedAt - a.diedAt));
+    }
+
+    eliminate(tournament, entrant, placement, status) {
+        entrant.status = status;
+        entrant.placement = placement;
+        entrant.eliminatedRound = tournament.round;
+        this.store.saveTournamentEntry(tournament.id, entrant);
+
+        this.socketOf(entrant)?.emit('tournament_eliminated', {
+            tournamentId: tournament.id,
+            placement,
+            round: tournament.round
+        });
+    }
+
+    // Pay the prize pool out by placement (entrants who never showed up
+    // can't win prizes)
+    async finish(tournament) {
+        tournament.status = 'finished';
+        tournament.prizePoolCents = this.ledger.balance('prize', tournament.id);
+
+        const placed = Array.from(tournament.entrants.values())
+            .filter(entrant => entrant.placement !== null)
+            .sort((a, b) => a.placement - b.placement);
+        for (const entrant of placed) {
+            if (entrant.status === 'playing' || entrant.status === 'registered') {
+                entrant.status = 'finished';
+            }
+        }
+
+        const pool = tournament.prizePoolCents;
+        if (pool > 0 && placed.length > 0) {
+            const fee = Math.round(pool * PLATFORM_FEE);
+            const winners = placed.filter(entrant => entrant.status !== 'no_show').slice(0, PRIZE_SPLIT.length);
+            const shares = PRIZE_SPLIT.slice(0, winners.length);
+            const total = shares.reduce((sum, share) => sum + share, 0);
+
+            winners.forEach((entrant, i) => {
+                entrant.prizeCents = Math.floor((pool - fee) * shares[i] / total);
+            });
+            // Rounding leftovers go to the winner
+            winners[0].prizeCents += pool - fee - winners.reduce((sum, entrant) => sum + entrant.prizeCents, 0);
+
+            for (const entrant of winners) {
+                await this.ledger.loadBalance('wallet', entrant.playerId);
+            }
+            this.ledger.post({
+                type: 'tournament_prize',
+                idempotencyKey: `tournament-prize:${tournament.id}`,
+                metadata: { tournamentId: tournament.id },
+                entries: [
+                    { kind: 'prize', owner: tournament.id, amount: -pool },
+                    { kind: 'platform', owner: 'platform', amount: fee },
+                    ...winners.map(entrant => ({ kind: 'wallet', owner: entrant.playerId, amount: entrant.prizeCents }))
+                ]
+            });
+        }
+
+        for (const entrant of tournament.entrants.values()) {
+            this.store.saveTournamentEntry(tournament.id, entrant);
+        }
+        this.setStatus(tournament, 'finished');
+
+        const winner = placed[0];
+        console.log(`[TOURNAMENTS] ${tournament.name} finished${winner ? `, won by ${winner.name}` : ''} ` +
+            `(pool $${fromCents(pool).toFixed(2)})`);
+    }
+
+    cancel(tournament, reason) {
+        for (const entrant of tournament.entrants.values()) {
+            this.refund(tournament, entrant);
+            entrant.status = 'refunded';
+            this.store.saveTournamentEntry(tournament.id, entrant);
+        }
+        if (tournament.roundRoomId) {
+            this.manager.closeRoom(tournament.roundRoomId);
+            tournament.roundRoomId = null;
+        }
+
+        this.setStatus(tournament, 'cancelled');
+        console.log(`[TOURNAMENTS] ${tournament.name} cancelled: ${reason}`);
+    }
+
+    // Forget the oldest finished tournaments
+    prune() {
+        const done = Array.from(this.tournaments.values()).filter(tournament => !OPEN_STATUSES.has(tournament.status));
+        for (const tournament of done.slice(0, Math.max(0, done.length - FINISHED_HISTORY))) {
+            this.tournaments.delete(tournament.id);
+        }
+    }
+
+    socketOf(entrant) {
+        return entrant.socketId ? this.manager.io.sockets.sockets.get(entrant.socketId) || null : null;
+    }
+
+    broadcast(tournament) {
+        this.manager.io.to(`tournament:${tournament.id}`).emit('tournament', this.view(tournament));
+    }
+
+    /**
+     * Upcoming, running and recent tournaments, soonest first
+     * @param {string|null} playerId - Marks the ones this player entered
+     */
+    list(playerId = null) {
+        return Array.from(this.tournaments.values())
+            .sort((a, b) => a.startsAt - b.startsAt)
+            .map(tournament => ({
+                ...this.view(tournament, false),
+                registered: !!playerId && tournament.entrants.has(playerId)
+            }));
+    }
+}
+
+function fromRow(row) {
+    const tournament = {
+        id: row.id,
+        name: row.name,
+        entryFeeCents: Number(row.entry_fee_cents),
+        status: row.status,
+        registrationOpensAt: new Date(row.registration_opens_at).getTime(),
+        startsAt: new Date(row.starts_at).getTime(),
+        round: row.current_round || 0,
+        starting: false,
+        roundRoomId: null,
+        roundStartedAt: 0,
+        roundEndsAt: 0,
+        nextRoundAt: 0,
+        prizePoolCents: Number(row.prize_pool_cents || 0),
+        entrants: new Map()
+    };
+
+    for (const entry of row.entries || []) {
+        tournament.entrants.set(entry.player_id, {
+            playerId: entry.player_id,
+            // Entries saved before entry IDs were stored fall back to the table key
+            entryId: entry.entry_id || `${row.id}:${entry.player_id}`,
+            name: entry.name,
+            status: entry.status,
+            socketId: null,
+            placement: entry.placement,
+            prizeCents: Number(entry.prize_cents || 0),
+            eliminatedRound: entry.eliminated_round,
+            registeredAt: new Date(entry.registered_at).getTime()
+        });
+    }
+    return tournament;
+}
+
+// What players see of a tournament; standings only when asked for
+function toView(tournament, withStandings = true) {
+    const view = {
+        id: tournament.id,
+        name: tournament.name,
+        entryFee: fromCents(tournament.entryFeeCents),
+        status: tournament.status,
+        registrationOpensAt: tournament.registrationOpensAt,
+        startsAt: tournament.startsAt,
+        round: tournament.round,
+        roundEndsAt: tournament.status === 'running' ? tournament.roundEndsAt : null,
+        nextRoundAt: tournament.status === 'intermission' ? tournament.nextRoundAt : null,
+        entrants: tournament.entrants.size,
+        maxEntrants: MAX_ENTRANTS,
+        remaining: Array.from(tournament.entrants.values())
+            .filter(entrant => entrant.status === 'registered' || entrant.status === 'playing').length,
+        prizePool: fromCents(tournament.prizePoolCents)
+    };
+
+    if (withStandings) {
+        view.standings = Array.from(tournament.entrants.values())
+            .sort((a, b) => (a.placement || Infinity) - (b.placement || Infinity) || a.registeredAt - b.registeredAt)
+            .map(entrant => ({
+                name: entrant.name,
+                status: entrant.status,
+                placement: entrant.placement,
+                prize: fromCents(entrant.prizeCents),
+                eliminatedRound: entrant.eliminatedRound
+            }));
+    }
+    return view;
+}
+
+module.exports = {
+    Tournaments,
+    toView
+};
@@ -0,0 +1,165 @@
+/**
+ * Authentication
+ * Verifies Clerk session tokens and maps them to persistent players
+ *
+ * With Clerk configured (CLERK_SECRET_KEY or CLERK_JWT_KEY), identity comes
+ * only from a verified token; unauthenticated clients can still play free
+ * rooms as guests. Without Clerk, everyone is a guest unless
+ * ALLOW_DEV_PLAYER_IDS=1 (local development only), which trusts the
+ * client-generated player ID instead. That is refused alongside real
+ * payments (see checkConfiguration).
+ */
+
+const { verifyToken } = require('@clerk/clerk-sdk-node');
+const db = require('../database');
+
+// Verified players by Clerk user ID (players.id never changes for a user)
+const playerCache = new Map();
+
+function isConfigured() {
+    return !!(process.env.CLERK_SECRET_KEY || process.env.CLERK_JWT_KEY);
+}
+
+// Client-generated player IDs: only without Clerk, and only when switched on
+function devPlayerIdsAllowed() {
+    return !isConfigured() && process.env.ALLOW_DEV_PLAYER_IDS === '1';
+}
+
+function isDevPlayerId(value) {
+    return typeof value === 'string' && /^[A-Za-z0-9_-]{16,64}$/.test(value);
+}
+
+/**
+ * Verify a Clerk session token
+ * @returns {Promise<string|null>} Clerk user ID, or null if the token is invalid
+ */
+async function verifySessionToken(token) {
+    if (typeof token !== 'string' || token.length === 0 || token.length > 4096) return null;
+
+    try {
+        const claims = await verifyToken(token, {
+            secretKey: process.env.CLERK_SECRET_KEY,
+            jwtKey: process.env.CLERK_JWT_KEY,
+            authorizedParties: process.env.CLERK_AUTHORIZED_PARTIES
+                ? process.env.CLERK_AUTHORIZED_PARTIES.split(',')
+                : undefined
+        });
+        return claims.sub || null;
+    } catch (error) {
+        console.log('[AUTH] Token rejected:', error.reason || error.message);
+        return null;
+    }
+}
+
+/**
+ * Resolve a player from credentials
+ * @param {Object} credentials - { token } (Clerk) or { playerId } (development)
+ * @returns {Promise<Object|null>} { id, clerkUserId } or null for guests
+ */
+async function resolvePlayer(credentials = {}) {
+    if (!isConfigured()) {
+        return devPlayerIdsAllowed() && isDevPlayerId(credentials.playerId)
+            ? { id: credentials.playerId, clerkUserId: null }
+            : null;
+    }
+
+    const clerkUserId = await verifySessionToken(credentials.token);
+    if (!clerkUserId) return null;
+
+    return playerForClerkUser(clerkUserId);
+}
+
+/**
+ * The player for a verified Clerk user, created on first sight
+ * @returns {Promise<Object|null>} { id, clerkUserId }, or null if the
+ *   players table couldn't be written (not cached, so the next request retries)
+ */
+async function playerForClerkUser(clerkUserId, store = db) {
+    let player = playerCache.get(clerkUserId);
+    if (player) return player;
+
+    const row = await store.upsertPlayer(clerkUserId);
+    if (row) {
+        player = { id: row.id, clerkUserId };
+    } else if (!store.isConnected()) {
+        // Memory-only mode has no players table; the Clerk ID is stable anyway
+        player = { id: clerkUserId, clerkUserId };
+    } else {
+        console.error(`[AUTH] Could not load the player for ${clerkUserId}`);
+        return null;
+    }
+
+    playerCache.set(clerkUserId, player);
+    return player;
+}
+
+// Credentials from a REST request (Authorization: Bearer <token>)
+function credentialsFromRequest(req) {
+    const header = req.headers.authorization || '';
+    return {
+        token: header.startsWith('Bearer ') ? header.slice(7) : null,
+        playerId: req.headers['x-player-id'] || null
+    };
+}
+
+/**
+ * Check the server can identify players safely before it starts
+ * @param {boolean} paymentsConfigured - Real payments are on (Flowglad)
+ * @throws When trusted client player IDs would let anyone claim a wallet
+ */
+function checkConfiguration(paymentsConfigured) {
+    if (!paymentsConfigured || isConfigured()) return;
+
+    if (devPlayerIdsAllowed()) {
+        throw new Error('ALLOW_DEV_PLAYER_IDS cannot be used with payments configured; configure Clerk instead');
+    }
+    // Everyone is a guest: paid seats, wallets and payouts need a signed-in player
+    console.log('[AUTH] Payments are configured without Clerk; paid rooms and payouts are unavailable');
+}
+
+/**
+ * Express middleware: attaches req.player, or responds 401
+ */
+async function requirePlayer(req, res, next) {
+    const player = await resolvePlayer(credentialsFromRequest(req));
+    if (!player) {
+        return res.status(401).json({ error: 'Sign in required' });
+    }
+    req.player = player;
+    next();
+}
+
+/**
+ * Express middleware: attaches req.player, or null for guests
+ */
+async function optionalPlayer(req, res, next) {
+    req.player = await resolvePlayer(credentialsFromRequest(req));
+    next();
+}
+
+/**
+ * Socket.io middleware: verifies the handshake (socket.handshake.auth) and
+ * sets socket.data.player (null for guests). A token that fails verification
+ * rejects the connection rather than silently downgrading to a guest.
+ */
+async function authenticateSocket(socket, next) {
+    const credentials = socket.handshake.auth || {};
+    const player = await resolvePlayer(credentials);
+
+    if (!player && credentials.token) {
+        return next(new Error('Authentication failed'));
+    }
+
+    socket.data.player = player;
+    next();
+}
+
+module.exports = {
+    isConfigured,
+    checkConfiguration,
+    resolvePlayer,
+    playerForClerkUser,
+    requirePlayer,
+    optionalPlayer,
+    authenticateSocket
+};
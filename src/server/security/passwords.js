@@ -0,0 +1,37 @@
+/**
+ * Room Passwords
+ * Salted scrypt hashes for private room passwords
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+const MAX_PASSWORD_LENGTH = 64;
+
+function isValidPassword(password) {
+    return typeof password === 'string' && password.length > 0 && password.length <= MAX_PASSWORD_LENGTH;
+}
+
+// Stored as "salt:hash" (hex)
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    if (!isValidPassword(password) || typeof stored !== 'string') return false;
+
+    const [salt, expected] = stored.split(':');
+    const hash = await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+    return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+}
+
+module.exports = {
+    isValidPassword,
+    hashPassword,
+    verifyPassword
+};
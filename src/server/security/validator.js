@@ -0,0 +1,223 @@
+/**
+ * Input Validator
+ * Sanitizes client input, throttles floods and flags suspicious play
+ */
+
+// Targets may point past the world edge (cursor at the screen edge), but not far
+const TARGET_MARGIN = 2000;
+
+// Token bucket per socket: one command per tick plus headroom for jitter
+const INPUT_BURST = 30;
+const INPUT_REFILL_PER_SEC = 90;
+
+// Dropped inputs within a window before the socket is flagged for flooding
+const FLOOD_WINDOW_MS = 10000;
+const FLOOD_FLAG_THRESHOLD = 200;
+
+// Turn precision: human cursors wander; scripted targets often sit at an
+// exact distance from the head while the angle sweeps around
+const PRECISION_SAMPLE_SIZE = 240;
+const PRECISION_MIN_STDDEV = 0.5;
+const PRECISION_MIN_SWEEP = Math.PI * 4;
+
+// Reaction time: a sharp turn within this long of a threat appearing is
+// faster than a human (and their network) can manage
+const SHARP_TURN = Math.PI / 3;
+const REACTION_WINDOW_MS = 1000;
+const MIN_HUMAN_REACTION_MS = 120;
+const REACTION_SAMPLE_SIZE = 8;
+
+// Don't log the same reason for the same socket more often than this
+const FLAG_COOLDOWN_MS = 60000;
+
+class InputValidator {
+    constructor(onFlag = null) {
+        this.onFlag = onFlag; // (socketId, reason, details) => void
+        this.clients = new Map(); // socketId -> tracking state
+    }
+
+    getClient(socketId, now) {
+        let client = this.clients.get(socketId);
+        if (!client) {
+            client = {
+                tokens: INPUT_BURST,
+                lastRefill: now,
+                dropped: 0,
+                droppedSince: now,
+                lastTargetAngle: null,
+                distances: [],
+                sweep: 0,
+                lastThreatAt: 0,
+                reactions: [],
+                flaggedAt: new Map() // reason -> time
+            };
+            this.clients.set(socketId, client);
+        }
+        return client;
+    }
+
+    forget(socketId) {
+        this.clients.delete(socketId);
+    }
+
+    // Token bucket; returns false when the socket is over its rate
+    takeToken(socketId, client, now) {
+        const elapsed = Math.max(0, now - client.lastRefill) / 1000;
+        client.tokens = Math.min(INPUT_BURST, client.tokens + elapsed * INPUT_REFILL_PER_SEC);
+        client.lastRefill = now;
+
+        if (client.tokens >= 1) {
+            client.tokens -= 1;
+            return true;
+        }
+
+        if (now - client.droppedSince > FLOOD_WINDOW_MS) {
+            client.dropped = 0;
+            client.droppedSince = now;
+        }
+        client.dropped++;
+        if (client.dropped >= FLOOD_FLAG_THRESHOLD) {
+            this.flag(socketId, client, 'input_flood', { dropped: client.dropped, windowMs: FLOOD_WINDOW_MS }, now);
+        }
+        return false;
+    }
+
+    /**
+     * Validate an input command
+     * @param {string} socketId
+     * @param {*} data - Raw payload from the client
+     * @param {Room} room - Room the player is in
+     * @returns {Object|null} Sanitized { seq?, x?, y?, boost? } or null to drop it
+     */
+    checkInput(socketId, data, room, now = Date.now()) {
+        if (!data || typeof data !== 'object') return null;
+
+        const client = this.getClient(socketId, now);
+        if (!this.takeToken(socketId, client, now)) return null;
+
+        const command = {};
+
+        if (data.seq !== undefined) {
+            if (!Number.isSafeInteger(data.seq) || data.seq < 1) return null;
+            command.seq = data.seq;
+        }
+
+        if (data.x !== undefined || data.y !== undefined) {
+            if (!isCoordinate(data.x, room.worldWidth) || !isCoordinate(data.y, room.worldHeight)) {
+                return null;
+            }
+            command.x = data.x;
+            command.y = data.y;
+        } else if (command.seq === undefined) {
+            // Unsequenced input is only a target
+            return null;
+        }
+
+        if (data.boost !== undefined) {
+            if (typeof data.boost !== 'boolean') return null;
+            command.boost = data.boost;
+        }
+
+        if (command.x !== undefined) {
+            this.observeTarget(socketId, client, command, room, now);
+        }
+
+        return command;
+    }
+
+    /**
+     * Validate a boost toggle
+     * @returns {boolean|null} Boost state, or null to drop it
+     */
+    checkBoost(socketId, data, now = Date.now()) {
+        if (!data || typeof data !== 'object' || typeof data.active !== 'boolean') return null;
+
+        const client = this.getClient(socketId, now);
+        if (!this.takeToken(socketId, client, now)) return null;
+
+        return data.active;
+    }
+
+    // Pattern checks on accepted targets
+    observeTarget(socketId, client, command, room, now) {
+        const snake = room.snakes.get(socketId);
+        const player = room.players.get(socketId);
+        if (!snake || !snake.alive) return;
+
+        const dx = command.x - snake.x;
+        const dy = command.y - snake.y;
+        const angle = Math.atan2(dy, dx);
+
+        let turn = 0;
+        if (client.lastTargetAngle !== null) {
+            turn = Math.abs(angleDelta(angle, client.lastTargetAngle));
+        }
+        client.lastTargetAngle = angle;
+
+        // Turn precision
+        client.distances.push(Math.hypot(dx, dy));
+        client.sweep += turn;
+        if (client.distances.length >= PRECISION_SAMPLE_SIZE) {
+            const stddev = standardDeviation(client.distances);
+            if (stddev < PRECISION_MIN_STDDEV && client.sweep > PRECISION_MIN_SWEEP) {
+                this.flag(socketId, client, 'turn_precision', {
+                    samples: client.distances.length,
+                    distanceStddev: stddev,
+                    sweep: client.sweep
+                }, now);
+            }
+            client.distances = [];
+            client.sweep = 0;
+        }
+
+        // Reaction time (threats are noted by Room.detectThreats)
+        const threatAt = player?.threatAt || 0;
+        if (turn >= SHARP_TURN && threatAt > client.lastThreatAt && now - threatAt < REACTION_WINDOW_MS) {
+            client.lastThreatAt = threatAt;
+            client.reactions.push(now - threatAt);
+
+            if (client.reactions.length >= REACTION_SAMPLE_SIZE) {
+                const sorted = [...client.reactions].sort((a, b) => a - b);
+                const median = sorted[Math.floor(sorted.length / 2)];
+                if (median < MIN_HUMAN_REACTION_MS) {
+                    this.flag(socketId, client, 'reaction_time', {
+                        medianMs: median,
+                        samples: sorted
+                    }, now);
+                }
+                client.reactions = [];
+            }
+        }
+    }
+
+    flag(socketId, client, reason, details, now) {
+        const last = client.flaggedAt.get(reason);
+        if (last !== undefined && now - last < FLAG_COOLDOWN_MS) return;
+        client.flaggedAt.set(reason, now);
+
+        console.log(`[SECURITY] Flagged ${socketId}: ${reason}`, details);
+        if (this.onFlag) {
+            this.onFlag(socketId, reason, details);
+        }
+    }
+}
+
+function isCoordinate(value, worldSize) {
+    return typeof value === 'number' && Number.isFinite(value) &&
+        value >= -TARGET_MARGIN && value <= worldSize + TARGET_MARGIN;
+}
+
+function angleDelta(a, b) {
+    let diff = a - b;
+    while (diff > Math.PI) diff -= Math.PI * 2;
+    while (diff < -Math.PI) diff += Math.PI * 2;
+    return diff;
+}
+
+function standardDeviation(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+    return Math.sqrt(variance);
+}
+
+module.exports = InputValidator;
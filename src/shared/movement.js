@@ -0,0 +1,136 @@
+/**
+ * Snake Movement
+ * Movement rules shared by the server simulation and client prediction
+ */
+
+// Constants
+const SEGMENT_SPACING = 5;
+const BASE_SPEED = 3;
+const BOOST_SPEED = 6;
+const HEAD_RADIUS = 15;
+const SEGMENT_RADIUS = 12;
+const INITIAL_LENGTH = 10;
+const MIN_LENGTH = 3;
+const TURN_RATE_BASE = 0.15; // Radians per tick
+const TURN_RATE_SCALE = 0.005; // Smaller = slower turn for longer snakes
+
+function headRadius(length) {
+    return HEAD_RADIUS + Math.min(length * 0.1, 10);
+}
+
+function segmentRadius(length) {
+    return SEGMENT_RADIUS + Math.min(length * 0.08, 8);
+}
+
+// Turn rate decreases as snake gets longer (harder to maneuver)
+function turnRate(length) {
+    return Math.max(0.03, TURN_RATE_BASE - length * TURN_RATE_SCALE);
+}
+
+function speed(length, boosting) {
+    const baseSpeed = boosting ? BOOST_SPEED : BASE_SPEED;
+    // Slightly slower as snake grows
+    return baseSpeed - Math.min(length * 0.01, 1);
+}
+
+function canBoost(length) {
+    return length > MIN_LENGTH;
+}
+
+// Angle from a head position towards a target point
+function angleTo(fromX, fromY, x, y) {
+    return Math.atan2(y - fromY, x - fromX);
+}
+
+/**
+ * Advance a snake body by one step
+ * @param {Object} body - { x, y, angle, targetAngle, boosting, boostDebt, segments } (mutated)
+ * @param {number} worldWidth
+ * @param {number} worldHeight
+ * @param {number} dt - Step length in 60Hz ticks
+ * @param {number} boostCost - Segments lost per 60Hz tick while boosting (room rule)
+ * @returns {number} Segments lost to boosting this step
+ */
+function step(body, worldWidth, worldHeight, dt = 1, boostCost = 1) {
+    const segments = body.segments;
+    const rate = turnRate(segments.length) * dt;
+
+    // Smoothly rotate towards target angle
+    let angleDiff = body.targetAngle - body.angle;
+
+    // Normalize angle difference to [-PI, PI]
+    while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+    while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+
+    // Apply turn rate
+    if (Math.abs(angleDiff) > rate) {
+        body.angle += Math.sign(angleDiff) * rate;
+    } else {
+        body.angle = body.targetAngle;
+    }
+
+    // Move head forward
+    const moveSpeed = speed(segments.length, body.boosting) * dt;
+    body.x += Math.cos(body.angle) * moveSpeed;
+    body.y += Math.sin(body.angle) * moveSpeed;
+
+    // World boundary collision
+    const margin = headRadius(segments.length);
+    if (body.x < margin || body.x > worldWidth - margin ||
+        body.y < margin || body.y > worldHeight - margin) {
+        body.x = Math.max(margin, Math.min(worldWidth - margin, body.x));
+        body.y = Math.max(margin, Math.min(worldHeight - margin, body.y));
+    }
+
+    // Update segments (follow the leader)
+    let leaderX = body.x;
+    let leaderY = body.y;
+
+    for (let i = 0; i < segments.length; i++) {
+        const seg = segments[i];
+        const dx = leaderX - seg.x;
+        const dy = leaderY - seg.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        if (dist > SEGMENT_SPACING) {
+            const ratio = SEGMENT_SPACING / dist;
+            seg.x = leaderX - dx * ratio;
+            seg.y = leaderY - dy * ratio;
+        }
+
+        leaderX = seg.x;
+        leaderY = seg.y;
+    }
+
+    // Boosting costs mass (boostCost segments per 60Hz tick)
+    let lost = 0;
+    if (body.boosting && canBoost(segments.length)) {
+        body.boostDebt = (body.boostDebt || 0) + dt * boostCost;
+        const owed = Math.floor(body.boostDebt);
+        body.boostDebt -= owed;
+
+        for (let i = 0; i < owed && segments.length > MIN_LENGTH; i++) {
+            segments.pop();
+            lost++;
+        }
+    }
+
+    return lost;
+}
+
+module.exports = {
+    SEGMENT_SPACING,
+    BASE_SPEED,
+    BOOST_SPEED,
+    HEAD_RADIUS,
+    SEGMENT_RADIUS,
+    INITIAL_LENGTH,
+    MIN_LENGTH,
+    headRadius,
+    segmentRadius,
+    turnRate,
+    speed,
+    canBoost,
+    angleTo,
+    step
+};
@@ -0,0 +1,551 @@
+/**
+ * Snapshot Protocol
+ * Compact binary encoding of room state, shared by server and client
+ *
+ * Layout (all multi-byte values big-endian):
+ *   header   u8 version, u32 seq, u32 baseline, f64 timestamp,
+ *            u32 inputSeq (last input command the server applied for the recipient)
+ *   zone     u8 present, then when present (battle royale rooms):
+ *              u16 x, u16 y, u16 radius, u16 targetX, u16 targetY, u16 targetRadius
+ *   snakes   u16 count, then per snake:
+ *              u32 netId, u8 flags, u8 fields
+ *              [flags & INFO]       str id, str name, rgb color
+ *              [fields & POSITION]  u16 x, u16 y
+ *              [fields & ANGLE]     u16 angle
+ *              [fields & KILLS]     u16 kills
+ *              [fields & VALUE]     f32 value
+ *              [fields & SEGMENTS]  u16 segmentCount, then per segment either
+ *                                     i8 dx, i8 dy (delta from the previous point), or
+ *                                     u16 x, u16 y when flags & ABSOLUTE
+ *              [fields & TRAIL]     u8 count, i8 dx, i8 dy per new head point
+ *                                     (delta from the previous point), i16 tail
+ *   removed  u16 count, u32 nid per food
+ *   added    u16 count, per food: u32 nid, u16 x, u16 y, u8 radius, rgb color
+ *
+ * A snapshot is a delta against `baseline`, the last snapshot the client
+ * acknowledged (0 = full snapshot). Snake info and food already present in
+ * the baseline are omitted, and so are a baseline snake's fields that haven't
+ * changed. Instead of all its segments, a baseline snake usually sends a
+ * trail: new points in front of the baseline's segments, then `tail` points
+ * trimmed off the end (or, when negative, copies of the last point added).
+ * Segment deltas start from the head.
+ */
+
+const PROTOCOL_VERSION = 4;
+
+// Quantization
+const POSITION_SCALE = 8; // 1/8 world unit precision
+const MAX_WORLD_SIZE = Math.floor(0xffff / POSITION_SCALE);
+const ANGLE_SCALE = 0x10000 / (Math.PI * 2);
+const RADIUS_SCALE = 4;
+
+// Snake flags
+const FLAG_ALIVE = 1;
+const FLAG_BOOSTING = 2;
+const FLAG_INFO = 4;
+const FLAG_ABSOLUTE = 8;
+const FLAG_HELD = 16; // Owner disconnected; the snake is out of play
+
+// Snake fields present
+const FIELD_POSITION = 1;
+const FIELD_ANGLE = 2;
+const FIELD_KILLS = 4;
+const FIELD_VALUE = 8;
+const FIELD_SEGMENTS = 16;
+const FIELD_TRAIL = 32;
+const ALL_FIELDS = FIELD_POSITION | FIELD_ANGLE | FIELD_KILLS | FIELD_VALUE | FIELD_SEGMENTS;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+class BinaryWriter {
+    constructor(initialSize = 1024) {
+        this.buffer = new ArrayBuffer(initialSize);
+        this.view = new DataView(this.buffer);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.byteLength) return;
+
+        let size = this.buffer.byteLength * 2;
+        while (size < this.offset + bytes) size *= 2;
+
+        const next = new ArrayBuffer(size);
+        new Uint8Array(next).set(new Uint8Array(this.buffer, 0, this.offset));
+        this.buffer = next;
+        this.view = new DataView(next);
+    }
+
+    u8(value) {
+        this.ensure(1);
+        this.view.setUint8(this.offset, value);
+        this.offset += 1;
+    }
+
+    i8(value) {
+        this.ensure(1);
+        this.view.setInt8(this.offset, value);
+        this.offset += 1;
+    }
+
+    u16(value) {
+        this.ensure(2);
+        this.view.setUint16(this.offset, value);
+        this.offset += 2;
+    }
+
+    i16(value) {
+        this.ensure(2);
+        this.view.setInt16(this.offset, value);
+        this.offset += 2;
+    }
+
+    u32(value) {
+        this.ensure(4);
+        this.view.setUint32(this.offset, value);
+        this.offset += 4;
+    }
+
+    f32(value) {
+        this.ensure(4);
+        this.view.setFloat32(this.offset, value);
+        this.offset += 4;
+    }
+
+    f64(value) {
+        this.ensure(8);
+        this.view.setFloat64(this.offset, value);
+        this.offset += 8;
+    }
+
+    // Length-prefixed UTF-8 (max 255 bytes)
+    str(value) {
+        const bytes = textEncoder.encode(String(value)).slice(0, 255);
+        this.u8(bytes.length);
+        this.ensure(bytes.length);
+        new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+        this.offset += bytes.length;
+    }
+
+    // "#RRGGBB" as three bytes
+    color(value) {
+        const rgb = /^#[0-9a-f]{6}$/i.test(value) ? parseInt(value.slice(1), 16) : 0xffffff;
+        this.u8((rgb >> 16) & 0xff);
+        this.u8((rgb >> 8) & 0xff);
+        this.u8(rgb & 0xff);
+    }
+
+    toBytes() {
+        return new Uint8Array(this.buffer, 0, this.offset);
+    }
+}
+
+class BinaryReader {
+    constructor(data) {
+        if (data instanceof ArrayBuffer) {
+            this.view = new DataView(data);
+        } else {
+            this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        }
+        this.offset = 0;
+    }
+
+    u8() {
+        const value = this.view.getUint8(this.offset);
+        this.offset += 1;
+        return value;
+    }
+
+    i8() {
+        const value = this.view.getInt8(this.offset);
+        this.offset += 1;
+        return value;
+    }
+
+    u16() {
+        const value = this.view.getUint16(this.offset);
+        this.offset += 2;
+        return value;
+    }
+
+    i16() {
+        const value = this.view.getInt16(this.offset);
+        this.offset += 2;
+        return value;
+    }
+
+    u32() {
+        const value = this.view.getUint32(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    f32() {
+        const value = this.view.getFloat32(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    f64() {
+        const value = this.view.getFloat64(this.offset);
+        this.offset += 8;
+        return value;
+    }
+
+    str() {
+        const length = this.u8();
+        const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, length);
+        this.offset += length;
+        return textDecoder.decode(bytes);
+    }
+
+    color() {
+        const rgb = (this.u8() << 16) | (this.u8() << 8) | this.u8();
+        return '#' + rgb.toString(16).padStart(6, '0');
+    }
+}
+
+function quantize(value) {
+    return Math.max(0, Math.min(0xffff, Math.round(value * POSITION_SCALE)));
+}
+
+function dequantize(value) {
+    return value / POSITION_SCALE;
+}
+
+function quantizeAngle(angle) {
+    const turn = Math.PI * 2;
+    const normalized = ((angle % turn) + turn) % turn;
+    return Math.round(normalized * ANGLE_SCALE) & 0xffff;
+}
+
+function dequantizeAngle(value) {
+    return value / ANGLE_SCALE;
+}
+
+// Points are quantized and flattened: [x0, y0, x1, y1, ...]
+function writeSegments(writer, head, points, absolute) {
+    writer.u16(points.length / 2);
+
+    if (absolute) {
+        for (const value of points) {
+            writer.u16(value);
+        }
+        return;
+    }
+
+    writeDeltas(writer, head, points);
+}
+
+function writeDeltas(writer, head, points) {
+    let prevX = head.x;
+    let prevY = head.y;
+    for (let i = 0; i < points.length; i += 2) {
+        writer.i8(points[i] - prevX);
+        writer.i8(points[i + 1] - prevY);
+        prevX = points[i];
+        prevY = points[i + 1];
+    }
+}
+
+// Segments normally trail within a few units of each other, so deltas fit
+// in a signed byte. Fall back to absolute positions when they don't.
+function fitsDeltas(head, points) {
+    let prevX = head.x;
+    let prevY = head.y;
+    for (let i = 0; i < points.length; i += 2) {
+        if (Math.abs(points[i] - prevX) > 127 || Math.abs(points[i + 1] - prevY) > 127) {
+            return false;
+        }
+        prevX = points[i];
+        prevY = points[i + 1];
+    }
+    return true;
+}
+
+/**
+ * A snake in wire units, as a client holds it once decoded
+ * @returns {Object} { x, y, angle, kills, value, points } with points flattened
+ */
+function quantizeSnake(snake) {
+    const segments = snake.segments || [];
+    const points = new Array(segments.length * 2);
+    for (let i = 0; i < segments.length; i++) {
+        points[i * 2] = quantize(segments[i].x);
+        points[i * 2 + 1] = quantize(segments[i].y);
+    }
+
+    return {
+        x: quantize(snake.x),
+        y: quantize(snake.y),
+        angle: quantizeAngle(snake.angle),
+        kills: Math.min(0xffff, snake.kills || 0),
+        value: Math.fround(snake.value || 0),
+        points
+    };
+}
+
+/**
+ * Encode a snapshot frame
+ * @param {Object} frame - { seq, baseline, timestamp, inputSeq, zone, snakes, removedFood, addedFood }
+ *   where `zone` is the safe zone (see SafeZone.toJSON) or null, and each
+ *   snake is { netId, alive, boosting, held, info, fields, snake, trail }:
+ *   `info` ({ id, name, color }) for snakes new to the client, `fields` the
+ *   FIELD_* bits to send, `snake` its quantizeSnake() and `trail`
+ *   ({ points, tail }, quantized) when fields has FIELD_TRAIL
+ * @returns {Uint8Array}
+ */
+function encodeSnapshot(frame) {
+    const writer = new BinaryWriter();
+
+    writer.u8(PROTOCOL_VERSION);
+    writer.u32(frame.seq);
+    writer.u32(frame.baseline || 0);
+    writer.f64(frame.timestamp);
+    writer.u32(frame.inputSeq || 0);
+
+    const zone = frame.zone;
+    writer.u8(zone ? 1 : 0);
+    if (zone) {
+        writer.u16(quantize(zone.x));
+        writer.u16(quantize(zone.y));
+        writer.u16(quantize(zone.radius));
+        writer.u16(quantize(zone.targetX));
+        writer.u16(quantize(zone.targetY));
+        writer.u16(quantize(zone.targetRadius));
+    }
+
+    writer.u16(frame.snakes.length);
+    for (const entry of frame.snakes) {
+        const { fields, snake } = entry;
+
+        let flags = 0;
+        if (entry.alive) flags |= FLAG_ALIVE;
+        if (entry.boosting) flags |= FLAG_BOOSTING;
+        if (entry.held) flags |= FLAG_HELD;
+        if (entry.info) flags |= FLAG_INFO;
+        if ((fields & FIELD_SEGMENTS) && !fitsDeltas(snake, snake.points)) flags |= FLAG_ABSOLUTE;
+
+        writer.u32(entry.netId);
+        writer.u8(flags);
+        writer.u8(fields);
+
+        if (flags & FLAG_INFO) {
+            writer.str(entry.info.id);
+            writer.str(entry.info.name);
+            writer.color(entry.info.color);
+        }
+
+        if (fields & FIELD_POSITION) {
+            writer.u16(snake.x);
+            writer.u16(snake.y);
+        }
+        if (fields & FIELD_ANGLE) writer.u16(snake.angle);
+        if (fields & FIELD_KILLS) writer.u16(snake.kills);
+        if (fields & FIELD_VALUE) writer.f32(snake.value);
+
+        if (fields & FIELD_SEGMENTS) {
+            writeSegments(writer, snake, snake.points, flags & FLAG_ABSOLUTE);
+        }
+        if (fields & FIELD_TRAIL) {
+            writer.u8(entry.trail.points.length / 2);
+            writeDeltas(writer, snake, entry.trail.points);
+            writer.i16(entry.trail.tail);
+        }
+    }
+
+    writer.u16(frame.removedFood.length);
+    for (const nid of frame.removedFood) {
+        writer.u32(nid);
+    }
+
+    writer.u16(frame.addedFood.length);
+    for (const food of frame.addedFood) {
+        writer.u32(food.nid);
+        writer.u16(quantize(food.x));
+        writer.u16(quantize(food.y));
+        writer.u8(Math.min(0xff, Math.round(food.radius * RADIUS_SCALE)));
+        writer.color(food.color);
+    }
+
+    return writer.toBytes();
+}
+
+/**
+ * Decode a snapshot frame. Snakes carry only what was sent; applySnake
+ * fills in the rest from the baseline.
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {Object|null} Frame with snakes carrying `info` ({ id, name, color }) when sent
+ */
+function decodeSnapshot(data) {
+    const reader = new BinaryReader(data);
+
+    const version = reader.u8();
+    if (version !== PROTOCOL_VERSION) {
+        return null;
+    }
+
+    const frame = {
+        seq: reader.u32(),
+        baseline: reader.u32(),
+        timestamp: reader.f64(),
+        inputSeq: reader.u32(),
+        zone: null,
+        snakes: [],
+        removedFood: [],
+        addedFood: []
+    };
+
+    if (reader.u8()) {
+        frame.zone = {
+            x: dequantize(reader.u16()),
+            y: dequantize(reader.u16()),
+            radius: dequantize(reader.u16()),
+            targetX: dequantize(reader.u16()),
+            targetY: dequantize(reader.u16()),
+            targetRadius: dequantize(reader.u16())
+        };
+    }
+
+    const snakeCount = reader.u16();
+    for (let i = 0; i < snakeCount; i++) {
+        const netId = reader.u32();
+        const flags = reader.u8();
+        const fields = reader.u8();
+
+        const snake = {
+            netId,
+            info: null,
+            alive: !!(flags & FLAG_ALIVE),
+            boosting: !!(flags & FLAG_BOOSTING),
+            held: !!(flags & FLAG_HELD)
+        };
+
+        if (flags & FLAG_INFO) {
+            snake.info = {
+                id: reader.str(),
+                name: reader.str(),
+                color: reader.color()
+            };
+        }
+
+        if (fields & FIELD_POSITION) {
+            snake.x = dequantize(reader.u16());
+            snake.y = dequantize(reader.u16());
+        }
+        if (fields & FIELD_ANGLE) snake.angle = dequantizeAngle(reader.u16());
+        if (fields & FIELD_KILLS) snake.kills = reader.u16();
+        if (fields & FIELD_VALUE) snake.value = reader.f32();
+
+        // Segment deltas are kept relative (world units) until the head is
+        // known, which may come from the baseline
+        if (fields & FIELD_SEGMENTS) {
+            const count = reader.u16();
+            snake.segments = { absolute: !!(flags & FLAG_ABSOLUTE), points: [] };
+            for (let j = 0; j < count; j++) {
+                snake.segments.points.push(flags & FLAG_ABSOLUTE
+                    ? { x: dequantize(reader.u16()), y: dequantize(reader.u16()) }
+                    : { x: dequantize(reader.i8()), y: dequantize(reader.i8()) });
+            }
+        }
+        if (fields & FIELD_TRAIL) {
+            const count = reader.u8();
+            const steps = [];
+            for (let j = 0; j < count; j++) {
+                steps.push({ x: dequantize(reader.i8()), y: dequantize(reader.i8()) });
+            }
+            snake.trail = { steps, tail: reader.i16() };
+        }
+
+        frame.snakes.push(snake);
+    }
+
+    const removedCount = reader.u16();
+    for (let i = 0; i < removedCount; i++) {
+        frame.removedFood.push(reader.u32());
+    }
+
+    const addedCount = reader.u16();
+    for (let i = 0; i < addedCount; i++) {
+        frame.addedFood.push({
+            nid: reader.u32(),
+            x: dequantize(reader.u16()),
+            y: dequantize(reader.u16()),
+            radius: reader.u8() / RADIUS_SCALE,
+            color: reader.color()
+        });
+    }
+
+    return frame;
+}
+
+// Chain point deltas on from a start point
+function chain(start, steps) {
+    const points = [];
+    let x = start.x;
+    let y = start.y;
+    for (const step of steps) {
+        x += step.x;
+        y += step.y;
+        points.push({ x, y });
+    }
+    return points;
+}
+
+/**
+ * Rebuild a decoded snake from what was sent and its baseline state
+ * @param {Object} sent - A snake from decodeSnapshot
+ * @param {Object|null} base - The same snake as rebuilt for the baseline
+ * @returns {Object|null} { x, y, angle, kills, value, segments }, or null
+ *   if something it needs isn't in the baseline
+ */
+function applySnake(sent, base) {
+    const snake = {
+        x: sent.x !== undefined ? sent.x : base?.x,
+        y: sent.y !== undefined ? sent.y : base?.y,
+        angle: sent.angle !== undefined ? sent.angle : base?.angle,
+        kills: sent.kills !== undefined ? sent.kills : base?.kills,
+        value: sent.value !== undefined ? sent.value : base?.value,
+        segments: base?.segments
+    };
+
+    if (sent.segments) {
+        snake.segments = sent.segments.absolute
+            ? sent.segments.points
+            : chain(snake, sent.segments.points);
+    } else if (sent.trail && snake.segments) {
+        const kept = snake.segments.slice(0, Math.max(0, snake.segments.length - sent.trail.tail));
+        const last = snake.segments[snake.segments.length - 1];
+        for (let i = 0; i < -sent.trail.tail; i++) {
+            kept.push({ x: last.x, y: last.y });
+        }
+        snake.segments = chain(snake, sent.trail.steps).concat(kept);
+    }
+
+    if (snake.x === undefined || snake.angle === undefined || snake.kills === undefined ||
+        snake.value === undefined || !snake.segments) {
+        return null;
+    }
+    return snake;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    POSITION_SCALE,
+    MAX_WORLD_SIZE,
+    FIELD_POSITION,
+    FIELD_ANGLE,
+    FIELD_KILLS,
+    FIELD_VALUE,
+    FIELD_SEGMENTS,
+    FIELD_TRAIL,
+    ALL_FIELDS,
+    quantizeSnake,
+    fitsDeltas,
+    encodeSnapshot,
+    decodeSnapshot,
+    applySnake,
+    BinaryWriter,
+    BinaryReader
+};
@@ -0,0 +1,144 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Simulation } = require('../src/server/rooms/simulation');
+const RoomManager = require('../src/server/rooms/manager');
+const { LocalAgent, loadAgentModules } = require('../src/server/agents/local');
+const { MAX_STRIKES } = require('../src/server/agents/agent');
+
+// Bot modules as they'd sit in BOT_AGENTS_DIR
+const MODULES = {
+    steady: `module.exports = { name: 'Steady', think: () => ({ angle: 1, boost: false }) };`,
+    slow: `module.exports = {
+        name: 'Slow',
+        think() {
+            var start = Date.now();
+            while (Date.now() - start < 50) {}
+            return { angle: 2, boost: true };
+        }
+    };`,
+    broken: `module.exports = { name: 'Broken', think() { throw new Error('oops'); } };`,
+    thoughtless: `module.exports = { name: 'Thoughtless' };`
+};
+
+// The /bots namespace, with the sockets it disconnects
+function fakeIo() {
+    const bots = new Map();
+    return {
+        sockets: { sockets: new Map() },
+        to: () => ({ emit: () => {} }),
+        of: () => ({ sockets: bots }),
+        connectBot(id) {
+            const socket = { id, emitted: [], connected: true, emit: (event, data) => socket.emitted.push([event, data]), disconnect: () => { socket.connected = false; } };
+            bots.set(id, socket);
+            return socket;
+        }
+    };
+}
+
+describe('Agents', () => {
+    let dir;
+    let modules;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-'));
+        for (const [name, source] of Object.entries(MODULES)) {
+            fs.writeFileSync(path.join(dir, `${name}.js`), source);
+        }
+        modules = loadAgentModules(dir);
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // A local agent alone in a room, ready to decide
+    function seat(name) {
+        const sim = new Simulation().clearFood();
+        const agent = new LocalAgent(sim.room, modules.get(name));
+        sim.room.addAgent(agent);
+        return { sim, agent };
+    }
+
+    it('takes the input a local agent decides on', () => {
+        const { sim, agent } = seat('steady');
+        // A few decisions, in case a slow machine overruns the first
+        sim.step(5);
+
+        expect(agent.name).to.equal('Steady');
+        expect(agent.getInput()).to.deep.equal({ angle: 1, boost: false });
+        expect(agent.errors).to.equal(0);
+    });
+
+    it('strikes a local agent that runs past its budget and ignores its input', () => {
+        const { sim, agent } = seat('slow');
+        agent.targetAngle = 0.5;
+        sim.step();
+
+        expect(agent.overruns).to.equal(1);
+        expect(agent.strikes).to.equal(1);
+        expect(agent.getInput()).to.deep.equal({ angle: 0.5, boost: false });
+    });
+
+    it('disables a local agent after repeated overruns or throws', () => {
+        const slow = seat('slow');
+        slow.sim.step(MAX_STRIKES);
+        expect(slow.agent.disabled).to.match(/last: overrun/);
+
+        // (A throw that also runs past the budget counts as an overrun)
+        const broken = seat('broken');
+        broken.sim.step(MAX_STRIKES - 1);
+        expect(broken.agent.disabled).to.equal(null);
+        broken.sim.step();
+        expect(broken.agent.errors).to.be.above(0);
+        expect(broken.agent.errors + broken.agent.overruns).to.equal(MAX_STRIKES);
+        expect(broken.agent.disabled).to.match(/failed decisions in a row/);
+    });
+
+    describe('sandboxes', () => {
+        let io;
+        let manager;
+
+        beforeEach(() => {
+            io = fakeIo();
+            manager = new RoomManager(io);
+            manager.agentModules = modules;
+        });
+
+        it('refuse a module without a think function', async () => {
+            expect(() => new LocalAgent(new Simulation().room, modules.get('thoughtless')))
+                .to.throw('Agent thoughtless failed to start: no think function');
+
+            let error = null;
+            try {
+                await manager.createSandboxRoom({ ownerId: 'p1', agents: ['steady', 'thoughtless'] });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error?.message).to.match(/no think function/);
+            expect(manager.rooms.size).to.equal(0);
+        });
+
+        it('remove a remote agent that keeps missing its answers', async () => {
+            const room = await manager.createSandboxRoom({ ownerId: 'p1' });
+            const socket = io.connectBot('bot_1');
+            manager.joinSandbox(socket, { key: room.sandbox.key, name: 'Silent' });
+            const [agent] = room.agents.values();
+
+            // The first observation goes out; every one after it arrives unanswered
+            for (let i = 0; i <= MAX_STRIKES; i++) {
+                expect(agent.decide({})).to.equal(null);
+            }
+            expect(agent.overruns).to.equal(MAX_STRIKES);
+
+            manager.sendObservations(room);
+
+            expect(room.agents.size).to.equal(0);
+            expect(manager.agentSockets.has('bot_1')).to.equal(false);
+            expect(socket.emitted[0][0]).to.equal('disabled');
+            expect(socket.connected).to.equal(false);
+        });
+    });
+});
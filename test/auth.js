@@ -0,0 +1,56 @@
+const { expect } = require('chai');
+const auth = require('../src/server/security/auth');
+
+const PLAYER_ID = 'dev_player_0123456789';
+
+describe('Auth without Clerk', () => {
+    const saved = {};
+
+    beforeEach(() => {
+        for (const key of ['CLERK_SECRET_KEY', 'CLERK_JWT_KEY', 'ALLOW_DEV_PLAYER_IDS']) {
+            saved[key] = process.env[key];
+            delete process.env[key];
+        }
+    });
+
+    afterEach(() => {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+
+    it('treats client player IDs as guests by default', async () => {
+        expect(await auth.resolvePlayer({ playerId: PLAYER_ID })).to.equal(null);
+    });
+
+    it('trusts client player IDs only when switched on', async () => {
+        process.env.ALLOW_DEV_PLAYER_IDS = '1';
+        expect(await auth.resolvePlayer({ playerId: PLAYER_ID })).to.deep.equal({ id: PLAYER_ID, clerkUserId: null });
+    });
+
+    it('refuses dev player IDs alongside payments', () => {
+        process.env.ALLOW_DEV_PLAYER_IDS = '1';
+        expect(() => auth.checkConfiguration(true)).to.throw('ALLOW_DEV_PLAYER_IDS');
+        expect(() => auth.checkConfiguration(false)).to.not.throw();
+
+        delete process.env.ALLOW_DEV_PLAYER_IDS;
+        expect(() => auth.checkConfiguration(true)).to.not.throw();
+    });
+});
+
+describe('Auth with Clerk', () => {
+    it('refuses a player whose row could not be written, and tries again next time', async () => {
+        const store = { isConnected: () => true, row: null, upsertPlayer: async function() { return this.row; } };
+
+        expect(await auth.playerForClerkUser('user_retry', store)).to.equal(null);
+
+        store.row = { id: 'player-uuid' };
+        expect(await auth.playerForClerkUser('user_retry', store)).to.deep.equal({ id: 'player-uuid', clerkUserId: 'user_retry' });
+    });
+
+    it('uses the Clerk ID as the player ID without a database', async () => {
+        const store = { isConnected: () => false, upsertPlayer: async () => null };
+        expect(await auth.playerForClerkUser('user_memory', store)).to.deep.equal({ id: 'user_memory', clerkUserId: 'user_memory' });
+    });
+});
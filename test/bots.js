@@ -0,0 +1,58 @@
+const { expect } = require('chai');
+const { Simulation } = require('../src/server/rooms/simulation');
+
+describe('Bots', () => {
+    it('respawn two seconds after dying', () => {
+        const sim = new Simulation().clearFood();
+        const snake = sim.addBot('normal');
+        const botId = snake.id;
+
+        sim.room.handleDeath(snake, null);
+        sim.step(119);
+        expect(sim.snake(botId).alive).to.equal(false);
+
+        sim.step(2);
+        expect(sim.snake(botId).alive).to.equal(true);
+        expect(sim.snake(botId).netId).to.not.equal(snake.netId);
+    });
+
+    it('stay dead during a battle royale round', () => {
+        const sim = new Simulation({ rules: { mode: 'royale' } }).clearFood();
+        const snakes = [sim.addBot('easy'), sim.addBot('easy'), sim.addBot('easy')];
+
+        expect(sim.stepUntil(s => s.room.round.state === 'active', 700)).to.equal(true);
+        sim.room.handleDeath(snakes[0], null);
+        sim.step(240);
+
+        expect(sim.snake(snakes[0].id).alive).to.equal(false);
+    });
+
+    describe('turn away from a body in their path', () => {
+        // A long snake heading down across the bot's path
+        function crossing(sim) {
+            sim.addPlayer('wall', 'Wall', { x: 2600, y: 2000, angle: Math.PI / 2, length: 150 });
+            sim.script('wall', () => ({ angle: Math.PI / 2 }));
+        }
+
+        it('(a snake that keeps going straight dies)', () => {
+            const sim = new Simulation({ seed: 3 }).clearFood();
+            crossing(sim);
+            const snake = sim.addPlayer('straight', 'Straight', { x: 2000, y: 1800, angle: 0 });
+            sim.script('straight', () => ({ angle: 0 }));
+
+            sim.step(240);
+            expect(snake.alive).to.equal(false);
+        });
+
+        for (const profile of ['easy', 'normal', 'hard', 'hunter']) {
+            it(profile, () => {
+                const sim = new Simulation({ seed: 3 }).clearFood();
+                crossing(sim);
+                const snake = sim.addBot(profile, { x: 2000, y: 1800, angle: 0 });
+
+                sim.step(240);
+                expect(snake.alive).to.equal(true);
+            });
+        }
+    });
+});
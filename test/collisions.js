@@ -0,0 +1,137 @@
+const { expect } = require('chai');
+const { Simulation } = require('../src/server/rooms/simulation');
+
+describe('Collisions', () => {
+    let sim;
+
+    beforeEach(() => {
+        sim = new Simulation().clearFood();
+    });
+
+    it('kills a head that runs into a body and pays the killer a bounty', () => {
+        const killer = sim.addPlayer('a', 'A', { x: 2000, y: 2000, angle: 0, length: 60 });
+        const victim = sim.addPlayer('b', 'B', { x: 1900, y: 2100, angle: -Math.PI / 2 });
+
+        const kills = sim.step(60);
+
+        expect(kills).to.have.length(1);
+        expect(kills[0]).to.include({ killerName: 'A', victimName: 'B', victimLength: 10 });
+        expect(victim.alive).to.equal(false);
+        expect(killer.kills).to.equal(1);
+
+        // Unstaked victims are worth 1 cent per segment, less the platform fee
+        expect(kills[0].bounty).to.be.closeTo(0.08, 1e-9);
+        expect(killer.value).to.be.closeTo(0.08, 1e-9);
+        expect(sim.room.players.get('a').kills).to.equal(1);
+        expect(sim.room.players.get('b').deaths).to.equal(1);
+    });
+
+    it('drops food where the victim died', () => {
+        const victim = sim.addPlayer('b', 'B', { x: 1900, y: 2100, angle: -Math.PI / 2 });
+        sim.addPlayer('a', 'A', { x: 2000, y: 2000, angle: 0, length: 60 });
+
+        sim.step(60);
+
+        const dropped = sim.room.food.getNearby(victim.x, victim.y, 100);
+        expect(dropped.length).to.be.at.least(20);
+    });
+
+    it('kills both snakes in a head-on collision between similar lengths', () => {
+        const a = sim.addPlayer('a', 'A', { x: 1900, y: 2000, angle: 0 });
+        const b = sim.addPlayer('b', 'B', { x: 2100, y: 2000, angle: Math.PI });
+
+        const kills = sim.step(60);
+
+        expect(kills.map(kill => kill.victimName)).to.have.members(['A', 'B']);
+        expect(kills.every(kill => kill.killerName === 'a head-on collision' && kill.bounty === 0)).to.equal(true);
+        expect(a.alive || b.alive).to.equal(false);
+    });
+
+    it('lets the longer snake win a head-on collision', () => {
+        const a = sim.addPlayer('a', 'A', { x: 1900, y: 2000, angle: 0, length: 20 });
+        const b = sim.addPlayer('b', 'B', { x: 2100, y: 2000, angle: Math.PI });
+
+        const kills = sim.step(60);
+
+        expect(kills).to.have.length(1);
+        expect(kills[0]).to.include({ killerName: 'A', victimName: 'B' });
+        expect(a.alive).to.equal(true);
+        expect(b.alive).to.equal(false);
+    });
+
+    it('points a dead player at its killer, then at the leader', () => {
+        const killer = sim.addPlayer('a', 'A', { x: 2000, y: 2000, angle: 0, length: 60 });
+        sim.addPlayer('b', 'B', { x: 1900, y: 2100, angle: -Math.PI / 2 });
+        const leader = sim.addPlayer('c', 'C', { x: 500, y: 500, angle: 0, length: 80 });
+
+        sim.step(60);
+        const visibleIds = () => sim.room.getVisibleState('b').snakes.map(snake => snake.id);
+        expect(sim.room.deathCameraTarget('b')).to.equal(killer);
+        expect(visibleIds()).to.include('a').and.not.include('c');
+
+        sim.room.handleDeath(killer, null);
+        expect(sim.room.deathCameraTarget('b')).to.equal(leader);
+        expect(visibleIds()).to.deep.equal(['c']);
+
+        sim.room.respawnPlayer('b');
+        expect(sim.room.players.get('b').watchingId).to.equal(null);
+    });
+
+    it('leaves pellets behind a boosting snake, worth part of what it lost', () => {
+        const snake = sim.addPlayer('a', 'A', { x: 1000, y: 2000, angle: 0, length: 60 });
+        sim.script('a', () => ({ angle: 0, boost: true }));
+
+        sim.step(20);
+
+        const lost = 60 - snake.length;
+        const pellets = sim.room.food.toArray();
+        const mass = pellets.reduce((sum, food) => sum + food.value, 0);
+        expect(lost).to.be.greaterThan(0);
+        expect(pellets).to.have.length(lost);
+        expect(mass).to.be.closeTo(lost * 0.5, 1e-9);
+
+        // All behind the tail
+        const tail = snake.segments[snake.segments.length - 1];
+        for (const food of pellets) {
+            expect(food.x).to.be.below(tail.x);
+        }
+    });
+
+    it('grows a whole segment for every two boost pellets', () => {
+        const snake = sim.addPlayer('a', 'A', { x: 2000, y: 2000, angle: 0 });
+        const before = snake.length;
+
+        snake.grow(0.5);
+        expect(snake.length).to.equal(before);
+        snake.grow(0.5);
+        expect(snake.length).to.equal(before + 1);
+    });
+
+    it('drops no pellets when boost drops are off', () => {
+        sim = new Simulation({ rules: { boostDropRate: 0 } }).clearFood();
+        sim.addPlayer('a', 'A', { x: 1000, y: 2000, angle: 0, length: 60 });
+        sim.script('a', () => ({ angle: 0, boost: true }));
+
+        sim.step(20);
+        expect(sim.room.food.food.size).to.equal(0);
+    });
+
+    it('never kills a snake on its own body', () => {
+        const snake = sim.addPlayer('a', 'A', { x: 2000, y: 2000, angle: 0, length: 60 });
+        sim.script('a', () => ({ angle: Math.PI }));
+
+        sim.step(120);
+        expect(snake.alive).to.equal(true);
+    });
+
+    it('keeps held snakes out of play', () => {
+        sim.addPlayer('a', 'A', { x: 2000, y: 2000, angle: 0, length: 60 });
+        const victim = sim.addPlayer('b', 'B', { x: 1900, y: 2100, angle: -Math.PI / 2 });
+        sim.room.holdPlayer('a', sim.clock.now() + 60000);
+
+        const kills = sim.step(60);
+
+        expect(kills).to.have.length(0);
+        expect(victim.alive).to.equal(true);
+    });
+});
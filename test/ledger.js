@@ -0,0 +1,126 @@
+const { expect } = require('chai');
+const { Ledger } = require('../src/server/economy/ledger');
+
+// A connected database whose writes fail until `up` is set
+function flakyStore() {
+    return {
+        up: false,
+        written: [],
+        isConnected: () => true,
+        async recordTransaction(tx) {
+            if (!this.up) throw new Error('connection lost');
+            this.written.push(tx);
+            return tx;
+        },
+        async getAccountBalance() {
+            return this.up ? 0 : null;
+        },
+        getOpenSessions: async () => []
+    };
+}
+
+function withdrawal(key) {
+    return {
+        type: 'withdrawal',
+        idempotencyKey: key,
+        entries: [
+            { kind: 'wallet', owner: 'p1', amount: -300 },
+            { kind: 'payout', owner: 'po1', amount: 300 }
+        ]
+    };
+}
+
+describe('Ledger', () => {
+    let store;
+    let ledger;
+
+    beforeEach(() => {
+        store = flakyStore();
+        ledger = new Ledger(store);
+        ledger.balances.set('wallet:p1', 500);
+    });
+
+    it('puts the money back when a transaction cannot be saved', async () => {
+        let error = null;
+        try {
+            await ledger.postAndPersist(withdrawal('payout:po1'));
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error?.message).to.equal('connection lost');
+        expect(ledger.balance('wallet', 'p1')).to.equal(500);
+        expect(ledger.balance('payout', 'po1')).to.equal(0);
+
+        // The same transaction goes through once the database is back
+        store.up = true;
+        expect(await ledger.postAndPersist(withdrawal('payout:po1'))).to.not.equal(null);
+        expect(ledger.balance('wallet', 'p1')).to.equal(200);
+        expect(store.written).to.have.length(1);
+    });
+
+    it('keeps writing after a failed background write', async () => {
+        ledger.post(withdrawal('a'));
+        await ledger.flush();
+        store.up = true;
+        ledger.post({ ...withdrawal('b'), entries: [
+            { kind: 'wallet', owner: 'p1', amount: -100 },
+            { kind: 'payout', owner: 'po2', amount: 100 }
+        ] });
+
+        await ledger.flush();
+        expect(store.written.map(tx => tx.idempotencyKey)).to.deep.equal(['b']);
+    });
+
+    describe('kills', () => {
+        beforeEach(() => {
+            ledger.balances.set('session:victim', 100);
+            ledger.balances.set('session:killer', 100);
+            ledger.settleKill({ roomId: 'r1', victimSessionId: 'victim', killerSessionId: 'killer', feeRate: 0.2 });
+            return ledger.flush();
+        });
+
+        it('saves a kill that failed to write before its killer cashes out', async () => {
+            store.up = true;
+            const paid = await ledger.payOutSession({ sessionId: 'killer', playerId: 'p1', roomId: 'r1' });
+
+            expect(paid).to.equal(180);
+            expect(store.written.map(tx => tx.type)).to.deep.equal(['kill_bounty', 'cashout']);
+            expect(ledger.unsaved.size).to.equal(0);
+        });
+
+        it('refuses a cashout while the kill behind it still cannot be saved', async () => {
+            let error = null;
+            try {
+                await ledger.payOutSession({ sessionId: 'killer', playerId: 'p1', roomId: 'r1' });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error?.message).to.equal('connection lost');
+            expect(ledger.balance('session', 'killer')).to.equal(180);
+            expect(ledger.unsaved.size).to.equal(1);
+        });
+
+        it('leaves writes for other sessions alone', async () => {
+            store.up = true;
+            ledger.balances.set('session:other', 100);
+            await ledger.payOutSession({ sessionId: 'other', playerId: 'p2', roomId: 'r1' });
+
+            expect(store.written.map(tx => tx.type)).to.deep.equal(['cashout']);
+            expect(ledger.unsaved.size).to.equal(1);
+        });
+    });
+
+    it('refuses a balance the database could not read', async () => {
+        let error = null;
+        try {
+            await ledger.loadBalance('wallet', 'p2');
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).to.not.equal(null);
+        expect(ledger.balances.has('wallet:p2')).to.equal(false);
+    });
+});
@@ -0,0 +1,115 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RoomManager = require('../src/server/rooms/manager');
+const { Ledger } = require('../src/server/economy/ledger');
+const JoinTickets = require('../src/server/economy/tickets');
+const { ReplayStore } = require('../src/server/replays/store');
+const db = require('../src/server/database');
+
+const FREE_TIER = { id: 1, name: 'Free', buy_in: 0, platform_fee: 0.20 };
+const PAID_TIER = { id: 2, name: 'Paid', buy_in: 1, platform_fee: 0.20 };
+
+// Just enough of socket.io for joins (nothing is sent without a game loop)
+function fakeIo() {
+    const sockets = new Map();
+    return {
+        sockets: { sockets },
+        to: () => ({ emit: () => {} }),
+        connect(id) {
+            const socket = { id, rooms: new Set(), emit: () => {}, join: room => socket.rooms.add(room), leave: room => socket.rooms.delete(room) };
+            sockets.set(id, socket);
+            return socket;
+        }
+    };
+}
+
+describe('RoomManager', () => {
+    let dir;
+    let io;
+    let manager;
+
+    // Recordings of paid rooms go to a temporary directory, not REPLAY_DIR
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manager-replays-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        io = fakeIo();
+        manager = new RoomManager(io, { replayStore: new ReplayStore(db, { dir, storage: 'disk' }) });
+        manager.tiers.set(FREE_TIER.id, FREE_TIER);
+    });
+
+    it('refuses a second join from a seated socket', async () => {
+        const socket = io.connect('s1');
+        const first = await manager.joinRoom(socket, { name: 'A', tierId: 1, demoMode: true });
+
+        let error = null;
+        try {
+            await manager.joinRoom(socket, { name: 'A', tierId: 1, demoMode: true });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error?.message).to.equal('Already in a room.');
+        expect(manager.playerRooms.get('s1')).to.equal(first.roomId);
+        expect(manager.rooms.get(first.roomId).realPlayerCount).to.equal(1);
+    });
+
+    it('refuses a join while another from the same socket is in progress', async () => {
+        const socket = io.connect('s1');
+        const joins = await Promise.allSettled([
+            manager.joinRoom(socket, { name: 'A', tierId: 1, demoMode: true }),
+            manager.joinRoom(socket, { name: 'A', tierId: 1, demoMode: true })
+        ]);
+
+        expect(joins.map(join => join.status)).to.deep.equal(['fulfilled', 'rejected']);
+        expect(manager.rooms.size).to.equal(1);
+    });
+
+    it('refuses a paid join without a join ticket', async () => {
+        manager.tiers.set(PAID_TIER.id, PAID_TIER);
+        manager.ledger.balances.set('wallet:p1', 500);
+
+        let error = null;
+        try {
+            await manager.joinRoom(io.connect('s1'), { name: 'A', tierId: 2, playerId: 'p1' });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error?.message).to.equal('Buy-in not confirmed. Complete checkout to join a paid room.');
+        expect(manager.playerRooms.has('s1')).to.equal(false);
+        expect(manager.ledger.balance('wallet', 'p1')).to.equal(500);
+    });
+
+    it('seats nobody when the buy-in cannot be saved', async () => {
+        manager.tiers.set(PAID_TIER.id, PAID_TIER);
+        manager.ledger = new Ledger({
+            isConnected: () => true,
+            recordTransaction: async () => { throw new Error('connection lost'); },
+            getAccountBalance: async () => 500
+        });
+        manager.tickets = new JoinTickets(manager.ledger, { updateTicketStatus: async () => null });
+        manager.tickets.remember({
+            id: 't1', checkoutSessionId: 'cs_1', playerId: 'p1', tierId: 2, amountCents: 100,
+            status: 'issued', expiresAt: Date.now() + 60 * 1000
+        });
+
+        let error = null;
+        try {
+            await manager.joinRoom(io.connect('s1'), { name: 'A', tierId: 2, playerId: 'p1', ticket: 't1' });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error?.message).to.equal('Could not save your buy-in. Please try again.');
+        expect(manager.playerRooms.has('s1')).to.equal(false);
+        expect(manager.ledger.balance('ticket', 'cs_1')).to.equal(500);
+    });
+});
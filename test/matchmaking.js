@@ -0,0 +1,103 @@
+const { expect } = require('chai');
+const { Ratings, pickRoom, normalizeRegion } = require('../src/server/rooms/matchmaking');
+
+// Stored ratings by player ID, and every rating saved
+function ratingStore(stored = {}) {
+    return {
+        saved: [],
+        getPlayerRating: async playerId => stored[playerId] || null,
+        async savePlayerRating(playerId, rating, games) {
+            this.saved.push({ playerId, rating, games });
+        }
+    };
+}
+
+// Just what matchmaking reads of a Room
+function fakeRoom(id, playerIds, { maxPlayers = 10, region = 'Seattle' } = {}) {
+    return {
+        id,
+        region,
+        rules: { maxPlayers },
+        realPlayerCount: playerIds.length,
+        players: new Map(playerIds.map(playerId => [`s_${playerId}`, { playerId }])),
+        bots: new Map()
+    };
+}
+
+describe('Matchmaking', () => {
+    let store;
+    let ratings;
+
+    beforeEach(async () => {
+        store = ratingStore({
+            pro: { rating: 1800, games: 50 },
+            pro2: { rating: 1800, games: 40 },
+            mid: { rating: 1200, games: 10 },
+            mid2: { rating: 1250, games: 12 }
+        });
+        ratings = new Ratings(store);
+        for (const playerId of ['pro', 'pro2', 'mid', 'mid2']) {
+            await ratings.load(playerId);
+        }
+    });
+
+    it('rates new accounts and guests at 1200', async () => {
+        expect(await ratings.load('newcomer')).to.equal(1200);
+        expect(await ratings.load(null)).to.equal(1200);
+        expect(ratings.get('pro')).to.equal(1800);
+    });
+
+    it('puts a player in the room closest to their rating', () => {
+        const pros = fakeRoom('pros', ['pro', 'pro2']);
+        const mids = fakeRoom('mids', ['mid', 'mid2']);
+
+        expect(pickRoom([pros, mids], { rating: 1300, region: null }, ratings)).to.equal(mids);
+        expect(pickRoom([pros, mids], { rating: 1750, region: null }, ratings)).to.equal(pros);
+    });
+
+    it('prefers the player\'s region between equal rooms', () => {
+        const seattle = fakeRoom('seattle', ['mid']);
+        const london = fakeRoom('london', ['mid2'], { region: 'London' });
+
+        expect(pickRoom([seattle, london], { rating: 1225, region: normalizeRegion('London') }, ratings)).to.equal(london);
+        expect(normalizeRegion('Atlantis')).to.equal(null);
+    });
+
+    it('joins a lone room however it fits, and none when there are none', () => {
+        const pros = fakeRoom('pros', ['pro', 'pro2']);
+
+        expect(pickRoom([pros], { rating: 800, region: 'Tokyo' }, ratings)).to.equal(pros);
+        expect(pickRoom([], { rating: 1200, region: null }, ratings)).to.equal(null);
+    });
+
+    it('moves more rating for an upset kill, from the victim to the killer', () => {
+        const room = fakeRoom('room', ['pro', 'mid']);
+        const kill = (killer, victim) => ({
+            killerId: `s_${killer}`, killerPlayerId: killer,
+            victimId: `s_${victim}`, victimPlayerId: victim,
+            victimSurvived: null
+        });
+
+        ratings.recordDeath(room, kill('pro', 'mid'));
+        const gain = ratings.get('pro') - 1800;
+        expect(gain).to.be.above(0);
+        expect(1200 - ratings.get('mid')).to.be.closeTo(gain, 1e-9);
+
+        ratings.recordDeath(room, kill('mid2', 'pro2'));
+        const upset = ratings.get('mid2') - 1250;
+        expect(upset).to.be.above(gain * 10);
+        expect(ratings.get('pro2')).to.be.closeTo(1800 - upset, 1e-9);
+    });
+
+    it('scores survival time against the room, counting the life', async () => {
+        const room = fakeRoom('room', ['mid', 'mid2']);
+
+        ratings.recordSurvival(room, 'mid', 10 * 60 * 1000);
+        ratings.recordSurvival(room, 'mid2', 1000);
+        await ratings.queue;
+
+        expect(ratings.get('mid')).to.be.above(1200);
+        expect(ratings.get('mid2')).to.be.below(1250);
+        expect(store.saved.map(({ playerId, games }) => [playerId, games])).to.deep.equal([['mid', 11], ['mid2', 13]]);
+    });
+});
@@ -0,0 +1,146 @@
+const { expect } = require('chai');
+const { Ledger } = require('../src/server/economy/ledger');
+const { PayoutService, FlowgladPayoutProvider } = require('../src/server/economy/payouts');
+
+// Flowglad payments for one player: refundable deposits, and refunds that
+// fail once for the payments listed in `timeouts`
+function fakePayments(deposits, timeouts = []) {
+    const refunded = new Map(); // idempotency key -> cents
+    return {
+        refunds: [],
+        async getRefundablePayments() {
+            return deposits.map(({ id, amount }) => ({
+                id,
+                refundable: amount - Array.from(refunded.entries())
+                    .filter(([key]) => key.endsWith(`:${id}`))
+                    .reduce((sum, [, cents]) => sum + cents, 0)
+            }));
+        },
+        async refundPayment(paymentId, amountCents, idempotencyKey) {
+            this.refunds.push({ paymentId, amountCents, idempotencyKey });
+            refunded.set(idempotencyKey, amountCents);
+            if (timeouts.includes(paymentId)) {
+                timeouts.splice(timeouts.indexOf(paymentId), 1);
+                throw new Error('timeout');
+            }
+        }
+    };
+}
+
+const STORE = {
+    isConnected: () => false,
+    getDepositSessions: async () => ['cs_1', 'cs_2'],
+    updatePayout: async () => null
+};
+
+function payout(amountCents) {
+    return { id: 'po_1', playerId: 'p1', amountCents, transfers: [] };
+}
+
+describe('Flowglad payouts', () => {
+    it('spread a payout over several deposits, each refund keyed by the payout', async () => {
+        const payments = fakePayments([{ id: 'pay_a', amount: 300 }, { id: 'pay_b', amount: 500 }]);
+        const provider = new FlowgladPayoutProvider(STORE, payments);
+
+        const [result] = await provider.send([payout(700)]);
+
+        expect(result).to.include({ status: 'settled', reference: 'pay_b,pay_a' });
+        expect(payments.refunds).to.deep.equal([
+            { paymentId: 'pay_b', amountCents: 500, idempotencyKey: 'po_1:pay_b' },
+            { paymentId: 'pay_a', amountCents: 200, idempotencyKey: 'po_1:pay_a' }
+        ]);
+    });
+
+    it('repeat the same refunds after a timeout instead of paying again', async () => {
+        const payments = fakePayments([{ id: 'pay_a', amount: 300 }, { id: 'pay_b', amount: 500 }], ['pay_a']);
+        const provider = new FlowgladPayoutProvider(STORE, payments);
+        const sent = payout(700);
+
+        const [first] = await provider.send([sent]);
+        expect(first).to.include({ status: 'retry', sentCents: 500 });
+
+        const [second] = await provider.send([sent]);
+        expect(second.status).to.equal('settled');
+        expect(payments.refunds.map(refund => refund.idempotencyKey))
+            .to.deep.equal(['po_1:pay_b', 'po_1:pay_a', 'po_1:pay_a']);
+        expect(payments.refunds[2].amountCents).to.equal(200);
+    });
+
+    it('fail a payout larger than all deposits together', async () => {
+        const payments = fakePayments([{ id: 'pay_a', amount: 300 }]);
+        const provider = new FlowgladPayoutProvider(STORE, payments);
+
+        const [result] = await provider.send([payout(700)]);
+
+        expect(result).to.include({ status: 'failed', sentCents: 0 });
+        expect(payments.refunds).to.have.length(0);
+    });
+
+    it('only request what the deposits can still cover', async () => {
+        const ledger = new Ledger();
+        ledger.balances.set('wallet:p1', 700);
+        const payments = fakePayments([{ id: 'pay_a', amount: 300 }]);
+        const service = new PayoutService(ledger, new FlowgladPayoutProvider(STORE, payments));
+
+        const requested = await service.request('p1');
+
+        expect(requested.amountCents).to.equal(300);
+        expect(ledger.balance('wallet', 'p1')).to.equal(400);
+        expect(await service.request('p1')).to.equal(null);
+
+        await service.processBatch();
+        expect(requested.status).to.equal('settled');
+        expect(await service.request('p1')).to.equal(null);
+    });
+
+    it('return only what was not sent when a payout fails part way', async () => {
+        const ledger = new Ledger();
+        ledger.balances.set('wallet:p1', 700);
+        const provider = {
+            name: 'test',
+            send: async payouts => payouts.map(({ id }) => ({ id, status: 'failed', error: 'gone', sentCents: 500 }))
+        };
+        const service = new PayoutService(ledger, provider);
+
+        const requested = await service.request('p1');
+        await service.processBatch();
+
+        expect(requested.status).to.equal('failed');
+        expect(ledger.balance('wallet', 'p1')).to.equal(200);
+        expect(ledger.balance('payout', requested.id)).to.equal(0);
+    });
+
+    it('withdraw only what was asked for, leaving the rest in the wallet', async () => {
+        const ledger = new Ledger();
+        ledger.balances.set('wallet:p1', 700);
+        const service = new PayoutService(ledger);
+
+        const requested = await service.request('p1', 250);
+
+        expect(requested.amountCents).to.equal(250);
+        expect(ledger.balance('wallet', 'p1')).to.equal(450);
+        expect(await service.request('p1', 50)).to.equal(null);
+    });
+
+    it('put the money back when the payout itself cannot be saved', async () => {
+        const store = {
+            isConnected: () => true,
+            recordTransaction: async tx => tx,
+            getAccountBalance: async () => 700,
+            createPayout: async () => null
+        };
+        const ledger = new Ledger(store);
+        const service = new PayoutService(ledger, undefined, store);
+
+        let error = null;
+        try {
+            await service.request('p1');
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error?.message).to.equal('Could not save the payout');
+        expect(ledger.balance('wallet', 'p1')).to.equal(700);
+        expect(service.pending.size).to.equal(0);
+    });
+});
@@ -0,0 +1,291 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Simulation } = require('../src/server/rooms/simulation');
+const { ReplayRecorder } = require('../src/server/replays/recorder');
+const { ReplayPlayer, ReplayAgent, parseReplay } = require('../src/server/replays/player');
+const { ReplayStore } = require('../src/server/replays/store');
+const { Clips } = require('../src/server/replays/clips');
+
+// Segments written to memory, through JSON like the files are
+function record(room, options) {
+    const segments = [];
+    const openSegment = (header) => {
+        const entries = [JSON.parse(JSON.stringify(header))];
+        segments.push(entries);
+        return {
+            write: entry => entries.push(JSON.parse(JSON.stringify(entry))),
+            close: end => entries.push(end)
+        };
+    };
+    const recorder = new ReplayRecorder(room, openSegment, options).start();
+    return { segments, recorder };
+}
+
+// Bots, a scripted player who joins, boosts and leaves, and an external agent
+function recordedMatch(options = { keyframeSeconds: 2, segmentMinutes: 0.25 }) {
+    const sim = new Simulation({ seed: 11, rules: { worldSize: 1000 } });
+    const recording = record(sim.room, options);
+
+    for (const profile of ['easy', 'normal', 'hard', 'hunter', 'hunter', 'hard']) {
+        sim.addBot(profile);
+    }
+    sim.step(30);
+
+    sim.addPlayer('p1', 'Scripted');
+    sim.script('p1', (snake, s) => ({ angle: s.tick * 0.01, boost: s.tick % 200 < 40 }));
+    sim.room.addAgent(new ReplayAgent({ id: 'agent_1', name: 'Agent', kind: 'remote' }));
+    const agent = sim.room.agents.get('agent_1');
+
+    for (let i = 0; i < 50; i++) {
+        agent.input = { angle: i * 0.3, boost: false };
+        sim.step(60);
+        if (i === 30) sim.room.removePlayer('p1');
+    }
+    recording.recorder.finish();
+    return { sim, ...recording };
+}
+
+// Recording (and re-running) a match takes a few seconds on a slow machine
+const MATCH_TIMEOUT = 20000;
+
+// What a re-run must match (bot IDs are random, so snapshot IDs stand in)
+function positions(room) {
+    return Array.from(room.snakes.values(), snake => [snake.netId, snake.alive, snake.x, snake.y, snake.length]);
+}
+
+describe('Replays', () => {
+    it('re-runs a recorded match to the same state', function () {
+        this.timeout(MATCH_TIMEOUT);
+        const { sim, segments } = recordedMatch({ keyframeSeconds: 10, segmentMinutes: 60 });
+        expect(segments).to.have.length(1);
+
+        const player = new ReplayPlayer(parseReplay(segments[0]));
+        expect(player.seek(sim.tick)).to.equal(true);
+
+        expect(positions(player.room)).to.deep.equal(positions(sim.room));
+        expect(player.diverged).to.equal(false);
+    });
+
+    it('splits long sessions into segments that start from a keyframe', function () {
+        this.timeout(MATCH_TIMEOUT);
+        const { sim, segments } = recordedMatch();
+
+        expect(segments).to.have.length(4);
+        const last = parseReplay(segments[3]);
+        expect(last.header.part).to.equal(4);
+        expect(last.header.startTick).to.equal(2700);
+        expect(last.complete).to.equal(true);
+        expect(last.endTick).to.equal(sim.tick);
+
+        const player = new ReplayPlayer(last);
+        player.seek(last.endTick);
+        expect(positions(player.room)).to.deep.equal(positions(sim.room));
+        expect(player.diverged).to.equal(false);
+    });
+
+    it('seeks backwards and forwards through keyframes', function () {
+        this.timeout(MATCH_TIMEOUT);
+        const { segments } = recordedMatch();
+        const player = new ReplayPlayer(parseReplay(segments[1]));
+        expect(player.tick).to.equal(900);
+
+        player.seek(1700);
+        const at1700 = positions(player.room);
+        player.seek(1000);
+        expect(player.tick).to.equal(1000);
+        player.seek(1700);
+
+        expect(positions(player.room)).to.deep.equal(at1700);
+        expect(player.diverged).to.equal(false);
+    });
+
+    it('keeps the recorded kills and their bounties', function () {
+        this.timeout(MATCH_TIMEOUT);
+        const { sim, segments } = recordedMatch({ keyframeSeconds: 10, segmentMinutes: 60 });
+        const replay = parseReplay(segments[0]);
+
+        expect(sim.kills).to.not.be.empty;
+        expect(replay.kills.map(kill => [kill.victimName, kill.killerName, kill.bounty]))
+            .to.deep.equal(sim.kills.map(kill => [kill.victimName, kill.killerName, kill.bounty]));
+    });
+
+    it('notices a re-run that drifted and resyncs', function () {
+        this.timeout(MATCH_TIMEOUT);
+        const { sim, segments } = recordedMatch({ keyframeSeconds: 10, segmentMinutes: 60 });
+        const replay = parseReplay(segments[0]);
+        replay.ops.delete(31); // Lose the scripted player and the agent joining
+
+        const player = new ReplayPlayer(replay);
+        player.seek(599);
+        expect(player.room.snakes.has('p1')).to.equal(false);
+        player.step();
+
+        expect(player.diverged).to.equal(true);
+        expect(player.room.snakes.has('p1')).to.equal(true);
+        player.seek(sim.tick);
+        expect(positions(player.room)).to.deep.equal(positions(sim.room));
+    });
+
+    describe('store', () => {
+        let dir;
+        let store;
+
+        // Memory-only mode, as without DATABASE_URL
+        const offline = {
+            createReplay: async () => null,
+            finishReplay: async () => null,
+            getReplay: async () => null,
+            getReplayData: async () => null,
+            getPlayerReplays: async () => [],
+            deleteOldReplays: async () => []
+        };
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+            store = new ReplayStore(offline, { dir, storage: 'disk' });
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('reads a segment back while it is recorded, and once it is closed', async () => {
+            const sim = new Simulation({ seed: 5 });
+            const recorder = new ReplayRecorder(sim.room, header => store.openSegment(header), { keyframeSeconds: 1 }).start();
+            sim.room.addPlayer('p1', 'Signed In', true, 'player_0123456789abcdef');
+            sim.addBot('normal');
+            sim.step(150);
+
+            const [details] = await store.list('player_0123456789abcdef');
+            expect(details).to.include({ live: true, startTick: 0 });
+            expect(store.canView(details, 'player_0123456789abcdef')).to.equal(true);
+            expect(store.canView(details, 'someone_else_0123456')).to.equal(false);
+
+            // Written up to the last keyframe so far (once the file has caught up)
+            await new Promise(resolve => setTimeout(resolve, 100));
+            const live = parseReplay(await store.load(details.id));
+            expect(live.complete).to.equal(false);
+            expect(live.endTick).to.be.at.least(120);
+
+            recorder.finish();
+            await store.flush();
+
+            const replay = parseReplay(await store.load(details.id));
+            expect(replay.complete).to.equal(true);
+            expect(replay.endTick).to.equal(150);
+            expect((await store.get(details.id)).live).to.equal(false);
+
+            const player = new ReplayPlayer(replay);
+            player.seek(150);
+            expect(positions(player.room)).to.deep.equal(positions(sim.room));
+        });
+
+        it('deletes segments past retention', async () => {
+            const file = path.join(dir, '00000000-0000-4000-8000-000000000000.jsonl.gz');
+            fs.writeFileSync(file, '');
+            const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+            fs.utimesSync(file, old, old);
+
+            expect(await store.prune()).to.equal(1);
+            expect(fs.existsSync(file)).to.equal(false);
+        });
+    });
+
+    describe('Kill clips', () => {
+        const PAID_TIER = { id: 2, name: 'Low', buy_in: 1, platform_fee: 0.20 };
+        let saved;
+        let clips;
+
+        // Keeps stored clips in memory, as the database would
+        const memoryStore = () => ({
+            saveKillClip: async (killId, roomId, data) => { saved.set(killId, data); },
+            getKillClip: async (killId) => saved.get(killId) || null,
+            deleteOldKillClips: async () => 0
+        });
+
+        // Step the room as the manager does, clipping every kill
+        const step = (sim, ticks) => {
+            const kills = [];
+            for (let i = 0; i < ticks; i++) {
+                const tickKills = sim.step();
+                tickKills.forEach((kill, n) => {
+                    kill.killId = `00000000-0000-4000-8000-${String(sim.tick * 10 + n).padStart(12, '0')}`;
+                    kill.clip = true;
+                });
+                clips.afterUpdate(sim.room, tickKills);
+                kills.push(...tickKills);
+            }
+            return kills;
+        };
+
+        beforeEach(() => {
+            saved = new Map();
+            clips = new Clips(memoryStore());
+        });
+
+        it('clips the seconds around a kill, with the segment that was hit', async () => {
+            const sim = new Simulation({ tier: PAID_TIER }).clearFood();
+            clips.watch(sim.room);
+            sim.addPlayer('a', 'A', { x: 2000, y: 2000, angle: 0, length: 60 });
+            sim.addPlayer('b', 'B', { x: 1900, y: 2100, angle: -Math.PI / 2 });
+            sim.addPlayer('far', 'Far', { x: 4000, y: 4000, angle: 0 });
+
+            const [kill] = step(sim, 60);
+            expect(kill).to.include({ killerName: 'A', victimName: 'B' });
+            expect(kill.segment).to.be.at.least(3);
+
+            // Still taking the second after the kill
+            const pending = clips.get(kill.killId);
+            step(sim, 60);
+            const clip = await pending;
+
+            expect(clip.kill).to.include({ killerId: 'a', victimId: 'b', segment: kill.segment });
+            const ticks = clip.frames.map(frame => frame.tick);
+            expect(ticks).to.deep.equal([...ticks].sort((x, y) => x - y));
+            expect(ticks[ticks.length - 1] - clip.kill.tick).to.be.at.least(57);
+
+            // The victim is drawn up to (and at) the collision, and the
+            // snake across the map is left out
+            const has = (frame, id) => frame.snakes.some(snake => snake.id === id);
+            const moment = clip.frames.find(frame => frame.tick === clip.kill.tick);
+            expect(has(moment, 'b')).to.equal(true);
+            expect(has(clip.frames[clip.frames.length - 1], 'b')).to.equal(false);
+            expect(clip.frames.some(frame => has(frame, 'far'))).to.equal(false);
+
+            // The hit segment is where the victim's head ran into it
+            const killer = moment.snakes.find(snake => snake.id === 'a');
+            const hitX = killer.segments[kill.segment * 2];
+            const hitY = killer.segments[kill.segment * 2 + 1];
+            expect(Math.hypot(hitX - clip.kill.x, hitY - clip.kill.y)).to.be.below(40);
+        });
+
+        it('stores clips under the kill ID and reads them back', async () => {
+            const sim = new Simulation({ tier: PAID_TIER }).clearFood();
+            clips.watch(sim.room);
+            sim.addPlayer('a', 'A', { x: 2000, y: 2000, angle: 0, length: 60 });
+            sim.addPlayer('b', 'B', { x: 1900, y: 2100, angle: -Math.PI / 2 });
+
+            const [kill] = step(sim, 120);
+            const clip = await clips.get(kill.killId);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(saved.has(kill.killId)).to.equal(true);
+
+            const restarted = new Clips(memoryStore());
+            expect(await restarted.get(kill.killId)).to.deep.equal(clip);
+            expect(await restarted.get('not-a-kill-id')).to.equal(null);
+        });
+
+        it('only clips paid kills in rooms with paid seats', () => {
+            const free = new Simulation();
+            const paid = new Simulation({ seed: 2, tier: PAID_TIER });
+            clips.watch(free.room);
+            clips.watch(paid.room);
+
+            expect(clips.wants(free.room, { paid: true })).to.equal(false);
+            expect(clips.wants(paid.room, { paid: false })).to.equal(false);
+            expect(clips.wants(paid.room, { paid: true })).to.equal(true);
+        });
+    });
+});
@@ -0,0 +1,49 @@
+const { expect } = require('chai');
+const { resolveRules, DEFAULT_RULES } = require('../src/server/rooms/rules');
+const { Simulation } = require('../src/server/rooms/simulation');
+const { MAX_WORLD_SIZE } = require('../src/shared/protocol');
+
+describe('Room rules', () => {
+    it('uses the defaults for missing, null or non-numeric values', () => {
+        expect(resolveRules()).to.deep.equal(DEFAULT_RULES);
+        expect(resolveRules({ worldSize: null, foodCount: 'lots', maxPlayers: NaN, mode: 'tag' }))
+            .to.deep.equal(DEFAULT_RULES);
+    });
+
+    it('caps the world at what snapshot positions can carry', () => {
+        expect(resolveRules({ worldSize: 1e6 }).worldSize).to.equal(MAX_WORLD_SIZE);
+        expect(resolveRules({ worldSize: 10 }).worldSize).to.equal(1000);
+        expect(resolveRules({ worldSize: '2500.4' }).worldSize).to.equal(2500);
+    });
+
+    it('keeps the player cap between 2 and 50', () => {
+        expect(resolveRules({ maxPlayers: 500 }).maxPlayers).to.equal(50);
+        expect(resolveRules({ maxPlayers: 1 }).maxPlayers).to.equal(2);
+        expect(resolveRules({ maxPlayers: 7.6 }).maxPlayers).to.equal(8);
+
+        const sim = new Simulation({ rules: { maxPlayers: 2 } });
+        sim.addPlayer('a');
+        expect(sim.room.isFull).to.equal(false);
+        sim.addPlayer('b');
+        expect(sim.room.isFull).to.equal(true);
+    });
+
+    it('allows a fractional boost cost up to 3 segments a tick', () => {
+        expect(resolveRules({ boostCost: 0.5 }).boostCost).to.equal(0.5);
+        expect(resolveRules({ boostCost: 10 }).boostCost).to.equal(3);
+        expect(resolveRules({ boostCost: -1 }).boostCost).to.equal(0);
+    });
+
+    it('makes boosting cost what the rules say', () => {
+        const boosted = (boostCost) => {
+            const sim = new Simulation({ rules: { boostCost } }).clearFood();
+            const snake = sim.addPlayer('a', 'A', { x: 2000, y: 2000, angle: 0, length: 60 });
+            sim.script('a', () => ({ angle: 0, boost: true }));
+            sim.step(30);
+            return 60 - snake.length;
+        };
+
+        expect(boosted(0)).to.equal(0);
+        expect(boosted(2)).to.be.above(boosted(1));
+    });
+});
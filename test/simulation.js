@@ -0,0 +1,192 @@
+const { expect } = require('chai');
+const { Simulation } = require('../src/server/rooms/simulation');
+const { createRandom } = require('../src/server/game/random');
+const { SafeZone, ZONE_PHASES } = require('../src/server/game/zone');
+
+// A room with a few bots of each profile, run for ten seconds
+function runBots(seed) {
+    const sim = new Simulation({ seed });
+    for (const profile of ['easy', 'normal', 'hard', 'hunter', 'easy', 'normal']) {
+        sim.addBot(profile);
+    }
+    sim.step(600);
+    return sim;
+}
+
+describe('createRandom', () => {
+    it('repeats its sequence for the same seed', () => {
+        const a = createRandom('seed');
+        const b = createRandom('seed');
+        for (let i = 0; i < 100; i++) {
+            expect(a()).to.equal(b());
+        }
+    });
+
+    it('returns numbers in [0, 1)', () => {
+        const random = createRandom(42);
+        for (let i = 0; i < 1000; i++) {
+            const value = random();
+            expect(value).to.be.at.least(0);
+            expect(value).to.be.below(1);
+        }
+    });
+});
+
+describe('Simulation', () => {
+    it('plays out the same way from the same seed', () => {
+        expect(runBots(7).state()).to.deep.equal(runBots(7).state());
+    });
+
+    it('plays out differently from another seed', () => {
+        expect(runBots(7).state()).to.not.deep.equal(runBots(8).state());
+    });
+
+    it('advances the clock with the ticks', () => {
+        const sim = new Simulation({ start: 1000 });
+        expect(sim.room.createdAt).to.equal(1000);
+
+        sim.step(60);
+        expect(sim.tick).to.equal(60);
+        expect(sim.clock.now()).to.be.closeTo(2000, 1e-6);
+    });
+
+    it('steers scripted players through room input', () => {
+        const sim = new Simulation().clearFood();
+        const snake = sim.addPlayer('a', 'A', { x: 2000, y: 2000, angle: 0 });
+        sim.script('a', () => ({ angle: Math.PI / 2 }));
+
+        sim.step(60);
+        expect(snake.angle).to.be.closeTo(Math.PI / 2, 1e-6);
+        expect(snake.y).to.be.above(2100);
+        expect(sim.room.players.get('a').lastInputSeq).to.equal(60);
+    });
+});
+
+describe('SafeZone', () => {
+    it('waits, then shrinks to a circle inside the last one, phase by phase', () => {
+        const zone = new SafeZone(4000, 4000, ZONE_PHASES, createRandom(3));
+        expect(zone.contains(0, 0)).to.equal(true);
+
+        for (const [phase, { wait, shrink, radius }] of ZONE_PHASES.entries()) {
+            const { from, target } = zone;
+            expect(Math.hypot(target.x - from.x, target.y - from.y) + target.radius).to.be.at.most(from.radius + 1e-6);
+
+            zone.update(wait - 1);
+            expect(zone.radius).to.equal(from.radius);
+
+            zone.update(1 + shrink);
+            expect(zone.phase).to.equal(phase + 1);
+            expect(zone.radius).to.be.closeTo(zone.startRadius * radius, 1e-6);
+        }
+
+        expect(zone.finished).to.equal(true);
+        expect(zone.radius).to.equal(0);
+    });
+});
+
+describe('Battle royale', () => {
+    // Three circling players in an active round
+    function activeRound() {
+        const sim = new Simulation({ rules: { mode: 'royale' } }).clearFood();
+        const places = [[1500, 1500], [2500, 1500], [2000, 2500]];
+        for (const [i, id] of ['a', 'b', 'c'].entries()) {
+            sim.addPlayer(id, id.toUpperCase(), { x: places[i][0], y: places[i][1], angle: 0, length: 40 });
+            sim.script(id, snake => ({ angle: snake.angle + 0.05 }));
+        }
+        sim.stepUntil(s => s.room.round.state === 'active', 900);
+        return sim;
+    }
+
+    it('keeps held snakes out of the zone damage', () => {
+        const sim = activeRound();
+        sim.room.holdPlayer('a', sim.clock.now() + 600000);
+
+        // Everyone is outside the zone
+        sim.room.round.zone.contains = () => false;
+        sim.step(120);
+
+        expect(sim.snake('a').length).to.equal(40);
+        expect(sim.snake('b').length).to.be.below(40);
+    });
+
+    it('doesn\'t let a held snake survive or win the round', () => {
+        const sim = activeRound();
+        sim.room.holdPlayer('a', sim.clock.now() + 600000);
+        sim.room.handleDeath(sim.snake('b'), null);
+        sim.step();
+
+        expect(sim.room.round.state).to.equal('ended');
+        expect(sim.room.round.winnerName).to.equal('C');
+        expect(sim.snake('a').alive).to.equal(true);
+    });
+
+    describe('pot', () => {
+        const PAID_TIER = { id: 2, name: 'Paid', buy_in: 1, platform_fee: 0.20 };
+
+        // Players `staked` buy in for $1.00; the rest play unstaked
+        async function potRound(staked) {
+            const sim = new Simulation({ tier: PAID_TIER, rules: { mode: 'royale' } }).clearFood();
+            const { ledger } = sim.room;
+            sim.room.round.potCents = 500;
+
+            const places = [[1500, 1500], [2500, 1500], [2000, 2500]];
+            for (const [i, id] of ['a', 'b', 'c'].entries()) {
+                let sessionId = null;
+                if (staked.includes(id)) {
+                    sessionId = `session_${id}`;
+                    ledger.balances.set(`wallet:${id}`, 100);
+                    await ledger.buyIn({ sessionId, playerId: id, roomId: sim.room.id, amount: 100 });
+                }
+                sim.room.addPlayer(id, id.toUpperCase(), !sessionId, sessionId ? id : null, sessionId);
+                sim.place(id, { x: places[i][0], y: places[i][1], angle: 0, length: 40 });
+                sim.script(id, snake => ({ angle: snake.angle + 0.05 }));
+            }
+            sim.stepUntil(s => s.room.round.state === 'active', 900);
+            return sim;
+        }
+
+        // Everyone but the winner dies to the zone
+        function winBy(sim, winner) {
+            for (const id of ['a', 'b', 'c'].filter(id => id !== winner)) {
+                sim.room.handleDeath(sim.snake(id), null, 'the zone');
+            }
+            sim.step();
+        }
+
+        it('goes into the staked winner\'s session', async () => {
+            const sim = await potRound(['a', 'b', 'c']);
+            winBy(sim, 'c');
+
+            expect(sim.room.round).to.include({ state: 'ended', winnerName: 'C', pot: 5 });
+            expect(sim.room.ledger.balance('session', 'session_c')).to.equal(100 + 500);
+            expect(sim.snake('c').value).to.equal(6);
+        });
+
+        it('is only paid for a round at least two staked players started', async () => {
+            const sim = await potRound(['a']);
+            winBy(sim, 'a');
+
+            expect(sim.room.round).to.include({ winnerName: 'A', pot: 0 });
+            expect(sim.room.ledger.balance('session', 'session_a')).to.equal(100);
+        });
+
+        it('is play money for an unstaked winner', async () => {
+            const sim = await potRound(['a', 'b']);
+            const value = sim.snake('c').value;
+            winBy(sim, 'c');
+
+            expect(sim.room.round).to.include({ winnerName: 'C', pot: 5 });
+            expect(sim.snake('c').value).to.equal(value + 5);
+        });
+
+        it('goes to nobody when the last snakes die together', async () => {
+            const sim = await potRound(['a', 'b', 'c']);
+            for (const id of ['a', 'b', 'c']) {
+                sim.room.handleDeath(sim.snake(id), null, 'the zone');
+            }
+            sim.step();
+
+            expect(sim.room.round).to.include({ state: 'ended', winnerName: null, pot: 0 });
+        });
+    });
+});
@@ -0,0 +1,98 @@
+const { expect } = require('chai');
+const { Simulation } = require('../src/server/rooms/simulation');
+const SnapshotTracker = require('../src/server/rooms/snapshots');
+const { decodeSnapshot, applySnake } = require('../src/shared/protocol');
+
+// What the client keeps: each decoded snapshot's snakes, for the next delta
+class Receiver {
+    constructor() {
+        this.states = new Map(); // seq -> Map<netId, snake>
+    }
+
+    receive(data) {
+        const frame = decodeSnapshot(data);
+        const baseline = this.states.get(frame.baseline) || new Map();
+        const snakes = new Map();
+        for (const sent of frame.snakes) {
+            const snake = applySnake(sent, baseline.get(sent.netId));
+            expect(snake, `snake ${sent.netId}`).to.not.equal(null);
+            snakes.set(sent.netId, snake);
+        }
+        this.states.set(frame.seq, snakes);
+        return { frame, snakes };
+    }
+}
+
+// Bots roaming a small world, snapshotted at 20 Hz from the middle
+function roaming() {
+    const sim = new Simulation({ seed: 5, rules: { worldSize: 1500 } });
+    for (let i = 0; i < 6; i++) {
+        sim.addBot();
+    }
+    const state = () => sim.room.getStateNear(750, 750, 2000);
+    return { sim, state };
+}
+
+describe('Snapshots', () => {
+    it('rebuild every snake from deltas, close to the server', function () {
+        this.timeout(10000); // 200 snapshots of a busy room
+        const { sim, state } = roaming();
+        const tracker = new SnapshotTracker();
+        const receiver = new Receiver();
+
+        for (let i = 0; i < 200; i++) {
+            sim.step(3);
+            const current = state();
+            const { frame, snakes } = receiver.receive(tracker.encode(current));
+            tracker.acknowledge(frame.seq);
+
+            for (const snake of current.snakes) {
+                const rebuilt = snakes.get(snake.netId);
+                expect(rebuilt.x).to.be.closeTo(snake.x, 0.125);
+                expect(rebuilt.segments).to.have.length(snake.segments.length);
+                snake.segments.forEach((segment, j) => {
+                    expect(rebuilt.segments[j].x).to.be.closeTo(segment.x, 6.25);
+                    expect(rebuilt.segments[j].y).to.be.closeTo(segment.y, 6.25);
+                });
+            }
+        }
+    });
+
+    it('send a fraction of the full snapshot once acknowledged', () => {
+        const { sim, state } = roaming();
+        sim.clearFood();
+        const tracker = new SnapshotTracker();
+
+        sim.step(3);
+        const full = tracker.encode(state());
+        tracker.acknowledge(1);
+
+        let total = 0;
+        for (let i = 0; i < 20; i++) {
+            sim.step(3);
+            const delta = tracker.encode(state());
+            tracker.acknowledge(i + 2);
+            total += delta.length;
+        }
+
+        expect(total / 20).to.be.below(full.length / 3);
+    });
+
+    it('leave out what has not changed since the baseline', () => {
+        const sim = new Simulation().clearFood();
+        sim.addPlayer('a', 'A', { x: 500, y: 500, angle: 0, length: 40 });
+        const tracker = new SnapshotTracker();
+        const state = () => sim.room.getStateNear(500, 500, 1000);
+
+        sim.step(3);
+        tracker.encode(state());
+        tracker.acknowledge(1);
+        sim.step(3);
+        const [snake] = decodeSnapshot(tracker.encode(state())).snakes;
+
+        expect(snake.info).to.equal(null);
+        expect(snake).to.include.keys('x', 'y', 'trail');
+        expect(snake).to.not.include.keys('angle', 'kills', 'value', 'segments');
+        expect(snake.trail.steps.length).to.be.within(1, 3);
+    });
+});
@@ -0,0 +1,117 @@
+const { expect } = require('chai');
+const { Simulation } = require('../src/server/rooms/simulation');
+const { Spectators } = require('../src/server/rooms/spectators');
+const { PROTOCOL_VERSION } = require('../src/shared/protocol');
+
+// Just enough of a socket to see what a spectator is sent
+function fakeSocket(id) {
+    return {
+        id,
+        rooms: new Set(),
+        sent: [],
+        emit(event, data) { this.sent.push({ event, data }); },
+        join(room) { this.rooms.add(room); },
+        leave(room) { this.rooms.delete(room); }
+    };
+}
+
+// Spectators over a simulated room, without a RoomManager
+function watched(options) {
+    const sim = new Simulation({ rules: { worldSize: 3000 }, ...options });
+    const sockets = new Map();
+    const manager = {
+        rooms: new Map([[sim.room.id, sim.room]]),
+        playerRooms: new Map(),
+        io: { sockets: { sockets } }
+    };
+    const spectators = new Spectators(manager);
+    const connect = (id) => {
+        const socket = fakeSocket(id);
+        sockets.set(id, socket);
+        return socket;
+    };
+    return { sim, manager, spectators, connect };
+}
+
+describe('Spectators', () => {
+    it('watch a room without a snake or a seat', () => {
+        const { sim, spectators, connect } = watched();
+        sim.addPlayer('p1', 'Player', { x: 500, y: 500, angle: 0 });
+        const before = [sim.room.playerCount, sim.room.realPlayerCount];
+
+        const socket = connect('s1');
+        const data = spectators.watch(socket, { roomId: sim.room.id });
+        sim.step(10);
+
+        expect([sim.room.playerCount, sim.room.realPlayerCount]).to.deep.equal(before);
+        expect(sim.room.snakes.has('s1')).to.equal(false);
+        expect(socket.rooms.has(sim.room.id)).to.equal(true);
+        expect(data.follow).to.equal('leader');
+        expect(data.targetId).to.equal('p1');
+        expect(spectators.count(sim.room.id)).to.equal(1);
+
+        spectators.leave('s1');
+        expect(spectators.count(sim.room.id)).to.equal(0);
+        expect(socket.rooms.has(sim.room.id)).to.equal(false);
+    });
+
+    it('follow the leader as it changes, or a chosen snake', () => {
+        const { sim, spectators, connect } = watched();
+        sim.addPlayer('p1', 'Short', { x: 500, y: 500, angle: 0, length: 20 });
+        sim.addPlayer('p2', 'Long', { x: 2500, y: 2500, angle: 0, length: 40 });
+
+        const socket = connect('s1');
+        spectators.watch(socket, { roomId: sim.room.id });
+        expect(spectators.spectators.get('s1').targetId).to.equal('p2');
+
+        // A new leader is followed (and the client told) on the next broadcast
+        sim.place('p1', { x: 500, y: 500, angle: 0, length: 60 });
+        spectators.broadcast(sim.room);
+        const status = socket.sent.filter(sent => sent.event === 'spectate_status').pop();
+        expect(status.data.targetId).to.equal('p1');
+        expect(status.data.snakes.map(snake => snake.id)).to.deep.equal(['p1', 'p2']);
+
+        spectators.follow('s1', 'p2');
+        expect(spectators.spectators.get('s1').targetId).to.equal('p2');
+
+        // Free camera: nobody followed, the camera stays where it's put
+        spectators.follow('s1', null);
+        spectators.camera('s1', { x: 1200, y: 800, zoom: 1 });
+        spectators.broadcast(sim.room);
+        expect(spectators.spectators.get('s1').targetId).to.equal(null);
+        expect(spectators.spectators.get('s1').camera).to.include({ x: 1200, y: 800 });
+    });
+
+    it('cull snapshots around the camera unless the full room is asked for', () => {
+        const { sim, spectators, connect } = watched();
+        sim.addPlayer('p1', 'Near', { x: 500, y: 500, angle: 0 });
+        sim.addPlayer('p2', 'Far', { x: 2800, y: 2800, angle: 0 });
+
+        const socket = connect('s1');
+        spectators.watch(socket, { roomId: sim.room.id, follow: null });
+        spectators.camera('s1', { x: 500, y: 500, zoom: 1 });
+        const near = sim.room.getStateNear(500, 500);
+        expect(near.snakes.map(snake => snake.id)).to.deep.equal(['p1']);
+
+        spectators.broadcast(sim.room);
+        spectators.camera('s1', { x: 500, y: 500, zoom: 0.4, full: true });
+        spectators.broadcast(sim.room);
+
+        const [culled, full] = socket.sent
+            .filter(sent => sent.event === 'spectate_snapshot')
+            .map(sent => Buffer.from(sent.data));
+        expect(culled[0]).to.equal(PROTOCOL_VERSION);
+        expect(full.length).to.be.greaterThan(culled.length);
+    });
+
+    it('refuse private or unknown rooms and seated players', () => {
+        const { sim, manager, spectators, connect } = watched();
+
+        manager.playerRooms.set('p1', sim.room.id);
+        expect(() => spectators.watch(connect('p1'), { roomId: sim.room.id })).to.throw('Leave your room');
+        expect(() => spectators.watch(connect('s1'), { roomId: 'nope' })).to.throw('Room not found');
+
+        sim.room.access = { inviteCode: 'abc' };
+        expect(() => spectators.watch(connect('s2'), { roomId: sim.room.id })).to.throw('Room not found');
+    });
+});
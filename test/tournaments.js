@@ -0,0 +1,147 @@
+const { expect } = require('chai');
+const { Ledger } = require('../src/server/economy/ledger');
+const { Tournaments } = require('../src/server/rooms/tournaments');
+
+const MINUTE = 60 * 1000;
+
+// Rooms that only hold who was seated, and sockets that go nowhere
+function fakeManager(ledger) {
+    const sockets = new Map();
+    const rooms = new Map();
+    return {
+        ledger,
+        rooms,
+        tiers: new Map(),
+        io: { sockets: { sockets }, to: () => ({ emit: () => {} }) },
+        connect(id) {
+            const socket = { id, emit: () => {}, join: () => {} };
+            sockets.set(id, socket);
+            return socket;
+        },
+        async createRoom(tier, options) {
+            const room = { id: `room_${rooms.size + 1}`, ...options, players: new Map(), snakes: new Map() };
+            rooms.set(room.id, room);
+            return room;
+        },
+        seatPlayer(socket, room, { playerId }) {
+            room.players.set(socket.id, { socketId: socket.id, playerId, kills: 0, diedAt: 0 });
+            room.snakes.set(socket.id, { alive: true, length: 10 });
+            return { result: { roomId: room.id } };
+        },
+        removePlayer: () => {},
+        closeRoom: roomId => rooms.delete(roomId)
+    };
+}
+
+// Memory-only mode, as without DATABASE_URL
+const STORE = {
+    createTournament: async () => null,
+    updateTournament: async () => null,
+    saveTournamentEntry: async () => null,
+    deleteTournamentEntry: async () => null,
+    recordTournamentRound: async () => null
+};
+
+describe('Tournaments', () => {
+    const now = Date.now();
+    let ledger;
+    let manager;
+    let tournaments;
+    let tournament;
+
+    // Entrants with $5.00 in their wallets, registered for a $1.01 tournament
+    async function enter(...playerIds) {
+        for (const playerId of playerIds) {
+            ledger.balances.set(`wallet:${playerId}`, 500);
+            await tournaments.register(tournament.id, playerId, playerId.toUpperCase());
+        }
+    }
+
+    beforeEach(() => {
+        ledger = new Ledger();
+        manager = fakeManager(ledger);
+        tournaments = new Tournaments(manager, STORE);
+        tournament = tournaments.create({ name: 'Cup', entryFee: 1.01, startsAt: now + 10 * MINUTE }, now);
+    });
+
+    it('moves the entry fee from the wallet into the prize pool', async () => {
+        await enter('a');
+
+        expect(ledger.balance('wallet', 'a')).to.equal(399);
+        expect(ledger.balance('prize', tournament.id)).to.equal(101);
+
+        ledger.balances.set('wallet:b', 100);
+        let error = null;
+        try {
+            await tournaments.register(tournament.id, 'b', 'B');
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error?.message).to.equal('Not enough in your wallet for the entry fee.');
+        expect(tournament.entrants.has('b')).to.equal(false);
+        expect(ledger.balance('wallet', 'b')).to.equal(100);
+    });
+
+    it('refunds the entry fee to entrants who leave, or when it is cancelled', async () => {
+        await enter('a', 'b');
+        tournaments.unregister(tournament.id, 'b');
+
+        expect(ledger.balance('wallet', 'b')).to.equal(500);
+        expect(tournament.entrants.has('b')).to.equal(false);
+
+        // Registration closes with one entrant
+        tournaments.advance(tournament, tournament.startsAt - MINUTE);
+
+        expect(tournament.status).to.equal('cancelled');
+        expect(ledger.balance('wallet', 'a')).to.equal(500);
+        expect(ledger.balance('prize', tournament.id)).to.equal(0);
+    });
+
+    it('splits the pool 50/30/20 after the platform fee, the remainder to first place', async () => {
+        await enter('a', 'b', 'c');
+        ['b', 'a', 'c'].forEach((playerId, i) => { tournament.entrants.get(playerId).placement = i + 1; });
+
+        await tournaments.finish(tournament);
+
+        // $3.03 less a $0.30 fee: 136.5, 81.9 and 54.6 cents, rounded down
+        expect(ledger.balance('platform', 'platform')).to.equal(30);
+        expect(ledger.balance('wallet', 'b')).to.equal(399 + 138);
+        expect(ledger.balance('wallet', 'a')).to.equal(399 + 81);
+        expect(ledger.balance('wallet', 'c')).to.equal(399 + 54);
+        expect(ledger.balance('prize', tournament.id)).to.equal(0);
+        expect(tournament.prizePoolCents).to.equal(303);
+    });
+
+    it('seats the lobby for round 1 and leaves no-shows out of the prizes', async () => {
+        await enter('a', 'b', 'c', 'd');
+        tournaments.watch(manager.connect('s_a'), tournament.id, 'a');
+        tournaments.watch(manager.connect('s_b'), tournament.id, 'b');
+
+        tournaments.advance(tournament, tournament.startsAt - MINUTE);
+        expect(tournament.status).to.equal('countdown');
+        await tournaments.startRound(tournament, tournament.startsAt);
+
+        expect(tournament.status).to.equal('running');
+        const room = manager.rooms.get(tournament.roundRoomId);
+        expect(room.rules.maxPlayers).to.equal(2);
+        expect(Array.from(room.players.values(), player => player.playerId)).to.deep.equal(['a', 'b']);
+        expect(['c', 'd'].map(playerId => tournament.entrants.get(playerId).status)).to.deep.equal(['no_show', 'no_show']);
+
+        // B is longer when time runs out
+        room.snakes.get('s_b').length = 40;
+        tournaments.endRound(tournament, tournament.roundEndsAt);
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        expect(tournament.status).to.equal('finished');
+        expect(manager.rooms.size).to.equal(0);
+        expect(['b', 'a', 'c', 'd'].map(playerId => tournament.entrants.get(playerId).placement)).to.deep.equal([1, 2, 3, 4]);
+
+        // $4.04 less a $0.40 fee, split 50/30 between the two who played
+        expect(ledger.balance('platform', 'platform')).to.equal(40);
+        expect(ledger.balance('wallet', 'b')).to.equal(399 + 228);
+        expect(ledger.balance('wallet', 'a')).to.equal(399 + 136);
+        expect(ledger.balance('wallet', 'c')).to.equal(399);
+        expect(ledger.balance('wallet', 'd')).to.equal(399);
+    });
+});